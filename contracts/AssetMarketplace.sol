@@ -0,0 +1,456 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "./interfaces/IAssetToken.sol";
+import "./interfaces/IFeeTreasury.sol";
+import "./interfaces/IRoyaltySplitFactory.sol";
+
+/**
+ * @title AssetMarketplace
+ * @author Hassan Ali
+ * @notice Lets asset owners sell an AssetToken, and with it control of the asset's provenance
+ * graph, license and rate card, for USDC at a fixed price or in a timed English auction.
+ * @dev A listed asset is held by the marketplace until it is sold or the listing is closed, so
+ * its graph and rate card cannot change while buyers are bidding on it. Each sale pays the
+ * FeeTreasury fee for the asset to the USDC treasury and, when `royaltyBps` is set and the
+ * asset has a splitter, a royalty to the asset's contributors; the seller receives the rest.
+ */
+contract AssetMarketplace is AccessControl, IERC1155Receiver {
+    using SafeERC20 for IERC20;
+
+    // --- Enums and Structs ---
+    enum SaleType { FixedPrice, Auction }
+    enum Status { Active, Sold, Cancelled }
+
+    /**
+     * @param id The ID of the listing.
+     * @param assetId The token ID of the asset for sale.
+     * @param seller The account the asset was listed by; it receives the proceeds.
+     * @param saleType Whether the asset is sold at a fixed price or auctioned.
+     * @param price The fixed price, or the auction's reserve (the lowest first bid).
+     * @param endTime When the auction closes; 0 for fixed-price listings.
+     * @param highestBidder The account holding the auction's highest bid.
+     * @param highestBid The auction's highest bid, held by the marketplace.
+     * @param status The state of the listing.
+     */
+    struct Listing {
+        uint256 id;
+        uint256 assetId;
+        address seller;
+        SaleType saleType;
+        uint256 price;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        Status status;
+    }
+
+    // --- State Variables ---
+    IERC20 public immutable usdc;
+    IERC1155 public immutable assetToken;
+    IFeeTreasury public immutable feeTreasury;
+    IRoyaltySplitFactory public immutable royaltySplitFactory;
+
+    mapping(uint256 => Listing) public listings;
+    uint256 private _listingIdCounter;
+
+    // Mapping from an asset's token ID to its active listing (0 if not listed).
+    mapping(uint256 => uint256) public activeListing;
+
+    // Share of each sale paid to the asset's splitter, in basis points (0 = no royalty).
+    uint16 public royaltyBps;
+
+    // Mapping from a bidder to the outbid amounts they can withdraw.
+    mapping(address => uint256) public pendingReturns;
+
+    // Mapping from an asset's token ID to the USDC its marketplace sales have settled, which
+    // selects its FeeTreasury volume tier.
+    mapping(uint256 => uint256) public salesRevenue;
+
+    // Mapping from an auction's listing ID to the winner who has yet to claim the asset
+    // (0 once delivered).
+    mapping(uint256 => address) public unclaimedBy;
+
+    // --- Constants ---
+    uint16 public constant MAX_ROYALTY_BPS = 2500; // 25%
+    uint16 public constant MIN_BID_INCREMENT_BPS = 500; // Each bid must beat the last by 5%
+    uint256 public constant MIN_AUCTION_DURATION = 1 hours;
+    uint256 public constant MAX_AUCTION_DURATION = 30 days;
+    // A bid this close to the end pushes the end back to this long after the bid.
+    uint256 public constant AUCTION_EXTENSION = 10 minutes;
+
+    // --- Events ---
+    event Listed(uint256 indexed listingId, uint256 indexed assetId, address indexed seller, SaleType saleType, uint256 price, uint256 endTime);
+    event PriceUpdated(uint256 indexed listingId, uint256 newPrice);
+    event ListingCancelled(uint256 indexed listingId);
+    event BidPlaced(uint256 indexed listingId, address indexed bidder, uint256 amount, uint256 endTime);
+    event AssetSold(
+        uint256 indexed listingId,
+        uint256 indexed assetId,
+        address indexed buyer,
+        address seller,
+        uint256 price,
+        uint256 protocolFee,
+        uint256 royalty
+    );
+    event BidWithdrawn(address indexed bidder, uint256 amount);
+    event DeliveryFailed(uint256 indexed listingId, address indexed bidder);
+    event AssetClaimed(uint256 indexed listingId, address indexed winner, address to);
+    event RoyaltyBpsUpdated(uint16 newRoyaltyBps);
+
+    // --- Errors ---
+    error ZeroAddress();
+    error InvalidPrice();
+    error PriceAboveMaximum(uint256 price, uint256 maxPrice);
+    error RoyaltyTooHigh(uint16 maxRoyalty, uint16 actualRoyalty);
+    error InvalidDuration(uint256 minDuration, uint256 maxDuration, uint256 actualDuration);
+    error ListingNotActive(uint256 listingId);
+    error WrongSaleType(uint256 listingId);
+    error NotSeller(uint256 listingId, address caller);
+    error AuctionHasBids(uint256 listingId);
+    error AuctionEnded(uint256 listingId);
+    error AuctionNotEnded(uint256 listingId);
+    error BidTooLow(uint256 minimumBid, uint256 bid);
+    error NothingToWithdraw(address bidder);
+    error NothingToClaim(uint256 listingId, address caller);
+    error UnexpectedTransfer();
+
+    // --- Constructor ---
+    constructor(
+        address _admin,
+        address _usdcAddress,
+        address _assetTokenAddress,
+        address _feeTreasuryAddress,
+        address _royaltySplitFactoryAddress,
+        uint16 _royaltyBps
+    ) {
+        if (_admin == address(0) || _usdcAddress == address(0) || _assetTokenAddress == address(0) || _feeTreasuryAddress == address(0) || _royaltySplitFactoryAddress == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_royaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh(MAX_ROYALTY_BPS, _royaltyBps);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+
+        usdc = IERC20(_usdcAddress);
+        assetToken = IERC1155(_assetTokenAddress);
+        feeTreasury = IFeeTreasury(_feeTreasuryAddress);
+        royaltySplitFactory = IRoyaltySplitFactory(_royaltySplitFactoryAddress);
+        royaltyBps = _royaltyBps;
+    }
+
+    // --- Listing Functions ---
+
+    /**
+     * @notice Lists an asset for sale at a fixed price.
+     * @dev The caller must own the asset and have approved the marketplace as an operator on
+     * the AssetToken; the asset is moved into the marketplace until it is sold or delisted.
+     * @param _assetId The token ID of the asset.
+     * @param _price The price in USDC base units.
+     * @return listingId The ID of the new listing.
+     */
+    function listFixedPrice(uint256 _assetId, uint256 _price) external returns (uint256 listingId) {
+        if (_price == 0) revert InvalidPrice();
+        listingId = _list(_assetId, SaleType.FixedPrice, _price, 0);
+    }
+
+    /**
+     * @notice Lists an asset in an English auction.
+     * @dev Same custody rules as `listFixedPrice`. The auction runs for `_duration` seconds from
+     * now, extended by bids placed in its last AUCTION_EXTENSION.
+     * @param _assetId The token ID of the asset.
+     * @param _reservePrice The lowest acceptable first bid, in USDC base units.
+     * @param _duration How long the auction runs, in seconds.
+     * @return listingId The ID of the new listing.
+     */
+    function listAuction(uint256 _assetId, uint256 _reservePrice, uint256 _duration) external returns (uint256 listingId) {
+        if (_reservePrice == 0) revert InvalidPrice();
+        if (_duration < MIN_AUCTION_DURATION || _duration > MAX_AUCTION_DURATION) {
+            revert InvalidDuration(MIN_AUCTION_DURATION, MAX_AUCTION_DURATION, _duration);
+        }
+        listingId = _list(_assetId, SaleType.Auction, _reservePrice, block.timestamp + _duration);
+    }
+
+    /**
+     * @notice Changes the price of a fixed-price listing.
+     * @dev Only callable by the seller.
+     * @param _listingId The ID of the listing.
+     * @param _newPrice The new price in USDC base units.
+     */
+    function updatePrice(uint256 _listingId, uint256 _newPrice) external {
+        Listing storage listing = _activeListing(_listingId);
+        if (listing.seller != msg.sender) revert NotSeller(_listingId, msg.sender);
+        if (listing.saleType != SaleType.FixedPrice) revert WrongSaleType(_listingId);
+        if (_newPrice == 0) revert InvalidPrice();
+
+        listing.price = _newPrice;
+        emit PriceUpdated(_listingId, _newPrice);
+    }
+
+    /**
+     * @notice Withdraws a listing and returns the asset to the seller.
+     * @dev Only callable by the seller. Auctions can only be cancelled before the first bid.
+     * @param _listingId The ID of the listing.
+     */
+    function cancel(uint256 _listingId) external {
+        Listing storage listing = _activeListing(_listingId);
+        if (listing.seller != msg.sender) revert NotSeller(_listingId, msg.sender);
+        if (listing.highestBidder != address(0)) revert AuctionHasBids(_listingId);
+
+        _close(listing, Status.Cancelled);
+        assetToken.safeTransferFrom(address(this), listing.seller, listing.assetId, 1, "");
+        emit ListingCancelled(_listingId);
+    }
+
+    // --- Buying Functions ---
+
+    /**
+     * @notice Buys an asset listed at a fixed price.
+     * @dev The caller must have approved the marketplace to spend the price in USDC.
+     * @param _listingId The ID of the listing.
+     * @param _maxPrice The most the caller will pay, protecting against a price raised before
+     * the purchase is mined.
+     */
+    function buy(uint256 _listingId, uint256 _maxPrice) external {
+        Listing storage listing = _activeListing(_listingId);
+        if (listing.saleType != SaleType.FixedPrice) revert WrongSaleType(_listingId);
+        if (listing.price > _maxPrice) revert PriceAboveMaximum(listing.price, _maxPrice);
+
+        _close(listing, Status.Sold);
+        usdc.safeTransferFrom(msg.sender, address(this), listing.price);
+        _settle(listing, msg.sender, listing.price);
+        assetToken.safeTransferFrom(address(this), msg.sender, listing.assetId, 1, "");
+    }
+
+    /**
+     * @notice Bids on an auctioned asset.
+     * @dev The bid is held by the marketplace and the previous highest bid is credited to its
+     * bidder's `pendingReturns`, so a bidder who cannot receive USDC cannot stall the auction.
+     * The first bid must meet the reserve; later bids must beat the highest by MIN_BID_INCREMENT_BPS.
+     * @param _listingId The ID of the listing.
+     * @param _amount The bid in USDC base units.
+     */
+    function bid(uint256 _listingId, uint256 _amount) external {
+        Listing storage listing = _activeListing(_listingId);
+        if (listing.saleType != SaleType.Auction) revert WrongSaleType(_listingId);
+        if (block.timestamp >= listing.endTime) revert AuctionEnded(_listingId);
+
+        uint256 minimumBid = minimumBidFor(_listingId);
+        if (_amount < minimumBid) revert BidTooLow(minimumBid, _amount);
+
+        address previousBidder = listing.highestBidder;
+        uint256 previousBid = listing.highestBid;
+        listing.highestBidder = msg.sender;
+        listing.highestBid = _amount;
+        if (listing.endTime - block.timestamp < AUCTION_EXTENSION) {
+            listing.endTime = block.timestamp + AUCTION_EXTENSION;
+        }
+
+        if (previousBidder != address(0)) {
+            pendingReturns[previousBidder] += previousBid;
+        }
+        usdc.safeTransferFrom(msg.sender, address(this), _amount);
+        emit BidPlaced(_listingId, msg.sender, _amount, listing.endTime);
+    }
+
+    /**
+     * @notice Withdraws the caller's outbid amounts.
+     */
+    function withdrawBid() external {
+        uint256 amount = pendingReturns[msg.sender];
+        if (amount == 0) revert NothingToWithdraw(msg.sender);
+
+        pendingReturns[msg.sender] = 0;
+        usdc.safeTransfer(msg.sender, amount);
+        emit BidWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Closes an auction once it has ended.
+     * @dev Can be called by anyone. The bid is paid out and the asset goes to the highest
+     * bidder; without bids the asset returns to the seller. If the winner cannot receive the
+     * asset (a contract rejecting ERC1155 transfers), the sale still stands and the asset is
+     * held until the winner collects it with `claimAsset`.
+     * @param _listingId The ID of the listing.
+     */
+    function settleAuction(uint256 _listingId) external {
+        Listing storage listing = _activeListing(_listingId);
+        if (listing.saleType != SaleType.Auction) revert WrongSaleType(_listingId);
+        if (block.timestamp < listing.endTime) revert AuctionNotEnded(_listingId);
+
+        address winner = listing.highestBidder;
+        if (winner == address(0)) {
+            _close(listing, Status.Cancelled);
+            assetToken.safeTransferFrom(address(this), listing.seller, listing.assetId, 1, "");
+            emit ListingCancelled(_listingId);
+            return;
+        }
+
+        _close(listing, Status.Sold);
+        _settle(listing, winner, listing.highestBid);
+        try assetToken.safeTransferFrom(address(this), winner, listing.assetId, 1, "") {
+        } catch {
+            unclaimedBy[_listingId] = winner;
+            emit DeliveryFailed(_listingId, winner);
+        }
+    }
+
+    /**
+     * @notice Collects an auctioned asset the winner could not receive at settlement.
+     * @dev Only callable by the auction's winner, who can send the asset to another address.
+     * @param _listingId The ID of the listing.
+     * @param _to The address to send the asset to.
+     */
+    function claimAsset(uint256 _listingId, address _to) external {
+        if (unclaimedBy[_listingId] != msg.sender) revert NothingToClaim(_listingId, msg.sender);
+        if (_to == address(0)) revert ZeroAddress();
+
+        delete unclaimedBy[_listingId];
+        assetToken.safeTransferFrom(address(this), _to, listings[_listingId].assetId, 1, "");
+        emit AssetClaimed(_listingId, msg.sender, _to);
+    }
+
+    // --- Admin Functions ---
+
+    /**
+     * @notice Sets the share of each sale paid to the asset's contributors.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. Applies to sales settled from now on,
+     * including those of assets already listed.
+     * @param _newRoyaltyBps The royalty in basis points, or 0 to pay none.
+     */
+    function setRoyaltyBps(uint16 _newRoyaltyBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_newRoyaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh(MAX_ROYALTY_BPS, _newRoyaltyBps);
+        royaltyBps = _newRoyaltyBps;
+        emit RoyaltyBpsUpdated(_newRoyaltyBps);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the number of listings created; IDs run from 1 to this number.
+     */
+    function listingCount() external view returns (uint256) {
+        return _listingIdCounter;
+    }
+
+    /**
+     * @notice Returns the lowest bid an auction currently accepts.
+     * @param _listingId The ID of the listing.
+     */
+    function minimumBidFor(uint256 _listingId) public view returns (uint256) {
+        Listing storage listing = listings[_listingId];
+        if (listing.highestBidder == address(0)) return listing.price;
+        return listing.highestBid + (listing.highestBid * MIN_BID_INCREMENT_BPS) / 10000;
+    }
+
+    /**
+     * @notice Splits a sale price into the protocol fee, the contributor royalty and the
+     * seller's proceeds, and returns where the royalty goes.
+     * @dev The fee follows the same FeeTreasury precedence as Escrow releases (asset override,
+     * license override, USDC volume tier, then `feeBps`), with the asset's `salesRevenue` as
+     * its settled revenue.
+     * @param _assetId The token ID of the asset.
+     * @param _price The sale price in USDC base units.
+     */
+    function quote(uint256 _assetId, uint256 _price)
+        public
+        view
+        returns (uint256 protocolFee, uint256 royalty, uint256 sellerProceeds, address splitter)
+    {
+        uint256 licenseId = IAssetToken(address(assetToken)).license(_assetId);
+        uint16 feeBps = feeTreasury.feeBpsFor(_assetId, licenseId, address(usdc), salesRevenue[_assetId]);
+        protocolFee = (_price * feeBps) / 10000;
+        splitter = royaltySplitFactory.assetIdToSplitter(_assetId);
+        if (splitter != address(0)) {
+            royalty = (_price * royaltyBps) / 10000;
+        }
+        sellerProceeds = _price - protocolFee - royalty;
+    }
+
+    // --- ERC1155 Receiver ---
+
+    /**
+     * @dev Only accepts assets the marketplace pulls in itself when they are listed.
+     */
+    function onERC1155Received(address _operator, address, uint256, uint256, bytes calldata)
+        external
+        view
+        override
+        returns (bytes4)
+    {
+        if (msg.sender != address(assetToken) || _operator != address(this)) revert UnexpectedTransfer();
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev Assets are listed one at a time, so batch transfers are never expected.
+     */
+    function onERC1155BatchReceived(address, address, uint256[] calldata, uint256[] calldata, bytes calldata)
+        external
+        pure
+        override
+        returns (bytes4)
+    {
+        revert UnexpectedTransfer();
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(AccessControl, IERC165) returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    // --- Internal Functions ---
+
+    function _list(uint256 _assetId, SaleType _saleType, uint256 _price, uint256 _endTime) internal returns (uint256 listingId) {
+        listingId = ++_listingIdCounter;
+        listings[listingId] = Listing({
+            id: listingId,
+            assetId: _assetId,
+            seller: msg.sender,
+            saleType: _saleType,
+            price: _price,
+            endTime: _endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            status: Status.Active
+        });
+        activeListing[_assetId] = listingId;
+
+        // Reverts unless the caller holds the asset and has approved the marketplace.
+        assetToken.safeTransferFrom(msg.sender, address(this), _assetId, 1, "");
+        emit Listed(listingId, _assetId, msg.sender, _saleType, _price, _endTime);
+    }
+
+    function _activeListing(uint256 _listingId) internal view returns (Listing storage listing) {
+        listing = listings[_listingId];
+        if (listing.id == 0 || listing.status != Status.Active) revert ListingNotActive(_listingId);
+    }
+
+    function _close(Listing storage _listing, Status _status) internal {
+        _listing.status = _status;
+        delete activeListing[_listing.assetId];
+    }
+
+    /**
+     * @notice Internal function to pay out a sale held by the marketplace.
+     * @dev Splits the price between the treasury, the asset's splitter and the seller.
+     */
+    function _settle(Listing storage _listing, address _buyer, uint256 _price) internal {
+        (uint256 protocolFee, uint256 royalty, uint256 sellerProceeds, address splitter) = quote(_listing.assetId, _price);
+        salesRevenue[_listing.assetId] += _price;
+
+        usdc.safeTransfer(feeTreasury.treasuryFor(address(usdc)), protocolFee);
+        if (royalty > 0) {
+            usdc.safeTransfer(splitter, royalty);
+        }
+        usdc.safeTransfer(_listing.seller, sellerProceeds);
+
+        emit AssetSold(_listing.id, _listing.assetId, _buyer, _listing.seller, _price, protocolFee, royalty);
+    }
+}
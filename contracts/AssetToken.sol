@@ -9,7 +9,10 @@ import "@openzeppelin/contracts/utils/Counters.sol";
  * @title AssetToken
  * @author Hassan Ali
  * @notice An ERC1155 contract to represent unique AI datasets and models as tokens.
- * @dev This contract uses AccessControl for role-based permissions.
+ * @dev Every asset is one-of-one: exactly one unit is minted and it has a single owner at a
+ * time, tracked across transfers so ownership (and with it control of the asset's provenance
+ * graph and pricing) follows the token when it is sold.
+ * This contract uses AccessControl for role-based permissions.
  * - DEFAULT_ADMIN_ROLE: Can grant/revoke roles.
  * - MINTER_ROLE: Can mint new asset tokens.
  * - URI_SETTER_ROLE: Can update the metadata URI for an asset.
@@ -35,6 +38,9 @@ contract AssetToken is ERC1155, AccessControl {
     // Mapping from token ID to its asset-specific metadata.
     mapping(uint256 => Asset) private _assets;
 
+    // Mapping from token ID to the account holding its single unit.
+    mapping(uint256 => address) private _owners;
+
     // --- Events ---
     event AssetMinted(
         uint256 indexed tokenId,
@@ -46,6 +52,7 @@ contract AssetToken is ERC1155, AccessControl {
 
     event LicenseUpdated(uint256 indexed tokenId, uint256 newLicenseId);
     event URIUpdated(uint256 indexed tokenId, string newURI);
+    event AssetOwnershipChanged(uint256 indexed tokenId, address indexed previousOwner, address indexed newOwner);
 
 
     // --- Constructor ---
@@ -179,6 +186,31 @@ contract AssetToken is ERC1155, AccessControl {
         return _assets[_tokenId].licenseId;
     }
 
+    /**
+     * @notice Returns the current owner of an asset.
+     * @param _tokenId The ID of the token.
+     * @return The address holding the asset's single unit.
+     */
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        require(exists(_tokenId), "AssetToken: Owner query for nonexistent token");
+        return _owners[_tokenId];
+    }
+
+    /**
+     * @notice Returns true if an asset has been minted.
+     * @param _tokenId The ID of the token.
+     */
+    function exists(uint256 _tokenId) public view returns (bool) {
+        return _tokenId > 0 && _tokenId <= _tokenIdCounter.current();
+    }
+
+    /**
+     * @notice Returns the number of assets minted; token IDs run from 1 to this number.
+     */
+    function totalMinted() public view returns (uint256) {
+        return _tokenIdCounter.current();
+    }
+
     /**
      * @notice Returns all details for a given asset.
      * @param _tokenId The ID of the token.
@@ -196,6 +228,47 @@ contract AssetToken is ERC1155, AccessControl {
 
     // --- Internal & Overrides ---
 
+    /**
+     * @dev Enforces one-of-one supply: an asset is minted once, as a single unit.
+     */
+    function _beforeTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal virtual override {
+        super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
+
+        if (from == address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                require(amounts[i] == 1 && _owners[ids[i]] == address(0), "AssetToken: Assets are one-of-one");
+            }
+        }
+    }
+
+    /**
+     * @dev Records the new owner of every asset whose unit moved. Zero-amount transfers,
+     * which ERC1155 allows, leave ownership unchanged.
+     */
+    function _afterTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal virtual override {
+        super._afterTokenTransfer(operator, from, to, ids, amounts, data);
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (amounts[i] == 0) continue;
+            _owners[ids[i]] = to;
+            emit AssetOwnershipChanged(ids[i], from, to);
+        }
+    }
+
     /**
      * @dev See {IERC165-supportsInterface}.
      */
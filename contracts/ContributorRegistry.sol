@@ -131,9 +131,11 @@ contract ContributorRegistry is Context, AccessControl, Pausable {
      * @param _role The role to check.
      * @param _contributor The address of the contributor.
      * @return True if the contributor has the role, false otherwise.
+     * @dev Also reports the administrative roles granted through AccessControl, which
+     * `onlyRole` checks through this function.
      */
     function hasRole(bytes32 _role, address _contributor) public view virtual override returns (bool) {
-        return _roles[_role][_contributor];
+        return _roles[_role][_contributor] || super.hasRole(_role, _contributor);
     }
 
     // --- Overrides ---
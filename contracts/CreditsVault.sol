@@ -0,0 +1,388 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./interfaces/IAssetToken.sol";
+import "./interfaces/IEscrow.sol";
+import "./interfaces/IRoyaltySplitFactory.sol";
+
+/**
+ * @title CreditsVault
+ * @author Hassan Ali
+ * @notice Holds prepaid USDC credit for asset usage and the subscription plans asset owners
+ * offer. UsageReceiptVerifier charges receipts to a user's credit instead of their wallet,
+ * and lets a subscription cover receipts for the subscribed asset.
+ * @dev Users deposit once and may withdraw unused credit at any time. A plan covers one
+ * pricing metric of one asset for a number of periods, either without limit or up to a
+ * number of units per period; the subscription fee is paid from credit into Escrow, so it
+ * can be disputed like any usage payment, and a payment the arbiter refunds in full takes
+ * its periods off the subscription through `revokeRefunded`. This contract needs
+ * VERIFIER_ROLE on Escrow.
+ * - VERIFIER_ROLE: Can debit credit and record subscription usage (UsageReceiptVerifier).
+ */
+contract CreditsVault is AccessControl {
+    using SafeERC20 for IERC20;
+
+    // --- Structs ---
+
+    /**
+     * @param assetId The token ID of the asset the plan covers.
+     * @param metric The pricing metric covered (one of PricingModule's METRIC_* constants).
+     * @param unitsPerPeriod The units covered each period, or 0 for unlimited use.
+     * @param price The USDC price of one period.
+     * @param period The length of one period in seconds.
+     * @param active False once the owner withdraws the plan; running subscriptions continue.
+     */
+    struct Plan {
+        uint256 assetId;
+        uint8 metric;
+        uint256 unitsPerPeriod;
+        uint256 price;
+        uint256 period;
+        bool active;
+    }
+
+    struct Subscription {
+        uint256 planId;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 usagePeriod; // Index of the period `unitsUsed` counts for
+        uint256 unitsUsed;
+    }
+
+    /**
+     * @param user The subscriber.
+     * @param assetId The token ID of the subscribed asset.
+     * @param startTime The start of the subscription the payment bought time for.
+     * @param duration The time the payment added to the subscription, in seconds.
+     * @param revoked True once the duration was taken off after a refund.
+     */
+    struct SubscriptionPayment {
+        address user;
+        uint256 assetId;
+        uint256 startTime;
+        uint256 duration;
+        bool revoked;
+    }
+
+    // --- Roles ---
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+
+    // --- State Variables ---
+    IERC20 public immutable usdc;
+    IAssetToken public immutable assetToken;
+    IRoyaltySplitFactory public immutable royaltySplitFactory;
+    IEscrow public immutable escrow;
+
+    // Mapping from a user to their unspent credit in USDC base units.
+    mapping(address => uint256) public credits;
+
+    mapping(uint256 => Plan) public plans;
+    uint256 private _planIdCounter;
+
+    // Mapping from a user to their subscription for each asset.
+    mapping(address => mapping(uint256 => Subscription)) public subscriptions;
+
+    // Mapping from an Escrow ID to the subscription payment it holds.
+    mapping(uint256 => SubscriptionPayment) public subscriptionPayments;
+
+    // --- Constants ---
+    uint256 public constant MIN_PERIOD = 1 days;
+    uint256 public constant MAX_PERIOD = 365 days;
+    uint256 public constant MAX_PERIODS = 36; // Periods bought at once
+    uint8 private constant ESCROW_REFUNDED = 3; // Escrow.Status.Refunded
+
+    // --- Events ---
+    event CreditsDeposited(address indexed user, address indexed from, uint256 amount);
+    event CreditsWithdrawn(address indexed user, uint256 amount);
+    event CreditsDebited(address indexed user, address indexed to, uint256 amount);
+    event PlanCreated(uint256 indexed planId, uint256 indexed assetId, uint8 metric, uint256 unitsPerPeriod, uint256 price, uint256 period);
+    event PlanStatusUpdated(uint256 indexed planId, bool active);
+    event Subscribed(address indexed user, uint256 indexed assetId, uint256 indexed planId, uint256 endTime, uint256 cost);
+    event SubscriptionUsed(address indexed user, uint256 indexed assetId, uint256 units);
+    event SubscriptionRevoked(address indexed user, uint256 indexed assetId, uint256 indexed escrowId, uint256 endTime);
+
+    // --- Errors ---
+    error ZeroAddress();
+    error ZeroAmount();
+    error InsufficientCredits(address user, uint256 available, uint256 required);
+    error NotAssetOwner(uint256 assetId, address caller);
+    error InvalidPlan(uint256 planId);
+    error InvalidPeriod(uint256 minPeriod, uint256 maxPeriod, uint256 actualPeriod);
+    error InvalidPeriodCount(uint256 maxPeriods, uint256 actualPeriods);
+    error PlanInactive(uint256 planId);
+    error SubscriptionActive(uint256 assetId, uint256 planId);
+    error SubscriptionExhausted(address user, uint256 assetId, uint256 unitsLeft, uint256 units);
+    error SplitterNotCreated(uint256 assetId);
+    error NotSubscriptionPayment(uint256 escrowId);
+    error PaymentNotRefunded(uint256 escrowId);
+
+    // --- Constructor ---
+    constructor(
+        address _admin,
+        address _verifier,
+        address _usdcAddress,
+        address _assetTokenAddress,
+        address _royaltySplitFactoryAddress,
+        address _escrowAddress
+    ) {
+        if (
+            _admin == address(0) ||
+            _verifier == address(0) ||
+            _usdcAddress == address(0) ||
+            _assetTokenAddress == address(0) ||
+            _royaltySplitFactoryAddress == address(0) ||
+            _escrowAddress == address(0)
+        ) {
+            revert ZeroAddress();
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(VERIFIER_ROLE, _verifier);
+
+        usdc = IERC20(_usdcAddress);
+        assetToken = IAssetToken(_assetTokenAddress);
+        royaltySplitFactory = IRoyaltySplitFactory(_royaltySplitFactoryAddress);
+        escrow = IEscrow(_escrowAddress);
+    }
+
+    // --- Credits ---
+
+    /**
+     * @notice Deposits USDC as credit for the caller.
+     * @dev The caller must have approved this contract to spend `_amount`.
+     * @param _amount The amount in USDC base units.
+     */
+    function deposit(uint256 _amount) external {
+        depositFor(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Deposits USDC from the caller as credit for another user, e.g. a team budget.
+     * @param _user The user credited.
+     * @param _amount The amount in USDC base units.
+     */
+    function depositFor(address _user, uint256 _amount) public {
+        if (_user == address(0)) revert ZeroAddress();
+        if (_amount == 0) revert ZeroAmount();
+
+        credits[_user] += _amount;
+        usdc.safeTransferFrom(msg.sender, address(this), _amount);
+        emit CreditsDeposited(_user, msg.sender, _amount);
+    }
+
+    /**
+     * @notice Withdraws unused credit back to the caller's wallet.
+     * @param _amount The amount in USDC base units.
+     */
+    function withdraw(uint256 _amount) external {
+        if (_amount == 0) revert ZeroAmount();
+        _spend(msg.sender, _amount);
+
+        usdc.safeTransfer(msg.sender, _amount);
+        emit CreditsWithdrawn(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Pays part of a user's credit to `_to`.
+     * @dev Must be called by an address with VERIFIER_ROLE, which has already checked the
+     * user's signed receipt for the charge.
+     * @param _user The user charged.
+     * @param _amount The amount in USDC base units.
+     * @param _to The recipient, normally Escrow.
+     */
+    function debit(address _user, uint256 _amount, address _to) external onlyRole(VERIFIER_ROLE) {
+        _spend(_user, _amount);
+
+        usdc.safeTransfer(_to, _amount);
+        emit CreditsDebited(_user, _to, _amount);
+    }
+
+    // --- Subscription Plans ---
+
+    /**
+     * @notice Offers a subscription plan for an asset.
+     * @dev Only callable by the asset's owner.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric the plan covers.
+     * @param _unitsPerPeriod The units covered each period, or 0 for unlimited use.
+     * @param _price The USDC price of one period.
+     * @param _period The length of one period in seconds.
+     * @return planId The ID of the new plan.
+     */
+    function createPlan(
+        uint256 _assetId,
+        uint8 _metric,
+        uint256 _unitsPerPeriod,
+        uint256 _price,
+        uint256 _period
+    ) external returns (uint256 planId) {
+        _checkAssetOwner(_assetId);
+        if (_price == 0) revert ZeroAmount();
+        if (_period < MIN_PERIOD || _period > MAX_PERIOD) revert InvalidPeriod(MIN_PERIOD, MAX_PERIOD, _period);
+
+        planId = ++_planIdCounter;
+        plans[planId] = Plan({
+            assetId: _assetId,
+            metric: _metric,
+            unitsPerPeriod: _unitsPerPeriod,
+            price: _price,
+            period: _period,
+            active: true
+        });
+        emit PlanCreated(planId, _assetId, _metric, _unitsPerPeriod, _price, _period);
+    }
+
+    /**
+     * @notice Withdraws a plan from sale, or offers it again.
+     * @dev Only callable by the current owner of the plan's asset. Subscriptions already
+     * bought run until they end but cannot be extended while the plan is inactive.
+     * @param _planId The ID of the plan.
+     * @param _active True to offer the plan.
+     */
+    function setPlanActive(uint256 _planId, bool _active) external {
+        Plan storage plan = _plan(_planId);
+        _checkAssetOwner(plan.assetId);
+
+        plan.active = _active;
+        emit PlanStatusUpdated(_planId, _active);
+    }
+
+    /**
+     * @notice Subscribes the caller to a plan, or extends their subscription to it, paying
+     * from credit.
+     * @dev A running subscription to a different plan of the same asset must end first.
+     * @param _planId The ID of the plan.
+     * @param _periods The number of periods to buy.
+     */
+    function subscribe(uint256 _planId, uint256 _periods) external {
+        Plan storage plan = _plan(_planId);
+        if (!plan.active) revert PlanInactive(_planId);
+        if (_periods == 0 || _periods > MAX_PERIODS) revert InvalidPeriodCount(MAX_PERIODS, _periods);
+
+        address splitter = royaltySplitFactory.assetIdToSplitter(plan.assetId);
+        if (splitter == address(0)) revert SplitterNotCreated(plan.assetId);
+
+        Subscription storage subscription = subscriptions[msg.sender][plan.assetId];
+        if (subscription.endTime > block.timestamp) {
+            if (subscription.planId != _planId) revert SubscriptionActive(plan.assetId, subscription.planId);
+            subscription.endTime += plan.period * _periods;
+        } else {
+            subscriptions[msg.sender][plan.assetId] = Subscription({
+                planId: _planId,
+                startTime: block.timestamp,
+                endTime: block.timestamp + plan.period * _periods,
+                usagePeriod: 0,
+                unitsUsed: 0
+            });
+        }
+
+        uint256 cost = plan.price * _periods;
+        _spend(msg.sender, cost);
+        usdc.safeTransfer(address(escrow), cost);
+        escrow.holdPayment(plan.assetId, msg.sender, cost, splitter);
+        subscriptionPayments[escrow.escrowCount()] = SubscriptionPayment({
+            user: msg.sender,
+            assetId: plan.assetId,
+            startTime: subscription.startTime,
+            duration: plan.period * _periods,
+            revoked: false
+        });
+
+        emit Subscribed(msg.sender, plan.assetId, _planId, subscription.endTime, cost);
+    }
+
+    /**
+     * @notice Records units used under a user's subscription.
+     * @dev Must be called by an address with VERIFIER_ROLE. Reverts if the subscription has
+     * fewer units left in the current period.
+     * @param _user The subscriber.
+     * @param _assetId The token ID of the asset.
+     * @param _units The units used.
+     */
+    function consumeUnits(address _user, uint256 _assetId, uint256 _units) external onlyRole(VERIFIER_ROLE) {
+        if (_units == 0) revert ZeroAmount();
+        Subscription storage subscription = subscriptions[_user][_assetId];
+        uint256 unitsLeft = subscriptionUnitsLeft(_user, _assetId, plans[subscription.planId].metric);
+        if (_units > unitsLeft) revert SubscriptionExhausted(_user, _assetId, unitsLeft, _units);
+
+        uint256 currentPeriod = _currentPeriod(subscription);
+        if (subscription.usagePeriod != currentPeriod) {
+            subscription.usagePeriod = currentPeriod;
+            subscription.unitsUsed = 0;
+        }
+        subscription.unitsUsed += _units;
+        emit SubscriptionUsed(_user, _assetId, _units);
+    }
+
+    /**
+     * @notice Takes the periods bought by a refunded subscription payment off the subscription.
+     * @dev Can be called by anyone once the Escrow arbiter has refunded the payment in full.
+     * A partial refund leaves the subscription as it is. Nothing is taken off a later
+     * subscription to the same asset.
+     * @param _escrowId The Escrow ID of the subscription payment.
+     */
+    function revokeRefunded(uint256 _escrowId) external {
+        SubscriptionPayment storage payment = subscriptionPayments[_escrowId];
+        if (payment.user == address(0) || payment.revoked) revert NotSubscriptionPayment(_escrowId);
+        (, , , , , , uint8 status, , ) = escrow.escrows(_escrowId);
+        if (status != ESCROW_REFUNDED) revert PaymentNotRefunded(_escrowId);
+
+        payment.revoked = true;
+        Subscription storage subscription = subscriptions[payment.user][payment.assetId];
+        if (subscription.startTime == payment.startTime) {
+            subscription.endTime = subscription.endTime > payment.duration ? subscription.endTime - payment.duration : 0;
+        }
+        emit SubscriptionRevoked(payment.user, payment.assetId, _escrowId, subscription.endTime);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the number of plans created; IDs run from 1 to this number.
+     */
+    function planCount() external view returns (uint256) {
+        return _planIdCounter;
+    }
+
+    /**
+     * @notice Returns how many more units of `_metric` a user's subscription to an asset
+     * covers in the current period.
+     * @return Zero without a running subscription for that metric, and type(uint256).max
+     * for an unlimited plan.
+     */
+    function subscriptionUnitsLeft(address _user, uint256 _assetId, uint8 _metric) public view returns (uint256) {
+        Subscription storage subscription = subscriptions[_user][_assetId];
+        if (subscription.endTime <= block.timestamp) return 0;
+
+        Plan storage plan = plans[subscription.planId];
+        if (plan.metric != _metric) return 0;
+        if (plan.unitsPerPeriod == 0) return type(uint256).max;
+
+        uint256 unitsUsed = subscription.usagePeriod == _currentPeriod(subscription) ? subscription.unitsUsed : 0;
+        return plan.unitsPerPeriod - unitsUsed;
+    }
+
+    // --- Internal Functions ---
+
+    function _spend(address _user, uint256 _amount) internal {
+        uint256 available = credits[_user];
+        if (available < _amount) revert InsufficientCredits(_user, available, _amount);
+        credits[_user] = available - _amount;
+    }
+
+    function _plan(uint256 _planId) internal view returns (Plan storage plan) {
+        plan = plans[_planId];
+        if (plan.period == 0) revert InvalidPlan(_planId);
+    }
+
+    function _currentPeriod(Subscription storage _subscription) internal view returns (uint256) {
+        return (block.timestamp - _subscription.startTime) / plans[_subscription.planId].period;
+    }
+
+    function _checkAssetOwner(uint256 _assetId) internal view {
+        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(_assetId, msg.sender);
+    }
+}
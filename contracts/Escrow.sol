@@ -2,21 +2,32 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "./interfaces/IFeeTreasury.sol";
+import "./interfaces/IAssetToken.sol";
 
 /**
  * @title Escrow
  * @author Hassan Ali
  * @notice Holds payments temporarily to allow for disputes. Integrates with FeeTreasury
  * to split protocol fees on successful payments.
+ * @dev The hold (dispute) window is set per deployment, adjustable by the admin and
+ * overridable per asset. Once a dispute is opened the arbiter has `arbitrationPeriod` to
+ * resolve it; after that anyone may apply the configured default outcome.
+ * Payments are held in USDC or in any token on the FeeTreasury's payment token allow-list,
+ * and are released, refunded and charged fees in the token they were made in. The fee rate
+ * comes from the FeeTreasury's schedule for the asset, its license and the asset's revenue
+ * released so far in that token.
+ * Every function that pays out marks the item settled before transferring and is
+ * `nonReentrant`, since payment tokens other than USDC may call back on transfer.
  */
-contract Escrow is AccessControl {
+contract Escrow is AccessControl, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     // --- Enums and Structs ---
-    enum Status { Held, Disputed, Released, Refunded }
+    enum Status { Held, Disputed, Released, Refunded, PartiallyRefunded }
 
     struct EscrowItem {
         uint256 id;
@@ -26,6 +37,8 @@ contract Escrow is AccessControl {
         address paymentSplitter;
         uint256 releaseTime;
         Status status;
+        uint256 disputeDeadline; // Set when a dispute is opened; 0 otherwise
+        address token;           // The ERC20 the payment was made in
     }
 
     // --- Roles ---
@@ -33,20 +46,49 @@ contract Escrow is AccessControl {
     bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
 
     // --- State Variables ---
-    IERC20 public immutable usdc;
+    IERC20 public immutable usdc; // The default payment token
     IFeeTreasury public immutable feeTreasury; // ADDED: FeeTreasury integration
+    IAssetToken public immutable assetToken;
 
     mapping(uint256 => EscrowItem) public escrows;
     uint256 private _escrowIdCounter;
 
+    // Default time a payment is held (and can be disputed) before it may be released
+    uint256 public disputeWindow;
+
+    // Per-asset overrides of `disputeWindow` (0 = no override)
+    mapping(uint256 => uint256) public assetDisputeWindow;
+
+    // Time the arbiter has to resolve an opened dispute before the default outcome applies
+    uint256 public arbitrationPeriod = 7 days;
+
+    // Default outcome after the arbitration period: true refunds the user, false releases
+    bool public refundOnArbitrationTimeout = true;
+
+    // Number of evidence submissions per escrow item
+    mapping(uint256 => uint256) public evidenceCount;
+
+    // Gross amount released to each asset's splitter so far, by payment token
+    mapping(uint256 => mapping(address => uint256)) public settledRevenue;
+
     // --- Constants ---
-    uint256 public constant HOLD_PERIOD = 3 days;
+    uint256 public constant MAX_DISPUTE_WINDOW = 30 days;
+    uint256 public constant MAX_ARBITRATION_PERIOD = 30 days;
 
     // --- Events ---
-    event PaymentHeld(uint256 indexed escrowId, uint256 indexed assetId, address indexed user, uint256 amount);
+    event PaymentHeld(uint256 indexed escrowId, uint256 indexed assetId, address indexed user, uint256 amount, address token);
     event DisputeOpened(uint256 indexed escrowId);
     event PaymentReleased(uint256 indexed escrowId, uint256 amountToContributors, uint256 protocolFee);
     event PaymentRefunded(uint256 indexed escrowId);
+    event DisputeSplitResolved(uint256 indexed escrowId, uint256 refundAmount, uint256 amountToContributors, uint256 protocolFee);
+    event EvidenceSubmitted(uint256 indexed escrowId, address indexed submitter, bytes32 evidenceHash, string evidenceURI);
+    event DefaultOutcomeApplied(uint256 indexed escrowId, bool refunded);
+    event DisputeWindowUpdated(uint256 newWindow);
+    event AssetDisputeWindowUpdated(uint256 indexed assetId, uint256 newWindow);
+    event ArbitrationPeriodUpdated(uint256 newPeriod);
+    event DefaultOutcomeUpdated(bool refundOnArbitrationTimeout);
+    event BatchReleased(uint256 releasedCount, uint256 skippedCount);
+    event ReleaseFailed(uint256 indexed escrowId, bytes reason);
 
     // --- Errors ---
     error InvalidStatus();
@@ -54,6 +96,10 @@ contract Escrow is AccessControl {
     error HoldPeriodNotOver();
     error DisputeWindowClosed();
     error ZeroAddress();
+    error RefundExceedsAmount(uint256 amount, uint256 refundAmount);
+    error ArbitrationPeriodNotOver();
+    error DurationTooLong(uint256 maxDuration, uint256 actualDuration);
+    error TokenNotAllowed(address token);
 
     // --- Constructor ---
     constructor(
@@ -61,11 +107,16 @@ contract Escrow is AccessControl {
         address _arbiter,
         address _verifier,
         address _usdcAddress,
-        address _feeTreasuryAddress // ADDED: FeeTreasury address
+        address _feeTreasuryAddress, // ADDED: FeeTreasury address
+        address _assetTokenAddress,
+        uint256 _disputeWindowSeconds
     ) {
-        if (_admin == address(0) || _arbiter == address(0) || _verifier == address(0) || _usdcAddress == address(0) || _feeTreasuryAddress == address(0)) {
+        if (_admin == address(0) || _arbiter == address(0) || _verifier == address(0) || _usdcAddress == address(0) || _feeTreasuryAddress == address(0) || _assetTokenAddress == address(0)) {
             revert ZeroAddress();
         }
+        if (_disputeWindowSeconds > MAX_DISPUTE_WINDOW) {
+            revert DurationTooLong(MAX_DISPUTE_WINDOW, _disputeWindowSeconds);
+        }
 
         _grantRole(DEFAULT_ADMIN_ROLE, _admin);
         _grantRole(ARBITER_ROLE, _arbiter);
@@ -73,12 +124,14 @@ contract Escrow is AccessControl {
 
         usdc = IERC20(_usdcAddress);
         feeTreasury = IFeeTreasury(_feeTreasuryAddress); // ADDED: Initialize FeeTreasury
+        assetToken = IAssetToken(_assetTokenAddress);
+        disputeWindow = _disputeWindowSeconds;
     }
 
     // --- Core Functions ---
 
     /**
-     * @notice Holds a payment in escrow.
+     * @notice Holds a USDC payment in escrow.
      * @dev Can only be called by a trusted Verifier contract.
      */
     function holdPayment(
@@ -87,17 +140,23 @@ contract Escrow is AccessControl {
         uint256 _amount,
         address _paymentSplitter
     ) external onlyRole(VERIFIER_ROLE) {
-        uint256 escrowId = ++_escrowIdCounter;
-        escrows[escrowId] = EscrowItem({
-            id: escrowId,
-            user: _user,
-            assetId: _assetId,
-            amount: _amount,
-            paymentSplitter: _paymentSplitter,
-            releaseTime: block.timestamp + HOLD_PERIOD,
-            status: Status.Held
-        });
-        emit PaymentHeld(escrowId, _assetId, _user, _amount);
+        _hold(_assetId, _user, address(usdc), _amount, _paymentSplitter);
+    }
+
+    /**
+     * @notice Holds a payment made in `_token` in escrow.
+     * @dev Can only be called by a trusted Verifier contract. The token must be USDC or on
+     * the FeeTreasury's payment token allow-list.
+     */
+    function holdPaymentInToken(
+        uint256 _assetId,
+        address _user,
+        address _token,
+        uint256 _amount,
+        address _paymentSplitter
+    ) external onlyRole(VERIFIER_ROLE) {
+        if (!isAcceptedToken(_token)) revert TokenNotAllowed(_token);
+        _hold(_assetId, _user, _token, _amount, _paymentSplitter);
     }
 
     /**
@@ -111,35 +170,109 @@ contract Escrow is AccessControl {
         if (block.timestamp > item.releaseTime) revert DisputeWindowClosed();
 
         item.status = Status.Disputed;
+        item.disputeDeadline = block.timestamp + arbitrationPeriod;
         emit DisputeOpened(_escrowId);
     }
+
+    /**
+     * @notice Attaches evidence to an open dispute.
+     * @dev Can only be called by the paying user or the current owner of the asset. The
+     * evidence itself lives off-chain; only its hash and location are recorded in an event.
+     * @param _escrowId The ID of the disputed escrow item.
+     * @param _evidenceHash The hash of the evidence document.
+     * @param _evidenceURI Where the evidence can be retrieved (e.g., IPFS).
+     */
+    function submitEvidence(uint256 _escrowId, bytes32 _evidenceHash, string calldata _evidenceURI) external {
+        EscrowItem storage item = escrows[_escrowId];
+        if (item.status != Status.Disputed) revert InvalidStatus();
+        if (msg.sender != item.user && msg.sender != assetToken.ownerOf(item.assetId)) revert NotAuthorized();
+
+        evidenceCount[_escrowId]++;
+        emit EvidenceSubmitted(_escrowId, msg.sender, _evidenceHash, _evidenceURI);
+    }
+
+    /**
+     * @notice Applies the default outcome to a dispute the arbiter did not resolve in time.
+     * @dev Can be called by anyone once the dispute's arbitration deadline has passed.
+     * @param _escrowId The ID of the disputed escrow item.
+     */
+    function applyDefaultOutcome(uint256 _escrowId) external nonReentrant {
+        EscrowItem storage item = escrows[_escrowId];
+        if (item.status != Status.Disputed) revert InvalidStatus();
+        if (block.timestamp <= item.disputeDeadline) revert ArbitrationPeriodNotOver();
+
+        bool refunded = refundOnArbitrationTimeout;
+        if (refunded) {
+            item.status = Status.Refunded;
+            IERC20(item.token).safeTransfer(item.user, item.amount);
+            emit PaymentRefunded(_escrowId);
+        } else {
+            item.status = Status.Released;
+            _splitAndSend(item);
+        }
+        emit DefaultOutcomeApplied(_escrowId, refunded);
+    }
     
     /**
      * @notice Releases a payment after the hold period is over.
      * @dev Can be called by anyone, but only executes if status is Held and time is up.
      * This function will split the payment between the contributors and the protocol treasury.
      */
-    function release(uint256 _escrowId) external {
+    function release(uint256 _escrowId) external nonReentrant {
         EscrowItem storage item = escrows[_escrowId];
         if (item.status != Status.Held) revert InvalidStatus();
         if (block.timestamp < item.releaseTime) revert HoldPeriodNotOver();
 
+        item.status = Status.Released;
         _splitAndSend(item); // MODIFIED: Use internal split function
+    }
+
+    /**
+     * @notice Releases every payment in `_escrowIds` whose hold period is over.
+     * @dev Can be called by anyone. IDs that do not exist, are not Held or are not yet due are
+     * skipped instead of reverting, so a keeper's batch survives items that were released or
+     * disputed after it was built. An item whose transfers revert (e.g. a paused or blocklisting
+     * token) is skipped with ReleaseFailed and stays Held, so it cannot block the rest of the
+     * batch and can still be released on its own later.
+     * @param _escrowIds The escrow items to release.
+     * @return releasedCount The number of payments released.
+     */
+    function releaseBatch(uint256[] calldata _escrowIds) external nonReentrant returns (uint256 releasedCount) {
+        for (uint256 i = 0; i < _escrowIds.length; i++) {
+            EscrowItem storage item = escrows[_escrowIds[i]];
+            if (item.id == 0 || item.status != Status.Held || block.timestamp < item.releaseTime) continue;
+
+            try this.releaseBatchItem(_escrowIds[i]) {
+                releasedCount++;
+            } catch (bytes memory reason) {
+                emit ReleaseFailed(_escrowIds[i], reason);
+            }
+        }
+        emit BatchReleased(releasedCount, _escrowIds.length - releasedCount);
+    }
 
+    /**
+     * @notice Releases one item of a `releaseBatch` in its own call, so a revert only undoes that item.
+     * @dev Only callable by Escrow itself; `releaseBatch` has already checked the item is due.
+     */
+    function releaseBatchItem(uint256 _escrowId) external {
+        if (msg.sender != address(this)) revert NotAuthorized();
+        EscrowItem storage item = escrows[_escrowId];
         item.status = Status.Released;
+        _splitAndSend(item);
     }
     
     /**
      * @notice Resolves a dispute.
      * @dev Can only be called by an Arbiter.
      */
-    function resolveDispute(uint256 _escrowId, bool _refundToUser) external onlyRole(ARBITER_ROLE) {
+    function resolveDispute(uint256 _escrowId, bool _refundToUser) external onlyRole(ARBITER_ROLE) nonReentrant {
         EscrowItem storage item = escrows[_escrowId];
         if (item.status != Status.Disputed) revert InvalidStatus();
 
         if (_refundToUser) {
             item.status = Status.Refunded;
-            usdc.safeTransfer(item.user, item.amount);
+            IERC20(item.token).safeTransfer(item.user, item.amount);
             emit PaymentRefunded(_escrowId);
         } else {
             item.status = Status.Released;
@@ -147,23 +280,171 @@ contract Escrow is AccessControl {
         }
     }
 
+    /**
+     * @notice Resolves a dispute by refunding part of the payment and releasing the rest.
+     * @dev Can only be called by an Arbiter. The released remainder goes through the usual
+     * FeeTreasury fee split to the paymentSplitter. A zero refund is a full release and a
+     * refund of the whole amount is a full refund.
+     * @param _escrowId The ID of the disputed escrow item.
+     * @param _refundAmount The amount returned to the user.
+     */
+    function resolveDisputeWithSplit(uint256 _escrowId, uint256 _refundAmount) external onlyRole(ARBITER_ROLE) nonReentrant {
+        EscrowItem storage item = escrows[_escrowId];
+        if (item.status != Status.Disputed) revert InvalidStatus();
+        if (_refundAmount > item.amount) revert RefundExceedsAmount(item.amount, _refundAmount);
+
+        uint256 releaseAmount = item.amount - _refundAmount;
+        if (_refundAmount == 0) {
+            item.status = Status.Released;
+        } else if (releaseAmount == 0) {
+            item.status = Status.Refunded;
+        } else {
+            item.status = Status.PartiallyRefunded;
+        }
+
+        if (_refundAmount > 0) {
+            IERC20(item.token).safeTransfer(item.user, _refundAmount);
+        }
+
+        uint256 amountToContributors;
+        uint256 protocolFee;
+        if (releaseAmount > 0) {
+            (amountToContributors, protocolFee) = _splitAndSendAmount(item, releaseAmount);
+        }
+
+        emit DisputeSplitResolved(_escrowId, _refundAmount, amountToContributors, protocolFee);
+    }
+
+    // --- Admin Functions ---
+
+    /**
+     * @notice Sets the default hold period applied to new payments.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. Existing holds keep their release time.
+     * @param _newWindow The new window in seconds.
+     */
+    function setDisputeWindow(uint256 _newWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_newWindow > MAX_DISPUTE_WINDOW) revert DurationTooLong(MAX_DISPUTE_WINDOW, _newWindow);
+        disputeWindow = _newWindow;
+        emit DisputeWindowUpdated(_newWindow);
+    }
+
+    /**
+     * @notice Overrides the hold period for a single asset.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. Pass 0 to fall back to `disputeWindow`.
+     * @param _assetId The ID of the asset.
+     * @param _newWindow The asset's window in seconds, or 0 to clear the override.
+     */
+    function setAssetDisputeWindow(uint256 _assetId, uint256 _newWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_newWindow > MAX_DISPUTE_WINDOW) revert DurationTooLong(MAX_DISPUTE_WINDOW, _newWindow);
+        assetDisputeWindow[_assetId] = _newWindow;
+        emit AssetDisputeWindowUpdated(_assetId, _newWindow);
+    }
+
+    /**
+     * @notice Sets how long the arbiter has to resolve a newly opened dispute.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. Already opened disputes keep their deadline.
+     * @param _newPeriod The new period in seconds.
+     */
+    function setArbitrationPeriod(uint256 _newPeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_newPeriod > MAX_ARBITRATION_PERIOD) revert DurationTooLong(MAX_ARBITRATION_PERIOD, _newPeriod);
+        arbitrationPeriod = _newPeriod;
+        emit ArbitrationPeriodUpdated(_newPeriod);
+    }
+
+    /**
+     * @notice Sets the outcome applied to disputes left unresolved past their deadline.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE.
+     * @param _refund True to refund the user, false to release to contributors.
+     */
+    function setDefaultOutcome(bool _refund) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        refundOnArbitrationTimeout = _refund;
+        emit DefaultOutcomeUpdated(_refund);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the number of escrow items created; IDs run from 1 to this number.
+     */
+    function escrowCount() external view returns (uint256) {
+        return _escrowIdCounter;
+    }
+
+    /**
+     * @notice Returns true if payments may be held in `_token`: USDC, or a token on the
+     * FeeTreasury's payment token allow-list.
+     */
+    function isAcceptedToken(address _token) public view returns (bool) {
+        return _token == address(usdc) || feeTreasury.isPaymentToken(_token);
+    }
+
+    /**
+     * @notice Returns the hold period that applies to new payments for an asset.
+     * @param _assetId The ID of the asset.
+     */
+    function disputeWindowFor(uint256 _assetId) public view returns (uint256) {
+        uint256 assetWindow = assetDisputeWindow[_assetId];
+        return assetWindow != 0 ? assetWindow : disputeWindow;
+    }
+
     // --- Internal Functions ---
 
+    /**
+     * @dev Records a new Held escrow item for a payment Escrow has already received.
+     */
+    function _hold(uint256 _assetId, address _user, address _token, uint256 _amount, address _paymentSplitter) internal {
+        uint256 escrowId = ++_escrowIdCounter;
+        escrows[escrowId] = EscrowItem({
+            id: escrowId,
+            user: _user,
+            assetId: _assetId,
+            amount: _amount,
+            paymentSplitter: _paymentSplitter,
+            releaseTime: block.timestamp + disputeWindowFor(_assetId),
+            status: Status.Held,
+            disputeDeadline: 0,
+            token: _token
+        });
+        emit PaymentHeld(escrowId, _assetId, _user, _amount, _token);
+    }
+
+    /**
+     * @dev Returns the asset's license ID, or 0 if the asset does not exist, so a payment held
+     * for an unknown asset can still be released.
+     */
+    function _licenseOf(uint256 _assetId) internal view returns (uint256) {
+        return assetToken.exists(_assetId) ? assetToken.license(_assetId) : 0;
+    }
+
     /**
      * @notice Internal function to calculate fees and send funds.
      * @dev Splits funds between contributors and the treasury.
      */
     function _splitAndSend(EscrowItem storage _item) internal {
-        uint16 currentFeeBps = feeTreasury.feeBps();
-        address multisig = feeTreasury.treasuryMultisig();
-        
-        uint256 totalAmount = _item.amount;
-        uint256 protocolFee = (totalAmount * currentFeeBps) / 10000;
-        uint256 amountToContributors = totalAmount - protocolFee;
+        _splitAndSendAmount(_item, _item.amount);
+    }
+
+    /**
+     * @notice Internal function to calculate fees and send part of an item's funds.
+     * @dev Used when only a portion of the payment is released, e.g. after a split resolution.
+     */
+    function _splitAndSendAmount(EscrowItem storage _item, uint256 _totalAmount)
+        internal
+        returns (uint256 amountToContributors, uint256 protocolFee)
+    {
+        // The token's volume tier is set by the revenue released in it before this payment.
+        uint256 revenue = settledRevenue[_item.assetId][_item.token];
+        uint16 currentFeeBps = feeTreasury.feeBpsFor(_item.assetId, _licenseOf(_item.assetId), _item.token, revenue);
+        address treasury = feeTreasury.treasuryFor(_item.token);
+        settledRevenue[_item.assetId][_item.token] = revenue + _totalAmount;
+
+        protocolFee = (_totalAmount * currentFeeBps) / 10000;
+        amountToContributors = _totalAmount - protocolFee;
 
         // Transfer funds
-        usdc.safeTransfer(multisig, protocolFee);
-        usdc.safeTransfer(_item.paymentSplitter, amountToContributors);
+        IERC20 token = IERC20(_item.token);
+        token.safeTransfer(treasury, protocolFee);
+        token.safeTransfer(_item.paymentSplitter, amountToContributors);
         
         emit PaymentReleased(_item.id, amountToContributors, protocolFee);
     }
@@ -6,8 +6,17 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 /**
  * @title FeeTreasury
  * @author Hassan Ali
- * @notice Manages the protocol fee settings and the destination treasury address.
- * @dev This contract acts as a central configuration point for platform fees.
+ * @notice Manages the protocol fee settings, the destination treasury address and the
+ * allow-list of tokens the platform accepts payment in besides USDC.
+ * @dev This contract acts as a central configuration point for platform fees. Fees in a
+ * payment token can be routed to their own treasury; otherwise they go to `treasuryMultisig`.
+ * The fee on a payment is, in order of precedence: the asset's override, the override for the
+ * asset's license, the payment token's volume tier reached by the asset's settled revenue in
+ * that token, or `feeBps`. Tiers are set per token because revenue is tracked in raw token
+ * units, which differ in decimals and value between tokens.
+ * Every fee change is announced with FeeChangeScheduled and can only be activated once
+ * `feeChangeDelay` has passed, so contributors get notice before a fee goes up. Shortening
+ * the delay itself waits out the current delay for the same reason.
  */
 contract FeeTreasury is AccessControl {
     // --- Roles ---
@@ -16,17 +25,83 @@ contract FeeTreasury is AccessControl {
     // --- State Variables ---
     uint16 public feeBps;
     address public treasuryMultisig;
+
+    // Tokens that Escrow and UsageReceiptVerifier accept besides USDC
+    mapping(address => bool) public isPaymentToken;
+    address[] private _paymentTokens;
+
+    // Per-token fee destinations (zero = treasuryMultisig)
+    mapping(address => address) public tokenTreasury;
+
+    // A fee that replaces the default for one asset or license; zero is a valid fee
+    struct FeeOverride {
+        bool active;
+        uint16 feeBps;
+    }
+
+    // Applies once an asset's settled revenue in a token reaches `minRevenue` (in that token)
+    struct VolumeTier {
+        uint256 minRevenue;
+        uint16 feeBps;
+    }
+
+    // A fee change waiting for its notice period to pass
+    struct ScheduledFee {
+        uint64 effectiveAt;  // 0 = nothing scheduled
+        bool active;         // False removes an override or clears a token's volume tiers
+        uint16 feeBps;
+    }
+
+    mapping(uint256 => FeeOverride) public assetFees;
+    mapping(uint256 => FeeOverride) public licenseFees;
+    mapping(address => VolumeTier[]) private _volumeTiers;     // By payment token, ascending by minRevenue
+    mapping(address => VolumeTier[]) private _scheduledTiers;  // Replaces a token's _volumeTiers when activated
+
+    // Scheduled changes by scope (one of the FEE_SCOPE_* constants) and asset or license ID,
+    // or the payment token for volume tiers
+    mapping(uint8 => mapping(uint256 => ScheduledFee)) public scheduledFees;
+
+    // Notice given before a scheduled fee change may be activated
+    uint64 public feeChangeDelay = 7 days;
+
+    // A shorter `feeChangeDelay` waiting for the current delay to pass
+    struct ScheduledDelay {
+        uint64 effectiveAt;  // 0 = nothing scheduled
+        uint64 delay;
+    }
+    ScheduledDelay public scheduledFeeChangeDelay;
     
     // --- Constants ---
     uint16 public constant MAX_FEE_BPS = 1000; // 10% maximum fee, a safety measure
+    uint64 public constant MAX_FEE_CHANGE_DELAY = 90 days;
+    uint256 public constant MAX_VOLUME_TIERS = 10;
+
+    uint8 public constant FEE_SCOPE_GLOBAL = 0;   // `feeBps`; the ID is always 0
+    uint8 public constant FEE_SCOPE_ASSET = 1;    // `assetFees`, by asset ID
+    uint8 public constant FEE_SCOPE_LICENSE = 2;  // `licenseFees`, by license ID
+    uint8 public constant FEE_SCOPE_TIERS = 3;    // Volume tiers, by `uint256(uint160(token))`
 
     // --- Events ---
     event FeeUpdated(uint16 newFeeBps);
     event TreasuryUpdated(address newTreasury);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+    event TokenTreasuryUpdated(address indexed token, address treasury);
+    event FeeChangeScheduled(uint8 indexed scope, uint256 indexed id, bool active, uint16 feeBps, uint64 effectiveAt);
+    event FeeChangeActivated(uint8 indexed scope, uint256 indexed id, bool active, uint16 feeBps);
+    event FeeChangeCancelled(uint8 indexed scope, uint256 indexed id);
+    event FeeChangeDelayScheduled(uint64 newDelay, uint64 effectiveAt);
+    event FeeChangeDelayUpdated(uint64 newDelay);
 
     // --- Errors ---
     error ZeroAddress();
     error FeeTooHigh(uint16 maxFee, uint16 actualFee);
+    error DelayTooLong(uint64 maxDelay, uint64 actualDelay);
+    error NoFeeChangeScheduled(uint8 scope, uint256 id);
+    error FeeChangeNotDue(uint64 effectiveAt, uint256 blockTimestamp);
+    error NoDelayChangeScheduled();
+    error LengthMismatch();
+    error TooManyTiers(uint256 maxTiers, uint256 actualTiers);
+    error TiersNotAscending(uint256 index);
 
     // --- Constructor ---
     constructor(
@@ -51,16 +126,135 @@ contract FeeTreasury is AccessControl {
     // --- Admin Functions ---
 
     /**
-     * @notice Sets the new protocol fee in basis points.
-     * @dev Must be called by an address with ADMIN_ROLE.
+     * @notice Schedules a new default protocol fee in basis points.
+     * @dev Must be called by an address with ADMIN_ROLE. Call `activateFee(FEE_SCOPE_GLOBAL, 0)`
+     * once `feeChangeDelay` has passed; the change takes effect immediately if the delay is zero.
      * @param _newFeeBps The new fee (e.g., 250 for 2.5%).
      */
     function setFeeBps(uint16 _newFeeBps) external onlyRole(ADMIN_ROLE) {
-        if (_newFeeBps > MAX_FEE_BPS) {
-            revert FeeTooHigh(MAX_FEE_BPS, _newFeeBps);
+        _checkFee(_newFeeBps);
+        _scheduleFee(FEE_SCOPE_GLOBAL, 0, true, _newFeeBps);
+    }
+
+    /**
+     * @notice Schedules a fee override for one asset, or its removal.
+     * @dev Must be called by an address with ADMIN_ROLE. Subject to `feeChangeDelay`.
+     * @param _assetId The ID of the asset.
+     * @param _active False to remove the override.
+     * @param _feeBps The asset's fee; ignored when removing.
+     */
+    function setAssetFee(uint256 _assetId, bool _active, uint16 _feeBps) external onlyRole(ADMIN_ROLE) {
+        if (_active) _checkFee(_feeBps);
+        _scheduleFee(FEE_SCOPE_ASSET, _assetId, _active, _active ? _feeBps : 0);
+    }
+
+    /**
+     * @notice Schedules a fee override for every asset under a license, or its removal.
+     * @dev Must be called by an address with ADMIN_ROLE. Subject to `feeChangeDelay`. An
+     * asset's own override takes precedence.
+     * @param _licenseId The ID of the license in the LicenseRegistry.
+     * @param _active False to remove the override.
+     * @param _feeBps The license's fee; ignored when removing.
+     */
+    function setLicenseFee(uint256 _licenseId, bool _active, uint16 _feeBps) external onlyRole(ADMIN_ROLE) {
+        if (_active) _checkFee(_feeBps);
+        _scheduleFee(FEE_SCOPE_LICENSE, _licenseId, _active, _active ? _feeBps : 0);
+    }
+
+    /**
+     * @notice Schedules a new set of volume tiers for one payment token, replacing its current ones.
+     * @dev Must be called by an address with ADMIN_ROLE. Subject to `feeChangeDelay`; activate
+     * with `activateFee(FEE_SCOPE_TIERS, uint256(uint160(_token)))`. A payment in `_token` pays
+     * the fee of the highest tier the asset's settled revenue in that token has reached, or
+     * `feeBps` below the first tier. Pass empty arrays to remove every tier for the token.
+     * @param _token The payment token the tiers apply to.
+     * @param _minRevenues The settled revenue at which each tier starts, in `_token` units,
+     * strictly ascending.
+     * @param _feeBps The fee of each tier.
+     */
+    function setVolumeTiers(
+        address _token,
+        uint256[] calldata _minRevenues,
+        uint16[] calldata _feeBps
+    ) external onlyRole(ADMIN_ROLE) {
+        if (_token == address(0)) revert ZeroAddress();
+        if (_minRevenues.length != _feeBps.length) revert LengthMismatch();
+        if (_minRevenues.length > MAX_VOLUME_TIERS) revert TooManyTiers(MAX_VOLUME_TIERS, _minRevenues.length);
+
+        VolumeTier[] storage scheduled = _scheduledTiers[_token];
+        delete _scheduledTiers[_token];
+        for (uint256 i = 0; i < _minRevenues.length; i++) {
+            if (i > 0 && _minRevenues[i] <= _minRevenues[i - 1]) revert TiersNotAscending(i);
+            _checkFee(_feeBps[i]);
+            scheduled.push(VolumeTier({ minRevenue: _minRevenues[i], feeBps: _feeBps[i] }));
+        }
+        _scheduleFee(FEE_SCOPE_TIERS, uint256(uint160(_token)), _minRevenues.length > 0, 0);
+    }
+
+    /**
+     * @notice Applies a scheduled fee change once its notice period has passed.
+     * @dev Callable by anyone, so a change takes effect even if the admin does not follow up.
+     * @param _scope One of the FEE_SCOPE_* constants.
+     * @param _id The asset or license ID, the token as `uint256(uint160(token))` for volume
+     * tiers, or 0 for the global fee.
+     */
+    function activateFee(uint8 _scope, uint256 _id) external {
+        ScheduledFee memory change = scheduledFees[_scope][_id];
+        if (change.effectiveAt == 0) revert NoFeeChangeScheduled(_scope, _id);
+        if (block.timestamp < change.effectiveAt) revert FeeChangeNotDue(change.effectiveAt, block.timestamp);
+        _activateFee(_scope, _id);
+    }
+
+    /**
+     * @notice Withdraws a scheduled fee change before it is activated.
+     * @dev Must be called by an address with ADMIN_ROLE.
+     * @param _scope One of the FEE_SCOPE_* constants.
+     * @param _id The asset or license ID, the token as `uint256(uint160(token))` for volume
+     * tiers, or 0 for the global fee.
+     */
+    function cancelFeeChange(uint8 _scope, uint256 _id) external onlyRole(ADMIN_ROLE) {
+        if (scheduledFees[_scope][_id].effectiveAt == 0) revert NoFeeChangeScheduled(_scope, _id);
+        delete scheduledFees[_scope][_id];
+        if (_scope == FEE_SCOPE_TIERS) delete _scheduledTiers[address(uint160(_id))];
+        emit FeeChangeCancelled(_scope, _id);
+    }
+
+    /**
+     * @notice Sets the notice period between scheduling a fee change and activating it.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. A longer delay applies immediately and
+     * withdraws any scheduled reduction; a shorter one is scheduled and can be activated with
+     * `activateFeeChangeDelay` once the current delay has passed. Fee changes already
+     * scheduled keep their activation time.
+     * @param _newDelay The delay in seconds.
+     */
+    function setFeeChangeDelay(uint64 _newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_newDelay > MAX_FEE_CHANGE_DELAY) {
+            revert DelayTooLong(MAX_FEE_CHANGE_DELAY, _newDelay);
+        }
+        if (_newDelay >= feeChangeDelay) {
+            delete scheduledFeeChangeDelay;
+            feeChangeDelay = _newDelay;
+            emit FeeChangeDelayUpdated(_newDelay);
+            return;
         }
-        feeBps = _newFeeBps;
-        emit FeeUpdated(_newFeeBps);
+
+        uint64 effectiveAt = uint64(block.timestamp) + feeChangeDelay;
+        scheduledFeeChangeDelay = ScheduledDelay({ effectiveAt: effectiveAt, delay: _newDelay });
+        emit FeeChangeDelayScheduled(_newDelay, effectiveAt);
+    }
+
+    /**
+     * @notice Applies a scheduled reduction of `feeChangeDelay` once the old delay has passed.
+     * @dev Callable by anyone.
+     */
+    function activateFeeChangeDelay() external {
+        ScheduledDelay memory change = scheduledFeeChangeDelay;
+        if (change.effectiveAt == 0) revert NoDelayChangeScheduled();
+        if (block.timestamp < change.effectiveAt) revert FeeChangeNotDue(change.effectiveAt, block.timestamp);
+
+        delete scheduledFeeChangeDelay;
+        feeChangeDelay = change.delay;
+        emit FeeChangeDelayUpdated(change.delay);
     }
 
     /**
@@ -75,4 +269,151 @@ contract FeeTreasury is AccessControl {
         treasuryMultisig = _newTreasury;
         emit TreasuryUpdated(_newTreasury);
     }
+
+    /**
+     * @notice Adds a token to, or removes it from, the payment token allow-list.
+     * @dev Must be called by an address with ADMIN_ROLE. Removing a token stops new payments
+     * in it; payments already held in Escrow are still released or refunded in that token.
+     * @param _token The ERC20 token.
+     * @param _allowed True to accept payments in the token.
+     */
+    function setPaymentToken(address _token, bool _allowed) external onlyRole(ADMIN_ROLE) {
+        if (_token == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_allowed && !isPaymentToken[_token]) {
+            _paymentTokens.push(_token);
+        } else if (!_allowed && isPaymentToken[_token]) {
+            _removePaymentToken(_token);
+        }
+        isPaymentToken[_token] = _allowed;
+        emit PaymentTokenUpdated(_token, _allowed);
+    }
+
+    /**
+     * @notice Routes fees collected in a token to their own treasury.
+     * @dev Must be called by an address with ADMIN_ROLE.
+     * @param _token The ERC20 token.
+     * @param _treasury The address to send the token's fees to, or zero for `treasuryMultisig`.
+     */
+    function setTokenTreasury(address _token, address _treasury) external onlyRole(ADMIN_ROLE) {
+        if (_token == address(0)) {
+            revert ZeroAddress();
+        }
+        tokenTreasury[_token] = _treasury;
+        emit TokenTreasuryUpdated(_token, _treasury);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the fee charged on a payment for an asset.
+     * @param _assetId The ID of the asset paid for.
+     * @param _licenseId The asset's license ID.
+     * @param _token The payment token.
+     * @param _settledRevenue The asset's revenue settled in `_token` before this payment.
+     * @return The fee in basis points.
+     */
+    function feeBpsFor(
+        uint256 _assetId,
+        uint256 _licenseId,
+        address _token,
+        uint256 _settledRevenue
+    ) external view returns (uint16) {
+        FeeOverride memory assetFee = assetFees[_assetId];
+        if (assetFee.active) return assetFee.feeBps;
+
+        FeeOverride memory licenseFee = licenseFees[_licenseId];
+        if (licenseFee.active) return licenseFee.feeBps;
+
+        VolumeTier[] storage tiers = _volumeTiers[_token];
+        for (uint256 i = tiers.length; i > 0; i--) {
+            if (_settledRevenue >= tiers[i - 1].minRevenue) return tiers[i - 1].feeBps;
+        }
+        return feeBps;
+    }
+
+    /**
+     * @notice Returns the volume tiers in effect for a payment token, ascending by minimum revenue.
+     */
+    function volumeTiers(address _token) external view returns (VolumeTier[] memory) {
+        return _volumeTiers[_token];
+    }
+
+    /**
+     * @notice Returns the volume tiers waiting to be activated for a payment token, if any.
+     */
+    function scheduledVolumeTiers(address _token) external view returns (VolumeTier[] memory) {
+        return _scheduledTiers[_token];
+    }
+
+    /**
+     * @notice Returns the address that fees collected in `_token` are sent to.
+     */
+    function treasuryFor(address _token) external view returns (address) {
+        address treasury = tokenTreasury[_token];
+        return treasury != address(0) ? treasury : treasuryMultisig;
+    }
+
+    /**
+     * @notice Returns every token on the payment token allow-list.
+     */
+    function paymentTokens() external view returns (address[] memory) {
+        return _paymentTokens;
+    }
+
+    // --- Internal Functions ---
+
+    function _checkFee(uint16 _feeBps) private pure {
+        if (_feeBps > MAX_FEE_BPS) {
+            revert FeeTooHigh(MAX_FEE_BPS, _feeBps);
+        }
+    }
+
+    /**
+     * @dev Records a fee change, replacing any change already scheduled for the same target,
+     * and applies it straight away when there is no notice period.
+     */
+    function _scheduleFee(uint8 _scope, uint256 _id, bool _active, uint16 _feeBps) private {
+        uint64 effectiveAt = uint64(block.timestamp) + feeChangeDelay;
+        scheduledFees[_scope][_id] = ScheduledFee({ effectiveAt: effectiveAt, active: _active, feeBps: _feeBps });
+        emit FeeChangeScheduled(_scope, _id, _active, _feeBps, effectiveAt);
+
+        if (feeChangeDelay == 0) _activateFee(_scope, _id);
+    }
+
+    function _activateFee(uint8 _scope, uint256 _id) private {
+        ScheduledFee memory change = scheduledFees[_scope][_id];
+        delete scheduledFees[_scope][_id];
+
+        if (_scope == FEE_SCOPE_GLOBAL) {
+            feeBps = change.feeBps;
+            emit FeeUpdated(change.feeBps);
+        } else if (_scope == FEE_SCOPE_ASSET) {
+            assetFees[_id] = FeeOverride({ active: change.active, feeBps: change.feeBps });
+        } else if (_scope == FEE_SCOPE_LICENSE) {
+            licenseFees[_id] = FeeOverride({ active: change.active, feeBps: change.feeBps });
+        } else {
+            address token = address(uint160(_id));
+            VolumeTier[] storage tiers = _volumeTiers[token];
+            VolumeTier[] storage scheduled = _scheduledTiers[token];
+            delete _volumeTiers[token];
+            for (uint256 i = 0; i < scheduled.length; i++) {
+                tiers.push(scheduled[i]);
+            }
+            delete _scheduledTiers[token];
+        }
+        emit FeeChangeActivated(_scope, _id, change.active, change.feeBps);
+    }
+
+    function _removePaymentToken(address _token) private {
+        uint256 last = _paymentTokens.length - 1;
+        for (uint256 i = 0; i <= last; i++) {
+            if (_paymentTokens[i] == _token) {
+                _paymentTokens[i] = _paymentTokens[last];
+                _paymentTokens.pop();
+                return;
+            }
+        }
+    }
 }
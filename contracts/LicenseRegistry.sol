@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IAssetToken.sol";
+
+/**
+ * @title LicenseRegistry
+ * @author Hassan Ali
+ * @notice Defines license templates and gives meaning to the licenseId stored on each AssetToken.
+ * @dev Templates are immutable once created so an asset's terms cannot change underneath it;
+ * to change terms, create a new template and point the asset at it.
+ * - DEFAULT_ADMIN_ROLE: Can grant/revoke roles.
+ * - LICENSE_MANAGER_ROLE: Can create license templates.
+ */
+contract LicenseRegistry is AccessControl {
+    // --- Roles ---
+    bytes32 public constant LICENSE_MANAGER_ROLE = keccak256("LICENSE_MANAGER_ROLE");
+
+    // --- Usage Types ---
+    // Bit positions used by `License.prohibitedUses` and the `usageType` of a usage receipt.
+    uint8 public constant USAGE_INFERENCE = 0;
+    uint8 public constant USAGE_FINE_TUNING = 1;
+    uint8 public constant USAGE_TRAINING = 2;
+    uint8 public constant USAGE_EVALUATION = 3;
+    uint8 public constant USAGE_REDISTRIBUTION = 4;
+    uint8 public constant MAX_USAGE_TYPE = USAGE_REDISTRIBUTION;
+
+    // --- Structs ---
+    struct License {
+        bool commercialUse;        // Commercial usage is permitted
+        bool attributionRequired;  // Downstream users must credit the asset
+        uint32 prohibitedUses;     // Bitmask of prohibited usage types (1 << USAGE_*)
+        uint64 expiry;             // Timestamp after which usage is no longer licensed (0 = never)
+        uint32 allowedMetrics;     // Bitmask of pricing metrics assets may be priced in (1 << METRIC_*)
+        string termsURI;           // URI to the full legal text
+    }
+
+    // --- State Variables ---
+    IAssetToken public immutable assetToken;
+
+    // Mapping from a license ID to its template. IDs start at 1.
+    mapping(uint256 => License) private _licenses;
+    uint256 private _licenseIdCounter;
+
+    // --- Events ---
+    event LicenseCreated(
+        uint256 indexed licenseId,
+        bool commercialUse,
+        bool attributionRequired,
+        uint32 prohibitedUses,
+        uint64 expiry,
+        uint32 allowedMetrics,
+        string termsURI
+    );
+
+    // --- Errors ---
+    error ZeroAddress();
+    error LicenseDoesNotExist(uint256 licenseId);
+
+    // --- Constructor ---
+    constructor(address _admin, address _licenseManager, address _assetTokenAddress) {
+        if (_admin == address(0) || _licenseManager == address(0) || _assetTokenAddress == address(0)) {
+            revert ZeroAddress();
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(LICENSE_MANAGER_ROLE, _licenseManager);
+
+        assetToken = IAssetToken(_assetTokenAddress);
+    }
+
+    // --- License Management ---
+
+    /**
+     * @notice Creates a new license template.
+     * @dev Only callable by accounts with LICENSE_MANAGER_ROLE.
+     * @param _terms The license terms.
+     * @return licenseId The ID of the new template, to be set on assets via AssetToken.setLicense.
+     */
+    function createLicense(License calldata _terms) external onlyRole(LICENSE_MANAGER_ROLE) returns (uint256 licenseId) {
+        licenseId = ++_licenseIdCounter;
+        _licenses[licenseId] = _terms;
+
+        emit LicenseCreated(
+            licenseId,
+            _terms.commercialUse,
+            _terms.attributionRequired,
+            _terms.prohibitedUses,
+            _terms.expiry,
+            _terms.allowedMetrics,
+            _terms.termsURI
+        );
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the terms of a license template.
+     * @param _licenseId The ID of the license.
+     */
+    function getLicense(uint256 _licenseId) external view returns (License memory) {
+        if (!exists(_licenseId)) revert LicenseDoesNotExist(_licenseId);
+        return _licenses[_licenseId];
+    }
+
+    /**
+     * @notice Returns true if a license template with this ID has been created.
+     */
+    function exists(uint256 _licenseId) public view returns (bool) {
+        return _licenseId > 0 && _licenseId <= _licenseIdCounter;
+    }
+
+    /**
+     * @notice Checks whether a license permits a given kind of usage right now.
+     * @param _licenseId The ID of the license.
+     * @param _usageType The usage type (one of the USAGE_* constants).
+     * @param _commercial True if the usage is commercial.
+     * @return True if the usage is permitted; false for unknown licenses or usage types.
+     */
+    function isUsagePermitted(uint256 _licenseId, uint8 _usageType, bool _commercial) public view returns (bool) {
+        if (_usageType > MAX_USAGE_TYPE || !exists(_licenseId)) return false;
+
+        License storage terms = _licenses[_licenseId];
+        if (terms.expiry != 0 && block.timestamp > terms.expiry) return false;
+        if (_commercial && !terms.commercialUse) return false;
+        return terms.prohibitedUses & (uint32(1) << _usageType) == 0;
+    }
+
+    /**
+     * @notice Checks whether an asset's current license permits a given kind of usage.
+     * @param _assetId The token ID of the asset.
+     * @param _usageType The usage type (one of the USAGE_* constants).
+     * @param _commercial True if the usage is commercial.
+     */
+    function isAssetUsagePermitted(uint256 _assetId, uint8 _usageType, bool _commercial) external view returns (bool) {
+        return isUsagePermitted(assetToken.license(_assetId), _usageType, _commercial);
+    }
+
+    /**
+     * @notice Checks whether a license allows assets to be priced with a given metric.
+     * @param _licenseId The ID of the license.
+     * @param _metric The pricing metric's bit position.
+     */
+    function isMetricAllowed(uint256 _licenseId, uint8 _metric) public view returns (bool) {
+        if (!exists(_licenseId)) return false;
+        return _licenses[_licenseId].allowedMetrics & (uint32(1) << _metric) != 0;
+    }
+
+    /**
+     * @notice Checks whether an asset's current license allows pricing with a given metric.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric's bit position.
+     */
+    function isAssetMetricAllowed(uint256 _assetId, uint8 _metric) external view returns (bool) {
+        return isMetricAllowed(assetToken.license(_assetId), _metric);
+    }
+}
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IAssetToken.sol";
+import "./interfaces/ILicenseRegistry.sol";
+
+/**
+ * @title PricingModule
+ * @author Hassan Ali
+ * @notice Holds the rate card each asset owner publishes, so usage receipts can carry metered
+ * units instead of a signer-chosen amount and the charge is computed on-chain.
+ * @dev A rate card maps each pricing metric to a price in USDC base units per pricing unit.
+ * A price of zero means the asset is not offered under that metric. Owners may only price
+ * an asset in metrics its current license allows. Payment tokens other than USDC have
+ * separate rate cards in that token's base units, so owners choose which tokens they accept.
+ */
+contract PricingModule {
+    // --- Pricing Metrics ---
+    // Bit positions also used by `LicenseRegistry.License.allowedMetrics`.
+    uint8 public constant METRIC_PER_1K_TOKENS = 0;
+    uint8 public constant METRIC_GPU_SECOND = 1;
+    uint8 public constant METRIC_TRAINING_STEP = 2;
+    uint8 public constant METRIC_PER_CALL = 3;
+    uint8 public constant MAX_METRIC = METRIC_PER_CALL;
+
+    // --- State Variables ---
+    IAssetToken public immutable assetToken;
+    ILicenseRegistry public immutable licenseRegistry;
+
+    // Mapping from an asset's token ID to its price per pricing unit for each metric.
+    mapping(uint256 => mapping(uint8 => uint256)) private _rates;
+
+    // Mapping from an asset's token ID to its prices in another payment token, by token and metric.
+    mapping(uint256 => mapping(address => mapping(uint8 => uint256))) private _tokenRates;
+
+    // --- Events ---
+    event RateUpdated(uint256 indexed assetId, uint8 indexed metric, uint256 price);
+    event TokenRateUpdated(uint256 indexed assetId, address indexed token, uint8 indexed metric, uint256 price);
+
+    // --- Errors ---
+    error ZeroAddress();
+    error NotAssetOwner(uint256 assetId, address caller);
+    error InvalidMetric(uint8 metric);
+    error MetricNotLicensed(uint256 assetId, uint8 metric);
+    error LengthMismatch();
+
+    // --- Constructor ---
+    constructor(address _assetTokenAddress, address _licenseRegistryAddress) {
+        if (_assetTokenAddress == address(0) || _licenseRegistryAddress == address(0)) revert ZeroAddress();
+        assetToken = IAssetToken(_assetTokenAddress);
+        licenseRegistry = ILicenseRegistry(_licenseRegistryAddress);
+    }
+
+    // --- Rate Card Management ---
+
+    /**
+     * @notice Sets the price of one metric on an asset's rate card.
+     * @dev Only callable by the asset's owner. Setting a price of zero withdraws the metric.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric (one of the METRIC_* constants).
+     * @param _price The price in USDC base units per pricing unit (see unitSize).
+     */
+    function setRate(uint256 _assetId, uint8 _metric, uint256 _price) external {
+        _checkOwner(_assetId);
+        _setRate(_assetId, _metric, _price);
+    }
+
+    /**
+     * @notice Sets several metrics on an asset's rate card at once.
+     * @dev Only callable by the asset's owner. Metrics not listed keep their current price.
+     * @param _assetId The token ID of the asset.
+     * @param _metrics The pricing metrics to update.
+     * @param _prices The new prices, one per metric.
+     */
+    function setRateCard(uint256 _assetId, uint8[] calldata _metrics, uint256[] calldata _prices) external {
+        if (_metrics.length != _prices.length) revert LengthMismatch();
+        _checkOwner(_assetId);
+        for (uint256 i = 0; i < _metrics.length; i++) {
+            _setRate(_assetId, _metrics[i], _prices[i]);
+        }
+    }
+
+    /**
+     * @notice Sets several metrics on an asset's rate card in a payment token other than USDC.
+     * @dev Only callable by the asset's owner. Metrics not listed keep their current price; an
+     * asset with no price in a token cannot be paid for in it.
+     * @param _assetId The token ID of the asset.
+     * @param _token The payment token the prices are in.
+     * @param _metrics The pricing metrics to update.
+     * @param _prices The new prices in `_token` base units, one per metric.
+     */
+    function setTokenRateCard(uint256 _assetId, address _token, uint8[] calldata _metrics, uint256[] calldata _prices) external {
+        if (_token == address(0)) revert ZeroAddress();
+        if (_metrics.length != _prices.length) revert LengthMismatch();
+        _checkOwner(_assetId);
+        for (uint256 i = 0; i < _metrics.length; i++) {
+            _checkMetric(_assetId, _metrics[i], _prices[i]);
+            _tokenRates[_assetId][_token][_metrics[i]] = _prices[i];
+            emit TokenRateUpdated(_assetId, _token, _metrics[i], _prices[i]);
+        }
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the price of one metric on an asset's rate card (0 if not offered).
+     */
+    function rateOf(uint256 _assetId, uint8 _metric) external view returns (uint256) {
+        return _rates[_assetId][_metric];
+    }
+
+    /**
+     * @notice Returns the price of one metric on an asset's rate card in another payment token (0 if not offered).
+     */
+    function tokenRateOf(uint256 _assetId, address _token, uint8 _metric) external view returns (uint256) {
+        return _tokenRates[_assetId][_token][_metric];
+    }
+
+    /**
+     * @notice Returns an asset's full rate card, indexed by metric.
+     */
+    function getRateCard(uint256 _assetId) external view returns (uint256[] memory prices) {
+        prices = new uint256[](uint256(MAX_METRIC) + 1);
+        for (uint8 metric = 0; metric <= MAX_METRIC; metric++) {
+            prices[metric] = _rates[_assetId][metric];
+        }
+    }
+
+    /**
+     * @notice Prices a quantity of usage against an asset's current rate card.
+     * @dev Does not revert for unpriced metrics so callers can report the failure themselves.
+     * Partial pricing units are rounded up, so metered usage is never free.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric.
+     * @param _units The metered quantity (e.g., tokens, GPU-seconds, steps, calls).
+     * @return price The current price per pricing unit (0 if the metric is not offered).
+     * @return charge The amount owed in USDC base units.
+     */
+    function quote(uint256 _assetId, uint8 _metric, uint256 _units) external view returns (uint256 price, uint256 charge) {
+        price = _rates[_assetId][_metric];
+        if (price > 0) {
+            charge = Math.ceilDiv(_units * price, unitSize(_metric));
+        }
+    }
+
+    /**
+     * @notice As quote, against an asset's rate card in a payment token other than USDC.
+     * @return price The current price per pricing unit in `_token` (0 if not offered).
+     * @return charge The amount owed in `_token` base units.
+     */
+    function quoteInToken(uint256 _assetId, address _token, uint8 _metric, uint256 _units)
+        external
+        view
+        returns (uint256 price, uint256 charge)
+    {
+        price = _tokenRates[_assetId][_token][_metric];
+        if (price > 0) {
+            charge = Math.ceilDiv(_units * price, unitSize(_metric));
+        }
+    }
+
+    /**
+     * @notice Returns how many metered units make up one pricing unit for a metric.
+     * @dev Token usage is priced per 1,000 tokens; every other metric per single unit.
+     */
+    function unitSize(uint8 _metric) public pure returns (uint256) {
+        return _metric == METRIC_PER_1K_TOKENS ? 1000 : 1;
+    }
+
+    // --- Internal Functions ---
+
+    function _checkOwner(uint256 _assetId) internal view {
+        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(_assetId, msg.sender);
+    }
+
+    function _checkMetric(uint256 _assetId, uint8 _metric, uint256 _price) internal view {
+        if (_metric > MAX_METRIC) revert InvalidMetric(_metric);
+        if (_price > 0 && !licenseRegistry.isAssetMetricAllowed(_assetId, _metric)) {
+            revert MetricNotLicensed(_assetId, _metric);
+        }
+    }
+
+    function _setRate(uint256 _assetId, uint8 _metric, uint256 _price) internal {
+        _checkMetric(_assetId, _metric, _price);
+        _rates[_assetId][_metric] = _price;
+        emit RateUpdated(_assetId, _metric, _price);
+    }
+}
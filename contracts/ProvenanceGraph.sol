@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "./interfaces/IAssetToken.sol";
 import "./interfaces/IContributorRegistry.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 
 /**
  * @title ProvenanceGraph
@@ -10,6 +11,10 @@ import "./interfaces/IContributorRegistry.sol";
  * @notice Manages the contribution graph for assets, linking them to
  * contributor wallets and parent assets. The owner of an asset
  * is responsible for defining and finalizing its provenance.
+ * @dev The graph is versioned. Edges added before `finalize` form revision 1. After that the
+ * owner can propose a new revision, which is adopted once contributors of the current revision
+ * holding at least the asset's quorum of its contributor weight have approved it. Earlier
+ * revisions stay readable, so splitters created for them can still be traced.
  */
 contract ProvenanceGraph {
     // --- Structs ---
@@ -24,22 +29,40 @@ contract ProvenanceGraph {
         uint16 weightBps; // Basis points (1-10000)
     }
 
+    struct Revision {
+        ContributorEdge[] contributorEdges;
+        ParentEdge[] parentEdges;
+        uint16 totalBpsAllocated;
+    }
+
+    // --- Constants ---
+
+    // The draft built with addContributorEdge/addParentEdge becomes this revision on finalize.
+    uint256 public constant INITIAL_REVISION = 1;
+
     // --- State Variables ---
 
     IAssetToken public immutable assetToken;
     IContributorRegistry public immutable contributorRegistry;
 
-    // Mapping from an asset's token ID to its list of contributor edges
-    mapping(uint256 => ContributorEdge[]) private _contributorEdges;
+    // Mapping from an asset's token ID to each of its revisions, by revision number
+    mapping(uint256 => mapping(uint256 => Revision)) private _revisions;
 
-    // Mapping from an asset's token ID to its list of parent asset edges
-    mapping(uint256 => ParentEdge[]) private _parentEdges;
+    // Mapping from an asset's token ID to its adopted revision (0 while still a draft)
+    mapping(uint256 => uint256) private _currentRevision;
 
-    // Mapping to track the total basis points allocated per asset
-    mapping(uint256 => uint16) private _totalBpsAllocated;
+    // Mapping from an asset's token ID to its highest revision number used so far
+    mapping(uint256 => uint256) private _latestRevision;
 
-    // Mapping to track if an asset's graph has been finalized
-    mapping(uint256 => bool) private _isFinalized;
+    // Mapping from an asset's token ID to the revision awaiting approval (0 if none)
+    mapping(uint256 => uint256) private _pendingRevision;
+
+    // Mapping from an asset's token ID to the share of contributor weight needed to adopt a revision
+    mapping(uint256 => uint16) private _revisionQuorumBps;
+
+    // Approvals per asset and revision: total contributor weight approved, and who has approved
+    mapping(uint256 => mapping(uint256 => uint16)) private _approvedBps;
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) private _hasApproved;
 
     // A defined role to check against in the ContributorRegistry
     bytes32 public constant CONTRIBUTOR_ROLE = keccak256("CONTRIBUTOR_ROLE");
@@ -49,6 +72,11 @@ contract ProvenanceGraph {
     event ContributorEdgeAdded(uint256 indexed assetId, address indexed contributor, uint16 weightBps);
     event ParentEdgeAdded(uint256 indexed childAssetId, uint256 indexed parentAssetId, uint16 weightBps);
     event GraphFinalized(uint256 indexed assetId);
+    event RevisionQuorumSet(uint256 indexed assetId, uint16 quorumBps);
+    event RevisionProposed(uint256 indexed assetId, uint256 indexed revision, uint256 contributorCount, uint256 parentCount);
+    event RevisionApproved(uint256 indexed assetId, uint256 indexed revision, address indexed contributor, uint16 approvedBps);
+    event RevisionAdopted(uint256 indexed assetId, uint256 indexed revision);
+    event RevisionCancelled(uint256 indexed assetId, uint256 indexed revision);
 
     // --- Errors ---
 
@@ -58,6 +86,15 @@ contract ProvenanceGraph {
     error TotalWeightExceeded(uint256 assetId, uint16 currentWeight, uint16 newWeight);
     error NotAContributor(address potentialContributor);
     error AssetDoesNotExist(uint256 assetId);
+    error SelfParent(uint256 assetId);
+    error GraphNotFinalized(uint256 assetId);
+    error EmptyRevision(uint256 assetId);
+    error RevisionPending(uint256 assetId, uint256 revision);
+    error NoPendingRevision(uint256 assetId);
+    error NotAnApprover(address caller, uint256 assetId);
+    error AlreadyApproved(address caller, uint256 revision);
+    error QuorumNotReached(uint256 assetId, uint16 approvedBps, uint256 requiredBps);
+    error InvalidQuorum(uint16 quorumBps);
 
     // --- Constructor ---
 
@@ -76,87 +113,294 @@ contract ProvenanceGraph {
      * @param _weightBps The share of the contributor in basis points (1-10000).
      */
     function addContributorEdge(uint256 _assetId, address _contributor, uint16 _weightBps) external {
-        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(msg.sender, _assetId);
-        if (_isFinalized[_assetId]) revert GraphIsFinalized(_assetId);
-        if (_weightBps == 0 || _weightBps > 10000) revert InvalidWeight(_weightBps);
-
-        // Optional but recommended: check if the address is a registered contributor
-        if (!contributorRegistry.hasRole(CONTRIBUTOR_ROLE, _contributor)) {
-            revert NotAContributor(_contributor);
-        }
-
-        uint16 newTotalBps = _totalBpsAllocated[_assetId] + _weightBps;
-        if (newTotalBps > 10000) revert TotalWeightExceeded(_assetId, _totalBpsAllocated[_assetId], _weightBps);
-
-        _totalBpsAllocated[_assetId] = newTotalBps;
-        _contributorEdges[_assetId].push(ContributorEdge({contributor: _contributor, weightBps: _weightBps}));
+        _checkDraft(_assetId);
+        _addContributorEdge(_assetId, INITIAL_REVISION, _contributor, _weightBps);
 
         emit ContributorEdgeAdded(_assetId, _contributor, _weightBps);
     }
 
     /**
      * @notice Adds a parent asset and its contribution weight to a child asset's graph.
-     * @dev Can only be called by the owner of the `_childAssetId`.
+     * @dev Can only be called by the owner of the `_childAssetId`. The parent's share is
+     * paid into the parent asset's own splitter by the RoyaltySplitFactory.
      * @param _childAssetId The token ID of the child asset.
      * @param _parentAssetId The token ID of the parent asset.
      * @param _weightBps The share of the parent asset in basis points (1-10000).
      */
     function addParentEdge(uint256 _childAssetId, uint256 _parentAssetId, uint16 _weightBps) external {
-        if (assetToken.ownerOf(_childAssetId) != msg.sender) revert NotAssetOwner(msg.sender, _childAssetId);
-        if (_isFinalized[_childAssetId]) revert GraphIsFinalized(_childAssetId);
-        if (_weightBps == 0 || _weightBps > 10000) revert InvalidWeight(_weightBps);
-        if (!assetToken.exists(_parentAssetId)) revert AssetDoesNotExist(_parentAssetId);
+        _checkDraft(_childAssetId);
+        _addParentEdge(_childAssetId, INITIAL_REVISION, _parentAssetId, _weightBps);
 
-        uint16 newTotalBps = _totalBpsAllocated[_childAssetId] + _weightBps;
-        if (newTotalBps > 10000) revert TotalWeightExceeded(_childAssetId, _totalBpsAllocated[_childAssetId], _weightBps);
+        emit ParentEdgeAdded(_childAssetId, _parentAssetId, _weightBps);
+    }
 
-        _totalBpsAllocated[_childAssetId] = newTotalBps;
-        _parentEdges[_childAssetId].push(ParentEdge({parentAssetId: _parentAssetId, weightBps: _weightBps}));
+    /**
+     * @notice Sets the share of contributor weight that must approve a new revision.
+     * @dev Can only be called by the owner of the `_assetId`, before finalizing, so every
+     * contributor of the initial revision has agreed to it. Defaults to 10000 (unanimous).
+     * @param _assetId The token ID of the asset.
+     * @param _quorumBps The required share of the current revision's contributor weight (1-10000).
+     */
+    function setRevisionQuorum(uint256 _assetId, uint16 _quorumBps) external {
+        _checkDraft(_assetId);
+        if (_quorumBps == 0 || _quorumBps > 10000) revert InvalidQuorum(_quorumBps);
 
-        emit ParentEdgeAdded(_childAssetId, _parentAssetId, _weightBps);
+        _revisionQuorumBps[_assetId] = _quorumBps;
+        emit RevisionQuorumSet(_assetId, _quorumBps);
     }
 
     /**
-     * @notice Finalizes the provenance graph for an asset, locking it permanently.
+     * @notice Finalizes the provenance graph for an asset, adopting the draft as its first revision.
      * @dev Can only be called by the owner of the `_assetId`. The total weight
-     * must be less than or equal to 10000 bps.
+     * must be less than or equal to 10000 bps. Later changes go through proposeRevision.
      * @param _assetId The token ID of the asset to finalize.
      */
     function finalize(uint256 _assetId) external {
-        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(msg.sender, _assetId);
-        if (_isFinalized[_assetId]) revert GraphIsFinalized(_assetId);
+        _checkDraft(_assetId);
 
-        _isFinalized[_assetId] = true;
+        _currentRevision[_assetId] = INITIAL_REVISION;
+        _latestRevision[_assetId] = INITIAL_REVISION;
         emit GraphFinalized(_assetId);
     }
 
+    // --- Revisions ---
+
+    /**
+     * @notice Proposes a replacement set of contributor and parent edges for a finalized asset.
+     * @dev Can only be called by the owner of the `_assetId`, one proposal at a time. Edges are
+     * validated exactly as in addContributorEdge and addParentEdge.
+     * @param _assetId The token ID of the asset.
+     * @param _contributorEdges The contributor edges of the new revision.
+     * @param _parentEdges The parent edges of the new revision.
+     * @return revision The number of the proposed revision.
+     */
+    function proposeRevision(
+        uint256 _assetId,
+        ContributorEdge[] calldata _contributorEdges,
+        ParentEdge[] calldata _parentEdges
+    ) external returns (uint256 revision) {
+        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(msg.sender, _assetId);
+        if (_currentRevision[_assetId] == 0) revert GraphNotFinalized(_assetId);
+        if (_pendingRevision[_assetId] != 0) revert RevisionPending(_assetId, _pendingRevision[_assetId]);
+        if (_contributorEdges.length == 0 && _parentEdges.length == 0) revert EmptyRevision(_assetId);
+
+        revision = ++_latestRevision[_assetId];
+        for (uint256 i = 0; i < _contributorEdges.length; i++) {
+            _addContributorEdge(_assetId, revision, _contributorEdges[i].contributor, _contributorEdges[i].weightBps);
+        }
+        for (uint256 i = 0; i < _parentEdges.length; i++) {
+            _addParentEdge(_assetId, revision, _parentEdges[i].parentAssetId, _parentEdges[i].weightBps);
+        }
+        _pendingRevision[_assetId] = revision;
+
+        emit RevisionProposed(_assetId, revision, _contributorEdges.length, _parentEdges.length);
+    }
+
+    /**
+     * @notice Approves the pending revision of an asset.
+     * @dev Can only be called by a contributor of the current revision; their approval counts
+     * with their full weight in that revision.
+     * @param _assetId The token ID of the asset.
+     */
+    function approveRevision(uint256 _assetId) external {
+        uint256 revision = _pendingRevision[_assetId];
+        if (revision == 0) revert NoPendingRevision(_assetId);
+        if (_hasApproved[_assetId][revision][msg.sender]) revert AlreadyApproved(msg.sender, revision);
+
+        uint16 weightBps = _contributorWeight(_assetId, _currentRevision[_assetId], msg.sender);
+        if (weightBps == 0) revert NotAnApprover(msg.sender, _assetId);
+
+        _hasApproved[_assetId][revision][msg.sender] = true;
+        uint16 approvedBps = _approvedBps[_assetId][revision] + weightBps;
+        _approvedBps[_assetId][revision] = approvedBps;
+
+        emit RevisionApproved(_assetId, revision, msg.sender, approvedBps);
+    }
+
+    /**
+     * @notice Adopts the pending revision once it has reached quorum.
+     * @dev Can be called by anyone. The previous revision remains readable; a new splitter
+     * must be created in RoyaltySplitFactory for the adopted revision.
+     * @param _assetId The token ID of the asset.
+     */
+    function adoptRevision(uint256 _assetId) external {
+        uint256 revision = _pendingRevision[_assetId];
+        if (revision == 0) revert NoPendingRevision(_assetId);
+
+        (uint16 approvedBps, uint256 requiredBps) = _approvalStatus(_assetId, revision);
+        if (approvedBps < requiredBps) revert QuorumNotReached(_assetId, approvedBps, requiredBps);
+
+        _currentRevision[_assetId] = revision;
+        _pendingRevision[_assetId] = 0;
+        emit RevisionAdopted(_assetId, revision);
+    }
+
+    /**
+     * @notice Withdraws the pending revision of an asset.
+     * @dev Can only be called by the owner of the `_assetId`. The revision number is not reused.
+     * @param _assetId The token ID of the asset.
+     */
+    function cancelRevision(uint256 _assetId) external {
+        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(msg.sender, _assetId);
+        uint256 revision = _pendingRevision[_assetId];
+        if (revision == 0) revert NoPendingRevision(_assetId);
+
+        _pendingRevision[_assetId] = 0;
+        emit RevisionCancelled(_assetId, revision);
+    }
+
     // --- View Functions ---
 
     /**
-     * @notice Retrieves all contributor edges for a given asset.
+     * @notice Retrieves all contributor edges for a given asset's current revision (or its draft).
      */
     function getContributorEdges(uint256 _assetId) external view returns (ContributorEdge[] memory) {
-        return _contributorEdges[_assetId];
+        return _revisions[_assetId][_activeRevision(_assetId)].contributorEdges;
     }
 
     /**
-     * @notice Retrieves all parent asset edges for a given asset.
+     * @notice Retrieves all parent asset edges for a given asset's current revision (or its draft).
      */
     function getParentEdges(uint256 _assetId) external view returns (ParentEdge[] memory) {
-        return _parentEdges[_assetId];
+        return _revisions[_assetId][_activeRevision(_assetId)].parentEdges;
+    }
+
+    /**
+     * @notice Retrieves the contributor edges of any revision of an asset, including pending
+     * and cancelled proposals.
+     */
+    function getContributorEdgesAt(uint256 _assetId, uint256 _revision) external view returns (ContributorEdge[] memory) {
+        return _revisions[_assetId][_revision].contributorEdges;
     }
 
     /**
-     * @notice Returns the total basis points allocated for a given asset.
+     * @notice Retrieves the parent edges of any revision of an asset.
+     */
+    function getParentEdgesAt(uint256 _assetId, uint256 _revision) external view returns (ParentEdge[] memory) {
+        return _revisions[_assetId][_revision].parentEdges;
+    }
+
+    /**
+     * @notice Returns the total basis points allocated for a given asset's current revision (or its draft).
      */
     function getTotalBpsAllocated(uint256 _assetId) external view returns (uint16) {
-        return _totalBpsAllocated[_assetId];
+        return _revisions[_assetId][_activeRevision(_assetId)].totalBpsAllocated;
     }
 
     /**
      * @notice Returns true if the graph for a given asset has been finalized.
      */
     function isFinalized(uint256 _assetId) external view returns (bool) {
-        return _isFinalized[_assetId];
+        return _currentRevision[_assetId] != 0;
+    }
+
+    /**
+     * @notice Returns the adopted revision of an asset's graph (0 if not yet finalized).
+     */
+    function currentRevision(uint256 _assetId) external view returns (uint256) {
+        return _currentRevision[_assetId];
+    }
+
+    /**
+     * @notice Returns the revision awaiting approval (0 if none).
+     */
+    function pendingRevision(uint256 _assetId) external view returns (uint256) {
+        return _pendingRevision[_assetId];
+    }
+
+    /**
+     * @notice Returns the share of contributor weight that must approve a new revision.
+     */
+    function revisionQuorumBps(uint256 _assetId) public view returns (uint16) {
+        uint16 quorumBps = _revisionQuorumBps[_assetId];
+        return quorumBps == 0 ? 10000 : quorumBps;
+    }
+
+    /**
+     * @notice Returns how much of the current revision's contributor weight has approved the
+     * pending revision, and how much is required to adopt it.
+     */
+    function getRevisionApproval(uint256 _assetId) external view returns (uint256 revision, uint16 approvedBps, uint256 requiredBps) {
+        revision = _pendingRevision[_assetId];
+        if (revision == 0) revert NoPendingRevision(_assetId);
+        (approvedBps, requiredBps) = _approvalStatus(_assetId, revision);
+    }
+
+    /**
+     * @notice Returns true if `_account` has approved revision `_revision` of an asset.
+     */
+    function hasApprovedRevision(uint256 _assetId, uint256 _revision, address _account) external view returns (bool) {
+        return _hasApproved[_assetId][_revision][_account];
+    }
+
+    // --- Internal Functions ---
+
+    /**
+     * @dev Reverts unless the caller owns the asset and its graph is still a draft.
+     */
+    function _checkDraft(uint256 _assetId) internal view {
+        if (assetToken.ownerOf(_assetId) != msg.sender) revert NotAssetOwner(msg.sender, _assetId);
+        if (_currentRevision[_assetId] != 0) revert GraphIsFinalized(_assetId);
+    }
+
+    /**
+     * @dev Returns the revision served by the unversioned views: the adopted one, or the draft.
+     */
+    function _activeRevision(uint256 _assetId) internal view returns (uint256) {
+        uint256 revision = _currentRevision[_assetId];
+        return revision == 0 ? INITIAL_REVISION : revision;
+    }
+
+    function _addContributorEdge(uint256 _assetId, uint256 _revision, address _contributor, uint16 _weightBps) internal {
+        if (_weightBps == 0 || _weightBps > 10000) revert InvalidWeight(_weightBps);
+
+        // Optional but recommended: check if the address is a registered contributor
+        if (!contributorRegistry.hasRole(CONTRIBUTOR_ROLE, _contributor)) {
+            revert NotAContributor(_contributor);
+        }
+
+        Revision storage revision = _revisions[_assetId][_revision];
+        uint16 newTotalBps = revision.totalBpsAllocated + _weightBps;
+        if (newTotalBps > 10000) revert TotalWeightExceeded(_assetId, revision.totalBpsAllocated, _weightBps);
+
+        revision.totalBpsAllocated = newTotalBps;
+        revision.contributorEdges.push(ContributorEdge({contributor: _contributor, weightBps: _weightBps}));
+    }
+
+    function _addParentEdge(uint256 _childAssetId, uint256 _revision, uint256 _parentAssetId, uint16 _weightBps) internal {
+        if (_weightBps == 0 || _weightBps > 10000) revert InvalidWeight(_weightBps);
+        if (_parentAssetId == _childAssetId) revert SelfParent(_childAssetId);
+        if (!assetToken.exists(_parentAssetId)) revert AssetDoesNotExist(_parentAssetId);
+
+        Revision storage revision = _revisions[_childAssetId][_revision];
+        uint16 newTotalBps = revision.totalBpsAllocated + _weightBps;
+        if (newTotalBps > 10000) revert TotalWeightExceeded(_childAssetId, revision.totalBpsAllocated, _weightBps);
+
+        revision.totalBpsAllocated = newTotalBps;
+        revision.parentEdges.push(ParentEdge({parentAssetId: _parentAssetId, weightBps: _weightBps}));
+    }
+
+    /**
+     * @dev Sums the weight of every edge `_contributor` holds in a revision.
+     */
+    function _contributorWeight(uint256 _assetId, uint256 _revision, address _contributor) internal view returns (uint16 weightBps) {
+        ContributorEdge[] storage edges = _revisions[_assetId][_revision].contributorEdges;
+        for (uint256 i = 0; i < edges.length; i++) {
+            if (edges[i].contributor == _contributor) weightBps += edges[i].weightBps;
+        }
+    }
+
+    /**
+     * @dev Returns the weight approving `_revision` and the weight required, as a share of the
+     * current revision's total contributor weight. A revision with no contributors needs none.
+     */
+    function _approvalStatus(uint256 _assetId, uint256 _revision) internal view returns (uint16 approvedBps, uint256 requiredBps) {
+        ContributorEdge[] storage edges = _revisions[_assetId][_currentRevision[_assetId]].contributorEdges;
+        uint256 contributorBps;
+        for (uint256 i = 0; i < edges.length; i++) {
+            contributorBps += edges[i].weightBps;
+        }
+        approvedBps = _approvedBps[_assetId][_revision];
+        requiredBps = Math.ceilDiv(contributorBps * revisionQuorumBps(_assetId), 10000);
     }
 }
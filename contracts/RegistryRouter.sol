@@ -5,6 +5,7 @@ import "./interfaces/IAssetToken.sol";
 import "./interfaces/IContributorRegistry.sol";
 import "./interfaces/IProvenanceGraph.sol";
 import "./interfaces/IRoyaltySplitFactory.sol";
+import "./interfaces/IEscrow.sol";
 
 /**
  * @title RegistryRouter
@@ -12,6 +13,7 @@ import "./interfaces/IRoyaltySplitFactory.sol";
  * @notice A read-only contract that aggregates data from multiple core contracts.
  * @dev This contract simplifies off-chain data fetching by bundling multiple
  * on-chain calls into single, convenient view functions. It is stateless.
+ * Batch views take at most MAX_PAGE_SIZE items per call; callers page through larger sets.
  */
 contract RegistryRouter {
 
@@ -20,51 +22,115 @@ contract RegistryRouter {
     IContributorRegistry public immutable contributorRegistry;
     IProvenanceGraph public immutable provenanceGraph;
     IRoyaltySplitFactory public immutable royaltySplitFactory;
+    IEscrow public immutable escrow;
+
+    // --- Constants ---
+    uint256 public constant MAX_PAGE_SIZE = 200;
+    // Mirrors RoyaltySplitFactory.MAX_LINEAGE_DEPTH: royalties are never forwarded further.
+    uint256 public constant MAX_LINEAGE_DEPTH = 8;
+    uint256 private constant BPS = 10000;
+
+    // Indexes of Escrow.Status, as returned by `escrow.escrows`.
+    uint8 private constant STATUS_HELD = 0;
+    uint8 private constant STATUS_DISPUTED = 1;
+    uint8 private constant STATUS_RELEASED = 2;
+    uint8 private constant STATUS_REFUNDED = 3;
 
     // --- Custom Structs for Data Aggregation ---
 
     /**
      * @notice A comprehensive view of all data associated with a single asset.
-     * @param owner The current owner of the asset token.
+     * @param assetId The ID of the asset.
+     * @param owner The current holder of the asset.
      * @param metadataURI The URI for the asset's off-chain metadata (e.g., IPFS).
-     * @param licenseId The identifier for the asset's license.
+     * @param licenseId The identifier for the asset's license in the LicenseRegistry.
      * @param isFinalized True if the asset's provenance graph has been locked.
+     * @param currentRevision The adopted revision of the provenance graph (0 while a draft).
      * @param paymentSplitter The address of the dedicated payment contract for this asset.
      * @param contributorEdges An array of contributors and their revenue shares.
      * @param parentEdges An array of parent assets and their revenue shares.
      */
     struct AssetFullDetails {
+        uint256 assetId;
         address owner;
         string metadataURI;
         uint256 licenseId;
         bool isFinalized;
+        uint256 currentRevision;
         address paymentSplitter;
-        IProvenanceGraph.Edge[] contributorEdges;
-        IProvenanceGraph.Edge[] parentEdges;
+        IProvenanceGraph.ContributorEdge[] contributorEdges;
+        IProvenanceGraph.ParentEdge[] parentEdges;
     }
-    
+
     /**
      * @notice A view of data associated with a single contributor.
      * @param profileURI The URI for the contributor's off-chain profile metadata.
+     * @param isRegistered True once the contributor has set a profile.
      */
     struct ContributorDetails {
         string profileURI;
+        bool isRegistered;
         // Note: Listing all roles for a user is an anti-pattern on-chain.
         // The off-chain service should check for specific roles it cares about
         // using `contributorRegistry.hasRole(role, address)`.
     }
 
+    /**
+     * @notice One ancestor in an asset's lineage tree.
+     * @param assetId The ancestor asset.
+     * @param childAssetId The asset that names it as a parent.
+     * @param depth Parent hops from the queried asset (1 for its direct parents).
+     * @param weightBps The parent edge's weight in the child's graph.
+     * @param effectiveBps The share of the queried asset's royalties that reaches this ancestor
+     * along this path, in basis points.
+     * @param paymentSplitter The ancestor's splitter, or the zero address if it has none yet.
+     */
+    struct LineageNode {
+        uint256 assetId;
+        uint256 childAssetId;
+        uint256 depth;
+        uint16 weightBps;
+        uint256 effectiveBps;
+        address paymentSplitter;
+    }
+
+    /**
+     * @notice The escrow amounts of one asset, by status, over the escrow items scanned.
+     * @dev Partially refunded items are counted in full under `partiallyRefunded`, as Escrow
+     * does not store how the amount was divided.
+     */
+    struct EscrowTotals {
+        uint256 assetId;
+        uint256 itemCount;
+        uint256 held;
+        uint256 disputed;
+        uint256 released;
+        uint256 refunded;
+        uint256 partiallyRefunded;
+    }
+
+    // Walk state shared by the recursive lineage traversal.
+    struct LineagePage {
+        uint256 index;
+        uint256 offset;
+        uint256 filled;
+        LineageNode[] nodes;
+    }
+
     // --- Errors ---
     error ZeroAddress();
+    error PageTooLarge(uint256 maxSize, uint256 requestedSize);
+    error LineageTooDeep(uint256 maxDepth, uint256 requestedDepth);
 
     // --- Constructor ---
     constructor(
         address _assetToken,
         address _contributorRegistry,
         address _provenanceGraph,
-        address _royaltySplitFactory
+        address _royaltySplitFactory,
+        address _escrow
     ) {
-        if (_assetToken == address(0) || _contributorRegistry == address(0) || _provenanceGraph == address(0) || _royaltySplitFactory == address(0)) {
+        if (_assetToken == address(0) || _contributorRegistry == address(0) || _provenanceGraph == address(0) || _royaltySplitFactory == address(0) || _escrow == address(0)) {
             revert ZeroAddress();
         }
 
@@ -72,43 +138,219 @@ contract RegistryRouter {
         contributorRegistry = IContributorRegistry(_contributorRegistry);
         provenanceGraph = IProvenanceGraph(_provenanceGraph);
         royaltySplitFactory = IRoyaltySplitFactory(_royaltySplitFactory);
+        escrow = IEscrow(_escrow);
     }
 
     // --- View Functions ---
 
     /**
      * @notice Fetches all on-chain details for a given asset ID in a single call.
+     * @dev Reverts for an asset that has not been minted.
      * @param _assetId The ID of the asset to query.
      * @return A populated AssetFullDetails struct.
      */
     function getAssetFullDetails(uint256 _assetId)
-        external
+        public
         view
         returns (AssetFullDetails memory)
     {
         return AssetFullDetails({
+            assetId: _assetId,
             owner: assetToken.ownerOf(_assetId),
             metadataURI: assetToken.uri(_assetId),
-            licenseId: assetToken.licenseId(_assetId),
+            licenseId: assetToken.license(_assetId),
             isFinalized: provenanceGraph.isFinalized(_assetId),
+            currentRevision: provenanceGraph.currentRevision(_assetId),
             paymentSplitter: royaltySplitFactory.assetIdToSplitter(_assetId),
             contributorEdges: provenanceGraph.getContributorEdges(_assetId),
             parentEdges: provenanceGraph.getParentEdges(_assetId)
         });
     }
 
+    /**
+     * @notice Fetches the details of several assets in a single call.
+     * @param _assetIds Up to MAX_PAGE_SIZE asset IDs, all minted.
+     * @return details The details of each asset, in the order given.
+     */
+    function getAssetsFullDetails(uint256[] calldata _assetIds)
+        external
+        view
+        returns (AssetFullDetails[] memory details)
+    {
+        _checkPageSize(_assetIds.length);
+        details = new AssetFullDetails[](_assetIds.length);
+        for (uint256 i = 0; i < _assetIds.length; i++) {
+            details[i] = getAssetFullDetails(_assetIds[i]);
+        }
+    }
+
     /**
      * @notice Fetches details for a given contributor address.
      * @param _contributor The address of the contributor.
      * @return A populated ContributorDetails struct.
      */
     function getContributorDetails(address _contributor)
-        external
+        public
         view
         returns (ContributorDetails memory)
     {
+        IContributorRegistry.Profile memory profile = contributorRegistry.getProfile(_contributor);
         return ContributorDetails({
-            profileURI: contributorRegistry.profileURIs(_contributor)
+            profileURI: profile.metadataURI,
+            isRegistered: profile.isRegistered
         });
     }
+
+    /**
+     * @notice Fetches the details of several contributors in a single call.
+     * @param _contributors Up to MAX_PAGE_SIZE contributor addresses.
+     * @return details The details of each contributor, in the order given.
+     */
+    function getContributorsDetails(address[] calldata _contributors)
+        external
+        view
+        returns (ContributorDetails[] memory details)
+    {
+        _checkPageSize(_contributors.length);
+        details = new ContributorDetails[](_contributors.length);
+        for (uint256 i = 0; i < _contributors.length; i++) {
+            details[i] = getContributorDetails(_contributors[i]);
+        }
+    }
+
+    /**
+     * @notice Returns one page of an asset's lineage: its parents, their parents, and so on, up
+     * to `_maxDepth` hops, following the current revision of each graph.
+     * @dev Nodes are listed depth-first, each parent directly followed by its own ancestors. An
+     * ancestor reached along several paths appears once per path, as royalties reach it along
+     * each. `total` counts every node in the tree, so callers can page through it.
+     * @param _assetId The asset whose lineage to walk.
+     * @param _maxDepth The number of parent hops to follow, at most MAX_LINEAGE_DEPTH.
+     * @param _offset The number of nodes to skip.
+     * @param _limit The maximum number of nodes to return, at most MAX_PAGE_SIZE.
+     * @return nodes The page of lineage nodes.
+     * @return total The number of nodes in the whole tree.
+     */
+    function getLineage(uint256 _assetId, uint256 _maxDepth, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (LineageNode[] memory nodes, uint256 total)
+    {
+        if (_maxDepth > MAX_LINEAGE_DEPTH) revert LineageTooDeep(MAX_LINEAGE_DEPTH, _maxDepth);
+        _checkPageSize(_limit);
+
+        LineagePage memory page = LineagePage({ index: 0, offset: _offset, filled: 0, nodes: new LineageNode[](_limit) });
+        _walkLineage(_assetId, 1, _maxDepth, BPS, page);
+
+        nodes = new LineageNode[](page.filled);
+        for (uint256 i = 0; i < page.filled; i++) {
+            nodes[i] = page.nodes[i];
+        }
+        total = page.index;
+    }
+
+    /**
+     * @notice Sums the USDC escrow items of the given assets over one page of escrow IDs.
+     * @dev Scans IDs `_fromEscrowId` to `_fromEscrowId + _limit - 1`. Totals of a full scan are
+     * the sums of each page's totals; continue from `nextEscrowId` until it is 0. Payments in
+     * other tokens are not counted; see getEscrowTotalsInToken.
+     * @param _assetIds Up to MAX_PAGE_SIZE assets to total.
+     * @param _fromEscrowId The first escrow ID to scan (IDs start at 1).
+     * @param _limit The number of escrow IDs to scan, at most MAX_PAGE_SIZE.
+     * @return totals The totals of each asset, in the order given.
+     * @return nextEscrowId The ID to continue from, or 0 if every escrow item has been scanned.
+     */
+    function getEscrowTotals(uint256[] calldata _assetIds, uint256 _fromEscrowId, uint256 _limit)
+        external
+        view
+        returns (EscrowTotals[] memory totals, uint256 nextEscrowId)
+    {
+        return _escrowTotals(_assetIds, escrow.usdc(), _fromEscrowId, _limit);
+    }
+
+    /**
+     * @notice As getEscrowTotals, for the escrow items paid in `_token`.
+     */
+    function getEscrowTotalsInToken(uint256[] calldata _assetIds, address _token, uint256 _fromEscrowId, uint256 _limit)
+        external
+        view
+        returns (EscrowTotals[] memory totals, uint256 nextEscrowId)
+    {
+        return _escrowTotals(_assetIds, _token, _fromEscrowId, _limit);
+    }
+
+    // --- Internal Functions ---
+
+    function _escrowTotals(uint256[] calldata _assetIds, address _token, uint256 _fromEscrowId, uint256 _limit)
+        internal
+        view
+        returns (EscrowTotals[] memory totals, uint256 nextEscrowId)
+    {
+        _checkPageSize(_assetIds.length);
+        _checkPageSize(_limit);
+
+        totals = new EscrowTotals[](_assetIds.length);
+        for (uint256 i = 0; i < _assetIds.length; i++) {
+            totals[i].assetId = _assetIds[i];
+        }
+
+        uint256 from = _fromEscrowId == 0 ? 1 : _fromEscrowId;
+        uint256 count = escrow.escrowCount();
+        uint256 end = from + _limit;
+        if (end > count + 1) end = count + 1;
+
+        for (uint256 escrowId = from; escrowId < end; escrowId++) {
+            (, , uint256 assetId, uint256 amount, , , uint8 status, , address token) = escrow.escrows(escrowId);
+            if (token != _token) continue;
+            for (uint256 i = 0; i < totals.length; i++) {
+                if (totals[i].assetId == assetId) _addToTotals(totals[i], amount, status);
+            }
+        }
+
+        nextEscrowId = end <= count ? end : 0;
+    }
+
+    function _checkPageSize(uint256 _size) internal pure {
+        if (_size > MAX_PAGE_SIZE) revert PageTooLarge(MAX_PAGE_SIZE, _size);
+    }
+
+    /**
+     * @dev Visits the parents of `_assetId`, recording those that fall within the page, then
+     * descends into each parent's own parents.
+     */
+    function _walkLineage(
+        uint256 _assetId,
+        uint256 _depth,
+        uint256 _maxDepth,
+        uint256 _effectiveBps,
+        LineagePage memory _page
+    ) internal view {
+        if (_depth > _maxDepth) return;
+
+        IProvenanceGraph.ParentEdge[] memory parents = provenanceGraph.getParentEdges(_assetId);
+        for (uint256 i = 0; i < parents.length; i++) {
+            uint256 parentBps = (_effectiveBps * parents[i].weightBps) / BPS;
+            if (_page.index >= _page.offset && _page.filled < _page.nodes.length) {
+                _page.nodes[_page.filled++] = LineageNode({
+                    assetId: parents[i].parentAssetId,
+                    childAssetId: _assetId,
+                    depth: _depth,
+                    weightBps: parents[i].weightBps,
+                    effectiveBps: parentBps,
+                    paymentSplitter: royaltySplitFactory.assetIdToSplitter(parents[i].parentAssetId)
+                });
+            }
+            _page.index++;
+            _walkLineage(parents[i].parentAssetId, _depth + 1, _maxDepth, parentBps, _page);
+        }
+    }
+
+    function _addToTotals(EscrowTotals memory _totals, uint256 _amount, uint8 _status) internal pure {
+        _totals.itemCount++;
+        if (_status == STATUS_HELD) _totals.held += _amount;
+        else if (_status == STATUS_DISPUTED) _totals.disputed += _amount;
+        else if (_status == STATUS_RELEASED) _totals.released += _amount;
+        else if (_status == STATUS_REFUNDED) _totals.refunded += _amount;
+        else _totals.partiallyRefunded += _amount;
+    }
 }
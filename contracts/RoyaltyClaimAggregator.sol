@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./RoyaltySplitter.sol";
+import "./interfaces/IRoyaltySplitFactory.sol";
+import "./interfaces/ISplitBackend.sol";
+
+/**
+ * @title RoyaltyClaimAggregator
+ * @author Hassan Ali
+ * @notice Lets a contributor collect their royalties from every splitter they are a payee of in
+ * a single transaction, instead of calling release() on each one.
+ * @dev Splitters are discovered off-chain from the payees in RoyaltySplitFactory's
+ * SplitterCreated events (see `findSplittersOf` in sdk/splitters.js), which keeps splitter
+ * creation free of any extra bookkeeping. Each splitter passed in is checked to be one of the
+ * factory's: a clone of its implementation, or a split its backend knows. Claiming is
+ * permissionless: like release(), funds only ever go to the payee. Contributors with very many
+ * splitters can claim in several calls.
+ */
+contract RoyaltyClaimAggregator {
+    // --- State Variables ---
+
+    IRoyaltySplitFactory public immutable royaltySplitFactory;
+
+    // Hash of the EIP-1167 runtime code every built-in splitter has
+    bytes32 private immutable _cloneCodeHash;
+
+    // --- Events ---
+
+    event RoyaltiesClaimed(address indexed account, address indexed token, uint256 amount, uint256 splitterCount);
+
+    // --- Errors ---
+
+    error ZeroAddress();
+    error NotASplitter(address splitter);
+
+    // --- Constructor ---
+
+    constructor(address _royaltySplitFactory) {
+        if (_royaltySplitFactory == address(0)) revert ZeroAddress();
+        royaltySplitFactory = IRoyaltySplitFactory(_royaltySplitFactory);
+        _cloneCodeHash = keccak256(
+            abi.encodePacked(
+                hex"363d3d373d3d3d363d73",
+                royaltySplitFactory.splitterImplementation(),
+                hex"5af43d82803e903d91602b57fd5bf3"
+            )
+        );
+    }
+
+    // --- Public & External Functions ---
+
+    /**
+     * @notice Releases everything `_account` is owed in `_token` by each of `_splitters`.
+     * @dev Splitters with nothing due are skipped, so a repeated claim does not revert. The
+     * amount is measured from `_account`'s balance, since a backend may keep dust back.
+     * @param _token The ERC20 token (e.g., USDC) to claim.
+     * @param _account The payee to claim for.
+     * @param _splitters The splitters to claim from, each listed once.
+     * @return amount The total sent to `_account`.
+     */
+    function claim(IERC20 _token, address _account, address[] calldata _splitters) external returns (uint256 amount) {
+        ISplitBackend backend = royaltySplitFactory.splitBackend();
+
+        uint256 balanceBefore = _token.balanceOf(_account);
+        uint256 claimed;
+        for (uint256 i = 0; i < _splitters.length; i++) {
+            uint256 due = _releasable(backend, _splitters[i], _token, _account);
+            if (due == 0) continue;
+
+            if (address(backend) == address(0)) {
+                RoyaltySplitter(_splitters[i]).release(_token, _account);
+            } else {
+                backend.release(_splitters[i], _token, _account);
+            }
+            claimed++;
+        }
+
+        amount = _token.balanceOf(_account) - balanceBefore;
+        emit RoyaltiesClaimed(_account, address(_token), amount, claimed);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the total amount of `_token` that `claim` would currently send to `_account`
+     * from `_splitters`.
+     * @dev A backend's per-split releasable amounts each include what it already holds for the
+     * account, so that balance is counted once.
+     */
+    function claimable(IERC20 _token, address _account, address[] calldata _splitters) external view returns (uint256 amount) {
+        ISplitBackend backend = royaltySplitFactory.splitBackend();
+
+        uint256 held = address(backend) == address(0) ? 0 : backend.withdrawable(_token, _account);
+        for (uint256 i = 0; i < _splitters.length; i++) {
+            amount += _releasable(backend, _splitters[i], _token, _account) - held;
+        }
+        if (_splitters.length > 0) amount += held;
+    }
+
+    // --- Internal Functions ---
+
+    /**
+     * @dev Reverts for an address that is not one of the factory's splitters. A backend reverts
+     * on its own for splits it did not create.
+     */
+    function _releasable(ISplitBackend _backend, address _splitter, IERC20 _token, address _account) internal view returns (uint256) {
+        if (address(_backend) != address(0)) return _backend.releasable(_splitter, _token, _account);
+        if (_splitter.codehash != _cloneCodeHash) revert NotASplitter(_splitter);
+        return RoyaltySplitter(_splitter).releasable(_token, _account);
+    }
+}
@@ -1,76 +1,279 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/finance/PaymentSplitter.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./RoyaltySplitter.sol";
 import "./interfaces/IProvenanceGraph.sol";
+import "./interfaces/ISplitBackend.sol";
 
 /**
  * @title RoyaltySplitFactory
  * @author Hassan Ali
- * @notice A factory contract that deploys a unique PaymentSplitter for each finalized asset.
+ * @notice A factory contract that deploys a unique RoyaltySplitter for each finalized asset.
  * This contract reads provenance data to create on-chain royalty distribution mechanisms.
+ * @dev Parent edges are honoured by making the parent asset's own splitter a payee of the
+ * child's splitter, so revenue for a derived asset flows upstream through its whole lineage.
+ * Each adopted revision of an asset's provenance graph gets its own splitter. `assetIdToSplitter`
+ * always points at the newest one; earlier splitters stay reachable through `splitterForRevision`
+ * and keep paying out to the payees they were created with.
+ * Splitters are EIP-1167 minimal proxies of a single RoyaltySplitter implementation, deployed
+ * with CREATE2 under a salt derived from (assetId, revision). Their addresses can therefore be
+ * computed with `predictSplitterAddress` before they exist, and payments sent there early are
+ * split once the splitter is created.
+ * Alternatively the factory can be deployed with an external ISplitBackend (e.g.,
+ * SplitMainBackend for 0xSplits), which then creates every split and releases parent shares.
+ * Backend splits are not deployed by this factory, so their addresses cannot be predicted here.
  */
 contract RoyaltySplitFactory {
+    // --- Structs ---
+
+    struct ParentLink {
+        uint256 parentAssetId;
+        address parentSplitter;
+    }
+
+    // --- Constants ---
+
+    // Maximum number of parent hops followed when building or flushing a lineage.
+    uint256 public constant MAX_LINEAGE_DEPTH = 8;
+
     // --- State Variables ---
 
     IProvenanceGraph public immutable provenanceGraph;
 
-    // Mapping from an asset's token ID to its deployed PaymentSplitter contract address
+    // The RoyaltySplitter every splitter is a clone of
+    address public immutable splitterImplementation;
+
+    // External split backend; the zero address means built-in RoyaltySplitter clones
+    ISplitBackend public immutable splitBackend;
+
+    // Mapping from an asset's token ID to the splitter of its newest revision
     mapping(uint256 => address) public assetIdToSplitter;
 
+    // Mapping from an asset's token ID and graph revision to the splitter created for it
+    mapping(uint256 => mapping(uint256 => address)) public splitterForRevision;
+
+    // Mapping from a splitter to the parent splitters it pays, fixed when it was created
+    mapping(address => ParentLink[]) private _parentLinks;
+
+    // Tracks assets whose splitter is currently being built, to detect cyclic lineages.
+    mapping(uint256 => bool) private _inProgress;
+
     // --- Events ---
 
     event SplitterCreated(uint256 indexed assetId, address indexed splitterAddress, address[] payees, uint256[] shares);
+    event RevisionSplitterCreated(uint256 indexed assetId, uint256 indexed revision, address indexed splitterAddress);
+    event ParentSplitterLinked(uint256 indexed childAssetId, uint256 indexed parentAssetId, address parentSplitter, uint16 weightBps);
+    event RoyaltiesForwarded(uint256 indexed childAssetId, uint256 indexed parentAssetId, address indexed token, uint256 amount);
 
     // --- Errors ---
 
     error GraphNotFinalized(uint256 assetId);
     error SplitterAlreadyExists(uint256 assetId);
+    error SplitterNotCreated(uint256 assetId);
+    error RevisionSplitterNotCreated(uint256 assetId, uint256 revision);
     error NoContributors(uint256 assetId);
+    error CyclicLineage(uint256 assetId);
+    error LineageTooDeep(uint256 assetId);
+    error PredictionUnsupported();
     error ZeroAddress();
 
     // --- Constructor ---
 
-    constructor(address _provenanceGraphAddress) {
+    /**
+     * @param _provenanceGraphAddress The ProvenanceGraph to read payees from.
+     * @param _splitBackend An ISplitBackend to create splits with, or the zero address to use
+     * the built-in RoyaltySplitter clones.
+     */
+    constructor(address _provenanceGraphAddress, address _splitBackend) {
         if (_provenanceGraphAddress == address(0)) revert ZeroAddress();
         provenanceGraph = IProvenanceGraph(_provenanceGraphAddress);
+        splitBackend = ISplitBackend(_splitBackend);
+        splitterImplementation = address(new RoyaltySplitter());
     }
 
     // --- Public & External Functions ---
 
     /**
-     * @notice Deploys a new PaymentSplitter contract for a given asset.
-     * @dev Reads contributor data from the finalized ProvenanceGraph for the asset.
-     * Can be called by anyone, but only once per finalized asset.
+     * @notice Deploys a new splitter for the current revision of a given asset.
+     * @dev Reads contributor and parent data from the finalized ProvenanceGraph for the asset.
+     * Any parent asset without a splitter for its current revision gets one first, recursively,
+     * up to MAX_LINEAGE_DEPTH. Can be called by anyone, but only once per adopted revision.
      * @param _assetId The token ID of the asset for which to create a splitter.
-     * @return splitterAddress The address of the newly deployed PaymentSplitter contract.
+     * @return splitterAddress The address royalties for the asset should be paid to.
      */
     function createSplitter(uint256 _assetId) external returns (address splitterAddress) {
-        // 1. VERIFY: Ensure the graph is finalized and a splitter doesn't already exist.
+        if (_hasCurrentSplitter(_assetId)) revert SplitterAlreadyExists(_assetId);
+        splitterAddress = _createSplitter(_assetId, 0);
+    }
+
+    /**
+     * @notice Pushes the parent assets' share of `_token` held by an asset's splitter into the
+     * parents' own splitters, and continues up the lineage.
+     * @dev Can be called by anyone. Parents with nothing releasable are skipped, so the call
+     * never reverts just because one branch of the lineage has already been flushed.
+     * @param _assetId The token ID of the asset whose splitter should be flushed.
+     * @param _token The ERC20 token (e.g., USDC) to forward.
+     */
+    function releaseToParents(uint256 _assetId, IERC20 _token) external {
+        address splitter = assetIdToSplitter[_assetId];
+        if (splitter == address(0)) revert SplitterNotCreated(_assetId);
+        _releaseToParents(_assetId, splitter, _token, 0);
+    }
+
+    /**
+     * @notice Same as releaseToParents, for the splitter of an earlier revision of an asset.
+     * @dev Funds paid to a superseded splitter still go to the parents it was created with.
+     * @param _assetId The token ID of the asset.
+     * @param _revision The graph revision whose splitter should be flushed.
+     * @param _token The ERC20 token (e.g., USDC) to forward.
+     */
+    function releaseRevisionToParents(uint256 _assetId, uint256 _revision, IERC20 _token) external {
+        address splitter = splitterForRevision[_assetId][_revision];
+        if (splitter == address(0)) revert RevisionSplitterNotCreated(_assetId, _revision);
+        _releaseToParents(_assetId, splitter, _token, 0);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the address the splitter for a revision of an asset is, or will be, deployed at.
+     * @dev Depends only on this factory, the asset ID and the revision, so it can be computed
+     * before the revision is adopted. Revision 1 is the graph as first finalized. Reverts when
+     * an external split backend is configured.
+     * @param _assetId The token ID of the asset.
+     * @param _revision The graph revision.
+     */
+    function predictSplitterAddress(uint256 _assetId, uint256 _revision) public view returns (address) {
+        if (address(splitBackend) != address(0)) revert PredictionUnsupported();
+        return Clones.predictDeterministicAddress(splitterImplementation, _splitterSalt(_assetId, _revision));
+    }
+
+    /**
+     * @notice Returns the parent assets and splitters that `_splitter` pays, as fixed when it was created.
+     */
+    function getParentLinks(address _splitter) external view returns (ParentLink[] memory) {
+        return _parentLinks[_splitter];
+    }
+
+    // --- Internal Functions ---
+
+    /**
+     * @dev Builds the payee list for `_assetId` from its contributor and parent edges and
+     * deploys the splitter. `_depth` counts the parent hops taken from the original request.
+     */
+    function _createSplitter(uint256 _assetId, uint256 _depth) internal returns (address splitterAddress) {
+        // 1. VERIFY: Ensure the graph is finalized and the lineage is sane.
+        if (_depth > MAX_LINEAGE_DEPTH) revert LineageTooDeep(_assetId);
+        if (_inProgress[_assetId]) revert CyclicLineage(_assetId);
         if (!provenanceGraph.isFinalized(_assetId)) revert GraphNotFinalized(_assetId);
-        if (assetIdToSplitter[_assetId] != address(0)) revert SplitterAlreadyExists(_assetId);
 
-        // 2. RETRIEVE: Get the contributor data from the provenance graph.
+        // 2. RETRIEVE: Get the contributor and parent data from the provenance graph.
         IProvenanceGraph.ContributorEdge[] memory edges = provenanceGraph.getContributorEdges(_assetId);
-        if (edges.length == 0) revert NoContributors(_assetId);
+        IProvenanceGraph.ParentEdge[] memory parents = provenanceGraph.getParentEdges(_assetId);
+        if (edges.length == 0 && parents.length == 0) revert NoContributors(_assetId);
+        uint256 revision = provenanceGraph.currentRevision(_assetId);
+
+        _inProgress[_assetId] = true;
 
-        // 3. PREPARE: Format the data for the PaymentSplitter constructor.
-        address[] memory payees = new address[](edges.length);
-        uint256[] memory shares = new uint256[](edges.length);
+        // 3. PREPARE: Format the data for the splitter's initializer.
+        address[] memory payees = new address[](edges.length + parents.length);
+        uint256[] memory shares = new uint256[](edges.length + parents.length);
 
         for (uint256 i = 0; i < edges.length; i++) {
             payees[i] = edges[i].contributor;
-            // The shares in PaymentSplitter are relative, so basis points work perfectly.
+            // The shares in RoyaltySplitter are relative, so basis points work perfectly.
             shares[i] = edges[i].weightBps;
         }
 
-        // 4. DEPLOY: Create a new instance of the PaymentSplitter contract.
-        PaymentSplitter newSplitter = new PaymentSplitter(payees, shares);
-        splitterAddress = address(newSplitter);
+        ParentLink[] memory links = new ParentLink[](parents.length);
+        for (uint256 i = 0; i < parents.length; i++) {
+            uint256 parentAssetId = parents[i].parentAssetId;
+            address parentSplitter = _hasCurrentSplitter(parentAssetId)
+                ? assetIdToSplitter[parentAssetId]
+                : _createSplitter(parentAssetId, _depth + 1);
+            payees[edges.length + i] = parentSplitter;
+            shares[edges.length + i] = parents[i].weightBps;
+            links[i] = ParentLink({parentAssetId: parentAssetId, parentSplitter: parentSplitter});
+
+            emit ParentSplitterLinked(_assetId, parentAssetId, parentSplitter, parents[i].weightBps);
+        }
+
+        // 4. DEPLOY: Clone the splitter at its deterministic address and set its payees,
+        // or hand the payees to the external backend.
+        bytes32 salt = _splitterSalt(_assetId, revision);
+        if (address(splitBackend) == address(0)) {
+            splitterAddress = Clones.cloneDeterministic(splitterImplementation, salt);
+            RoyaltySplitter(splitterAddress).initialize(payees, shares);
+        } else {
+            splitterAddress = splitBackend.createSplit(salt, payees, shares);
+        }
 
-        // 5. RECORD: Store the address of the new splitter.
+        // 5. RECORD: Store the address of the new splitter and the parents it pays. A backend
+        // may return an existing split (identical payees, or a sole payee paid directly), whose
+        // links are already recorded.
         assetIdToSplitter[_assetId] = splitterAddress;
+        splitterForRevision[_assetId][revision] = splitterAddress;
+        if (_parentLinks[splitterAddress].length == 0) {
+            for (uint256 i = 0; i < links.length; i++) {
+                if (links[i].parentSplitter != splitterAddress) _parentLinks[splitterAddress].push(links[i]);
+            }
+        }
+        _inProgress[_assetId] = false;
 
         emit SplitterCreated(_assetId, splitterAddress, payees, shares);
+        emit RevisionSplitterCreated(_assetId, revision, splitterAddress);
+    }
+
+    /**
+     * @dev The CREATE2 salt of the splitter for one revision of an asset.
+     */
+    function _splitterSalt(uint256 _assetId, uint256 _revision) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_assetId, _revision));
+    }
+
+    /**
+     * @dev True if a splitter already exists for the adopted revision of `_assetId`.
+     */
+    function _hasCurrentSplitter(uint256 _assetId) internal view returns (bool) {
+        return splitterForRevision[_assetId][provenanceGraph.currentRevision(_assetId)] != address(0);
+    }
+
+    /**
+     * @dev Releases each parent's share from `_splitter`, the splitter of `_assetId`, then
+     * recurses into the parent splitters it was created with. Splitters are only ever created
+     * after their parents, so the links walked here are acyclic; the depth check bounds the gas
+     * spent on long lineages.
+     */
+    function _releaseToParents(uint256 _assetId, address _splitter, IERC20 _token, uint256 _depth) internal {
+        if (_depth > MAX_LINEAGE_DEPTH) revert LineageTooDeep(_assetId);
+
+        ParentLink[] memory links = _parentLinks[_splitter];
+
+        for (uint256 i = 0; i < links.length; i++) {
+            address parentSplitter = links[i].parentSplitter;
+            if (_releasable(_splitter, _token, parentSplitter) > 0) {
+                // Measured from the parent's balance, since a backend may keep dust back.
+                uint256 balanceBefore = _token.balanceOf(parentSplitter);
+                _release(_splitter, _token, parentSplitter);
+                emit RoyaltiesForwarded(_assetId, links[i].parentAssetId, address(_token), _token.balanceOf(parentSplitter) - balanceBefore);
+            }
+
+            _releaseToParents(links[i].parentAssetId, parentSplitter, _token, _depth + 1);
+        }
+    }
+
+    function _releasable(address _splitter, IERC20 _token, address _payee) internal view returns (uint256) {
+        if (address(splitBackend) == address(0)) return RoyaltySplitter(_splitter).releasable(_token, _payee);
+        return splitBackend.releasable(_splitter, _token, _payee);
+    }
+
+    function _release(address _splitter, IERC20 _token, address _payee) internal {
+        if (address(splitBackend) == address(0)) {
+            RoyaltySplitter(_splitter).release(_token, _payee);
+        } else {
+            splitBackend.release(_splitter, _token, _payee);
+        }
     }
 }
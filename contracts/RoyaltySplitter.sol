@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title RoyaltySplitter
+ * @author Hassan Ali
+ * @notice Splits the ERC20 royalties (e.g., USDC) paid to an asset between its payees in
+ * proportion to their shares. Each payee pulls their own share with `release`.
+ * @dev A pull-payment splitter with the same ERC20 interface as OpenZeppelin's PaymentSplitter,
+ * but set up through `initialize` so RoyaltySplitFactory can deploy it as an EIP-1167 clone.
+ * Tokens sent to a clone's address before it is initialized are split like any later payment.
+ * The implementation contract itself can never be initialized.
+ */
+contract RoyaltySplitter is Initializable {
+    using SafeERC20 for IERC20;
+
+    // --- State Variables ---
+
+    uint256 private _totalShares;
+    address[] private _payees;
+    mapping(address => uint256) private _shares;
+
+    mapping(IERC20 => uint256) private _totalReleased;
+    mapping(IERC20 => mapping(address => uint256)) private _released;
+
+    // --- Events ---
+
+    event PayeeAdded(address account, uint256 shares);
+    event ERC20PaymentReleased(IERC20 indexed token, address to, uint256 amount);
+
+    // --- Errors ---
+
+    error NoPayees();
+    error LengthMismatch();
+    error ZeroAddress();
+    error ZeroShares(address account);
+    error DuplicatePayee(address account);
+    error NoShares(address account);
+    error NotDuePayment(address account);
+
+    // --- Constructor & Initializer ---
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Sets the payees and their shares. Called once by the factory right after cloning.
+     * @param _payeeList The accounts to pay.
+     * @param _shareList The relative share of each account (e.g., basis points).
+     */
+    function initialize(address[] calldata _payeeList, uint256[] calldata _shareList) external initializer {
+        if (_payeeList.length != _shareList.length) revert LengthMismatch();
+        if (_payeeList.length == 0) revert NoPayees();
+
+        for (uint256 i = 0; i < _payeeList.length; i++) {
+            _addPayee(_payeeList[i], _shareList[i]);
+        }
+    }
+
+    // --- Public & External Functions ---
+
+    /**
+     * @notice Sends `_account` everything it is owed in `_token`.
+     * @dev Can be called by anyone; funds always go to the payee.
+     */
+    function release(IERC20 _token, address _account) external {
+        if (_shares[_account] == 0) revert NoShares(_account);
+
+        uint256 payment = releasable(_token, _account);
+        if (payment == 0) revert NotDuePayment(_account);
+
+        _totalReleased[_token] += payment;
+        unchecked {
+            _released[_token][_account] += payment;
+        }
+
+        _token.safeTransfer(_account, payment);
+        emit ERC20PaymentReleased(_token, _account, payment);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Returns the amount of `_token` that `_account` can release now.
+     */
+    function releasable(IERC20 _token, address _account) public view returns (uint256) {
+        uint256 totalReceived = _token.balanceOf(address(this)) + _totalReleased[_token];
+        return (totalReceived * _shares[_account]) / _totalShares - _released[_token][_account];
+    }
+
+    function totalShares() external view returns (uint256) {
+        return _totalShares;
+    }
+
+    function totalReleased(IERC20 _token) external view returns (uint256) {
+        return _totalReleased[_token];
+    }
+
+    function shares(address _account) external view returns (uint256) {
+        return _shares[_account];
+    }
+
+    function released(IERC20 _token, address _account) external view returns (uint256) {
+        return _released[_token][_account];
+    }
+
+    function payee(uint256 _index) external view returns (address) {
+        return _payees[_index];
+    }
+
+    function payeeCount() external view returns (uint256) {
+        return _payees.length;
+    }
+
+    // --- Internal Functions ---
+
+    function _addPayee(address _account, uint256 _shareCount) private {
+        if (_account == address(0)) revert ZeroAddress();
+        if (_shareCount == 0) revert ZeroShares(_account);
+        if (_shares[_account] != 0) revert DuplicatePayee(_account);
+
+        _payees.push(_account);
+        _shares[_account] = _shareCount;
+        _totalShares += _shareCount;
+        emit PayeeAdded(_account, _shareCount);
+    }
+}
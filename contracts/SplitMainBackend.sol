@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./interfaces/ISplitBackend.sol";
+import "./interfaces/ISplitMain.sol";
+
+/**
+ * @title SplitMainBackend
+ * @author Hassan Ali
+ * @notice A split backend for RoyaltySplitFactory that routes royalties through 0xSplits.
+ * Each asset revision gets an immutable SplitMain split, and `distribute` pays out every
+ * recipient's share of a token in one call.
+ * @dev Shares are converted to SplitMain's 1e6-scale allocations, with rounding dust going to
+ * the first (lowest-address) recipient. Splits are created without a controller, so no one can
+ * change them later. SplitMain needs at least two recipients; a split with a single payee is
+ * the payee itself, which is then paid directly. Identical payee sets map to the same
+ * immutable split, which is then shared, since it pays out identically.
+ */
+contract SplitMainBackend is ISplitBackend {
+    // --- Structs ---
+
+    struct SplitConfig {
+        address[] accounts;
+        uint32[] percentAllocations;
+    }
+
+    // --- Constants ---
+
+    uint256 public constant PERCENTAGE_SCALE = 1e6;
+
+    // --- State Variables ---
+
+    ISplitMain public immutable splitMain;
+
+    // Mapping from a split to the recipients and allocations needed to distribute it
+    mapping(address => SplitConfig) private _splits;
+
+    // --- Events ---
+
+    event SplitRegistered(address indexed split, address[] accounts, uint32[] percentAllocations);
+
+    // --- Errors ---
+
+    error ZeroAddress();
+    error NoPayees();
+    error LengthMismatch();
+    error ZeroShares(address account);
+    error DuplicatePayee(address account);
+    error UnknownSplit(address split);
+
+    // --- Constructor ---
+
+    constructor(address _splitMain) {
+        if (_splitMain == address(0)) revert ZeroAddress();
+        splitMain = ISplitMain(_splitMain);
+    }
+
+    // --- Public & External Functions ---
+
+    /**
+     * @inheritdoc ISplitBackend
+     * @dev The salt is not used: an immutable split's address is determined by its recipients.
+     * Can be called by anyone, since it only ever creates controller-less splits.
+     */
+    function createSplit(bytes32, address[] calldata _payees, uint256[] calldata _shares) external returns (address split) {
+        if (_payees.length != _shares.length) revert LengthMismatch();
+        if (_payees.length == 0) revert NoPayees();
+        if (_payees.length == 1) {
+            if (_payees[0] == address(0)) revert ZeroAddress();
+            if (_shares[0] == 0) revert ZeroShares(_payees[0]);
+            return _payees[0];
+        }
+
+        (address[] memory accounts, uint32[] memory allocations) = _toAllocations(_payees, _shares);
+        split = splitMain.predictImmutableSplitAddress(accounts, allocations, 0);
+        if (split.code.length == 0) {
+            splitMain.createSplit(accounts, allocations, 0, address(0));
+        }
+        if (_splits[split].accounts.length == 0) {
+            _splits[split] = SplitConfig({accounts: accounts, percentAllocations: allocations});
+            emit SplitRegistered(split, accounts, allocations);
+        }
+    }
+
+    /**
+     * @notice Distributes the `_token` balance held by `_split` to all of its recipients'
+     * SplitMain balances, from where each can withdraw.
+     * @dev Can be called by anyone. Does nothing while only SplitMain's dust is left.
+     */
+    function distribute(address _split, IERC20 _token) public {
+        SplitConfig storage config = _configOf(_split);
+        if (_distributable(_split, _token) == 0) return;
+        splitMain.distributeERC20(_split, _token, config.accounts, config.percentAllocations, 0, address(0));
+    }
+
+    /**
+     * @inheritdoc ISplitBackend
+     * @dev Distributes the split, then withdraws `_payee`'s whole SplitMain balance of `_token`,
+     * which includes anything owed to it by other splits.
+     */
+    function release(address _split, IERC20 _token, address _payee) external {
+        if (_split == _payee) return;
+        distribute(_split, _token);
+        if (withdrawable(_token, _payee) == 0) return;
+
+        IERC20[] memory tokens = new IERC20[](1);
+        tokens[0] = _token;
+        splitMain.withdraw(_payee, 0, tokens);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @inheritdoc ISplitBackend
+     * @dev Can exceed what `release` pays by 1 wei when `_payee` has no SplitMain balance yet,
+     * since SplitMain keeps 1 wei of it on withdrawal.
+     */
+    function releasable(address _split, IERC20 _token, address _payee) external view returns (uint256) {
+        if (_split == _payee) return 0;
+        SplitConfig storage config = _configOf(_split);
+
+        uint256 allocation;
+        for (uint256 i = 0; i < config.accounts.length; i++) {
+            if (config.accounts[i] == _payee) {
+                allocation = config.percentAllocations[i];
+                break;
+            }
+        }
+        return withdrawable(_token, _payee) + (_distributable(_split, _token) * allocation) / PERCENTAGE_SCALE;
+    }
+
+    /**
+     * @inheritdoc ISplitBackend
+     * @dev `_payee`'s SplitMain balance, without the undistributed balance SplitMain also
+     * reports when `_payee` is itself a split, and without the 1 wei SplitMain keeps on
+     * withdrawal.
+     */
+    function withdrawable(IERC20 _token, address _payee) public view returns (uint256) {
+        return _lessDust(_mainBalance(_token, _payee));
+    }
+
+    /**
+     * @notice Returns the recipients and allocations of a split created through this backend.
+     */
+    function getSplit(address _split) external view returns (address[] memory accounts, uint32[] memory percentAllocations) {
+        SplitConfig storage config = _configOf(_split);
+        return (config.accounts, config.percentAllocations);
+    }
+
+    // --- Internal Functions ---
+
+    /**
+     * @dev What a distribution of `_split` would pay out: its SplitMain and wallet balances,
+     * less the 1 wei SplitMain keeps of each.
+     */
+    function _distributable(address _split, IERC20 _token) internal view returns (uint256) {
+        return _lessDust(_mainBalance(_token, _split)) + _lessDust(_token.balanceOf(_split));
+    }
+
+    function _mainBalance(IERC20 _token, address _account) internal view returns (uint256 balance) {
+        balance = splitMain.getERC20Balance(_account, _token);
+        if (splitMain.getHash(_account) != bytes32(0)) balance -= _token.balanceOf(_account);
+    }
+
+    function _lessDust(uint256 _balance) internal pure returns (uint256) {
+        return _balance > 0 ? _balance - 1 : 0;
+    }
+
+    function _configOf(address _split) internal view returns (SplitConfig storage config) {
+        config = _splits[_split];
+        if (config.accounts.length == 0) revert UnknownSplit(_split);
+    }
+
+    /**
+     * @dev Sorts the payees by address, as SplitMain requires, and scales their shares to
+     * allocations summing to exactly PERCENTAGE_SCALE.
+     */
+    function _toAllocations(address[] calldata _payees, uint256[] calldata _shares)
+        internal
+        pure
+        returns (address[] memory accounts, uint32[] memory allocations)
+    {
+        uint256 count = _payees.length;
+        accounts = new address[](count);
+        uint256[] memory shares = new uint256[](count);
+        uint256 totalShares;
+
+        // Insertion sort: payee lists are short.
+        for (uint256 i = 0; i < count; i++) {
+            address account = _payees[i];
+            uint256 shareCount = _shares[i];
+            if (account == address(0)) revert ZeroAddress();
+            if (shareCount == 0) revert ZeroShares(account);
+            totalShares += shareCount;
+
+            uint256 j = i;
+            while (j > 0 && accounts[j - 1] > account) {
+                accounts[j] = accounts[j - 1];
+                shares[j] = shares[j - 1];
+                j--;
+            }
+            if (j > 0 && accounts[j - 1] == account) revert DuplicatePayee(account);
+            accounts[j] = account;
+            shares[j] = shareCount;
+        }
+
+        allocations = new uint32[](count);
+        uint256 allocated;
+        for (uint256 i = 0; i < count; i++) {
+            allocations[i] = uint32((shares[i] * PERCENTAGE_SCALE) / totalShares);
+            allocated += allocations[i];
+        }
+        allocations[0] += uint32(PERCENTAGE_SCALE - allocated);
+    }
+}
@@ -3,19 +3,35 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./interfaces/IRoyaltySplitFactory.sol";
 import "./interfaces/IEscrow.sol";
+import "./interfaces/ISignatureTransfer.sol";
+import "./interfaces/ILicenseRegistry.sol";
+import "./interfaces/IPricingModule.sol";
+import "./interfaces/ICreditsVault.sol";
 
 /**
  * @title UsageReceiptVerifier
  * @author Hassan Ali
  * @notice Verifies signed EIP-712 usage receipts and forwards payments to Escrow.
+ * Receipts carry metered units rather than an amount; the charge is computed from the
+ * asset's rate card in the PricingModule.
  * @dev This contract is designed to be called by a trusted off-chain service (a "Verifier").
- * The end-user must first approve this contract to spend their USDC.
+ * The end-user either approves this contract to spend their USDC, signs an EIP-2612
+ * permit or a Permit2 transfer that is submitted alongside the receipt, or prepays credit
+ * in the CreditsVault. Units covered by the user's subscription to the asset are not charged.
+ * Instead of signing every receipt, a user can sign one SpendingAuthorization that caps what
+ * receipts for them may charge; receipts drawn on it are signed by a session key, or by
+ * nobody when the authorization names no session key and the Verifier itself is trusted.
+ * Receipts name the token they are paid in: USDC or any token on the FeeTreasury's payment
+ * token allow-list that the asset has a rate card in.
+ * Nonces are sequential by default. A nonce with the top bit set (UNORDERED_NONCE_FLAG) is
+ * instead tracked in a Permit2-style bitmap, so such receipts can settle in any order.
  */
 contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
     using SafeERC20 for IERC20;
@@ -24,32 +40,127 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
     bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
 
+    // --- Constants ---
+    // Receipt nonces with this bit set are unordered; the remaining bits select a bitmap word and bit.
+    uint256 public constant UNORDERED_NONCE_FLAG = 1 << 255;
+
     // --- State Variables ---
-    IERC20 public immutable usdc;
+    IERC20 public immutable usdc; // The default payment token, also used by the CreditsVault
     IRoyaltySplitFactory public immutable royaltySplitFactory;
     IEscrow public immutable escrow; // MODIFIED: Added Escrow contract
+    ILicenseRegistry public immutable licenseRegistry;
+    IPricingModule public immutable pricingModule;
+
+    // Uniswap Permit2 contract used by verifyAndPayWithPermit2 (unset until configured)
+    ISignatureTransfer public permit2;
+
+    // Prepaid credit and subscriptions (unset until configured)
+    ICreditsVault public creditsVault;
 
     // Replay protection: mapping from a user address to their latest used nonce
     mapping(address => uint256) public nonces;
 
+    // Replay protection for unordered nonces: user => word position => bitmap of used nonces
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    // Amount charged so far against each spending authorization, by its EIP-712 digest
+    mapping(bytes32 => uint256) public authorizationSpent;
+
+    // Spending authorizations revoked by their user
+    mapping(bytes32 => bool) public authorizationRevoked;
+
     // --- EIP-712 Structs and Hashes ---
     bytes32 private constant USAGE_RECEIPT_TYPEHASH =
-        keccak256("UsageReceipt(uint256 assetId,uint256 amount,address user,uint256 nonce,uint256 deadline)");
+        keccak256("UsageReceipt(uint256 assetId,uint8 metric,uint256 units,uint256 unitPrice,address user,uint256 nonce,uint256 deadline,uint8 usageType,bool commercial,address token)");
+
+    bytes32 private constant SPENDING_AUTHORIZATION_TYPEHASH =
+        keccak256("SpendingAuthorization(address user,address sessionKey,uint256 assetId,address token,uint256 maxAmount,uint256 expiry,uint256 salt)");
 
     struct UsageReceipt {
         uint256 assetId;
-        uint256 amount;
+        uint8 metric;        // One of PricingModule's METRIC_* constants
+        uint256 units;       // Metered quantity, e.g. tokens or GPU-seconds
+        uint256 unitPrice;   // Rate card price the user agreed to; must match at settlement
         address user;
         uint256 nonce;
         uint256 deadline;
+        uint8 usageType;     // One of LicenseRegistry's USAGE_* constants
+        bool commercial;     // True if the user attests to commercial use
+        address token;       // The ERC20 the receipt is paid in; `unitPrice` is in its base units
     }
 
+    // A user's standing permission for receipts to charge them up to `maxAmount` in total.
+    struct SpendingAuthorization {
+        address user;
+        address sessionKey;  // Signs the receipts; zero lets the Verifier settle them unsigned
+        uint256 assetId;     // The only asset receipts may be for; zero for any asset
+        address token;       // The token receipts drawn on it must be paid in
+        uint256 maxAmount;   // Total amount of `token` that receipts drawn on it may charge
+        uint256 expiry;      // Last timestamp at which receipts may be drawn on it
+        uint256 salt;        // Distinguishes otherwise identical authorizations
+    }
+
+    // A spending authorization being drawn on during a settlement.
+    struct Session {
+        bytes32 authHash;    // Zero when receipts are signed by their user
+        address user;
+        address sessionKey;
+        uint256 assetId;
+        address token;
+        uint256 remaining;
+        uint256 spent;       // Charged by the current settlement, not yet recorded
+    }
+
+    // An EIP-2612 permit signed by the user for this contract as spender.
+    struct Permit {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // An Escrow hold being accumulated during a batch settlement.
+    struct PendingHold {
+        uint256 assetId;
+        address user;
+        address token;
+        uint256 amount;
+        address paymentSplitter;
+    }
+
+    // --- Events ---
+    event BatchReceiptFailed(uint256 index, address indexed user, uint256 nonce, bytes reason);
+    event BatchSettled(uint256 settledCount, uint256 failedCount, uint256 holdCount);
+    event Permit2Updated(address newPermit2);
+    event CreditsVaultUpdated(address newCreditsVault);
+    event AuthorizationSpent(bytes32 indexed authHash, address indexed user, uint256 amount, uint256 totalSpent);
+    event AuthorizationRevoked(bytes32 indexed authHash, address indexed user);
+    event NoncesInvalidated(address indexed user, uint256 newNonce);
+    event UnorderedNoncesInvalidated(address indexed user, uint256 wordPos, uint256 mask);
+
     // --- Errors ---
     error InvalidSignature();
     error ReceiptExpired(uint256 deadline, uint256 blockTimestamp);
     error InvalidNonce(uint256 expected, uint256 actual);
+    error NonceAlreadyUsed(address user, uint256 nonce);
     error SplitterNotCreated(uint256 assetId);
+    error UsageNotLicensed(uint256 assetId, uint8 usageType, bool commercial);
+    error MetricNotLicensed(uint256 assetId, uint8 metric);
+    error MetricNotPriced(uint256 assetId, uint8 metric);
+    error PriceMismatch(uint256 assetId, uint8 metric, uint256 ratePrice, uint256 quotedPrice);
+    error InsufficientFunds(address user, uint256 required);
+    error LengthMismatch();
+    error Permit2NotConfigured();
+    error InvalidPermitToken(address token);
+    error TokenNotAccepted(address token);
     error ZeroAddress();
+    error InvalidAuthorizationSignature();
+    error AuthorizationExpired(uint256 expiry, uint256 blockTimestamp);
+    error AuthorizationIsRevoked(bytes32 authHash);
+    error NotAuthorizationUser(address caller);
+    error OutsideAuthorizationScope(bytes32 authHash, address user, uint256 assetId);
+    error SpendingLimitExceeded(bytes32 authHash, uint256 remaining, uint256 amount);
 
     // --- Constructor ---
     constructor(
@@ -58,6 +169,8 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
         address _usdcAddress,
         address _royaltySplitFactoryAddress,
         address _escrowAddress, // MODIFIED: Added escrow address
+        address _licenseRegistryAddress,
+        address _pricingModuleAddress,
         address _defaultAdmin,
         address _verifier,
         address _pauser
@@ -66,6 +179,8 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
             _usdcAddress == address(0) || 
             _royaltySplitFactoryAddress == address(0) || 
             _escrowAddress == address(0) || // MODIFIED: Added check
+            _licenseRegistryAddress == address(0) ||
+            _pricingModuleAddress == address(0) ||
             _defaultAdmin == address(0) || 
             _verifier == address(0) || 
             _pauser == address(0)
@@ -75,6 +190,8 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
         usdc = IERC20(_usdcAddress);
         royaltySplitFactory = IRoyaltySplitFactory(_royaltySplitFactoryAddress);
         escrow = IEscrow(_escrowAddress); // MODIFIED: Set escrow address
+        licenseRegistry = ILicenseRegistry(_licenseRegistryAddress);
+        pricingModule = IPricingModule(_pricingModuleAddress);
 
         _grantRole(DEFAULT_ADMIN_ROLE, _defaultAdmin);
         _grantRole(VERIFIER_ROLE, _verifier);
@@ -85,7 +202,8 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
 
     /**
      * @notice Verifies a signed usage receipt and executes payment if valid.
-     * @dev Must be called by an address with VERIFIER_ROLE.
+     * @dev Must be called by an address with VERIFIER_ROLE. The charge is debited from the
+     * user's CreditsVault credit if it covers it, and pulled from their wallet otherwise.
      * @param _receipt The UsageReceipt struct containing payment details.
      * @param _signature The EIP-712 signature from the user.
      */
@@ -94,42 +212,277 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
         whenNotPaused
         onlyRole(VERIFIER_ROLE)
     {
-        // 1. Check if the receipt has expired
-        if (block.timestamp > _receipt.deadline) {
-            revert ReceiptExpired(_receipt.deadline, block.timestamp);
+        // 1. Validate the receipt, price it and consume its nonce
+        (address splitterAddress, uint256 amount) = _consumeReceipt(_receipt, _signature);
+
+        // 2. Execute the payment from the user's credit or wallet and forward it to Escrow
+        if (amount > 0) {
+            _collect(_receipt.user, _receipt.token, amount);
+            _hold(_receipt, amount, splitterAddress);
         }
+    }
 
-        // 2. Verify the signature
-        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
-            USAGE_RECEIPT_TYPEHASH,
-            _receipt.assetId,
-            _receipt.amount,
+    /**
+     * @notice Verifies a signed usage receipt and pays it using an EIP-2612 permit, so the
+     * user never needs a standalone approve() transaction.
+     * @dev Must be called by an address with VERIFIER_ROLE. If the permit call fails (for
+     * example because it was front-run and already used) the existing allowance is used instead.
+     * @param _receipt The UsageReceipt struct containing payment details.
+     * @param _signature The EIP-712 signature from the user.
+     * @param _permit The user's EIP-2612 permit naming this contract as spender.
+     */
+    function verifyAndPayWithPermit(
+        UsageReceipt calldata _receipt,
+        bytes calldata _signature,
+        Permit calldata _permit
+    )
+        external
+        whenNotPaused
+        onlyRole(VERIFIER_ROLE)
+    {
+        (address splitterAddress, uint256 amount) = _consumeReceipt(_receipt, _signature);
+
+        if (amount == 0) return;
+
+        try IERC20Permit(_receipt.token).permit(
             _receipt.user,
-            _receipt.nonce,
-            _receipt.deadline
-        )));
-        
-        address signer = ECDSA.recover(digest, _signature);
-        if (signer != _receipt.user || signer == address(0)) {
-            revert InvalidSignature();
-        }
+            address(this),
+            _permit.value,
+            _permit.deadline,
+            _permit.v,
+            _permit.r,
+            _permit.s
+        ) {} catch {}
 
-        // 3. Prevent replay attacks by checking and incrementing the nonce
-        uint256 expectedNonce = nonces[signer];
-        if (_receipt.nonce != expectedNonce) {
-            revert InvalidNonce(expectedNonce, _receipt.nonce);
-        }
-        nonces[signer]++;
+        IERC20(_receipt.token).safeTransferFrom(_receipt.user, address(escrow), amount);
+        _hold(_receipt, amount, splitterAddress);
+    }
 
-        // 4. Get the destination PaymentSplitter address
-        address splitterAddress = royaltySplitFactory.assetIdToSplitter(_receipt.assetId);
-        if (splitterAddress == address(0)) {
-            revert SplitterNotCreated(_receipt.assetId);
+    /**
+     * @notice Verifies a signed usage receipt and pays it through a Permit2 signature transfer,
+     * which moves the receipt's charge straight from the user to Escrow.
+     * @dev Must be called by an address with VERIFIER_ROLE. The permit must name the
+     * receipt's token and cover at least the charge; only the charge is pulled.
+     * @param _receipt The UsageReceipt struct containing payment details.
+     * @param _signature The EIP-712 signature from the user.
+     * @param _permit The Permit2 PermitTransferFrom data signed by the user.
+     * @param _permitSignature The user's Permit2 signature.
+     */
+    function verifyAndPayWithPermit2(
+        UsageReceipt calldata _receipt,
+        bytes calldata _signature,
+        ISignatureTransfer.PermitTransferFrom calldata _permit,
+        bytes calldata _permitSignature
+    )
+        external
+        whenNotPaused
+        onlyRole(VERIFIER_ROLE)
+    {
+        if (address(permit2) == address(0)) revert Permit2NotConfigured();
+        if (_permit.permitted.token != _receipt.token) revert InvalidPermitToken(_permit.permitted.token);
+
+        (address splitterAddress, uint256 amount) = _consumeReceipt(_receipt, _signature);
+        if (amount == 0) return;
+
+        permit2.permitTransferFrom(
+            _permit,
+            ISignatureTransfer.SignatureTransferDetails({to: address(escrow), requestedAmount: amount}),
+            _receipt.user,
+            _permitSignature
+        );
+        _hold(_receipt, amount, splitterAddress);
+    }
+
+    /**
+     * @notice Verifies many signed usage receipts and settles them in a single transaction.
+     * @dev Must be called by an address with VERIFIER_ROLE. Valid receipts are grouped per
+     * (asset, user, token) so each payer gets one Escrow hold per asset and token, keeping
+     * disputes and refunds attributable. Sequential receipts for the same user must appear in
+     * nonce order; unordered ones may appear anywhere. Each hold is paid from the user's credit if it
+     * covers the hold, and from their wallet otherwise.
+     * In skip mode (`_revertOnFailure == false`) an invalid receipt emits BatchReceiptFailed
+     * with the encoded error and does not consume its nonce; otherwise the whole batch reverts
+     * with that error.
+     * @param _receipts The UsageReceipt structs to settle.
+     * @param _signatures The EIP-712 signatures, one per receipt.
+     * @param _revertOnFailure True to revert the whole batch on the first invalid receipt.
+     * @return settled For each receipt, whether it was settled.
+     */
+    function verifyAndPayBatch(
+        UsageReceipt[] calldata _receipts,
+        bytes[] calldata _signatures,
+        bool _revertOnFailure
+    )
+        external
+        whenNotPaused
+        onlyRole(VERIFIER_ROLE)
+        returns (bool[] memory settled)
+    {
+        Session memory noSession;
+        settled = _settleBatch(_receipts, _signatures, _revertOnFailure, noSession);
+    }
+
+    // --- Spending Authorizations ---
+
+    /**
+     * @notice Verifies a usage receipt drawn on the user's spending authorization and pays it.
+     * @dev Must be called by an address with VERIFIER_ROLE. The receipt must be signed by the
+     * authorization's session key (or may be unsigned if it names none), be for its user and
+     * asset, and fit in what is left of its maximum amount. Payment then proceeds as in
+     * verifyAndPayWithReceipt.
+     * @param _receipt The UsageReceipt struct containing payment details.
+     * @param _signature The session key's EIP-712 signature over the receipt.
+     * @param _authorization The spending authorization the receipt is drawn on.
+     * @param _authorizationSignature The user's EIP-712 signature over the authorization.
+     */
+    function verifyAndPayWithSession(
+        UsageReceipt calldata _receipt,
+        bytes calldata _signature,
+        SpendingAuthorization calldata _authorization,
+        bytes calldata _authorizationSignature
+    )
+        external
+        whenNotPaused
+        onlyRole(VERIFIER_ROLE)
+    {
+        Session memory session = _openSession(_authorization, _authorizationSignature);
+        (address splitterAddress, uint256 amount) = _consumeReceipt(_receipt, _signature, session);
+        _recordSpend(session);
+
+        if (amount > 0) {
+            _collect(_receipt.user, _receipt.token, amount);
+            _hold(_receipt, amount, splitterAddress);
         }
+    }
+
+    /**
+     * @notice Verifies and settles many receipts drawn on one spending authorization.
+     * @dev Must be called by an address with VERIFIER_ROLE. Receipts are checked as in
+     * verifyAndPayWithSession and settled as in verifyAndPayBatch; in skip mode a receipt
+     * that would exceed the authorization's remaining amount is skipped like any invalid one.
+     * @param _receipts The UsageReceipt structs to settle.
+     * @param _signatures The session key's EIP-712 signatures, one per receipt.
+     * @param _authorization The spending authorization the receipts are drawn on.
+     * @param _authorizationSignature The user's EIP-712 signature over the authorization.
+     * @param _revertOnFailure True to revert the whole batch on the first invalid receipt.
+     * @return settled For each receipt, whether it was settled.
+     */
+    function verifyAndPayBatchWithSession(
+        UsageReceipt[] calldata _receipts,
+        bytes[] calldata _signatures,
+        SpendingAuthorization calldata _authorization,
+        bytes calldata _authorizationSignature,
+        bool _revertOnFailure
+    )
+        external
+        whenNotPaused
+        onlyRole(VERIFIER_ROLE)
+        returns (bool[] memory settled)
+    {
+        Session memory session = _openSession(_authorization, _authorizationSignature);
+        settled = _settleBatch(_receipts, _signatures, _revertOnFailure, session);
+    }
+
+    /**
+     * @notice Revokes a spending authorization so no further receipts can be drawn on it.
+     * @dev Only callable by the authorization's user.
+     * @param _authorization The spending authorization to revoke.
+     */
+    function revokeAuthorization(SpendingAuthorization calldata _authorization) external {
+        if (msg.sender != _authorization.user) revert NotAuthorizationUser(msg.sender);
+
+        bytes32 authHash = hashAuthorization(_authorization);
+        authorizationRevoked[authHash] = true;
+        emit AuthorizationRevoked(authHash, msg.sender);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest of a spending authorization, which identifies it in
+     * `authorizationSpent` and `authorizationRevoked`.
+     */
+    function hashAuthorization(SpendingAuthorization calldata _authorization) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SPENDING_AUTHORIZATION_TYPEHASH,
+            _authorization.user,
+            _authorization.sessionKey,
+            _authorization.assetId,
+            _authorization.token,
+            _authorization.maxAmount,
+            _authorization.expiry,
+            _authorization.salt
+        )));
+    }
+
+    /**
+     * @notice Returns how much receipts may still charge against a spending authorization.
+     */
+    function authorizationRemaining(SpendingAuthorization calldata _authorization) external view returns (uint256) {
+        bytes32 authHash = hashAuthorization(_authorization);
+        if (authorizationRevoked[authHash] || block.timestamp > _authorization.expiry) return 0;
+        return _authorization.maxAmount - authorizationSpent[authHash];
+    }
+
+    // --- Nonce Management ---
+
+    /**
+     * @notice Cancels every outstanding sequential receipt below `_newNonce` by moving the
+     * caller's nonce forward to it.
+     * @param _newNonce The caller's next sequential nonce; must exceed the current one.
+     */
+    function invalidateNonces(uint256 _newNonce) external {
+        uint256 current = nonces[msg.sender];
+        if (_newNonce <= current || _newNonce >= UNORDERED_NONCE_FLAG) revert InvalidNonce(current, _newNonce);
+
+        nonces[msg.sender] = _newNonce;
+        emit NoncesInvalidated(msg.sender, _newNonce);
+    }
 
-        // 5. MODIFIED: Execute the payment by pulling funds and forwarding to Escrow
-        usdc.safeTransferFrom(_receipt.user, address(escrow), _receipt.amount);
-        escrow.holdPayment(_receipt.assetId, _receipt.user, _receipt.amount, splitterAddress);
+    /**
+     * @notice Cancels outstanding unordered receipts by marking their nonces as used.
+     * @param _wordPos The bitmap word holding the nonces, see `isNonceUsed`.
+     * @param _mask The bits to set in that word, one per nonce.
+     */
+    function invalidateUnorderedNonces(uint256 _wordPos, uint256 _mask) external {
+        nonceBitmap[msg.sender][_wordPos] |= _mask;
+        emit UnorderedNoncesInvalidated(msg.sender, _wordPos, _mask);
+    }
+
+    /**
+     * @notice Returns true if a receipt with `_nonce` can no longer settle for `_user`.
+     * @dev A sequential nonce is used once the user's nonce has passed it. An unordered nonce
+     * `UNORDERED_NONCE_FLAG | (wordPos << 8) | bitPos` is used once its bit is set in
+     * `nonceBitmap[_user][wordPos]`.
+     */
+    function isNonceUsed(address _user, uint256 _nonce) public view returns (bool) {
+        if (_nonce & UNORDERED_NONCE_FLAG == 0) return _nonce < nonces[_user];
+        (uint256 wordPos, uint256 bit) = _bitmapPosition(_nonce);
+        return nonceBitmap[_user][wordPos] & bit != 0;
+    }
+
+    // --- Admin Functions ---
+
+    /**
+     * @notice Sets the Permit2 contract used by verifyAndPayWithPermit2.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE.
+     * @param _permit2 The Permit2 address (e.g., 0x000000000022D473030F116dDEE9F6B43aC78BA3).
+     */
+    function setPermit2(address _permit2) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_permit2 == address(0)) revert ZeroAddress();
+        permit2 = ISignatureTransfer(_permit2);
+        emit Permit2Updated(_permit2);
+    }
+
+    /**
+     * @notice Sets the CreditsVault that receipts may be charged to and whose subscriptions
+     * cover receipts.
+     * @dev Only callable by the DEFAULT_ADMIN_ROLE. The vault must grant this contract its
+     * VERIFIER_ROLE.
+     * @param _creditsVault The CreditsVault address.
+     */
+    function setCreditsVault(address _creditsVault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_creditsVault == address(0)) revert ZeroAddress();
+        creditsVault = ICreditsVault(_creditsVault);
+        emit CreditsVaultUpdated(_creditsVault);
     }
 
     // --- Pausable Functions ---
@@ -141,5 +494,376 @@ contract UsageReceiptVerifier is EIP712, AccessControl, Pausable {
     function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
+
+    // --- Internal Functions ---
+
+    /**
+     * @dev Validates a receipt, reverting with the failed check's error, consumes its nonce
+     * to prevent replays and records the units its subscription covers.
+     * Returns the destination splitter and the charge.
+     */
+    function _consumeReceipt(UsageReceipt calldata _receipt, bytes calldata _signature)
+        internal
+        returns (address splitterAddress, uint256 amount)
+    {
+        Session memory noSession;
+        return _consumeReceipt(_receipt, _signature, noSession);
+    }
+
+    /**
+     * @dev As above, for a receipt drawn on `_session`, whose remaining amount is reduced by
+     * the charge. The caller records the spend with _recordSpend.
+     */
+    function _consumeReceipt(UsageReceipt calldata _receipt, bytes calldata _signature, Session memory _session)
+        internal
+        returns (address splitterAddress, uint256 amount)
+    {
+        bytes memory failure;
+        uint256 coveredUnits;
+        (failure, splitterAddress, amount, coveredUnits) = _validateReceipt(_receipt, _signature, _session);
+        if (failure.length > 0) _revertWith(failure);
+
+        _accept(_receipt, coveredUnits, amount, _session);
+    }
+
+    /**
+     * @dev Consumes an accepted receipt's nonce, the units its subscription covers and its
+     * charge against the session, if any.
+     */
+    function _accept(UsageReceipt calldata _receipt, uint256 _coveredUnits, uint256 _amount, Session memory _session) internal {
+        if (_receipt.nonce & UNORDERED_NONCE_FLAG == 0) {
+            nonces[_receipt.user]++;
+        } else {
+            (uint256 wordPos, uint256 bit) = _bitmapPosition(_receipt.nonce);
+            nonceBitmap[_receipt.user][wordPos] |= bit;
+        }
+        if (_coveredUnits > 0) creditsVault.consumeUnits(_receipt.user, _receipt.assetId, _coveredUnits);
+        if (_session.authHash != bytes32(0)) {
+            _session.remaining -= _amount;
+            _session.spent += _amount;
+        }
+    }
+
+    /**
+     * @dev Verifies every receipt, groups the valid ones per (asset, user) and opens one
+     * Escrow hold per group. See verifyAndPayBatch.
+     */
+    function _settleBatch(
+        UsageReceipt[] calldata _receipts,
+        bytes[] calldata _signatures,
+        bool _revertOnFailure,
+        Session memory _session
+    ) internal returns (bool[] memory settled) {
+        if (_receipts.length != _signatures.length) revert LengthMismatch();
+
+        settled = new bool[](_receipts.length);
+        PendingHold[] memory holds = new PendingHold[](_receipts.length);
+        uint256 holdCount;
+        uint256 failedCount;
+
+        // 1. Verify every receipt and group the valid ones per (asset, user, token)
+        for (uint256 i = 0; i < _receipts.length; i++) {
+            UsageReceipt calldata receipt = _receipts[i];
+            (bytes memory failure, address splitterAddress, uint256 amount, uint256 coveredUnits) = _validateReceipt(receipt, _signatures[i], _session);
+
+            if (failure.length == 0) {
+                // The user must be able to cover this receipt on top of those already accepted.
+                uint256 required = _pendingAmount(holds, holdCount, receipt.user, receipt.token) + amount;
+                if (!_canFund(receipt.user, receipt.token, required)) {
+                    failure = abi.encodeWithSelector(InsufficientFunds.selector, receipt.user, required);
+                }
+            }
+
+            if (failure.length > 0) {
+                if (_revertOnFailure) _revertWith(failure);
+                failedCount++;
+                emit BatchReceiptFailed(i, receipt.user, receipt.nonce, failure);
+                continue;
+            }
+
+            _accept(receipt, coveredUnits, amount, _session);
+            settled[i] = true;
+            if (amount == 0) continue;
+
+            uint256 slot = _findHold(holds, holdCount, receipt.assetId, receipt.user, receipt.token);
+            if (slot == holdCount) {
+                holds[holdCount++] = PendingHold({
+                    assetId: receipt.assetId,
+                    user: receipt.user,
+                    token: receipt.token,
+                    amount: 0,
+                    paymentSplitter: splitterAddress
+                });
+            }
+            holds[slot].amount += amount;
+        }
+        _recordSpend(_session);
+
+        // 2. Pull the funds and open one Escrow hold per group
+        for (uint256 i = 0; i < holdCount; i++) {
+            PendingHold memory hold = holds[i];
+            _collect(hold.user, hold.token, hold.amount);
+            escrow.holdPaymentInToken(hold.assetId, hold.user, hold.token, hold.amount, hold.paymentSplitter);
+        }
+
+        emit BatchSettled(_receipts.length - failedCount, failedCount, holdCount);
+    }
+
+    /**
+     * @dev Checks a spending authorization's expiry, revocation and signature, reverting if
+     * any fails, and returns it as a session with what is left of its maximum amount.
+     */
+    function _openSession(SpendingAuthorization calldata _authorization, bytes calldata _authorizationSignature)
+        internal
+        view
+        returns (Session memory session)
+    {
+        if (block.timestamp > _authorization.expiry) revert AuthorizationExpired(_authorization.expiry, block.timestamp);
+
+        bytes32 authHash = hashAuthorization(_authorization);
+        if (authorizationRevoked[authHash]) revert AuthorizationIsRevoked(authHash);
+        if (
+            _authorization.user == address(0) ||
+            !_isSignedBy(_authorization.user, authHash, _authorizationSignature)
+        ) {
+            revert InvalidAuthorizationSignature();
+        }
+
+        session = Session({
+            authHash: authHash,
+            user: _authorization.user,
+            sessionKey: _authorization.sessionKey,
+            assetId: _authorization.assetId,
+            token: _authorization.token,
+            remaining: _authorization.maxAmount - authorizationSpent[authHash],
+            spent: 0
+        });
+    }
+
+    /**
+     * @dev Adds what a settlement charged against its session to the authorization's total.
+     */
+    function _recordSpend(Session memory _session) internal {
+        if (_session.authHash == bytes32(0) || _session.spent == 0) return;
+
+        uint256 total = authorizationSpent[_session.authHash] + _session.spent;
+        authorizationSpent[_session.authHash] = total;
+        emit AuthorizationSpent(_session.authHash, _session.user, _session.spent, total);
+    }
+
+    /**
+     * @dev Checks a receipt against its deadline, signature, the user's nonces, the
+     * asset's license terms and its rate card, and resolves the destination splitter, the
+     * units covered by the user's subscription and the charge for the rest. Instead of
+     * reverting, returns the ABI-encoded custom error describing the first failed check
+     * (empty if valid), so the batch path can skip bad receipts. A receipt drawn on a session
+     * must fall within its scope and remaining amount, and is signed by the session key rather
+     * than the user.
+     */
+    function _validateReceipt(UsageReceipt calldata _receipt, bytes calldata _signature, Session memory _session)
+        internal
+        view
+        returns (bytes memory failure, address splitterAddress, uint256 amount, uint256 coveredUnits)
+    {
+        if (block.timestamp > _receipt.deadline) {
+            return (abi.encodeWithSelector(ReceiptExpired.selector, _receipt.deadline, block.timestamp), address(0), 0, 0);
+        }
+
+        address signer = _receipt.user;
+        if (_session.authHash != bytes32(0)) {
+            if (
+                _receipt.user != _session.user ||
+                _receipt.token != _session.token ||
+                (_session.assetId != 0 && _receipt.assetId != _session.assetId)
+            ) {
+                return (
+                    abi.encodeWithSelector(OutsideAuthorizationScope.selector, _session.authHash, _receipt.user, _receipt.assetId),
+                    address(0),
+                    0,
+                    0
+                );
+            }
+            // Without a session key the authorization itself is the user's consent.
+            signer = _session.sessionKey;
+        }
+
+        if (
+            (_session.authHash == bytes32(0) || signer != address(0)) &&
+            (signer == address(0) || !_isSignedBy(signer, _hashReceipt(_receipt), _signature))
+        ) {
+            return (abi.encodeWithSelector(InvalidSignature.selector), address(0), 0, 0);
+        }
+
+        if (_receipt.nonce & UNORDERED_NONCE_FLAG == 0) {
+            uint256 expectedNonce = nonces[_receipt.user];
+            if (_receipt.nonce != expectedNonce) {
+                return (abi.encodeWithSelector(InvalidNonce.selector, expectedNonce, _receipt.nonce), address(0), 0, 0);
+            }
+        } else if (isNonceUsed(_receipt.user, _receipt.nonce)) {
+            return (abi.encodeWithSelector(NonceAlreadyUsed.selector, _receipt.user, _receipt.nonce), address(0), 0, 0);
+        }
+
+        splitterAddress = royaltySplitFactory.assetIdToSplitter(_receipt.assetId);
+        if (splitterAddress == address(0)) {
+            return (abi.encodeWithSelector(SplitterNotCreated.selector, _receipt.assetId), address(0), 0, 0);
+        }
+
+        if (!licenseRegistry.isAssetUsagePermitted(_receipt.assetId, _receipt.usageType, _receipt.commercial)) {
+            return (
+                abi.encodeWithSelector(UsageNotLicensed.selector, _receipt.assetId, _receipt.usageType, _receipt.commercial),
+                address(0),
+                0,
+                0
+            );
+        }
+
+        if (!licenseRegistry.isAssetMetricAllowed(_receipt.assetId, _receipt.metric)) {
+            return (abi.encodeWithSelector(MetricNotLicensed.selector, _receipt.assetId, _receipt.metric), address(0), 0, 0);
+        }
+
+        if (!escrow.isAcceptedToken(_receipt.token)) {
+            return (abi.encodeWithSelector(TokenNotAccepted.selector, _receipt.token), address(0), 0, 0);
+        }
+
+        // Units covered by the user's subscription are free; only the rest is priced.
+        if (address(creditsVault) != address(0)) {
+            uint256 unitsLeft = creditsVault.subscriptionUnitsLeft(_receipt.user, _receipt.assetId, _receipt.metric);
+            coveredUnits = unitsLeft < _receipt.units ? unitsLeft : _receipt.units;
+            if (coveredUnits > 0 && coveredUnits == _receipt.units) return ("", splitterAddress, 0, coveredUnits);
+        }
+
+        uint256 ratePrice;
+        (ratePrice, amount) = _quote(_receipt, _receipt.units - coveredUnits);
+        if (ratePrice == 0) {
+            return (abi.encodeWithSelector(MetricNotPriced.selector, _receipt.assetId, _receipt.metric), address(0), 0, 0);
+        }
+        if (ratePrice != _receipt.unitPrice) {
+            return (
+                abi.encodeWithSelector(PriceMismatch.selector, _receipt.assetId, _receipt.metric, ratePrice, _receipt.unitPrice),
+                address(0),
+                0,
+                0
+            );
+        }
+
+        if (_session.authHash != bytes32(0) && amount > _session.remaining) {
+            return (
+                abi.encodeWithSelector(SpendingLimitExceeded.selector, _session.authHash, _session.remaining, amount),
+                address(0),
+                0,
+                0
+            );
+        }
+    }
+
+    /**
+     * @dev Prices `_units` of a receipt's metric against the asset's rate card in the receipt's token.
+     */
+    function _quote(UsageReceipt calldata _receipt, uint256 _units) internal view returns (uint256 price, uint256 charge) {
+        if (_receipt.token == address(usdc)) return pricingModule.quote(_receipt.assetId, _receipt.metric, _units);
+        return pricingModule.quoteInToken(_receipt.assetId, _receipt.token, _receipt.metric, _units);
+    }
+
+    /**
+     * @dev Splits an unordered nonce into its bitmap word position and the mask of its bit.
+     */
+    function _bitmapPosition(uint256 _nonce) private pure returns (uint256 wordPos, uint256 bit) {
+        uint256 index = _nonce ^ UNORDERED_NONCE_FLAG;
+        wordPos = index >> 8;
+        bit = 1 << (index & 0xff);
+    }
+
+    /**
+     * @dev Returns true if `_signature` is `_signer`'s ECDSA signature of `_digest`. A malformed
+     * signature returns false instead of reverting, so the batch path can skip it.
+     */
+    function _isSignedBy(address _signer, bytes32 _digest, bytes calldata _signature) internal pure returns (bool) {
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(_digest, _signature);
+        return error == ECDSA.RecoverError.NoError && recovered == _signer;
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of a usage receipt.
+     */
+    function _hashReceipt(UsageReceipt calldata _receipt) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            USAGE_RECEIPT_TYPEHASH,
+            _receipt.assetId,
+            _receipt.metric,
+            _receipt.units,
+            _receipt.unitPrice,
+            _receipt.user,
+            _receipt.nonce,
+            _receipt.deadline,
+            _receipt.usageType,
+            _receipt.commercial,
+            _receipt.token
+        )));
+    }
+
+    /**
+     * @dev Opens the Escrow hold for a receipt whose charge Escrow has received.
+     */
+    function _hold(UsageReceipt calldata _receipt, uint256 _amount, address _splitterAddress) internal {
+        escrow.holdPaymentInToken(_receipt.assetId, _receipt.user, _receipt.token, _amount, _splitterAddress);
+    }
+
+    /**
+     * @dev Moves a charge into Escrow from the user's credit if it covers the charge, or
+     * from their wallet otherwise. Credit is held in USDC, so other tokens always come from
+     * the wallet.
+     */
+    function _collect(address _user, address _token, uint256 _amount) internal {
+        if (_token == address(usdc) && address(creditsVault) != address(0) && creditsVault.credits(_user) >= _amount) {
+            creditsVault.debit(_user, _amount, address(escrow));
+        } else {
+            IERC20(_token).safeTransferFrom(_user, address(escrow), _amount);
+        }
+    }
+
+    /**
+     * @dev Returns true if the user's credit, or their wallet balance and allowance, covers
+     * `_required` of `_token`.
+     */
+    function _canFund(address _user, address _token, uint256 _required) internal view returns (bool) {
+        if (_token == address(usdc) && address(creditsVault) != address(0) && creditsVault.credits(_user) >= _required) return true;
+        return IERC20(_token).allowance(_user, address(this)) >= _required && IERC20(_token).balanceOf(_user) >= _required;
+    }
+
+    /**
+     * @dev Sums the amounts of `_token` already accepted for `_user` in the current batch.
+     */
+    function _pendingAmount(PendingHold[] memory _holds, uint256 _count, address _user, address _token)
+        private
+        pure
+        returns (uint256 total)
+    {
+        for (uint256 i = 0; i < _count; i++) {
+            if (_holds[i].user == _user && _holds[i].token == _token) total += _holds[i].amount;
+        }
+    }
+
+    /**
+     * @dev Returns the index of the hold for (`_assetId`, `_user`, `_token`), or `_count` if there is none yet.
+     */
+    function _findHold(PendingHold[] memory _holds, uint256 _count, uint256 _assetId, address _user, address _token)
+        private
+        pure
+        returns (uint256)
+    {
+        for (uint256 i = 0; i < _count; i++) {
+            if (_holds[i].assetId == _assetId && _holds[i].user == _user && _holds[i].token == _token) return i;
+        }
+        return _count;
+    }
+
+    /**
+     * @dev Reverts with pre-encoded custom error data.
+     */
+    function _revertWith(bytes memory _reason) private pure {
+        assembly {
+            revert(add(_reason, 32), mload(_reason))
+        }
+    }
 }
 
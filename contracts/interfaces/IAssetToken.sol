@@ -3,7 +3,7 @@ pragma solidity ^0.8.20;
 
 /**
  * @title IAssetToken Interface
- * @notice Defines the external functions for the AssetToken contract needed by the RegistryRouter.
+ * @notice Defines the external functions for the AssetToken contract needed by the other core contracts.
  */
 interface IAssetToken {
     /**
@@ -12,14 +12,24 @@ interface IAssetToken {
     function uri(uint256 _assetId) external view returns (string memory);
 
     /**
-     * @notice Returns the license identifier for a specific asset.
+     * @notice Returns the license ID for a specific asset, as defined in the LicenseRegistry.
      */
-    function licenseId(uint256 _assetId) external view returns (uint256);
+    function license(uint256 _assetId) external view returns (uint256);
 
     /**
      * @notice Returns the single owner of a specific asset.
-     * @dev This is a custom function for router compatibility.
+     * @dev Used to check who may edit an asset's provenance graph and rate card, or dispute its payments.
      */
     function ownerOf(uint256 _assetId) external view returns (address);
+
+    /**
+     * @notice Returns true if an asset has been minted.
+     */
+    function exists(uint256 _assetId) external view returns (bool);
+
+    /**
+     * @notice Returns the number of assets minted; asset IDs run from 1 to this number.
+     */
+    function totalMinted() external view returns (uint256);
 }
 
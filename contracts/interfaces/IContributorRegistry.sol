@@ -7,12 +7,21 @@ pragma solidity ^0.8.20;
  */
 interface IContributorRegistry {
     /**
-     * @notice Returns the profile URI for a given contributor address.
-     * @dev This is the getter for the public `profileURIs` mapping.
+     * @notice A contributor's profile, as returned by `getProfile`.
+     * @param metadataURI The URI of the contributor's off-chain profile metadata.
+     * @param isRegistered True once the contributor has set a profile.
+     */
+    struct Profile {
+        string metadataURI;
+        bool isRegistered;
+    }
+
+    /**
+     * @notice Returns the profile of a given contributor address.
      * @param _contributor The address of the contributor.
-     * @return The URI string for the contributor's profile.
+     * @return The contributor's Profile; empty if they never set one.
      */
-    function profileURIs(address _contributor) external view returns (string memory);
+    function getProfile(address _contributor) external view returns (Profile memory);
 
     /**
      * @notice Checks if an account has a specific role.
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICreditsVault Interface
+ * @notice Defines the functions of the CreditsVault contract used by UsageReceiptVerifier.
+ */
+interface ICreditsVault {
+    /**
+     * @notice Returns a user's unspent credit in USDC base units.
+     */
+    function credits(address _user) external view returns (uint256);
+
+    /**
+     * @notice Pays part of a user's credit to `_to`.
+     */
+    function debit(address _user, uint256 _amount, address _to) external;
+
+    /**
+     * @notice Returns how many more units of `_metric` a user's subscription to an asset
+     * covers in the current period (type(uint256).max if unlimited).
+     */
+    function subscriptionUnitsLeft(address _user, uint256 _assetId, uint8 _metric) external view returns (uint256);
+
+    /**
+     * @notice Records units used under a user's subscription.
+     */
+    function consumeUnits(address _user, uint256 _assetId, uint256 _units) external;
+}
@@ -19,4 +19,50 @@ interface IEscrow {
         uint256 amount,
         address paymentSplitter
     ) external;
+
+    /**
+     * @notice Places a new payment made in `token` into escrow. The token must be USDC or on
+     * the FeeTreasury's payment token allow-list.
+     */
+    function holdPaymentInToken(
+        uint256 assetId,
+        address user,
+        address token,
+        uint256 amount,
+        address paymentSplitter
+    ) external;
+
+    /**
+     * @notice Returns the default payment token (USDC).
+     */
+    function usdc() external view returns (address);
+
+    /**
+     * @notice Returns true if payments may be held in `token`.
+     */
+    function isAcceptedToken(address token) external view returns (bool);
+
+    /**
+     * @notice Returns an escrow item; `status` is the index of the Escrow.Status value
+     * (Held, Disputed, Released, Refunded, PartiallyRefunded). Unknown IDs return an empty item.
+     */
+    function escrows(uint256 escrowId)
+        external
+        view
+        returns (
+            uint256 id,
+            address user,
+            uint256 assetId,
+            uint256 amount,
+            address paymentSplitter,
+            uint256 releaseTime,
+            uint8 status,
+            uint256 disputeDeadline,
+            address token
+        );
+
+    /**
+     * @notice Returns the number of escrow items created; IDs run from 1 to this number.
+     */
+    function escrowCount() external view returns (uint256);
 }
@@ -17,4 +17,30 @@ interface IFeeTreasury {
      * @return The address of the treasury multisig.
      */
     function treasuryMultisig() external view returns (address);
+
+    /**
+     * @notice Returns the fee charged on a payment for an asset, taking per-asset and
+     * per-license overrides and the payment token's volume tiers into account.
+     * @param assetId The ID of the asset paid for.
+     * @param licenseId The asset's license ID.
+     * @param token The payment token.
+     * @param settledRevenue The asset's revenue settled in `token` before this payment.
+     * @return The fee in basis points.
+     */
+    function feeBpsFor(
+        uint256 assetId,
+        uint256 licenseId,
+        address token,
+        uint256 settledRevenue
+    ) external view returns (uint16);
+
+    /**
+     * @notice Returns true if payments may be made in `token` besides USDC.
+     */
+    function isPaymentToken(address token) external view returns (bool);
+
+    /**
+     * @notice Returns the address that fees collected in `token` are sent to.
+     */
+    function treasuryFor(address token) external view returns (address);
 }
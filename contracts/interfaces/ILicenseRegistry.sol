@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ILicenseRegistry Interface
+ * @notice Defines the external functions for the LicenseRegistry contract used at settlement time.
+ */
+interface ILicenseRegistry {
+    /**
+     * @notice Checks whether an asset's current license permits a given kind of usage.
+     * @param _assetId The token ID of the asset.
+     * @param _usageType The usage type (see LicenseRegistry's USAGE_* constants).
+     * @param _commercial True if the usage is commercial.
+     * @return True if the usage is permitted, false otherwise.
+     */
+    function isAssetUsagePermitted(uint256 _assetId, uint8 _usageType, bool _commercial) external view returns (bool);
+
+    /**
+     * @notice Checks whether a license allows assets to be priced with a given metric.
+     * @param _licenseId The ID of the license.
+     * @param _metric The pricing metric's bit position.
+     * @return True if the metric is allowed, false otherwise.
+     */
+    function isMetricAllowed(uint256 _licenseId, uint8 _metric) external view returns (bool);
+
+    /**
+     * @notice Checks whether an asset's current license allows pricing with a given metric.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric (see PricingModule's METRIC_* constants).
+     * @return True if the metric is allowed, false otherwise.
+     */
+    function isAssetMetricAllowed(uint256 _assetId, uint8 _metric) external view returns (bool);
+}
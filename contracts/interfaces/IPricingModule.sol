@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPricingModule Interface
+ * @notice Defines the external functions for the PricingModule contract used at settlement time.
+ */
+interface IPricingModule {
+    /**
+     * @notice Prices a quantity of usage against an asset's current rate card.
+     * @param _assetId The token ID of the asset.
+     * @param _metric The pricing metric (see PricingModule's METRIC_* constants).
+     * @param _units The metered quantity.
+     * @return price The current price per pricing unit (0 if the metric is not offered).
+     * @return charge The amount owed in USDC base units.
+     */
+    function quote(uint256 _assetId, uint8 _metric, uint256 _units) external view returns (uint256 price, uint256 charge);
+
+    /**
+     * @notice Prices a quantity of usage against an asset's rate card in a payment token other than USDC.
+     * @return price The current price per pricing unit in `_token` (0 if the metric is not offered).
+     * @return charge The amount owed in `_token` base units.
+     */
+    function quoteInToken(uint256 _assetId, address _token, uint8 _metric, uint256 _units)
+        external
+        view
+        returns (uint256 price, uint256 charge);
+}
@@ -7,12 +7,22 @@ pragma solidity ^0.8.20;
  */
 interface IProvenanceGraph {
     /**
-     * @notice Represents a link in the provenance graph.
-     * @param target The address of the contributor or the parent asset's contract.
-     * @param weightBps The share allocated to the target in basis points (1/10000).
+     * @notice Represents a contributor's share in an asset's provenance graph.
+     * @param contributor The wallet address of the contributor.
+     * @param weightBps The share allocated to the contributor in basis points (1/10000).
      */
-    struct Edge {
-        address target;
+    struct ContributorEdge {
+        address contributor;
+        uint16 weightBps;
+    }
+
+    /**
+     * @notice Represents a parent asset's share in a derived asset's provenance graph.
+     * @param parentAssetId The token ID of the parent asset.
+     * @param weightBps The share allocated to the parent asset in basis points (1/10000).
+     */
+    struct ParentEdge {
+        uint256 parentAssetId;
         uint16 weightBps;
     }
 
@@ -24,17 +34,23 @@ interface IProvenanceGraph {
     function isFinalized(uint256 _assetId) external view returns (bool);
 
     /**
-     * @notice Retrieves all contributor edges for a given asset.
+     * @notice Returns the adopted revision of an asset's provenance graph.
      * @param _assetId The ID of the asset.
-     * @return An array of Edge structs representing the contributors.
+     * @return The revision number, or 0 if the graph is not finalized.
      */
-    function getContributorEdges(uint256 _assetId) external view returns (Edge[] memory);
+    function currentRevision(uint256 _assetId) external view returns (uint256);
 
     /**
-     * @notice Retrieves all parent asset edges for a given asset.
+     * @notice Retrieves all contributor edges of the current revision of a given asset.
      * @param _assetId The ID of the asset.
-     * @return An array of Edge structs representing the parent assets.
+     * @return An array of ContributorEdge structs representing the contributors.
      */
-    function getParentEdges(uint256 _assetId) external view returns (Edge[] memory);
-}
+    function getContributorEdges(uint256 _assetId) external view returns (ContributorEdge[] memory);
 
+    /**
+     * @notice Retrieves all parent asset edges of the current revision of a given asset.
+     * @param _assetId The ID of the asset.
+     * @return An array of ParentEdge structs representing the parent assets.
+     */
+    function getParentEdges(uint256 _assetId) external view returns (ParentEdge[] memory);
+}
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./ISplitBackend.sol";
+
 /**
  * @title IRoyaltySplitFactory Interface
  * @notice Defines the external functions for the RoyaltySplitFactory contract
@@ -8,10 +10,28 @@ pragma solidity ^0.8.20;
  */
 interface IRoyaltySplitFactory {
     /**
-     * @notice Returns the address of the PaymentSplitter contract created for a specific asset.
+     * @notice Returns the address of the RoyaltySplitter created for a specific asset.
      * @param _assetId The ID of the asset.
-     * @return The address of the deployed PaymentSplitter for that asset. Returns the zero
-     * address if a splitter has not been created for the assetId.
+     * @return The address of the deployed splitter for the asset's newest revision. Returns the
+     * zero address if a splitter has not been created for the assetId.
      */
     function assetIdToSplitter(uint256 _assetId) external view returns (address);
+
+    /**
+     * @notice Returns the deterministic address of the splitter for a revision of an asset.
+     * @param _assetId The ID of the asset.
+     * @param _revision The provenance graph revision (1 for the graph as first finalized).
+     * @return The address the splitter is, or will be, deployed at.
+     */
+    function predictSplitterAddress(uint256 _assetId, uint256 _revision) external view returns (address);
+
+    /**
+     * @notice Returns the external split backend, or the zero address for built-in RoyaltySplitter clones.
+     */
+    function splitBackend() external view returns (ISplitBackend);
+
+    /**
+     * @notice Returns the RoyaltySplitter implementation the built-in splitters are clones of.
+     */
+    function splitterImplementation() external view returns (address);
 }
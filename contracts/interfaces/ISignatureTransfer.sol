@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISignatureTransfer Interface
+ * @notice The subset of Uniswap's Permit2 SignatureTransfer interface used to pull USDC
+ * from a user with a one-off signature instead of a standing approval.
+ */
+interface ISignatureTransfer {
+    /**
+     * @notice The token and amount a permit signature authorizes.
+     */
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /**
+     * @notice The signed permit: the permitted token and amount, an unordered nonce and a deadline.
+     */
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @notice Where the permitted tokens go and how many are actually pulled.
+     */
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @notice Transfers tokens from `owner` using a signed permit whose spender is the caller.
+     * @param permit The permit data signed over by the owner.
+     * @param transferDetails The recipient and requested amount (at most the permitted amount).
+     * @param owner The owner of the tokens and signer of the permit.
+     * @param signature The owner's signature over the permit data.
+     */
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
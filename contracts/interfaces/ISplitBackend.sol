@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title ISplitBackend Interface
+ * @notice An external split implementation RoyaltySplitFactory can deploy royalty splits with,
+ * in place of its built-in RoyaltySplitter clones.
+ * @dev Splits must be immutable once created: the factory records each split's parent links at
+ * creation and relies on them never changing.
+ */
+interface ISplitBackend {
+    /**
+     * @notice Creates (or reuses an identical) split paying `_payees` in proportion to `_shares`.
+     * @param _salt A value unique to the asset and graph revision, for backends that use CREATE2.
+     * @param _payees The accounts to pay.
+     * @param _shares The relative share of each account.
+     * @return split The address royalties should be sent to.
+     */
+    function createSplit(bytes32 _salt, address[] calldata _payees, uint256[] calldata _shares) external returns (address split);
+
+    /**
+     * @notice Returns the amount of `_token` that `release` would currently send to `_payee`.
+     * @dev Includes `withdrawable(_token, _payee)`, since releasing pays that out too.
+     */
+    function releasable(address _split, IERC20 _token, address _payee) external view returns (uint256);
+
+    /**
+     * @notice Returns the amount of `_token` the backend already holds for `_payee`, from any
+     * of its splits, waiting to be paid out. Zero for backends that pay out directly.
+     */
+    function withdrawable(IERC20 _token, address _payee) external view returns (uint256);
+
+    /**
+     * @notice Sends `_payee` everything it is owed in `_token` by `_split`.
+     * @dev Must not revert when nothing is owed.
+     */
+    function release(address _split, IERC20 _token, address _payee) external;
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title ISplitMain Interface
+ * @notice The subset of 0xSplits' SplitMain (v1) used by SplitMainBackend.
+ * @dev Allocations are out of PERCENTAGE_SCALE (1e6); accounts must be sorted ascending with no
+ * duplicates. A split created without a controller is immutable and its address depends only
+ * on its accounts, allocations and distributor fee.
+ */
+interface ISplitMain {
+    function PERCENTAGE_SCALE() external view returns (uint256);
+
+    function createSplit(
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee,
+        address controller
+    ) external returns (address split);
+
+    function predictImmutableSplitAddress(
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee
+    ) external view returns (address split);
+
+    function distributeERC20(
+        address split,
+        IERC20 token,
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee,
+        address distributorAddress
+    ) external;
+
+    function withdraw(address account, uint256 withdrawETH, IERC20[] calldata tokens) external;
+
+    /**
+     * @notice Returns `account`'s withdrawable balance, plus the undistributed balance held by
+     * `account` itself if it is a split.
+     */
+    function getERC20Balance(address account, IERC20 token) external view returns (uint256);
+
+    function getHash(address split) external view returns (bytes32);
+}
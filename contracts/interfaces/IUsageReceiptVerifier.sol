@@ -12,10 +12,15 @@ interface IUsageReceiptVerifier {
      */
     struct UsageReceipt {
         uint256 assetId;
-        uint256 amount;
+        uint8 metric;
+        uint256 units;
+        uint256 unitPrice;
         address user;
         uint256 nonce;
         uint256 deadline;
+        uint8 usageType;
+        bool commercial;
+        address token;
     }
 
     /**
@@ -24,4 +29,18 @@ interface IUsageReceiptVerifier {
      * @param _signature The EIP-712 signature from the user.
      */
     function verifyAndPayWithReceipt(UsageReceipt calldata _receipt, bytes calldata _signature) external;
+
+    /**
+     * @notice Verifies and settles many signed receipts, opening one Escrow hold per (asset, user, token).
+     * @param _receipts The UsageReceipt structs containing payment details.
+     * @param _signatures The EIP-712 signatures, one per receipt.
+     * @param _revertOnFailure True to revert the whole batch on the first invalid receipt,
+     * false to skip invalid receipts and report them via events.
+     * @return settled For each receipt, whether it was settled.
+     */
+    function verifyAndPayBatch(
+        UsageReceipt[] calldata _receipts,
+        bytes[] calldata _signatures,
+        bool _revertOnFailure
+    ) external returns (bool[] memory settled);
 }
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/ISignatureTransfer.sol";
+
+/**
+ * @title MockPermit2
+ * @notice A minimal stand-in for Uniswap's Permit2 SignatureTransfer, for tests only.
+ * @dev Uses the same "Permit2" EIP-712 domain and PermitTransferFrom type hashes as the real
+ * contract, so signatures produced for it are shaped like production ones.
+ */
+contract MockPermit2 is ISignatureTransfer {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    error SignatureExpired(uint256 deadline);
+    error InvalidAmount(uint256 maxAmount);
+    error InvalidNonce();
+    error InvalidSigner();
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > permit.deadline) revert SignatureExpired(permit.deadline);
+        if (transferDetails.requestedAmount > permit.permitted.amount) revert InvalidAmount(permit.permitted.amount);
+        if (usedNonces[owner][permit.nonce]) revert InvalidNonce();
+        usedNonces[owner][permit.nonce] = true;
+
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (ECDSA.recover(digest, signature) != owner) revert InvalidSigner();
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockPermitUSDC
+ * @notice A freely mintable 6-decimal stablecoin with EIP-2612 permit support, for tests only.
+ */
+contract MockPermitUSDC is ERC20, ERC20Permit {
+    constructor() ERC20("Mock USDC", "mUSDC") ERC20Permit("Mock USDC") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
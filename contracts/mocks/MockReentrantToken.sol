@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockReentrantToken
+ * @notice A freely mintable ERC20 that calls back into a contract when that contract sends
+ * tokens, for reentrancy tests only.
+ * @dev The callback runs once per `setCallback`. Its outcome is recorded instead of bubbled
+ * up, so the outer transfer still succeeds when the reentrant call is rejected.
+ */
+contract MockReentrantToken is ERC20 {
+    address public callbackTarget;
+    bytes public callbackData;
+    bool public reentered;
+    bool public reentrySucceeded;
+
+    constructor() ERC20("Mock Reentrant Token", "mRT") {}
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    /**
+     * @notice Calls `_target` with `_data` on the next transfer out of `_target`.
+     */
+    function setCallback(address _target, bytes calldata _data) external {
+        callbackTarget = _target;
+        callbackData = _data;
+    }
+
+    function _afterTokenTransfer(address _from, address, uint256) internal override {
+        address target = callbackTarget;
+        if (target == address(0) || _from != target) return;
+
+        callbackTarget = address(0);
+        reentered = true;
+        (reentrySucceeded, ) = target.call(callbackData);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../AssetMarketplace.sol";
+
+/**
+ * @title MockRejectingBidder
+ * @notice A contract that bids on marketplace auctions but rejects every ERC1155 transfer to
+ * it, for settlement tests only.
+ */
+contract MockRejectingBidder {
+    AssetMarketplace public immutable marketplace;
+
+    constructor(address _marketplace, address _usdc) {
+        marketplace = AssetMarketplace(_marketplace);
+        IERC20(_usdc).approve(_marketplace, type(uint256).max);
+    }
+
+    function bid(uint256 _listingId, uint256 _amount) external {
+        marketplace.bid(_listingId, _amount);
+    }
+
+    function claimAsset(uint256 _listingId, address _to) external {
+        marketplace.claimAsset(_listingId, _to);
+    }
+
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        revert("MockRejectingBidder: rejected");
+    }
+}
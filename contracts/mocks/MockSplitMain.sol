@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISplitMain.sol";
+
+/**
+ * @title MockSplitWallet
+ * @notice The wallet each mock split is a clone of. Holds the split's funds until distributed.
+ */
+contract MockSplitWallet {
+    using SafeERC20 for IERC20;
+
+    address public immutable splitMain;
+
+    error Unauthorized();
+
+    constructor() {
+        splitMain = msg.sender;
+    }
+
+    function sendERC20ToMain(IERC20 token, uint256 amount) external {
+        if (msg.sender != splitMain) revert Unauthorized();
+        token.safeTransfer(splitMain, amount);
+    }
+}
+
+/**
+ * @title MockSplitMain
+ * @notice A minimal stand-in for 0xSplits' SplitMain (v1), for tests only.
+ * @dev Follows the real contract's validation, split hashing and CREATE2 clone addressing for
+ * immutable splits, its getERC20Balance semantics and its gas-saving dust: a distribution
+ * leaves 1 wei in the split's wallet and SplitMain balance, and a withdrawal leaves 1 wei in
+ * the account's balance. Mutable (controlled) splits and ETH are left out.
+ */
+contract MockSplitMain is ISplitMain {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant PERCENTAGE_SCALE = 1e6;
+    uint256 internal constant MAX_DISTRIBUTOR_FEE = 1e5;
+
+    address public immutable walletImplementation;
+
+    mapping(address => bytes32) private _splitHashes;
+    mapping(IERC20 => mapping(address => uint256)) private _erc20Balances;
+
+    event CreateSplit(address indexed split);
+    event DistributeERC20(address indexed split, IERC20 indexed token, uint256 amount, address indexed distributorAddress);
+    event Withdrawal(address indexed account, IERC20 indexed token, uint256 amount);
+
+    error InvalidSplit__TooFewAccounts(uint256 accountsLength);
+    error InvalidSplit__AccountsAndAllocationsMismatch(uint256 accountsLength, uint256 allocationsLength);
+    error InvalidSplit__InvalidAllocationsSum(uint32 allocationsSum);
+    error InvalidSplit__AccountsOutOfOrder(uint256 index);
+    error InvalidSplit__AllocationMustBePositive(uint256 index);
+    error InvalidSplit__InvalidDistributorFee(uint32 distributorFee);
+    error InvalidSplit__InvalidHash(bytes32 hash);
+    error MutableSplitsUnsupported();
+
+    constructor() {
+        walletImplementation = address(new MockSplitWallet());
+    }
+
+    function createSplit(
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee,
+        address controller
+    ) external returns (address split) {
+        if (controller != address(0)) revert MutableSplitsUnsupported();
+        _validateSplit(accounts, percentAllocations, distributorFee);
+
+        bytes32 splitHash = _hashSplit(accounts, percentAllocations, distributorFee);
+        split = Clones.cloneDeterministic(walletImplementation, splitHash);
+        _splitHashes[split] = splitHash;
+        emit CreateSplit(split);
+    }
+
+    function predictImmutableSplitAddress(
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee
+    ) external view returns (address split) {
+        _validateSplit(accounts, percentAllocations, distributorFee);
+        split = Clones.predictDeterministicAddress(walletImplementation, _hashSplit(accounts, percentAllocations, distributorFee));
+    }
+
+    function distributeERC20(
+        address split,
+        IERC20 token,
+        address[] calldata accounts,
+        uint32[] calldata percentAllocations,
+        uint32 distributorFee,
+        address distributorAddress
+    ) external {
+        bytes32 splitHash = _hashSplit(accounts, percentAllocations, distributorFee);
+        if (_splitHashes[split] != splitHash) revert InvalidSplit__InvalidHash(splitHash);
+
+        uint256 mainBalance = _erc20Balances[token][split];
+        uint256 walletBalance = token.balanceOf(split);
+        if (mainBalance > 0) mainBalance -= 1;
+        if (walletBalance > 0) walletBalance -= 1;
+        uint256 amountToSplit = mainBalance + walletBalance;
+        if (mainBalance > 0) _erc20Balances[token][split] = 1;
+        if (walletBalance > 0) MockSplitWallet(split).sendERC20ToMain(token, walletBalance);
+
+        emit DistributeERC20(split, token, amountToSplit, distributorAddress);
+
+        if (distributorFee != 0) {
+            uint256 fee = (amountToSplit * distributorFee) / PERCENTAGE_SCALE;
+            _erc20Balances[token][distributorAddress != address(0) ? distributorAddress : msg.sender] += fee;
+            amountToSplit -= fee;
+        }
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _erc20Balances[token][accounts[i]] += (amountToSplit * percentAllocations[i]) / PERCENTAGE_SCALE;
+        }
+    }
+
+    function withdraw(address account, uint256 withdrawETH, IERC20[] calldata tokens) external {
+        require(withdrawETH == 0, "MockSplitMain: ETH not supported");
+        for (uint256 i = 0; i < tokens.length; i++) {
+            // Reverts on a zero balance, like the real contract.
+            uint256 amount = _erc20Balances[tokens[i]][account] - 1;
+            _erc20Balances[tokens[i]][account] = 1;
+            tokens[i].safeTransfer(account, amount);
+            emit Withdrawal(account, tokens[i], amount);
+        }
+    }
+
+    function getERC20Balance(address account, IERC20 token) external view returns (uint256) {
+        return _erc20Balances[token][account] + (_splitHashes[account] != 0 ? token.balanceOf(account) : 0);
+    }
+
+    function getHash(address split) external view returns (bytes32) {
+        return _splitHashes[split];
+    }
+
+    function _validateSplit(address[] calldata accounts, uint32[] calldata percentAllocations, uint32 distributorFee) internal pure {
+        if (accounts.length < 2) revert InvalidSplit__TooFewAccounts(accounts.length);
+        if (accounts.length != percentAllocations.length) {
+            revert InvalidSplit__AccountsAndAllocationsMismatch(accounts.length, percentAllocations.length);
+        }
+        uint32 sum;
+        for (uint256 i = 0; i < percentAllocations.length; i++) {
+            if (percentAllocations[i] == 0) revert InvalidSplit__AllocationMustBePositive(i);
+            sum += percentAllocations[i];
+            if (i > 0 && accounts[i] <= accounts[i - 1]) revert InvalidSplit__AccountsOutOfOrder(i - 1);
+        }
+        if (sum != PERCENTAGE_SCALE) revert InvalidSplit__InvalidAllocationsSum(sum);
+        if (distributorFee > MAX_DISTRIBUTOR_FEE) revert InvalidSplit__InvalidDistributorFee(distributorFee);
+    }
+
+    function _hashSplit(address[] calldata accounts, uint32[] calldata percentAllocations, uint32 distributorFee) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(accounts, percentAllocations, distributorFee));
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TestPresets
+ * @notice Brings the OpenZeppelin presets the tests deploy by name into the compilation, for
+ * tests only. Hardhat only builds artifacts for sources reachable from `contracts/`.
+ */
+import "@openzeppelin/contracts/token/ERC20/presets/ERC20PresetMinterPauser.sol";
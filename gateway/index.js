@@ -0,0 +1,57 @@
+const { ethers } = require("ethers");
+const { buildDomain } = require("../sdk/usageReceipts");
+const { ReceiptStore } = require("./store");
+const { Settler } = require("./settler");
+const { createServer } = require("./server");
+
+/**
+ * @title Settlement gateway
+ * @author Hassan Ali
+ * @notice Runs the receipt API and the periodic settler together.
+ * @dev Configured through the environment:
+ * - GATEWAY_RPC_URL             JSON-RPC endpoint (default: a local Hardhat node)
+ * - GATEWAY_VERIFIER_ADDRESS    UsageReceiptVerifier address (required)
+ * - GATEWAY_VERIFIER_KEY        Private key of an account holding VERIFIER_ROLE (required)
+ * - GATEWAY_PORT                HTTP port (default: 8080)
+ * - GATEWAY_STORE_PATH          JSON file for the receipt store (default: ./gateway-data/receipts.json)
+ * - GATEWAY_BATCH_SIZE          Maximum receipts per settlement transaction (default: 50)
+ * - GATEWAY_SETTLE_INTERVAL_MS  Time between settlement runs (default: 15000)
+ */
+async function main() {
+    const verifierAddress = process.env.GATEWAY_VERIFIER_ADDRESS;
+    const verifierKey = process.env.GATEWAY_VERIFIER_KEY;
+    if (!verifierAddress || !verifierKey) {
+        throw new Error("GATEWAY_VERIFIER_ADDRESS and GATEWAY_VERIFIER_KEY must be set");
+    }
+
+    const provider = new ethers.JsonRpcProvider(process.env.GATEWAY_RPC_URL || "http://127.0.0.1:8545");
+    const signer = new ethers.Wallet(verifierKey, provider);
+    const store = new ReceiptStore(process.env.GATEWAY_STORE_PATH || "./gateway-data/receipts.json");
+    const domain = await buildDomain(verifierAddress, provider);
+
+    const settler = new Settler({
+        store,
+        signer,
+        verifierAddress,
+        batchSize: Number(process.env.GATEWAY_BATCH_SIZE || 50),
+        intervalMs: Number(process.env.GATEWAY_SETTLE_INTERVAL_MS || 15000)
+    });
+    const server = createServer({ store, domain, provider });
+
+    const port = Number(process.env.GATEWAY_PORT || 8080);
+    server.listen(port, () => console.log(`gateway listening on :${port}, settling to ${verifierAddress}`));
+    settler.start();
+
+    const shutdown = async () => {
+        server.close();
+        await settler.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,159 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { VERIFIER_ABI, normalizeReceipt, verifyReceiptSignature } = require("../sdk/usageReceipts");
+const { ReceiptStore, Status } = require("./store");
+
+/**
+ * @title Gateway HTTP API
+ * @author Hassan Ali
+ * @notice Accepts signed usage receipts and reports their settlement status.
+ * @dev Endpoints:
+ * - POST /receipts            Body `{ receipt, signature }` or `{ receipts: [{ receipt, signature }, ...] }`.
+ *                             Each item is reported as created, duplicate, conflict or rejected.
+ * - GET  /receipts/:user/:nonce  The stored record for one receipt.
+ * - GET  /receipts?user=0x...    Every record for a user, in nonce order.
+ * - GET  /health              Queue counts by status.
+ * Resubmitting a receipt is safe: the same (user, nonce, signature) returns the stored record.
+ */
+
+// Largest request body accepted, in bytes.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Creates the gateway's HTTP server. Call `listen` on the result to start it.
+ * @param {object} options
+ * @param {ReceiptStore} options.store The gateway's receipt store.
+ * @param {ethers.TypedDataDomain} options.domain The verifier's EIP-712 domain.
+ * @param {ethers.Provider} options.provider Used to read nonces and the chain time.
+ * @returns {http.Server}
+ */
+function createServer({ store, domain, provider }) {
+    const verifier = new ethers.Contract(domain.verifyingContract, VERIFIER_ABI, provider);
+
+    async function acceptReceipt(item) {
+        let receipt;
+        try {
+            receipt = normalizeReceipt(item && item.receipt);
+        } catch (error) {
+            return { status: "rejected", error: error.message };
+        }
+        const signature = item.signature;
+        const id = ReceiptStore.key(receipt.user, receipt.nonce);
+
+        const existing = store.get(receipt.user, receipt.nonce);
+        if (existing && existing.status !== Status.FAILED) return heldResult(id, existing, signature);
+
+        if (typeof signature !== "string" || !verifyReceiptSignature(domain, receipt, signature)) {
+            return { id, status: "rejected", error: "InvalidSignature" };
+        }
+        const block = await provider.getBlock("latest");
+        if (receipt.deadline < BigInt(block.timestamp)) {
+            return { id, status: "rejected", error: "ReceiptExpired" };
+        }
+        if (await verifier.isNonceUsed(receipt.user, receipt.nonce)) {
+            return { id, status: "rejected", error: "NonceAlreadyUsed" };
+        }
+
+        // A concurrent submission may have stored this nonce while the chain was being read.
+        const { record, created } = store.add(receipt, signature);
+        if (!created) return heldResult(id, record, signature);
+        return { id, status: "created", record };
+    }
+
+    async function route(req) {
+        const url = new URL(req.url, "http://localhost");
+        const parts = url.pathname.split("/").filter(Boolean);
+
+        if (req.method === "GET" && url.pathname === "/health") {
+            return [200, { status: "ok", receipts: store.counts() }];
+        }
+
+        if (parts[0] !== "receipts") throw new HttpError(404, "Not found");
+
+        if (req.method === "POST" && parts.length === 1) {
+            const body = await readJson(req);
+            const items = Array.isArray(body.receipts) ? body.receipts : [body];
+            const results = [];
+            for (const item of items) results.push(await acceptReceipt(item));
+            return [Array.isArray(body.receipts) ? 200 : statusCodeFor(results[0]), { results }];
+        }
+
+        if (req.method === "GET" && parts.length === 1) {
+            const user = url.searchParams.get("user");
+            if (!user || !ethers.isAddress(user)) throw new HttpError(400, "A valid user query parameter is required");
+            return [200, { records: store.listByUser(user) }];
+        }
+
+        if (req.method === "GET" && parts.length === 3) {
+            if (!ethers.isAddress(parts[1]) || !/^\d+$/.test(parts[2])) throw new HttpError(400, "Malformed receipt key");
+            const record = store.get(parts[1], parts[2]);
+            if (!record) throw new HttpError(404, "Receipt not found");
+            return [200, record];
+        }
+
+        throw new HttpError(405, "Method not allowed");
+    }
+
+    return http.createServer(async (req, res) => {
+        let statusCode;
+        let payload;
+        try {
+            [statusCode, payload] = await route(req);
+        } catch (error) {
+            statusCode = error.statusCode || 500;
+            payload = { error: statusCode === 500 ? "Internal error" : error.message };
+        }
+        res.writeHead(statusCode, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+    });
+}
+
+// Reports a submission for a (user, nonce) that already has a record: a retry if the signature
+// matches, otherwise a conflict.
+function heldResult(id, record, signature) {
+    if (record.signature === signature) return { id, status: "duplicate", record };
+    return { id, status: "conflict", error: "A different receipt is already held for this nonce" };
+}
+
+// Maps the outcome of a single submission onto an HTTP status code.
+function statusCodeFor(result) {
+    switch (result.status) {
+        case "created": return 202;
+        case "duplicate": return 200;
+        case "conflict": return 409;
+        default: return 400;
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, "Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                const parsed = JSON.parse(body);
+                if (!parsed || typeof parsed !== "object") throw new Error();
+                resolve(parsed);
+            } catch {
+                reject(new HttpError(400, "Body must be a JSON object"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,209 @@
+const { ethers } = require("ethers");
+const { VERIFIER_ABI, normalizeReceipt, decodeReceiptError, isUnorderedNonce } = require("../sdk/usageReceipts");
+const { Status } = require("./store");
+
+/**
+ * @title Settler
+ * @author Hassan Ali
+ * @notice Periodically submits queued receipts to UsageReceiptVerifier.verifyAndPayBatch.
+ * @dev The signer must hold VERIFIER_ROLE. Batches run in skip mode, so one bad receipt never
+ * blocks the rest; failures are read back from BatchReceiptFailed events. For each user only
+ * the run of sequential nonces starting at their on-chain nonce is submitted, so a receipt
+ * that arrived out of order simply waits in the queue until the gap before it is filled.
+ * Receipts with unordered nonces are submitted as soon as they arrive. Receipts are marked
+ * submitted with the batch's transaction hash before it is awaited, and the next flush
+ * settles the outcome of any batch left in that state, so a restart never reports a
+ * receipt that settled as failed.
+ */
+class Settler {
+    /**
+     * @param {object} options
+     * @param {ReceiptStore} options.store The gateway's receipt store.
+     * @param {ethers.Signer} options.signer A signer holding VERIFIER_ROLE.
+     * @param {string} options.verifierAddress The UsageReceiptVerifier address.
+     * @param {number} [options.batchSize=50] Maximum receipts per transaction.
+     * @param {number} [options.intervalMs=15000] Time between automatic flushes.
+     * @param {object} [options.logger=console] Receives `info` and `error` calls.
+     */
+    constructor({ store, signer, verifierAddress, batchSize = 50, intervalMs = 15000, logger = console }) {
+        this.store = store;
+        this.verifier = new ethers.Contract(verifierAddress, VERIFIER_ABI, signer);
+        this.batchSize = batchSize;
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        this._timer = null;
+        this._flushing = null;
+    }
+
+    /**
+     * Starts flushing the queue every `intervalMs`.
+     */
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.flush().catch((error) => this.logger.error(`settlement failed: ${error.message}`));
+        }, this.intervalMs);
+    }
+
+    /**
+     * Stops the automatic flushes and waits for one in progress to finish.
+     */
+    async stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this._flushing) await this._flushing.catch(() => {});
+    }
+
+    /**
+     * Submits one batch of ready receipts and records the outcome of each.
+     * @dev Concurrent calls share the flush already in progress rather than double-submitting.
+     * @returns {Promise<{txHash: string, settled: number, failed: number}|null>} Null if nothing was ready.
+     */
+    flush() {
+        if (!this._flushing) {
+            this._flushing = this._flush().finally(() => {
+                this._flushing = null;
+            });
+        }
+        return this._flushing;
+    }
+
+    async _flush() {
+        await this._reconcile();
+        const batch = await this._nextBatch();
+        if (batch.length === 0) return null;
+
+        const receipts = batch.map((record) => normalizeReceipt(record.receipt));
+        const signatures = batch.map((record) => record.signature);
+        const tx = await this.verifier.verifyAndPayBatch(receipts, signatures, false);
+        // Record the transaction before waiting on it, so a crash or a failed wait cannot
+        // lose track of receipts that may already have settled.
+        batch.forEach((record, index) => {
+            this.store.update(record.id, { status: Status.SUBMITTED, error: null, txHash: tx.hash, batchIndex: index });
+        });
+
+        const txReceipt = await tx.wait();
+        const { settled, failed } = await this._recordOutcome(batch, txReceipt);
+        this.logger.info(`settled ${settled}/${batch.length} receipts in ${tx.hash}`);
+        return { txHash: tx.hash, settled, failed };
+    }
+
+    /**
+     * Records the outcome of batches submitted earlier whose transactions were never awaited
+     * to the end, for example because the gateway stopped while they were pending.
+     * @dev A batch still pending is left for the next flush. A batch that reverted or was
+     * dropped consumed no nonces, so its receipts are queued again.
+     */
+    async _reconcile() {
+        const byTx = new Map();
+        for (const record of this.store.listByStatus(Status.SUBMITTED)) {
+            if (!byTx.has(record.txHash)) byTx.set(record.txHash, []);
+            byTx.get(record.txHash).push(record);
+        }
+
+        const provider = this.verifier.runner.provider;
+        for (const [txHash, records] of byTx) {
+            const txReceipt = await provider.getTransactionReceipt(txHash);
+            if (!txReceipt && (await provider.getTransaction(txHash))) continue;
+
+            if (!txReceipt || txReceipt.status !== 1) {
+                for (const record of records) {
+                    this.store.update(record.id, { status: Status.QUEUED, error: txReceipt ? "BatchReverted" : "BatchDropped" });
+                }
+                this.logger.error(`batch ${txHash} was ${txReceipt ? "reverted" : "dropped"}; requeued ${records.length} receipts`);
+                continue;
+            }
+
+            const batch = [];
+            for (const record of records) batch[record.batchIndex] = record;
+            const { settled } = await this._recordOutcome(batch, txReceipt);
+            this.logger.info(`recovered ${settled}/${records.length} settled receipts in ${txHash}`);
+        }
+    }
+
+    /**
+     * Marks each receipt of a mined batch settled or failed, from the batch's
+     * BatchReceiptFailed events.
+     * @param {object[]} batch The records in the order they were submitted.
+     * @param {ethers.TransactionReceipt} txReceipt The mined batch transaction.
+     */
+    async _recordOutcome(batch, txReceipt) {
+        // The configured address may not be checksummed; log addresses always are.
+        const verifierAddress = ethers.getAddress(await this.verifier.getAddress());
+        const failures = new Map();
+        for (const log of txReceipt.logs) {
+            if (ethers.getAddress(log.address) !== verifierAddress) continue;
+            const event = this._parseLog(log);
+            if (event && event.name === "BatchReceiptFailed") {
+                failures.set(Number(event.args.index), decodeReceiptError(event.args.reason));
+            }
+        }
+
+        let settled = 0;
+        batch.forEach((record, index) => {
+            const failure = failures.get(index);
+            if (!failures.has(index)) {
+                settled++;
+                this.store.update(record.id, { status: Status.SETTLED, error: null, txHash: txReceipt.hash });
+            } else if (_waitsOnEarlierNonce(failure)) {
+                // An earlier receipt from this user failed; retry once the gap is refilled.
+                this.store.update(record.id, { status: Status.QUEUED, error: failure.name });
+            } else {
+                this.store.update(record.id, { status: Status.FAILED, error: failure ? failure.name : "Unknown", txHash: txReceipt.hash });
+            }
+        });
+        return { settled, failed: failures.size };
+    }
+
+    /**
+     * Picks up to `batchSize` queued receipts that can settle now: for each user, the
+     * consecutive nonces starting at their on-chain nonce, and every unused unordered nonce.
+     * Receipts whose nonce is already used were settled through another path or cancelled
+     * and are marked failed.
+     */
+    async _nextBatch() {
+        const byUser = new Map();
+        for (const record of this.store.listByStatus(Status.QUEUED)) {
+            const user = record.receipt.user;
+            if (!byUser.has(user)) byUser.set(user, []);
+            byUser.get(user).push(record);
+        }
+
+        const batch = [];
+        for (const [user, records] of byUser) {
+            let expected = await this.verifier.nonces(user);
+            for (const record of records) {
+                if (batch.length === this.batchSize) break;
+                const nonce = BigInt(record.receipt.nonce);
+                const used = isUnorderedNonce(nonce) ? await this.verifier.isNonceUsed(user, nonce) : nonce < expected;
+                if (used) {
+                    this.store.update(record.id, { status: Status.FAILED, error: "NonceAlreadyUsed" });
+                    continue;
+                }
+                if (isUnorderedNonce(nonce)) {
+                    batch.push(record);
+                } else if (nonce === expected) {
+                    batch.push(record);
+                    expected++;
+                }
+                // Otherwise the receipt waits until the gap before it is filled.
+            }
+        }
+        return batch;
+    }
+
+    _parseLog(log) {
+        try {
+            return this.verifier.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+    }
+}
+
+// True if the receipt only failed because the nonce before it was not consumed.
+function _waitsOnEarlierNonce(failure) {
+    return failure && failure.name === "InvalidNonce" && failure.args.expected < failure.args.actual;
+}
+
+module.exports = { Settler };
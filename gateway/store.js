@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title ReceiptStore
+ * @author Hassan Ali
+ * @notice Local store of the receipts accepted by the gateway, keyed by (user, nonce).
+ * @dev Keeping one record per (user, nonce) is what makes submission idempotent: a receipt
+ * can only ever be settled once on-chain, so a second submission for the same key is either a
+ * harmless retry (same signature) or a conflict. Records are kept in memory and, when a file
+ * path is given, written through to a JSON file so the queue survives restarts.
+ */
+
+// Lifecycle of a stored receipt.
+const Status = Object.freeze({
+    QUEUED: "queued",       // Accepted, waiting to be submitted
+    SUBMITTED: "submitted", // Sent in `txHash`, whose outcome is not recorded yet
+    SETTLED: "settled",     // Settled on-chain and held in Escrow
+    FAILED: "failed"        // Rejected on-chain; may be replaced by a new signature
+});
+
+class ReceiptStore {
+    /**
+     * @param {string} [filePath] JSON file to persist to. In-memory only if omitted.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this._records = new Map();
+
+        if (filePath && fs.existsSync(filePath)) {
+            for (const record of JSON.parse(fs.readFileSync(filePath, "utf8"))) {
+                this._records.set(record.id, record);
+            }
+        }
+    }
+
+    /**
+     * Returns the record ID for a (user, nonce) pair.
+     */
+    static key(user, nonce) {
+        return `${user.toLowerCase()}:${BigInt(nonce).toString()}`;
+    }
+
+    /**
+     * Returns the record for a (user, nonce) pair, or undefined.
+     */
+    get(user, nonce) {
+        return this._records.get(ReceiptStore.key(user, nonce));
+    }
+
+    /**
+     * Stores a receipt unless one is already held for its (user, nonce).
+     * @dev A failed record is replaced, since its nonce was never consumed on-chain.
+     * @param {object} receipt A normalized receipt.
+     * @param {string} signature The user's signature.
+     * @returns {{record: object, created: boolean}} The stored record, and false if it already existed.
+     */
+    add(receipt, signature) {
+        const id = ReceiptStore.key(receipt.user, receipt.nonce);
+        const existing = this._records.get(id);
+        if (existing && existing.status !== Status.FAILED) {
+            return { record: existing, created: false };
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            id,
+            receipt: _serialize(receipt),
+            signature,
+            status: Status.QUEUED,
+            error: null,
+            txHash: null,
+            batchIndex: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        this._records.set(id, record);
+        this._save();
+        return { record, created: true };
+    }
+
+    /**
+     * Updates fields of a record and persists the store.
+     */
+    update(id, fields) {
+        const record = this._records.get(id);
+        if (!record) throw new Error(`Unknown receipt ${id}`);
+        Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+        this._save();
+        return record;
+    }
+
+    /**
+     * Returns the records with a given status, ordered by user and then nonce.
+     */
+    listByStatus(status) {
+        return _sorted([...this._records.values()].filter((record) => record.status === status));
+    }
+
+    /**
+     * Returns every record for a user, in nonce order.
+     */
+    listByUser(user) {
+        const prefix = `${user.toLowerCase()}:`;
+        return _sorted([...this._records.values()].filter((record) => record.id.startsWith(prefix)));
+    }
+
+    /**
+     * Returns how many records are in each status.
+     */
+    counts() {
+        const counts = Object.fromEntries(Object.values(Status).map((status) => [status, 0]));
+        for (const record of this._records.values()) counts[record.status]++;
+        return counts;
+    }
+
+    _save() {
+        if (!this.filePath) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write to a temporary file and rename, so a crash never leaves a truncated store.
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify([...this._records.values()], null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+// Receipts are stored with bigints as decimal strings so they survive JSON.
+function _serialize(receipt) {
+    return Object.fromEntries(
+        Object.entries(receipt).map(([name, value]) => [name, typeof value === "bigint" ? value.toString() : value])
+    );
+}
+
+function _sorted(records) {
+    return records.sort((a, b) => {
+        const userA = a.receipt.user.toLowerCase();
+        const userB = b.receipt.user.toLowerCase();
+        if (userA !== userB) return userA < userB ? -1 : 1;
+        const diff = BigInt(a.receipt.nonce) - BigInt(b.receipt.nonce);
+        return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+    });
+}
+
+module.exports = { ReceiptStore, Status };
@@ -1,5 +1,6 @@
 require('dotenv').config();
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 
@@ -10,6 +10,7 @@ const AISmartContractsModule = buildModule("AISmartContracts", (m) => {
   const roleAdmin = m.getParameter("roleAdmin", SAFE_ADDRESS);
   const pauser = m.getParameter("pauser", SAFE_ADDRESS);
   const uriSetter = m.getParameter("uriSetter", SAFE_ADDRESS);
+  const licenseManager = m.getParameter("licenseManager", SAFE_ADDRESS); // Creates license templates
   const arbiter = m.getParameter("arbiter", SAFE_ADDRESS); // For resolving escrow disputes
   
   // These roles might be delegated to more specific, automated addresses.
@@ -27,44 +28,67 @@ const AISmartContractsModule = buildModule("AISmartContracts", (m) => {
   const initialURI = m.getParameter("initialURI", "https://api.yourplatform.com/assets/{id}");
   const eip712Name = m.getParameter("eip712Name", "AIUsageReceipts");
   const eip712Version = m.getParameter("eip712Version", "1");
+  // Zero address: built-in RoyaltySplitter clones. Set to a SplitMainBackend to route royalties through 0xSplits.
+  const splitBackend = m.getParameter("splitBackend", "0x0000000000000000000000000000000000000000");
+  const marketplaceRoyaltyBps = m.getParameter("marketplaceRoyaltyBps", 500); // 5% of each asset sale to its contributors
 
   // --- Contract Deployment Order ---
 
   const AssetToken = m.contract("AssetToken", [defaultAdmin, minter, uriSetter, initialURI], { id: "AssetToken" });
 
+  const LicenseRegistry = m.contract("LicenseRegistry", [defaultAdmin, licenseManager, AssetToken], { id: "LicenseRegistry", after: [AssetToken] });
+
+  const PricingModule = m.contract("PricingModule", [AssetToken, LicenseRegistry], { id: "PricingModule", after: [LicenseRegistry] });
+
   const ContributorRegistry = m.contract("ContributorRegistry", [defaultAdmin, roleAdmin, pauser], { id: "ContributorRegistry", after: [AssetToken] });
 
   const ProvenanceGraph = m.contract("ProvenanceGraph", [AssetToken, ContributorRegistry], { id: "ProvenanceGraph", after: [ContributorRegistry] });
 
-  const RoyaltySplitFactory = m.contract("RoyaltySplitFactory", [ProvenanceGraph], { id: "RoyaltySplitFactory", after: [ProvenanceGraph] });
+  const RoyaltySplitFactory = m.contract("RoyaltySplitFactory", [ProvenanceGraph, splitBackend], { id: "RoyaltySplitFactory", after: [ProvenanceGraph] });
+
+  const RoyaltyClaimAggregator = m.contract("RoyaltyClaimAggregator", [RoyaltySplitFactory], { id: "RoyaltyClaimAggregator", after: [RoyaltySplitFactory] });
   
   const FeeTreasury = m.contract("FeeTreasury", [defaultAdmin, treasuryMultisig, initialFeeBps], { id: "FeeTreasury" });
 
-  const Escrow = m.contract("Escrow", [usdcAddress, FeeTreasury, RoyaltySplitFactory, defaultAdmin, pauser, arbiter, disputeWindowSeconds], { id: "Escrow", after: [RoyaltySplitFactory, FeeTreasury] });
+  // VERIFIER_ROLE starts with the Safe, which grants it to UsageReceiptVerifier once that is deployed.
+  const Escrow = m.contract("Escrow", [defaultAdmin, arbiter, defaultAdmin, usdcAddress, FeeTreasury, AssetToken, disputeWindowSeconds], { id: "Escrow", after: [RoyaltySplitFactory, FeeTreasury] });
 
   const UsageReceiptVerifier = m.contract("UsageReceiptVerifier", [
       eip712Name,
       eip712Version,
       usdcAddress,
+      RoyaltySplitFactory,
       Escrow, // Payments now go to the Escrow contract
+      LicenseRegistry, // Receipts are checked against the asset's license terms
+      PricingModule, // Charges are computed from the asset's rate card
       defaultAdmin,
       verifier,
       pauser
-    ], { id: "UsageReceiptVerifier", after: [Escrow] }
+    ], { id: "UsageReceiptVerifier", after: [Escrow, LicenseRegistry, PricingModule] }
   );
   
-  const RegistryRouter = m.contract("RegistryRouter", [AssetToken, ContributorRegistry, ProvenanceGraph, RoyaltySplitFactory], { id: "RegistryRouter", after: [RoyaltySplitFactory] });
+  // Once deployed, the Safe points the verifier at it (setCreditsVault) and grants it VERIFIER_ROLE on Escrow.
+  const CreditsVault = m.contract("CreditsVault", [defaultAdmin, UsageReceiptVerifier, usdcAddress, AssetToken, RoyaltySplitFactory, Escrow], { id: "CreditsVault", after: [UsageReceiptVerifier] });
+
+  const RegistryRouter = m.contract("RegistryRouter", [AssetToken, ContributorRegistry, ProvenanceGraph, RoyaltySplitFactory, Escrow], { id: "RegistryRouter", after: [RoyaltySplitFactory, Escrow] });
+
+  const AssetMarketplace = m.contract("AssetMarketplace", [defaultAdmin, usdcAddress, AssetToken, FeeTreasury, RoyaltySplitFactory, marketplaceRoyaltyBps], { id: "AssetMarketplace", after: [RoyaltySplitFactory, FeeTreasury] });
 
   // Return all deployed contracts for easy access and verification
   return { 
     AssetToken, 
+    LicenseRegistry,
+    PricingModule,
     ContributorRegistry, 
     ProvenanceGraph, 
     RoyaltySplitFactory, 
+    RoyaltyClaimAggregator,
     FeeTreasury,
     Escrow,
     UsageReceiptVerifier,
-    RegistryRouter
+    CreditsVault,
+    RegistryRouter,
+    AssetMarketplace
   };
 });
 
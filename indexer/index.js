@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { readAddresses } = require("../tasks/deployment");
+const { IndexerStore } = require("./store");
+const { MarketplaceIndexer } = require("./indexer");
+
+/**
+ * @title Marketplace indexer
+ * @author Hassan Ali
+ * @notice Keeps a local SQLite database of the marketplace up to date with the chain.
+ * @dev Configured through the environment:
+ * - INDEXER_RPC_URL          JSON-RPC endpoint (default: a local Hardhat node)
+ * - INDEXER_DEPLOYMENT_FILE  Ignition deployed_addresses.json of the stack (required)
+ * - INDEXER_DB_PATH          SQLite database file (default: ./indexer-data/marketplace.db)
+ * - INDEXER_FROM_BLOCK       First block to index on a fresh database, e.g. the deployment block (default: 0)
+ * - INDEXER_CONFIRMATIONS    Blocks to stay behind the chain head (default: 0)
+ * - INDEXER_REORG_DEPTH      Blocks of history kept to undo a reorg (default: 64)
+ * - INDEXER_INTERVAL_MS      Time between syncs (default: 5000)
+ */
+async function main() {
+    const deploymentFile = process.env.INDEXER_DEPLOYMENT_FILE;
+    if (!deploymentFile) {
+        throw new Error("INDEXER_DEPLOYMENT_FILE must be set");
+    }
+
+    const dbPath = process.env.INDEXER_DB_PATH || "./indexer-data/marketplace.db";
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const store = new IndexerStore(dbPath, { reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 64) });
+
+    const indexer = new MarketplaceIndexer({
+        provider: new ethers.JsonRpcProvider(process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545"),
+        addresses: readAddresses(deploymentFile),
+        store,
+        fromBlock: Number(process.env.INDEXER_FROM_BLOCK || 0),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+        intervalMs: Number(process.env.INDEXER_INTERVAL_MS || 5000)
+    });
+
+    const checkpoint = store.checkpoint();
+    console.log(`indexer writing to ${dbPath}, resuming after block ${checkpoint ? checkpoint.number : "none"}`);
+    await indexer.sync();
+    indexer.start();
+
+    const shutdown = async () => {
+        await indexer.stop();
+        store.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
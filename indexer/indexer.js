@@ -0,0 +1,357 @@
+const { ethers } = require("ethers");
+const { EscrowStatus } = require("./store");
+
+/**
+ * @title MarketplaceIndexer
+ * @author Hassan Ali
+ * @notice Follows the events of AssetToken, ContributorRegistry, ProvenanceGraph,
+ * RoyaltySplitFactory, Escrow and FeeTreasury into an IndexerStore.
+ * @dev Each sync first checks that the checkpoint is still on the canonical chain; if not, it
+ * finds the newest kept block that is and rolls the store back to it before indexing forward
+ * again. Block ranges are committed atomically, so a restart resumes from the checkpoint with
+ * nothing half-applied. Revision edges are not in the events and are read from ProvenanceGraph
+ * at the block the revision was proposed in.
+ */
+
+const ROLE_EVENTS = [
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
+];
+
+// The events indexed from each contract.
+const EVENT_ABIS = {
+    AssetToken: [
+        ...ROLE_EVENTS,
+        "event AssetMinted(uint256 indexed tokenId, address indexed creator, address indexed owner, uint256 licenseId, string metadataURI)",
+        "event LicenseUpdated(uint256 indexed tokenId, uint256 newLicenseId)",
+        "event URIUpdated(uint256 indexed tokenId, string newURI)",
+        "event AssetOwnershipChanged(uint256 indexed tokenId, address indexed previousOwner, address indexed newOwner)"
+    ],
+    ContributorRegistry: [
+        ...ROLE_EVENTS,
+        "event ProfileUpdated(address indexed contributor, string newMetadataURI)",
+        "event RoleGrantedOnChain(bytes32 indexed role, address indexed contributor, address indexed grantedBy)",
+        "event RoleRevokedOnChain(bytes32 indexed role, address indexed contributor, address indexed revokedBy)"
+    ],
+    ProvenanceGraph: [
+        "event ContributorEdgeAdded(uint256 indexed assetId, address indexed contributor, uint16 weightBps)",
+        "event ParentEdgeAdded(uint256 indexed childAssetId, uint256 indexed parentAssetId, uint16 weightBps)",
+        "event GraphFinalized(uint256 indexed assetId)",
+        "event RevisionProposed(uint256 indexed assetId, uint256 indexed revision, uint256 contributorCount, uint256 parentCount)",
+        "event RevisionAdopted(uint256 indexed assetId, uint256 indexed revision)"
+    ],
+    RoyaltySplitFactory: [
+        "event SplitterCreated(uint256 indexed assetId, address indexed splitterAddress, address[] payees, uint256[] shares)",
+        "event RevisionSplitterCreated(uint256 indexed assetId, uint256 indexed revision, address indexed splitterAddress)"
+    ],
+    Escrow: [
+        ...ROLE_EVENTS,
+        "event PaymentHeld(uint256 indexed escrowId, uint256 indexed assetId, address indexed user, uint256 amount, address token)",
+        "event DisputeOpened(uint256 indexed escrowId)",
+        "event PaymentReleased(uint256 indexed escrowId, uint256 amountToContributors, uint256 protocolFee)",
+        "event PaymentRefunded(uint256 indexed escrowId)",
+        "event DisputeSplitResolved(uint256 indexed escrowId, uint256 refundAmount, uint256 amountToContributors, uint256 protocolFee)"
+    ],
+    FeeTreasury: [
+        ...ROLE_EVENTS,
+        "event FeeUpdated(uint16 newFeeBps)",
+        "event TreasuryUpdated(address newTreasury)"
+    ]
+};
+
+const PROVENANCE_GRAPH_ABI = [
+    "function getContributorEdgesAt(uint256 assetId, uint256 revision) view returns ((address contributor, uint16 weightBps)[])",
+    "function getParentEdgesAt(uint256 assetId, uint256 revision) view returns ((uint256 parentAssetId, uint16 weightBps)[])"
+];
+
+// Edges added before finalizing form the first revision.
+const INITIAL_REVISION = 1;
+
+class MarketplaceIndexer {
+    /**
+     * @param {object} options
+     * @param {ethers.Provider} options.provider
+     * @param {Object<string, string>} options.addresses Contract addresses keyed by contract name,
+     * e.g. from the Ignition deployment. Contracts left out are not indexed.
+     * @param {IndexerStore} options.store
+     * @param {number} [options.fromBlock=0] First block to index on a fresh store.
+     * @param {number} [options.confirmations=0] Blocks to stay behind the chain head.
+     * @param {number} [options.blockRange=2000] Maximum blocks per log query and commit.
+     * @param {number} [options.intervalMs=5000] Time between automatic syncs.
+     * @param {object} [options.logger=console] Receives `info` and `error` calls.
+     */
+    constructor({ provider, addresses, store, fromBlock = 0, confirmations = 0, blockRange = 2000, intervalMs = 5000, logger = console }) {
+        this.provider = provider;
+        this.store = store;
+        this.fromBlock = fromBlock;
+        this.confirmations = confirmations;
+        this.blockRange = blockRange;
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        this._timer = null;
+        this._syncing = null;
+        this._pendingSplitters = new Map(); // "txHash:assetId" => SplitterCreated payees and shares
+
+        this._contracts = new Map(); // address => { name, iface }
+        for (const [name, abi] of Object.entries(EVENT_ABIS)) {
+            if (addresses[name]) this._contracts.set(ethers.getAddress(addresses[name]), { name, iface: new ethers.Interface(abi) });
+        }
+        this._provenanceGraph = addresses.ProvenanceGraph
+            ? new ethers.Contract(addresses.ProvenanceGraph, PROVENANCE_GRAPH_ABI, provider)
+            : null;
+    }
+
+    /**
+     * Starts syncing every `intervalMs`.
+     */
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.sync().catch((error) => this.logger.error(`indexing failed: ${error.message}`));
+        }, this.intervalMs);
+    }
+
+    /**
+     * Stops the automatic syncs and waits for one in progress to finish.
+     */
+    async stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this._syncing) await this._syncing.catch(() => {});
+    }
+
+    /**
+     * Indexes every block up to the confirmed head.
+     * @dev Concurrent calls share the sync already in progress.
+     * @returns {Promise<{rolledBackTo: number|null, toBlock: number, events: number}>}
+     */
+    sync() {
+        if (!this._syncing) {
+            this._syncing = this._sync().finally(() => {
+                this._syncing = null;
+            });
+        }
+        return this._syncing;
+    }
+
+    async _sync() {
+        const rolledBackTo = await this._handleReorg();
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const checkpoint = this.store.checkpoint();
+        let next = checkpoint ? checkpoint.number + 1 : this.fromBlock;
+
+        let events = 0;
+        while (next <= head) {
+            const toBlock = Math.min(next + this.blockRange - 1, head);
+            events += await this._indexRange(next, toBlock);
+            next = toBlock + 1;
+        }
+        if (events > 0 || rolledBackTo !== null) {
+            this.logger.info(`indexed ${events} events up to block ${head}${rolledBackTo !== null ? ` after a reorg back to ${rolledBackTo}` : ""}`);
+        }
+        return { rolledBackTo, toBlock: this.store.checkpoint()?.number ?? null, events };
+    }
+
+    /**
+     * Rolls the store back to the newest kept block still on the canonical chain, if the
+     * checkpoint is not.
+     * @returns {Promise<number|null>} The block rolled back to, or null if there was no reorg.
+     */
+    async _handleReorg() {
+        const checkpoint = this.store.checkpoint();
+        if (!checkpoint || (await this._hashOf(checkpoint.number)) === checkpoint.hash) return null;
+
+        for (const block of this.store.recentBlocks(checkpoint.number - 1)) {
+            if ((await this._hashOf(block.number)) === block.hash) {
+                this.store.rollback(block.number);
+                return block.number;
+            }
+        }
+        throw new Error(`Reorg deeper than the ${this.store.reorgDepth} blocks kept; re-index from scratch`);
+    }
+
+    async _hashOf(number) {
+        const block = await this.provider.getBlock(number);
+        return block ? block.hash : null;
+    }
+
+    /**
+     * Fetches, decodes and commits the events of one block range.
+     * @returns {Promise<number>} The number of events indexed.
+     */
+    async _indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ address: [...this._contracts.keys()], fromBlock, toBlock });
+        const head = await this.provider.getBlock(toBlock);
+        this._pendingSplitters.clear();
+
+        const blocks = [];
+        let events = 0;
+        for (const log of logs) {
+            const contract = this._contracts.get(ethers.getAddress(log.address));
+            const event = contract.iface.parseLog(log);
+            if (!event) continue;
+
+            const write = await this._handler(contract.name, event, log);
+            if (!write) continue;
+            if (blocks.length === 0 || blocks.at(-1).number !== log.blockNumber) {
+                blocks.push({ number: log.blockNumber, hash: log.blockHash, writes: [] });
+            }
+            blocks.at(-1).writes.push(write);
+            events++;
+        }
+
+        this.store.commitRange(
+            blocks.map(({ number, hash, writes }) => ({ number, hash, apply: () => writes.forEach((write) => write()) })),
+            { number: head.number, hash: head.hash }
+        );
+        return events;
+    }
+
+    /**
+     * Returns the store writes for one event, after any chain reads they need.
+     * @returns {Promise<Function|null>}
+     */
+    async _handler(contractName, { name, args }, log) {
+        const store = this.store;
+        const block = log.blockNumber;
+
+        switch (`${contractName}.${name}`) {
+            // --- Roles (every AccessControl contract) ---
+            case `${contractName}.RoleGranted`:
+            case "ContributorRegistry.RoleGrantedOnChain":
+                return () => store.upsert("roles", { contract: contractName, role: args.role, account: args[1], granted_block: block });
+            case `${contractName}.RoleRevoked`:
+            case "ContributorRegistry.RoleRevokedOnChain":
+                return () => store.remove("roles", { contract: contractName, role: args.role, account: args[1] });
+
+            // --- AssetToken ---
+            case "AssetToken.AssetMinted":
+                return () => store.upsert("assets", {
+                    asset_id: Number(args.tokenId),
+                    creator: args.creator,
+                    owner: args.owner,
+                    license_id: args.licenseId.toString(),
+                    metadata_uri: args.metadataURI,
+                    minted_block: block
+                });
+            case "AssetToken.LicenseUpdated":
+                return () => store.update("assets", { asset_id: Number(args.tokenId) }, { license_id: args.newLicenseId.toString() });
+            case "AssetToken.URIUpdated":
+                return () => store.update("assets", { asset_id: Number(args.tokenId) }, { metadata_uri: args.newURI });
+            case "AssetToken.AssetOwnershipChanged":
+                return () => store.upsert("assets", { asset_id: Number(args.tokenId), owner: args.newOwner });
+
+            // --- ContributorRegistry ---
+            case "ContributorRegistry.ProfileUpdated":
+                return () => store.upsert("profiles", { account: args.contributor, metadata_uri: args.newMetadataURI });
+
+            // --- ProvenanceGraph ---
+            case "ProvenanceGraph.ContributorEdgeAdded":
+                return () => store.upsert("contributor_edges", {
+                    asset_id: Number(args.assetId), revision: INITIAL_REVISION, contributor: args.contributor, weight_bps: Number(args.weightBps)
+                });
+            case "ProvenanceGraph.ParentEdgeAdded":
+                return () => store.upsert("parent_edges", {
+                    asset_id: Number(args.childAssetId), revision: INITIAL_REVISION, parent_asset_id: Number(args.parentAssetId), weight_bps: Number(args.weightBps)
+                });
+            case "ProvenanceGraph.GraphFinalized":
+                return () => store.upsert("assets", { asset_id: Number(args.assetId), finalized: 1, current_revision: INITIAL_REVISION });
+            case "ProvenanceGraph.RevisionProposed": {
+                const assetId = Number(args.assetId);
+                const revision = Number(args.revision);
+                const [contributors, parents] = await Promise.all([
+                    this._provenanceGraph.getContributorEdgesAt(assetId, revision, { blockTag: block }),
+                    this._provenanceGraph.getParentEdgesAt(assetId, revision, { blockTag: block })
+                ]);
+                return () => {
+                    for (const edge of contributors) {
+                        store.upsert("contributor_edges", { asset_id: assetId, revision, contributor: edge.contributor, weight_bps: Number(edge.weightBps) });
+                    }
+                    for (const edge of parents) {
+                        store.upsert("parent_edges", { asset_id: assetId, revision, parent_asset_id: Number(edge.parentAssetId), weight_bps: Number(edge.weightBps) });
+                    }
+                };
+            }
+            case "ProvenanceGraph.RevisionAdopted":
+                return () => store.update("assets", { asset_id: Number(args.assetId) }, { current_revision: Number(args.revision) });
+
+            // --- RoyaltySplitFactory ---
+            // SplitterCreated is followed by its RevisionSplitterCreated in the same transaction.
+            case "RoyaltySplitFactory.SplitterCreated":
+                this._pendingSplitters.set(`${log.transactionHash}:${args.assetId}`, {
+                    payees: args.payees.map((payee) => payee),
+                    shares: args.shares.map((share) => share.toString())
+                });
+                return null;
+            case "RoyaltySplitFactory.RevisionSplitterCreated": {
+                const key = `${log.transactionHash}:${args.assetId}`;
+                const pending = this._pendingSplitters.get(key);
+                this._pendingSplitters.delete(key);
+                if (!pending) {
+                    this.logger.error(`skipping splitter ${args.splitterAddress} of asset ${args.assetId}: no SplitterCreated in transaction ${log.transactionHash}`);
+                    return null;
+                }
+                const { payees, shares } = pending;
+                return () => store.upsert("splitters", {
+                    asset_id: Number(args.assetId),
+                    revision: Number(args.revision),
+                    splitter: args.splitterAddress,
+                    payees_json: JSON.stringify(payees),
+                    shares_json: JSON.stringify(shares)
+                });
+            }
+
+            // --- Escrow ---
+            case "Escrow.PaymentHeld":
+                return () => store.upsert("escrows", {
+                    escrow_id: Number(args.escrowId),
+                    asset_id: Number(args.assetId),
+                    user: args.user,
+                    token: args.token,
+                    amount: args.amount.toString(),
+                    status: EscrowStatus.HELD,
+                    held_block: block,
+                    updated_block: block
+                });
+            case "Escrow.DisputeOpened":
+                return () => store.update("escrows", { escrow_id: Number(args.escrowId) }, { status: EscrowStatus.DISPUTED, updated_block: block });
+            case "Escrow.PaymentReleased":
+                return () => store.update("escrows", { escrow_id: Number(args.escrowId) }, {
+                    status: EscrowStatus.RELEASED,
+                    amount_to_contributors: args.amountToContributors.toString(),
+                    protocol_fee: args.protocolFee.toString(),
+                    updated_block: block
+                });
+            case "Escrow.PaymentRefunded":
+                return () => store.update("escrows", { escrow_id: Number(args.escrowId) }, {
+                    status: EscrowStatus.REFUNDED,
+                    refund_amount: store.get("escrows", { escrow_id: Number(args.escrowId) })?.amount ?? "0",
+                    updated_block: block
+                });
+            case "Escrow.DisputeSplitResolved": {
+                const released = args.amountToContributors + args.protocolFee;
+                let status = EscrowStatus.PARTIALLY_REFUNDED;
+                if (args.refundAmount === 0n) status = EscrowStatus.RELEASED;
+                else if (released === 0n) status = EscrowStatus.REFUNDED;
+                return () => store.update("escrows", { escrow_id: Number(args.escrowId) }, {
+                    status,
+                    refund_amount: args.refundAmount.toString(),
+                    amount_to_contributors: args.amountToContributors.toString(),
+                    protocol_fee: args.protocolFee.toString(),
+                    updated_block: block
+                });
+            }
+
+            // --- FeeTreasury ---
+            case "FeeTreasury.FeeUpdated":
+                return () => store.upsert("settings", { contract: "FeeTreasury", name: "feeBps", value: args.newFeeBps.toString() });
+            case "FeeTreasury.TreasuryUpdated":
+                return () => store.upsert("settings", { contract: "FeeTreasury", name: "treasuryMultisig", value: args.newTreasury });
+
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = { MarketplaceIndexer, EVENT_ABIS };
@@ -0,0 +1,375 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+/**
+ * @title IndexerStore
+ * @author Hassan Ali
+ * @notice SQLite database of the marketplace's on-chain state, built from contract events, with
+ * the queries the contracts deliberately leave to an off-chain service (assets by contributor,
+ * roles of an address, escrows by status).
+ * @dev Every write made while indexing a block is recorded in a journal together with the row
+ * it replaced, so the blocks of a reorged branch can be undone exactly. Journal entries and block
+ * hashes are kept for `reorgDepth` blocks behind the checkpoint, the last block fully indexed.
+ * Asset and escrow IDs are stored as integers; token amounts as decimal strings, in the escrow's
+ * payment `token`.
+ */
+
+// Mirrors Escrow.Status.
+const EscrowStatus = Object.freeze({
+    HELD: "Held",
+    DISPUTED: "Disputed",
+    RELEASED: "Released",
+    REFUNDED: "Refunded",
+    PARTIALLY_REFUNDED: "PartiallyRefunded"
+});
+
+// Roles granted by the contracts, so role hashes can be reported by name.
+const ROLE_NAMES = [
+    "ADMIN_ROLE",
+    "ARBITER_ROLE",
+    "CONTRIBUTOR_ROLE",
+    "LICENSE_MANAGER_ROLE",
+    "MINTER_ROLE",
+    "PAUSER_ROLE",
+    "ROLE_ADMIN",
+    "URI_SETTER_ROLE",
+    "VERIFIER_ROLE"
+];
+const _roleNames = new Map(ROLE_NAMES.map((name) => [ethers.id(name), name]));
+_roleNames.set(ethers.ZeroHash, "DEFAULT_ADMIN_ROLE");
+
+// Primary key columns of each state table, used by the journal.
+const KEYS = {
+    assets: ["asset_id"],
+    contributor_edges: ["asset_id", "revision", "contributor"],
+    parent_edges: ["asset_id", "revision", "parent_asset_id"],
+    profiles: ["account"],
+    roles: ["contract", "role", "account"],
+    splitters: ["asset_id", "revision"],
+    escrows: ["escrow_id"],
+    settings: ["contract", "name"]
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        tbl TEXT NOT NULL,
+        key_json TEXT NOT NULL,
+        prior_json TEXT
+    );
+    CREATE INDEX IF NOT EXISTS journal_block ON journal (block_number);
+
+    CREATE TABLE IF NOT EXISTS assets (
+        asset_id INTEGER PRIMARY KEY,
+        creator TEXT,
+        owner TEXT,
+        license_id TEXT,
+        metadata_uri TEXT,
+        finalized INTEGER NOT NULL DEFAULT 0,
+        current_revision INTEGER NOT NULL DEFAULT 0,
+        minted_block INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS contributor_edges (
+        asset_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        contributor TEXT NOT NULL,
+        weight_bps INTEGER NOT NULL,
+        PRIMARY KEY (asset_id, revision, contributor)
+    );
+    CREATE INDEX IF NOT EXISTS contributor_edges_contributor ON contributor_edges (contributor);
+    CREATE TABLE IF NOT EXISTS parent_edges (
+        asset_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        parent_asset_id INTEGER NOT NULL,
+        weight_bps INTEGER NOT NULL,
+        PRIMARY KEY (asset_id, revision, parent_asset_id)
+    );
+    CREATE TABLE IF NOT EXISTS profiles (account TEXT PRIMARY KEY, metadata_uri TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS roles (
+        contract TEXT NOT NULL,
+        role TEXT NOT NULL,
+        account TEXT NOT NULL,
+        granted_block INTEGER NOT NULL,
+        PRIMARY KEY (contract, role, account)
+    );
+    CREATE INDEX IF NOT EXISTS roles_account ON roles (account);
+    CREATE TABLE IF NOT EXISTS splitters (
+        asset_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        splitter TEXT NOT NULL,
+        payees_json TEXT NOT NULL,
+        shares_json TEXT NOT NULL,
+        PRIMARY KEY (asset_id, revision)
+    );
+    CREATE TABLE IF NOT EXISTS escrows (
+        escrow_id INTEGER PRIMARY KEY,
+        asset_id INTEGER NOT NULL,
+        user TEXT NOT NULL,
+        token TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        status TEXT NOT NULL,
+        refund_amount TEXT NOT NULL DEFAULT '0',
+        amount_to_contributors TEXT NOT NULL DEFAULT '0',
+        protocol_fee TEXT NOT NULL DEFAULT '0',
+        held_block INTEGER NOT NULL,
+        updated_block INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS escrows_status_token ON escrows (status, token);
+    CREATE TABLE IF NOT EXISTS settings (
+        contract TEXT NOT NULL,
+        name TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (contract, name)
+    );
+`;
+
+class IndexerStore {
+    /**
+     * @param {string} [filePath=":memory:"] SQLite database file.
+     * @param {object} [options]
+     * @param {number} [options.reorgDepth=64] Blocks of history kept to undo a reorg.
+     */
+    constructor(filePath = ":memory:", { reorgDepth = 64 } = {}) {
+        this.db = new Database(filePath);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        if (!this.db.prepare("SELECT 1 FROM pragma_table_info('escrows') WHERE name = 'token'").get()) {
+            throw new Error(`${filePath} predates escrow payment tokens; delete it and re-index`);
+        }
+        this.reorgDepth = reorgDepth;
+        this._block = null;
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // --- Checkpoint ---
+
+    /**
+     * Returns the last block fully indexed, or null before the first sync.
+     * @returns {{number: number, hash: string}|null}
+     */
+    checkpoint() {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = 'checkpoint'").get();
+        if (!row) return null;
+        const number = Number(row.value);
+        return { number, hash: this.blockHash(number) };
+    }
+
+    /**
+     * Returns the stored hash of a recent block, or null if it is not kept.
+     */
+    blockHash(number) {
+        const row = this.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(number);
+        return row ? row.hash : null;
+    }
+
+    /**
+     * Returns the kept block hashes at or below `number`, newest first.
+     * @returns {{number: number, hash: string}[]}
+     */
+    recentBlocks(number) {
+        return this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC").all(number);
+    }
+
+    /**
+     * Applies the events of a block range atomically and moves the checkpoint to its end.
+     * @param {{number: number, hash: string, apply: Function}[]} blocks Blocks in ascending
+     * order; each `apply()` makes that block's writes through this store.
+     * @param {{number: number, hash: string}} head The last block of the range.
+     */
+    commitRange(blocks, head) {
+        this.db.transaction(() => {
+            for (const block of blocks) {
+                this._block = block.number;
+                this._putBlock(block.number, block.hash);
+                block.apply();
+            }
+            this._block = null;
+            this._putBlock(head.number, head.hash);
+            this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('checkpoint', ?)").run(String(head.number));
+
+            const horizon = head.number - this.reorgDepth;
+            this.db.prepare("DELETE FROM journal WHERE block_number < ?").run(horizon);
+            this.db.prepare("DELETE FROM blocks WHERE number < ?").run(horizon);
+        })();
+    }
+
+    /**
+     * Undoes every write made for blocks after `number` and moves the checkpoint back to it.
+     * @param {number} number The last block still on the canonical chain.
+     */
+    rollback(number) {
+        this.db.transaction(() => {
+            const entries = this.db.prepare("SELECT * FROM journal WHERE block_number > ? ORDER BY id DESC").all(number);
+            for (const entry of entries) {
+                const key = JSON.parse(entry.key_json);
+                this._deleteRow(entry.tbl, key);
+                if (entry.prior_json !== null) this._insertRow(entry.tbl, JSON.parse(entry.prior_json));
+            }
+            this.db.prepare("DELETE FROM journal WHERE block_number > ?").run(number);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(number);
+            this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('checkpoint', ?)").run(String(number));
+        })();
+    }
+
+    // --- Journaled Writes ---
+
+    /**
+     * Inserts or updates the row identified by the table's key columns in `values`.
+     * Columns missing from `values` keep their current (or default) value.
+     */
+    upsert(table, values) {
+        const key = this._keyOf(table, values);
+        const prior = this._getRow(table, key);
+        this._journal(table, key, prior);
+        if (prior) this._deleteRow(table, key);
+        this._insertRow(table, { ...(prior ?? {}), ...values });
+    }
+
+    /**
+     * Updates an existing row; does nothing if it does not exist.
+     */
+    update(table, key, values) {
+        const prior = this._getRow(table, key);
+        if (!prior) return;
+        this.upsert(table, { ...prior, ...values, ...key });
+    }
+
+    /**
+     * Deletes the row identified by `key`, if any.
+     */
+    remove(table, key) {
+        const prior = this._getRow(table, key);
+        if (!prior) return;
+        this._journal(table, key, prior);
+        this._deleteRow(table, key);
+    }
+
+    get(table, key) {
+        return this._getRow(table, key);
+    }
+
+    // --- Queries ---
+
+    /**
+     * Returns the assets `contributor` is credited on in the current revision of their graph,
+     * or in the draft for assets not finalized yet.
+     * @returns {object[]} Asset rows with the contributor's `weight_bps`, by asset ID.
+     */
+    assetsByContributor(contributor) {
+        return this.db.prepare(`
+            SELECT a.*, e.weight_bps
+            FROM contributor_edges e
+            JOIN assets a ON a.asset_id = e.asset_id
+            WHERE e.contributor = ? AND e.revision = MAX(a.current_revision, 1)
+            ORDER BY a.asset_id
+        `).all(ethers.getAddress(contributor));
+    }
+
+    /**
+     * Returns the contributors and parents of an asset's current (or draft) revision.
+     */
+    getAsset(assetId) {
+        const asset = this._getRow("assets", { asset_id: Number(assetId) });
+        if (!asset) return null;
+        const revision = Math.max(asset.current_revision, 1);
+        return {
+            ...asset,
+            contributors: this.db.prepare("SELECT contributor, weight_bps FROM contributor_edges WHERE asset_id = ? AND revision = ? ORDER BY contributor").all(asset.asset_id, revision),
+            parents: this.db.prepare("SELECT parent_asset_id, weight_bps FROM parent_edges WHERE asset_id = ? AND revision = ? ORDER BY parent_asset_id").all(asset.asset_id, revision)
+        };
+    }
+
+    /**
+     * Returns every role `account` holds, across all indexed contracts.
+     * @returns {{contract: string, role: string, roleName: string|null, grantedBlock: number}[]}
+     */
+    rolesOf(account) {
+        return this.db.prepare("SELECT contract, role, granted_block FROM roles WHERE account = ? ORDER BY contract, role")
+            .all(ethers.getAddress(account))
+            .map((row) => ({ contract: row.contract, role: row.role, roleName: _roleNames.get(row.role) ?? null, grantedBlock: row.granted_block }));
+    }
+
+    /**
+     * Returns the escrow items in `status` (see EscrowStatus), by escrow ID.
+     * @param {string} status
+     * @param {object} [options]
+     * @param {string} [options.token] Only items paid in this token.
+     */
+    escrowsByStatus(status, { token } = {}) {
+        if (token) {
+            return this.db.prepare("SELECT * FROM escrows WHERE status = ? AND token = ? ORDER BY escrow_id").all(status, ethers.getAddress(token));
+        }
+        return this.db.prepare("SELECT * FROM escrows WHERE status = ? ORDER BY escrow_id").all(status);
+    }
+
+    /**
+     * Returns the total amount of the escrow items in `status`, per payment token.
+     * @returns {Object<string, bigint>} Amounts keyed by token address.
+     */
+    escrowTotalsByToken(status) {
+        const totals = {};
+        for (const row of this.db.prepare("SELECT token, amount FROM escrows WHERE status = ?").all(status)) {
+            totals[row.token] = (totals[row.token] ?? 0n) + BigInt(row.amount);
+        }
+        return totals;
+    }
+
+    /**
+     * Returns the splitters `payee` is paid by.
+     */
+    splittersOf(payee) {
+        const account = ethers.getAddress(payee);
+        return this.db.prepare("SELECT s.* FROM splitters s, json_each(s.payees_json) p WHERE p.value = ? ORDER BY s.asset_id, s.revision").all(account);
+    }
+
+    /**
+     * Returns the value of an indexed setting, e.g. ("FeeTreasury", "feeBps").
+     */
+    setting(contract, name) {
+        const row = this._getRow("settings", { contract, name });
+        return row ? row.value : null;
+    }
+
+    // --- Internal Functions ---
+
+    _keyOf(table, values) {
+        const key = {};
+        for (const column of KEYS[table]) key[column] = values[column];
+        return key;
+    }
+
+    _where(key) {
+        return Object.keys(key).map((column) => `${column} = @${column}`).join(" AND ");
+    }
+
+    _getRow(table, key) {
+        return this.db.prepare(`SELECT * FROM ${table} WHERE ${this._where(key)}`).get(key) ?? null;
+    }
+
+    _deleteRow(table, key) {
+        this.db.prepare(`DELETE FROM ${table} WHERE ${this._where(key)}`).run(key);
+    }
+
+    _insertRow(table, row) {
+        const columns = Object.keys(row);
+        this.db.prepare(`INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((c) => `@${c}`).join(", ")})`).run(row);
+    }
+
+    _journal(table, key, prior) {
+        if (this._block === null) throw new Error("Writes must be made while committing a block");
+        this.db.prepare("INSERT INTO journal (block_number, tbl, key_json, prior_json) VALUES (?, ?, ?, ?)")
+            .run(this._block, table, JSON.stringify(key), prior ? JSON.stringify(prior) : null);
+    }
+
+    _putBlock(number, hash) {
+        this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)").run(number, hash);
+    }
+}
+
+module.exports = { IndexerStore, EscrowStatus, ROLE_NAMES };
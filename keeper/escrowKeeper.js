@@ -0,0 +1,198 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title EscrowKeeper
+ * @author Hassan Ali
+ * @notice Releases escrowed payments once their hold period is over, so contributors are paid
+ * without anyone poking Escrow.release for each item.
+ * @dev Keeps an index of the items still Held, built from PaymentHeld, DisputeOpened,
+ * PaymentReleased and PaymentRefunded events, and releases the due ones through
+ * Escrow.releaseBatch. Batches are capped at `batchSize` items and, if `maxGasPerTx` is set,
+ * shrunk until their gas estimate fits. releaseBatch skips items that stopped being
+ * releasable in the meantime, so a stale index never makes a batch revert, and items whose
+ * transfers revert, which are logged and left for a manual Escrow.release.
+ */
+
+const ESCROW_ABI = [
+    "function escrows(uint256 escrowId) view returns (uint256 id, address user, uint256 assetId, uint256 amount, address paymentSplitter, uint256 releaseTime, uint8 status, uint256 disputeDeadline, address token)",
+    "function releaseBatch(uint256[] escrowIds) returns (uint256 releasedCount)",
+    "event PaymentHeld(uint256 indexed escrowId, uint256 indexed assetId, address indexed user, uint256 amount, address token)",
+    "event DisputeOpened(uint256 indexed escrowId)",
+    "event PaymentReleased(uint256 indexed escrowId, uint256 amountToContributors, uint256 protocolFee)",
+    "event PaymentRefunded(uint256 indexed escrowId)",
+    "event BatchReleased(uint256 releasedCount, uint256 skippedCount)",
+    "event ReleaseFailed(uint256 indexed escrowId, bytes reason)"
+];
+
+// Escrow.Status
+const HELD = 0n;
+
+class EscrowKeeper {
+    /**
+     * @param {object} options
+     * @param {ethers.Signer} options.signer Any funded account; releasing is permissionless.
+     * @param {string} options.escrowAddress The Escrow address.
+     * @param {number} [options.fromBlock=0] First block to index, e.g. Escrow's deployment block.
+     * @param {number} [options.blockRange=5000] Maximum blocks per log query.
+     * @param {number} [options.batchSize=50] Maximum items per release transaction.
+     * @param {bigint|number} [options.maxGasPerTx] Gas limit a batch must fit in.
+     * @param {number} [options.intervalMs=60000] Time between automatic runs.
+     * @param {object} [options.logger=console] Receives `info` and `error` calls.
+     */
+    constructor({ signer, escrowAddress, fromBlock = 0, blockRange = 5000, batchSize = 50, maxGasPerTx, intervalMs = 60000, logger = console }) {
+        this.escrow = new ethers.Contract(escrowAddress, ESCROW_ABI, signer);
+        this.provider = signer.provider;
+        this.blockRange = blockRange;
+        this.batchSize = batchSize;
+        this.maxGasPerTx = maxGasPerTx === undefined ? undefined : BigInt(maxGasPerTx);
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        this._nextBlock = fromBlock;
+        this._held = new Map(); // escrowId => releaseTime
+        this._timer = null;
+        this._flushing = null;
+    }
+
+    /**
+     * Starts releasing due payments every `intervalMs`.
+     */
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.drain().catch((error) => this.logger.error(`escrow release failed: ${error.message}`));
+        }, this.intervalMs);
+    }
+
+    /**
+     * Stops the automatic runs and waits for one in progress to finish.
+     */
+    async stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this._flushing) await this._flushing.catch(() => {});
+    }
+
+    /**
+     * Brings the index of held payments up to the latest block.
+     */
+    async sync() {
+        const latest = await this.provider.getBlockNumber();
+        const topics = ["PaymentHeld", "DisputeOpened", "PaymentReleased", "PaymentRefunded"]
+            .map((name) => this.escrow.interface.getEvent(name).topicHash);
+        const address = ethers.getAddress(await this.escrow.getAddress());
+
+        while (this._nextBlock <= latest) {
+            const toBlock = Math.min(this._nextBlock + this.blockRange - 1, latest);
+            const logs = await this.provider.getLogs({ address, fromBlock: this._nextBlock, toBlock, topics: [topics] });
+            for (const log of logs) {
+                const { name, args } = this.escrow.interface.parseLog(log);
+                if (name === "PaymentHeld") {
+                    const item = await this.escrow.escrows(args.escrowId);
+                    if (item.status === HELD) this._held.set(args.escrowId, item.releaseTime);
+                } else {
+                    // Disputed items are settled by the arbiter, never by a keeper.
+                    this._held.delete(args.escrowId);
+                }
+            }
+            this._nextBlock = toBlock + 1;
+        }
+    }
+
+    /**
+     * Returns the indexed payments whose hold period is over at `timestamp`, oldest first.
+     * @param {bigint|number} timestamp A block timestamp.
+     * @returns {bigint[]}
+     */
+    dueEscrowIds(timestamp) {
+        const due = [];
+        for (const [escrowId, releaseTime] of this._held) {
+            if (releaseTime <= BigInt(timestamp)) due.push(escrowId);
+        }
+        return due.sort((a, b) => (a < b ? -1 : 1));
+    }
+
+    /**
+     * Releases one batch of due payments.
+     * @dev Concurrent calls share the run already in progress rather than double-submitting.
+     * @returns {Promise<{txHash: string, released: bigint[], failed: bigint[], skipped: number}|null>} Null if
+     * nothing was due. `failed` items stay Held on-chain but are not retried.
+     */
+    flush() {
+        if (!this._flushing) {
+            this._flushing = this._flush().finally(() => {
+                this._flushing = null;
+            });
+        }
+        return this._flushing;
+    }
+
+    /**
+     * Releases batches until no due payment is left.
+     * @returns {Promise<bigint[]>} The IDs released.
+     */
+    async drain() {
+        const released = [];
+        for (;;) {
+            const result = await this.flush();
+            if (!result) return released;
+            released.push(...result.released);
+        }
+    }
+
+    async _flush() {
+        await this.sync();
+        const { timestamp } = await this.provider.getBlock("latest");
+        const due = this.dueEscrowIds(timestamp);
+        if (due.length === 0) return null;
+
+        const batch = await this._fitGas(due.slice(0, this.batchSize));
+        const tx = await this.escrow.releaseBatch(batch);
+        const txReceipt = await tx.wait();
+
+        // The configured address may not be checksummed; log addresses always are.
+        const escrowAddress = ethers.getAddress(await this.escrow.getAddress());
+        const released = [];
+        const failed = [];
+        for (const log of txReceipt.logs) {
+            if (ethers.getAddress(log.address) !== escrowAddress) continue;
+            const event = this._parseLog(log);
+            if (event && event.name === "PaymentReleased") {
+                released.push(event.args.escrowId);
+            } else if (event && event.name === "ReleaseFailed") {
+                failed.push(event.args.escrowId);
+            }
+        }
+        // Anything else skipped is no longer Held; the event that changed it is picked up by the
+        // next sync. Failed items are dropped too, so they cannot stall every later batch.
+        for (const escrowId of batch) this._held.delete(escrowId);
+
+        this.logger.info(`released ${released.length}/${batch.length} escrowed payments in ${tx.hash}`);
+        if (failed.length > 0) {
+            this.logger.error(`could not release escrowed payments ${failed.join(", ")}; release them with Escrow.release once their transfers can succeed`);
+        }
+        return { txHash: tx.hash, released, failed, skipped: batch.length - released.length };
+    }
+
+    /**
+     * Shrinks `batch` until releasing it is estimated to fit in `maxGasPerTx`.
+     */
+    async _fitGas(batch) {
+        if (this.maxGasPerTx === undefined) return batch;
+        for (;;) {
+            const estimate = await this.escrow.releaseBatch.estimateGas(batch);
+            if (estimate <= this.maxGasPerTx || batch.length === 1) return batch;
+            const fitting = Number((BigInt(batch.length) * this.maxGasPerTx) / estimate);
+            batch = batch.slice(0, Math.max(1, Math.min(fitting, batch.length - 1)));
+        }
+    }
+
+    _parseLog(log) {
+        try {
+            return this.escrow.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = { EscrowKeeper, ESCROW_ABI };
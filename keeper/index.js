@@ -0,0 +1,49 @@
+const { ethers } = require("ethers");
+const { EscrowKeeper } = require("./escrowKeeper");
+
+/**
+ * @title Escrow keeper
+ * @author Hassan Ali
+ * @notice Runs the EscrowKeeper, releasing matured escrowed payments on a timer.
+ * @dev Configured through the environment:
+ * - KEEPER_RPC_URL          JSON-RPC endpoint (default: a local Hardhat node)
+ * - KEEPER_ESCROW_ADDRESS   Escrow address (required)
+ * - KEEPER_KEY              Private key of the account paying for releases (required)
+ * - KEEPER_FROM_BLOCK       First block to index, e.g. Escrow's deployment block (default: 0)
+ * - KEEPER_BATCH_SIZE       Maximum payments per release transaction (default: 50)
+ * - KEEPER_MAX_GAS          Gas limit each release transaction must fit in (default: none)
+ * - KEEPER_INTERVAL_MS      Time between runs (default: 60000)
+ */
+async function main() {
+    const escrowAddress = process.env.KEEPER_ESCROW_ADDRESS;
+    const keeperKey = process.env.KEEPER_KEY;
+    if (!escrowAddress || !keeperKey) {
+        throw new Error("KEEPER_ESCROW_ADDRESS and KEEPER_KEY must be set");
+    }
+
+    const provider = new ethers.JsonRpcProvider(process.env.KEEPER_RPC_URL || "http://127.0.0.1:8545");
+    const keeper = new EscrowKeeper({
+        signer: new ethers.Wallet(keeperKey, provider),
+        escrowAddress,
+        fromBlock: Number(process.env.KEEPER_FROM_BLOCK || 0),
+        batchSize: Number(process.env.KEEPER_BATCH_SIZE || 50),
+        maxGasPerTx: process.env.KEEPER_MAX_GAS ? BigInt(process.env.KEEPER_MAX_GAS) : undefined,
+        intervalMs: Number(process.env.KEEPER_INTERVAL_MS || 60000)
+    });
+
+    console.log(`keeper releasing matured payments from ${escrowAddress}`);
+    await keeper.drain();
+    keeper.start();
+
+    const shutdown = async () => {
+        await keeper.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,252 @@
+const { ethers } = require("ethers");
+const { FACTORY_ABI } = require("./splitters");
+
+/**
+ * @title Earnings statement SDK
+ * @author Hassan Ali
+ * @notice Builds per-contributor, per-asset, per-period earnings statements from the chain and
+ * exports them as CSV or JSON, e.g. for tax reporting.
+ * @dev Every payout Escrow makes to a splitter (full releases and the released part of a split
+ * dispute resolution alike) emits PaymentReleased with the net amount and the FeeTreasury fee
+ * withheld. Each payout is divided by the share table the factory emitted in SplitterCreated
+ * for the splitter it went to; a payee that is itself a splitter (a parent asset) is followed
+ * down to its contributors. Earnings are counted when the payment is released to the splitter,
+ * not when the contributor claims it, and each allocation is rounded down.
+ */
+
+const ESCROW_ABI = [
+    "function usdc() view returns (address)",
+    "function escrows(uint256) view returns (uint256 id, address user, uint256 assetId, uint256 amount, address paymentSplitter, uint256 releaseTime, uint8 status, uint256 disputeDeadline, address token)",
+    "event PaymentReleased(uint256 indexed escrowId, uint256 amountToContributors, uint256 protocolFee)"
+];
+
+const TOKEN_ABI = [
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)"
+];
+
+// Mirrors RoyaltySplitFactory.MAX_LINEAGE_DEPTH.
+const MAX_LINEAGE_DEPTH = 8;
+
+const Period = Object.freeze({
+    MONTH: "month",
+    QUARTER: "quarter",
+    YEAR: "year"
+});
+
+/**
+ * Returns the UTC period a timestamp falls in, e.g. "2025-03", "2025-Q1" or "2025".
+ * @param {number} timestamp Unix time in seconds.
+ * @param {string} [period="month"] One of Period.
+ * @returns {string}
+ */
+function periodOf(timestamp, period = Period.MONTH) {
+    const date = new Date(Number(timestamp) * 1000);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    switch (period) {
+        case Period.MONTH:
+            return `${year}-${String(month).padStart(2, "0")}`;
+        case Period.QUARTER:
+            return `${year}-Q${Math.ceil(month / 3)}`;
+        case Period.YEAR:
+            return String(year);
+        default:
+            throw new Error(`Unknown period "${period}"; expected one of ${Object.values(Period).join(", ")}`);
+    }
+}
+
+/**
+ * Fetches every payout to a splitter in a block range and allocates it to the contributors paid.
+ * @param {object} contracts Contracts with a provider (any ABI; only their addresses are used).
+ * @param {import("ethers").Contract} contracts.escrow The Escrow contract.
+ * @param {import("ethers").Contract} contracts.factory The RoyaltySplitFactory contract.
+ * @param {object} [range]
+ * @param {number|string} [range.fromBlock=0] The first block to report payouts from.
+ * @param {number|string} [range.toBlock="latest"] The last block to report payouts from.
+ * @param {number|string} [range.splittersFromBlock=0] The first block to read share tables
+ * from, e.g. the factory's deployment block; splitters are usually older than the payouts.
+ * @param {string} [range.token] The payment token to report; defaults to Escrow's USDC. Payouts
+ * in other tokens are left out, so a statement never mixes currencies.
+ * @returns {Promise<{token: {address: string, symbol: string, decimals: number}, allocations: object[], unattributed: object[]}>}
+ * `allocations` hold one entry per contributor per payout: `{contributor, assetId, sourceAssetId,
+ * escrowId, blockNumber, timestamp, gross, fee, net}`, where `assetId` is the asset the
+ * contributor is credited on and `sourceAssetId` the asset that was paid for (they differ for
+ * earnings from derived assets). `unattributed` lists payouts to splitters the factory did
+ * not create.
+ */
+async function fetchEarnings({ escrow, factory }, { fromBlock = 0, toBlock = "latest", splittersFromBlock = 0, token: tokenOption } = {}) {
+    const runner = escrow.runner;
+    const escrowContract = new ethers.Contract(await escrow.getAddress(), ESCROW_ABI, runner);
+    const factoryContract = new ethers.Contract(await factory.getAddress(), FACTORY_ABI, factory.runner);
+
+    const tokenAddress = ethers.getAddress(tokenOption || await escrowContract.usdc());
+    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, runner);
+    const token = { address: tokenAddress, symbol: await tokenContract.symbol(), decimals: Number(await tokenContract.decimals()) };
+
+    // Share tables by splitter. A backend may reuse a split for identical payees, so the asset
+    // kept here (the first one it was created for) only names parent assets; a payout is
+    // credited to the asset Escrow held it for.
+    const splitters = new Map();
+    for (const { args } of await factoryContract.queryFilter(factoryContract.filters.SplitterCreated(), splittersFromBlock, toBlock)) {
+        if (splitters.has(args.splitterAddress)) continue;
+        splitters.set(args.splitterAddress, {
+            assetId: args.assetId,
+            payees: [...args.payees],
+            shares: [...args.shares],
+            totalShares: args.shares.reduce((sum, share) => sum + share, 0n)
+        });
+    }
+
+    const allocations = [];
+    const unattributed = [];
+    const timestamps = new Map();
+    for (const event of await escrowContract.queryFilter(escrowContract.filters.PaymentReleased(), fromBlock, toBlock)) {
+        const { escrowId, amountToContributors, protocolFee } = event.args;
+        const item = await escrowContract.escrows(escrowId);
+        if (item.token !== tokenAddress) continue;
+        if (!timestamps.has(event.blockNumber)) {
+            timestamps.set(event.blockNumber, (await runner.provider.getBlock(event.blockNumber)).timestamp);
+        }
+        const payout = { escrowId, sourceAssetId: item.assetId, blockNumber: event.blockNumber, timestamp: timestamps.get(event.blockNumber) };
+
+        if (!splitters.has(item.paymentSplitter)) {
+            unattributed.push({ ...payout, splitter: item.paymentSplitter, net: amountToContributors, fee: protocolFee });
+            continue;
+        }
+        _allocate(splitters, item.paymentSplitter, item.assetId, 1n, 1n, 0, (contributor, assetId, numerator, denominator) => {
+            const net = (amountToContributors * numerator) / denominator;
+            const fee = (protocolFee * numerator) / denominator;
+            allocations.push({ contributor, assetId, ...payout, gross: net + fee, fee, net });
+        });
+    }
+
+    return { token, allocations, unattributed };
+}
+
+/**
+ * Walks a splitter's payees, multiplying out the fraction of the payout each one receives.
+ * Payees are credited on `assetId`; parent splitters on the asset they were created for.
+ */
+function _allocate(splitters, splitter, assetId, numerator, denominator, depth, emit) {
+    if (depth > MAX_LINEAGE_DEPTH) throw new Error(`Splitter ${splitter} exceeds the maximum lineage depth`);
+
+    const { payees, shares, totalShares } = splitters.get(splitter);
+    for (let i = 0; i < payees.length; i++) {
+        const payeeNumerator = numerator * shares[i];
+        const payeeDenominator = denominator * totalShares;
+        // A sole payee may be paid directly, making it its own "splitter".
+        if (splitters.has(payees[i]) && payees[i] !== splitter) {
+            _allocate(splitters, payees[i], splitters.get(payees[i]).assetId, payeeNumerator, payeeDenominator, depth + 1, emit);
+        } else {
+            emit(payees[i], assetId, payeeNumerator, payeeDenominator);
+        }
+    }
+}
+
+/**
+ * Groups allocations into one statement per contributor.
+ * @param {object[]} allocations From fetchEarnings.
+ * @param {object} [options]
+ * @param {string} [options.period="month"] One of Period.
+ * @param {string} [options.contributor] Only build the statement of this contributor.
+ * @returns {object[]} `{contributor, gross, fee, net, lines}` by contributor address, where each
+ * line is `{period, assetId, sourceAssetId, payments, gross, fee, net}`, ordered by period, then
+ * asset. Amounts are bigints in token base units.
+ */
+function buildStatements(allocations, { period = Period.MONTH, contributor } = {}) {
+    const only = contributor ? ethers.getAddress(contributor) : null;
+    const statements = new Map();
+
+    for (const allocation of allocations) {
+        if (only && allocation.contributor !== only) continue;
+        if (!statements.has(allocation.contributor)) {
+            statements.set(allocation.contributor, { contributor: allocation.contributor, gross: 0n, fee: 0n, net: 0n, lines: new Map() });
+        }
+        const statement = statements.get(allocation.contributor);
+        const linePeriod = periodOf(allocation.timestamp, period);
+        const key = `${linePeriod}/${allocation.assetId}/${allocation.sourceAssetId}`;
+        if (!statement.lines.has(key)) {
+            statement.lines.set(key, { period: linePeriod, assetId: allocation.assetId, sourceAssetId: allocation.sourceAssetId, payments: 0, gross: 0n, fee: 0n, net: 0n });
+        }
+
+        const line = statement.lines.get(key);
+        line.payments++;
+        for (const target of [line, statement]) {
+            target.gross += allocation.gross;
+            target.fee += allocation.fee;
+            target.net += allocation.net;
+        }
+    }
+
+    const byNumber = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    return [...statements.values()]
+        .sort((a, b) => byNumber(a.contributor.toLowerCase(), b.contributor.toLowerCase()))
+        .map((statement) => ({
+            ...statement,
+            lines: [...statement.lines.values()].sort((a, b) =>
+                byNumber(a.period, b.period) || byNumber(a.assetId, b.assetId) || byNumber(a.sourceAssetId, b.sourceAssetId))
+        }));
+}
+
+/**
+ * Exports statements as CSV, one row per statement line, with amounts in whole token units.
+ * @param {object[]} statements From buildStatements.
+ * @param {{symbol: string, decimals: number}} token From fetchEarnings.
+ * @returns {string}
+ */
+function statementsToCSV(statements, token) {
+    const rows = [["contributor", "period", "asset_id", "source_asset_id", "payments", "token", "gross", "fee", "net"]];
+    for (const statement of statements) {
+        for (const line of statement.lines) {
+            rows.push([
+                statement.contributor, line.period, line.assetId, line.sourceAssetId, line.payments, token.symbol,
+                ethers.formatUnits(line.gross, token.decimals),
+                ethers.formatUnits(line.fee, token.decimals),
+                ethers.formatUnits(line.net, token.decimals)
+            ]);
+        }
+    }
+    return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+/**
+ * Exports statements as JSON, with amounts as decimal strings in whole token units.
+ * @param {object[]} statements From buildStatements.
+ * @param {{address: string, symbol: string, decimals: number}} token From fetchEarnings.
+ * @param {object} [meta] Extra top-level fields, e.g. the block range and period.
+ * @returns {string}
+ */
+function statementsToJSON(statements, token, meta = {}) {
+    const amounts = ({ gross, fee, net }) => ({
+        gross: ethers.formatUnits(gross, token.decimals),
+        fee: ethers.formatUnits(fee, token.decimals),
+        net: ethers.formatUnits(net, token.decimals)
+    });
+
+    return JSON.stringify({
+        ...meta,
+        token,
+        statements: statements.map((statement) => ({
+            contributor: statement.contributor,
+            ...amounts(statement),
+            lines: statement.lines.map((line) => ({
+                period: line.period,
+                assetId: line.assetId.toString(),
+                sourceAssetId: line.sourceAssetId.toString(),
+                payments: line.payments,
+                ...amounts(line)
+            }))
+        }))
+    }, null, 2) + "\n";
+}
+
+module.exports = {
+    ESCROW_ABI,
+    Period,
+    periodOf,
+    fetchEarnings,
+    buildStatements,
+    statementsToCSV,
+    statementsToJSON
+};
@@ -0,0 +1,87 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title Splitter address SDK
+ * @author Hassan Ali
+ * @notice Computes the address of an asset's RoyaltySplitter without touching the chain, so
+ * payments can be priced and routed to it before RoyaltySplitFactory has created it, and finds
+ * the splitters a contributor is paid by, for RoyaltyClaimAggregator.
+ * @dev Mirrors `RoyaltySplitFactory.predictSplitterAddress`: splitters are EIP-1167 clones of
+ * the factory's `splitterImplementation`, deployed with CREATE2 under
+ * `keccak256(abi.encode(assetId, revision))`.
+ */
+
+const FACTORY_ABI = [
+    "function splitterImplementation() view returns (address)",
+    "function predictSplitterAddress(uint256 assetId, uint256 revision) view returns (address)",
+    "function assetIdToSplitter(uint256 assetId) view returns (address)",
+    "event SplitterCreated(uint256 indexed assetId, address indexed splitterAddress, address[] payees, uint256[] shares)"
+];
+
+// The provenance graph as first finalized.
+const INITIAL_REVISION = 1n;
+
+/**
+ * Returns the CREATE2 salt of the splitter for one revision of an asset.
+ * @returns {string} The 32-byte salt.
+ */
+function splitterSalt(assetId, revision = INITIAL_REVISION) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [assetId, revision]));
+}
+
+/**
+ * Returns the EIP-1167 creation code of a clone of `implementation`.
+ * @returns {string} Hex bytecode.
+ */
+function cloneInitCode(implementation) {
+    return ethers.concat([
+        "0x3d602d80600a3d3981f3363d3d373d3d3d363d73",
+        ethers.getAddress(implementation),
+        "0x5af43d82803e903d91602b57fd5bf3"
+    ]);
+}
+
+/**
+ * Computes the address of the splitter for one revision of an asset.
+ * @param {string} factory The RoyaltySplitFactory address.
+ * @param {string} implementation The factory's `splitterImplementation`.
+ * @param {bigint|number|string} assetId The asset's token ID.
+ * @param {bigint|number|string} [revision=1] The provenance graph revision.
+ * @returns {string} The checksummed splitter address.
+ */
+function predictSplitterAddress(factory, implementation, assetId, revision = INITIAL_REVISION) {
+    return ethers.getCreate2Address(factory, splitterSalt(assetId, revision), ethers.keccak256(cloneInitCode(implementation)));
+}
+
+/**
+ * Finds every splitter that pays `payee`, from the factory's SplitterCreated events.
+ * @param {import("ethers").Contract} factory A RoyaltySplitFactory contract with a provider.
+ * @param {string} payee The contributor's address.
+ * @param {object} [range] Block range to scan.
+ * @param {number|string} [range.fromBlock=0] The first block, e.g. the factory's deployment block.
+ * @param {number|string} [range.toBlock="latest"] The last block.
+ * @returns {Promise<string[]>} The splitter addresses, oldest first, each listed once.
+ */
+async function findSplittersOf(factory, payee, { fromBlock = 0, toBlock = "latest" } = {}) {
+    const contract = new ethers.Contract(await factory.getAddress(), FACTORY_ABI, factory.runner);
+    const events = await contract.queryFilter(contract.filters.SplitterCreated(), fromBlock, toBlock);
+    const account = ethers.getAddress(payee);
+
+    const splitters = new Set();
+    for (const { args } of events) {
+        // A backend may pay a sole payee directly, leaving nothing to claim from.
+        if (args.payees.includes(account) && args.splitterAddress !== account) {
+            splitters.add(args.splitterAddress);
+        }
+    }
+    return [...splitters];
+}
+
+module.exports = {
+    FACTORY_ABI,
+    INITIAL_REVISION,
+    splitterSalt,
+    cloneInitCode,
+    predictSplitterAddress,
+    findSplittersOf
+};
@@ -0,0 +1,452 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title Usage receipt SDK
+ * @author Hassan Ali
+ * @notice Helpers for building, signing and submitting the EIP-712 UsageReceipts accepted by
+ * UsageReceiptVerifier. Shared by the tests and the gateway so the typed data is defined once.
+ * @dev Works with ethers v6 signers and contracts. Receipt fields mirror
+ * `UsageReceiptVerifier.UsageReceipt`; keep the two in sync.
+ */
+
+// --- Constants ---
+
+// EIP-712 types for a UsageReceipt, in the order of USAGE_RECEIPT_TYPEHASH.
+const RECEIPT_TYPES = {
+    UsageReceipt: [
+        { name: "assetId", type: "uint256" },
+        { name: "metric", type: "uint8" },
+        { name: "units", type: "uint256" },
+        { name: "unitPrice", type: "uint256" },
+        { name: "user", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "usageType", type: "uint8" },
+        { name: "commercial", type: "bool" },
+        { name: "token", type: "address" }
+    ]
+};
+
+// EIP-712 types for a SpendingAuthorization, in the order of SPENDING_AUTHORIZATION_TYPEHASH.
+const SPENDING_AUTHORIZATION_TYPES = {
+    SpendingAuthorization: [
+        { name: "user", type: "address" },
+        { name: "sessionKey", type: "address" },
+        { name: "assetId", type: "uint256" },
+        { name: "token", type: "address" },
+        { name: "maxAmount", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "salt", type: "uint256" }
+    ]
+};
+
+// Mirrors PricingModule's METRIC_* constants.
+const Metric = Object.freeze({
+    PER_1K_TOKENS: 0,
+    GPU_SECOND: 1,
+    TRAINING_STEP: 2,
+    PER_CALL: 3
+});
+
+// Mirrors LicenseRegistry's USAGE_* constants.
+const UsageType = Object.freeze({
+    INFERENCE: 0,
+    FINE_TUNING: 1,
+    TRAINING: 2,
+    EVALUATION: 3,
+    REDISTRIBUTION: 4
+});
+
+// Receipts are valid for one hour unless a deadline is given.
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// Mirrors UsageReceiptVerifier.UNORDERED_NONCE_FLAG: nonces with the top bit set may settle in any order.
+const UNORDERED_NONCE_FLAG = 1n << 255n;
+
+const RECEIPT_TUPLE =
+    "(uint256 assetId,uint8 metric,uint256 units,uint256 unitPrice,address user,uint256 nonce,uint256 deadline,uint8 usageType,bool commercial,address token)";
+
+const AUTHORIZATION_TUPLE =
+    "(address user,address sessionKey,uint256 assetId,address token,uint256 maxAmount,uint256 expiry,uint256 salt)";
+
+const VERIFIER_ABI = [
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function nonces(address user) view returns (uint256)",
+    "function isNonceUsed(address user, uint256 nonce) view returns (bool)",
+    "function invalidateNonces(uint256 newNonce)",
+    "function invalidateUnorderedNonces(uint256 wordPos, uint256 mask)",
+    "function pricingModule() view returns (address)",
+    "function usdc() view returns (address)",
+    `function verifyAndPayWithReceipt(${RECEIPT_TUPLE} receipt, bytes signature)`,
+    `function verifyAndPayBatch(${RECEIPT_TUPLE}[] receipts, bytes[] signatures, bool revertOnFailure) returns (bool[] settled)`,
+    `function verifyAndPayWithSession(${RECEIPT_TUPLE} receipt, bytes signature, ${AUTHORIZATION_TUPLE} authorization, bytes authorizationSignature)`,
+    `function verifyAndPayBatchWithSession(${RECEIPT_TUPLE}[] receipts, bytes[] signatures, ${AUTHORIZATION_TUPLE} authorization, bytes authorizationSignature, bool revertOnFailure) returns (bool[] settled)`,
+    `function authorizationRemaining(${AUTHORIZATION_TUPLE} authorization) view returns (uint256)`,
+    "function authorizationSpent(bytes32 authHash) view returns (uint256)",
+    "event BatchReceiptFailed(uint256 index, address indexed user, uint256 nonce, bytes reason)",
+    "event BatchSettled(uint256 settledCount, uint256 failedCount, uint256 holdCount)",
+    "error InvalidSignature()",
+    "error ReceiptExpired(uint256 deadline, uint256 blockTimestamp)",
+    "error InvalidNonce(uint256 expected, uint256 actual)",
+    "error NonceAlreadyUsed(address user, uint256 nonce)",
+    "error SplitterNotCreated(uint256 assetId)",
+    "error UsageNotLicensed(uint256 assetId, uint8 usageType, bool commercial)",
+    "error MetricNotLicensed(uint256 assetId, uint8 metric)",
+    "error MetricNotPriced(uint256 assetId, uint8 metric)",
+    "error PriceMismatch(uint256 assetId, uint8 metric, uint256 ratePrice, uint256 quotedPrice)",
+    "error InsufficientFunds(address user, uint256 required)",
+    "error TokenNotAccepted(address token)",
+    "error OutsideAuthorizationScope(bytes32 authHash, address user, uint256 assetId)",
+    "error SpendingLimitExceeded(bytes32 authHash, uint256 remaining, uint256 amount)"
+];
+
+const PRICING_MODULE_ABI = [
+    "function rateOf(uint256 assetId, uint8 metric) view returns (uint256)",
+    "function tokenRateOf(uint256 assetId, address token, uint8 metric) view returns (uint256)"
+];
+
+const verifierInterface = new ethers.Interface(VERIFIER_ABI);
+
+// --- Contract Reads ---
+
+/**
+ * Reads the EIP-712 domain of a deployed UsageReceiptVerifier.
+ * @param {ethers.Contract|string} verifier The verifier contract, or its address.
+ * @param {ethers.Provider} [provider] Required when `verifier` is an address.
+ * @returns {Promise<ethers.TypedDataDomain>}
+ */
+async function buildDomain(verifier, provider) {
+    const { name, version, chainId, verifyingContract } = await _verifierAt(verifier, provider).eip712Domain();
+    return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Returns the nonce the next sequential receipt signed by `user` must carry.
+ * @param {ethers.Contract|string} verifier The verifier contract, or its address.
+ * @param {string} user The user's address.
+ * @param {ethers.Provider} [provider] Required when `verifier` is an address.
+ * @returns {Promise<bigint>}
+ */
+async function getNonce(verifier, user, provider) {
+    return _verifierAt(verifier, provider).nonces(user);
+}
+
+/**
+ * Returns true if a receipt with `nonce` can no longer settle for `user`, whether the nonce
+ * is sequential or unordered.
+ * @param {ethers.Contract|string} verifier The verifier contract, or its address.
+ * @param {string} user The user's address.
+ * @param {bigint|number|string} nonce The receipt nonce.
+ * @param {ethers.Provider} [provider] Required when `verifier` is an address.
+ * @returns {Promise<boolean>}
+ */
+async function isNonceUsed(verifier, user, nonce, provider) {
+    return _verifierAt(verifier, provider).isNonceUsed(user, nonce);
+}
+
+/**
+ * Builds a receipt ready to sign, filling in anything not given from the chain: the user's
+ * current nonce, USDC as the payment token, the asset's published price for the metric in
+ * that token and a one-hour deadline. With `unordered: true` a random unordered nonce is
+ * used instead of the current one.
+ * @param {ethers.Contract|string} verifier The verifier contract, or its address.
+ * @param {object} fields Receipt fields; `assetId`, `units` and `user` are required.
+ * @param {ethers.Provider} [provider] Required when `verifier` is an address.
+ * @returns {Promise<object>} The complete receipt.
+ */
+async function buildReceipt(verifier, fields, provider) {
+    const contract = _verifierAt(verifier, provider);
+    const runner = contract.runner.provider ?? contract.runner;
+    const {
+        assetId,
+        units,
+        user,
+        metric = Metric.PER_CALL,
+        usageType = UsageType.INFERENCE,
+        commercial = false,
+        unordered = false
+    } = fields;
+    if (assetId === undefined || units === undefined || !user) {
+        throw new Error("buildReceipt: assetId, units and user are required");
+    }
+
+    let { nonce, unitPrice, deadline, token } = fields;
+    const usdc = await contract.usdc();
+    if (token === undefined) {
+        token = usdc;
+    }
+    if (nonce === undefined) {
+        nonce = unordered ? randomUnorderedNonce() : await contract.nonces(user);
+    }
+    if (unitPrice === undefined) {
+        const pricingModule = new ethers.Contract(await contract.pricingModule(), PRICING_MODULE_ABI, runner);
+        unitPrice = ethers.getAddress(token) === usdc
+            ? await pricingModule.rateOf(assetId, metric)
+            : await pricingModule.tokenRateOf(assetId, token, metric);
+    }
+    if (deadline === undefined) {
+        const block = await runner.getBlock("latest");
+        deadline = block.timestamp + DEFAULT_TTL_SECONDS;
+    }
+
+    return normalizeReceipt({ assetId, metric, units, unitPrice, user, nonce, deadline, usageType, commercial, token });
+}
+
+/**
+ * Converts a receipt whose numbers arrived as strings or numbers (e.g., parsed from JSON)
+ * into the canonical form used for signing and submission.
+ * @throws If a field is missing or malformed.
+ * @returns {object} The receipt, with bigint amounts and a checksummed user.
+ */
+function normalizeReceipt(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("Receipt must be an object");
+    const receipt = {};
+    for (const { name, type } of RECEIPT_TYPES.UsageReceipt) {
+        const value = raw[name];
+        if (value === undefined || value === null) throw new Error(`Receipt is missing ${name}`);
+        if (type === "address") {
+            receipt[name] = ethers.getAddress(value);
+        } else if (type === "bool") {
+            if (typeof value !== "boolean") throw new Error(`Receipt ${name} must be a boolean`);
+            receipt[name] = value;
+        } else if (type === "uint8") {
+            receipt[name] = Number(value);
+            if (!Number.isInteger(receipt[name]) || receipt[name] < 0 || receipt[name] > 255) {
+                throw new Error(`Receipt ${name} must be a uint8`);
+            }
+        } else {
+            receipt[name] = BigInt(value);
+            if (receipt[name] < 0n) throw new Error(`Receipt ${name} must not be negative`);
+        }
+    }
+    return receipt;
+}
+
+// --- Unordered Nonces ---
+
+/**
+ * Returns true if `nonce` is unordered, i.e. tracked in the verifier's bitmap.
+ * @param {bigint|number|string} nonce
+ * @returns {boolean}
+ */
+function isUnorderedNonce(nonce) {
+    return (BigInt(nonce) & UNORDERED_NONCE_FLAG) !== 0n;
+}
+
+/**
+ * Builds the unordered nonce for a bit of the user's nonce bitmap.
+ * @param {bigint|number} wordPos The bitmap word.
+ * @param {number} bitPos The bit within the word, 0 to 255.
+ * @returns {bigint}
+ */
+function unorderedNonce(wordPos, bitPos) {
+    if (!Number.isInteger(bitPos) || bitPos < 0 || bitPos > 255) throw new Error("bitPos must be between 0 and 255");
+    const word = BigInt(wordPos);
+    if (word < 0n || word >= 1n << 247n) throw new Error("wordPos is out of range");
+    return UNORDERED_NONCE_FLAG | (word << 8n) | BigInt(bitPos);
+}
+
+/**
+ * Returns a random unordered nonce, so independent clients can sign receipts without
+ * coordinating nonces.
+ * @returns {bigint}
+ */
+function randomUnorderedNonce() {
+    return UNORDERED_NONCE_FLAG | (BigInt(ethers.hexlify(ethers.randomBytes(32))) >> 1n);
+}
+
+/**
+ * Splits an unordered nonce into its bitmap word and the mask of its bit, the arguments
+ * `invalidateUnorderedNonces` takes to cancel it.
+ * @param {bigint|number|string} nonce An unordered nonce.
+ * @returns {{wordPos: bigint, mask: bigint}}
+ */
+function unorderedNoncePosition(nonce) {
+    if (!isUnorderedNonce(nonce)) throw new Error("Nonce is not unordered");
+    const index = BigInt(nonce) ^ UNORDERED_NONCE_FLAG;
+    return { wordPos: index >> 8n, mask: 1n << (index & 0xffn) };
+}
+
+// --- Signing & Verification ---
+
+/**
+ * Signs a receipt with the user's ethers signer.
+ * @param {ethers.Signer} signer The user's signer; must match `receipt.user`.
+ * @param {ethers.TypedDataDomain} domain The verifier's domain, see buildDomain.
+ * @param {object} receipt The receipt to sign.
+ * @returns {Promise<string>} The 65-byte signature.
+ */
+async function signReceipt(signer, domain, receipt) {
+    const signerAddress = await signer.getAddress();
+    if (ethers.getAddress(receipt.user) !== signerAddress) {
+        throw new Error(`signReceipt: receipt is for ${receipt.user} but signer is ${signerAddress}`);
+    }
+    return signer.signTypedData(domain, RECEIPT_TYPES, receipt);
+}
+
+/**
+ * Returns the EIP-712 digest the verifier checks the signature against.
+ */
+function hashReceipt(domain, receipt) {
+    return ethers.TypedDataEncoder.hash(domain, RECEIPT_TYPES, receipt);
+}
+
+/**
+ * Recovers the address that signed a receipt.
+ */
+function recoverReceiptSigner(domain, receipt, signature) {
+    return ethers.verifyTypedData(domain, RECEIPT_TYPES, receipt, signature);
+}
+
+/**
+ * Checks off-chain that a receipt was signed by its user.
+ * @dev Matches the verifier's ECDSA check, so only EOA signatures are accepted.
+ * @returns {boolean}
+ */
+function verifyReceiptSignature(domain, receipt, signature) {
+    try {
+        return recoverReceiptSigner(domain, receipt, signature) === ethers.getAddress(receipt.user);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Signs a receipt drawn on a spending authorization with its session key.
+ * @dev Unlike signReceipt, the signer is not the receipt's user; the verifier checks it
+ * against the authorization's `sessionKey` instead.
+ * @param {ethers.Signer} sessionKey The session key named in the authorization.
+ * @param {ethers.TypedDataDomain} domain The verifier's domain, see buildDomain.
+ * @param {object} receipt The receipt to sign.
+ * @returns {Promise<string>} The 65-byte signature.
+ */
+async function signSessionReceipt(sessionKey, domain, receipt) {
+    return sessionKey.signTypedData(domain, RECEIPT_TYPES, receipt);
+}
+
+/**
+ * Signs a spending authorization letting receipts charge the user up to `maxAmount` in total.
+ * @param {ethers.Signer} signer The user's signer; must match `authorization.user`.
+ * @param {ethers.TypedDataDomain} domain The verifier's domain, see buildDomain.
+ * @param {object} authorization The authorization; `sessionKey` may be the zero address to let
+ * the Verifier settle receipts without a signature, and `assetId` 0 allows any asset.
+ * @returns {Promise<string>} The 65-byte signature.
+ */
+async function signSpendingAuthorization(signer, domain, authorization) {
+    const signerAddress = await signer.getAddress();
+    if (ethers.getAddress(authorization.user) !== signerAddress) {
+        throw new Error(`signSpendingAuthorization: authorization is for ${authorization.user} but signer is ${signerAddress}`);
+    }
+    return signer.signTypedData(domain, SPENDING_AUTHORIZATION_TYPES, authorization);
+}
+
+/**
+ * Returns the EIP-712 digest that identifies a spending authorization on the verifier.
+ */
+function hashSpendingAuthorization(domain, authorization) {
+    return ethers.TypedDataEncoder.hash(domain, SPENDING_AUTHORIZATION_TYPES, authorization);
+}
+
+// --- Call Encoding ---
+
+/**
+ * Encodes calldata for `UsageReceiptVerifier.verifyAndPayWithReceipt`.
+ * @returns {string} Hex calldata for a transaction to the verifier.
+ */
+function encodeVerifyAndPay(receipt, signature) {
+    return verifierInterface.encodeFunctionData("verifyAndPayWithReceipt", [receipt, signature]);
+}
+
+/**
+ * Encodes calldata for `UsageReceiptVerifier.verifyAndPayBatch`.
+ * @param {object[]} receipts The receipts to settle.
+ * @param {string[]} signatures The signatures, one per receipt.
+ * @param {boolean} [revertOnFailure=false] True to revert the whole batch on the first invalid receipt.
+ * @returns {string} Hex calldata for a transaction to the verifier.
+ */
+function encodeVerifyAndPayBatch(receipts, signatures, revertOnFailure = false) {
+    return verifierInterface.encodeFunctionData("verifyAndPayBatch", [receipts, signatures, revertOnFailure]);
+}
+
+/**
+ * Encodes calldata for `UsageReceiptVerifier.verifyAndPayWithSession`.
+ * @returns {string} Hex calldata for a transaction to the verifier.
+ */
+function encodeVerifyAndPayWithSession(receipt, signature, authorization, authorizationSignature) {
+    return verifierInterface.encodeFunctionData("verifyAndPayWithSession", [
+        receipt,
+        signature,
+        authorization,
+        authorizationSignature
+    ]);
+}
+
+/**
+ * Encodes calldata for `UsageReceiptVerifier.verifyAndPayBatchWithSession`.
+ * @param {object[]} receipts The receipts to settle.
+ * @param {string[]} signatures The session key's signatures, one per receipt.
+ * @param {object} authorization The spending authorization the receipts are drawn on.
+ * @param {string} authorizationSignature The user's signature over the authorization.
+ * @param {boolean} [revertOnFailure=false] True to revert the whole batch on the first invalid receipt.
+ * @returns {string} Hex calldata for a transaction to the verifier.
+ */
+function encodeVerifyAndPayBatchWithSession(receipts, signatures, authorization, authorizationSignature, revertOnFailure = false) {
+    return verifierInterface.encodeFunctionData("verifyAndPayBatchWithSession", [
+        receipts,
+        signatures,
+        authorization,
+        authorizationSignature,
+        revertOnFailure
+    ]);
+}
+
+/**
+ * Decodes a receipt failure reported by the verifier, such as the `reason` of a
+ * BatchReceiptFailed event or the data of a reverted call.
+ * @param {string} data The ABI-encoded custom error.
+ * @returns {{name: string, args: object}|null} The error, or null if it is not a verifier error.
+ */
+function decodeReceiptError(data) {
+    const error = verifierInterface.parseError(data);
+    if (!error) return null;
+    return { name: error.name, args: error.args.toObject() };
+}
+
+// --- Internal Functions ---
+
+function _verifierAt(verifier, provider) {
+    if (typeof verifier !== "string") return verifier;
+    if (!provider) throw new Error("A provider is required when the verifier is given by address");
+    return new ethers.Contract(verifier, VERIFIER_ABI, provider);
+}
+
+module.exports = {
+    RECEIPT_TYPES,
+    SPENDING_AUTHORIZATION_TYPES,
+    Metric,
+    UsageType,
+    DEFAULT_TTL_SECONDS,
+    UNORDERED_NONCE_FLAG,
+    VERIFIER_ABI,
+    buildDomain,
+    getNonce,
+    isNonceUsed,
+    buildReceipt,
+    normalizeReceipt,
+    isUnorderedNonce,
+    unorderedNonce,
+    randomUnorderedNonce,
+    unorderedNoncePosition,
+    signReceipt,
+    hashReceipt,
+    recoverReceiptSigner,
+    verifyReceiptSignature,
+    signSessionReceipt,
+    signSpendingAuthorization,
+    hashSpendingAuthorization,
+    encodeVerifyAndPay,
+    encodeVerifyAndPayBatch,
+    encodeVerifyAndPayWithSession,
+    encodeVerifyAndPayBatchWithSession,
+    decodeReceiptError
+};
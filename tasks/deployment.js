@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title Deployment lookup
+ * @author Hassan Ali
+ * @notice Resolves the stack's contract addresses from the Ignition deployment output, so tasks
+ * never need addresses passed by hand.
+ * @dev Reads `ignition/deployments/<deploymentId>/deployed_addresses.json`, whose keys are
+ * `<module>#<contract id>`. Without a deployment ID, Ignition's default `chain-<chainId>` is used.
+ */
+
+// The Ignition module in ignition/modules/AISmartContracts.js.
+const MODULE_ID = "AISmartContracts";
+
+/**
+ * Returns the path of a deployment's address file.
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {string} deploymentId The Ignition deployment ID.
+ * @returns {string}
+ */
+function addressesPath(hre, deploymentId) {
+    const ignitionDir = hre.config.paths.ignition ?? path.join(hre.config.paths.root, "ignition");
+    return path.join(ignitionDir, "deployments", deploymentId, "deployed_addresses.json");
+}
+
+/**
+ * Reads the addresses of a deployment, keyed by contract ID (e.g. "Escrow").
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {string} [deploymentId] The Ignition deployment ID; defaults to `chain-<chainId>`.
+ * @returns {Promise<Object<string, string>>}
+ */
+async function loadDeployment(hre, deploymentId) {
+    if (!deploymentId) {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        deploymentId = `chain-${chainId}`;
+    }
+
+    const file = addressesPath(hre, deploymentId);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No Ignition deployment found at ${file}; deploy with ignition/modules/AISmartContracts.js or pass --deployment-id`);
+    }
+    return readAddresses(file);
+}
+
+/**
+ * Reads an Ignition `deployed_addresses.json`, keyed by contract ID (e.g. "Escrow").
+ * @dev Needs no Hardhat runtime, so off-chain services can use it too.
+ * @param {string} file Path to the file.
+ * @returns {Object<string, string>}
+ */
+function readAddresses(file) {
+    const addresses = {};
+    for (const [key, address] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+        const [moduleId, contractId] = key.split("#");
+        if (moduleId === MODULE_ID) addresses[contractId] = address;
+    }
+    return addresses;
+}
+
+/**
+ * Returns a deployed contract of the stack, connected to `signer`.
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {string} name The contract ID, which is also its artifact name.
+ * @param {object} [options]
+ * @param {string} [options.deploymentId] The Ignition deployment ID.
+ * @param {import("ethers").Signer} [options.signer] Defaults to the first configured account.
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function getDeployedContract(hre, name, { deploymentId, signer } = {}) {
+    const address = (await loadDeployment(hre, deploymentId))[name];
+    if (!address) throw new Error(`${name} is not part of the ${deploymentId ?? "default"} deployment`);
+    return hre.ethers.getContractAt(name, address, signer);
+}
+
+module.exports = {
+    MODULE_ID,
+    addressesPath,
+    loadDeployment,
+    readAddresses,
+    getDeployedContract
+};
@@ -0,0 +1,104 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title Contract error decoding
+ * @author Hassan Ali
+ * @notice Turns a failed call or transaction into a readable message naming the contract's custom
+ * error and its arguments, e.g. `NotAssetOwner(caller: 0x..., assetId: 3)`.
+ * @dev Errors are looked up in the ABIs of every contract under contracts/, so an error raised by
+ * a contract further down the call (e.g. FeeTreasury inside Escrow) is decoded too.
+ */
+
+let _interface;
+
+/**
+ * Returns an Interface holding the custom errors of all of the project's contracts.
+ * @param {object} hre The Hardhat runtime environment.
+ * @returns {Promise<import("ethers").Interface>}
+ */
+async function projectErrorInterface(hre) {
+    if (_interface) return _interface;
+
+    const seen = new Set();
+    const fragments = [];
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+        if (!name.startsWith("contracts/")) continue;
+        const { abi } = await hre.artifacts.readArtifact(name);
+        for (const fragment of abi) {
+            if (fragment.type !== "error") continue;
+            const signature = ethers.ErrorFragment.from(fragment).format("sighash");
+            if (seen.has(signature)) continue;
+            seen.add(signature);
+            fragments.push(fragment);
+        }
+    }
+    _interface = new ethers.Interface(fragments);
+    return _interface;
+}
+
+/**
+ * Finds the revert data carried by an ethers or provider error, looking through wrapped errors.
+ * @param {Error} error
+ * @returns {string|null} The ABI-encoded revert data.
+ */
+function findRevertData(error) {
+    for (let current = error, depth = 0; current && depth < 6; depth++) {
+        const { data } = current;
+        if (typeof data === "string" && data.startsWith("0x") && data.length >= 10) return data;
+        if (data && typeof data.data === "string") return findRevertData(data);
+        current = current.error ?? current.info?.error ?? current.cause;
+    }
+    return null;
+}
+
+/**
+ * Formats a decoded error as `Name(arg: value, ...)`.
+ * @param {import("ethers").ErrorDescription} description
+ * @returns {string}
+ */
+function formatError({ name, fragment, args }) {
+    const params = fragment.inputs.map((input, i) => `${input.name || i}: ${args[i]}`);
+    return `${name}(${params.join(", ")})`;
+}
+
+/**
+ * Describes why a call or transaction reverted.
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {Error} error The error thrown by ethers.
+ * @returns {Promise<string|null>} The decoded custom error or revert reason, or null if the
+ * error is not a revert.
+ */
+async function describeRevert(hre, error) {
+    const data = findRevertData(error);
+    if (data) {
+        const decoded = (await projectErrorInterface(hre)).parseError(data);
+        if (decoded) return formatError(decoded);
+    }
+    if (error.reason) return error.reason;
+    return data ? `unknown error ${data.slice(0, 10)}` : null;
+}
+
+/**
+ * Wraps a task action so a revert is reported as the decoded contract error.
+ * @param {string} taskName The task name, used as the message prefix.
+ * @param {Function} action The task action `(args, hre) => Promise`.
+ * @returns {Function}
+ */
+function withDecodedErrors(taskName, action) {
+    return async (args, hre) => {
+        try {
+            return await action(args, hre);
+        } catch (error) {
+            const reason = await describeRevert(hre, error);
+            if (!reason) throw error;
+            throw new Error(`${taskName} reverted: ${reason}`, { cause: error });
+        }
+    };
+}
+
+module.exports = {
+    projectErrorInterface,
+    findRevertData,
+    describeRevert,
+    withDecodedErrors
+};
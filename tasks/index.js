@@ -0,0 +1,190 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getDeployedContract } = require("./deployment");
+const { withDecodedErrors } = require("./errors");
+const { EscrowKeeper } = require("../keeper/escrowKeeper");
+const { Period, fetchEarnings, buildStatements, statementsToCSV, statementsToJSON } = require("../sdk/earnings");
+
+/**
+ * @title Marketplace tasks
+ * @author Hassan Ali
+ * @notice Hardhat tasks for day-to-day operation of a deployed stack, e.g.
+ * `npx hardhat asset:mint --uri ipfs://... --license 1 --network arbi_testnet`.
+ * @dev Contract addresses come from the Ignition deployment of the selected network (see
+ * ./deployment.js). Every task sends from the first configured account unless `--from` is given,
+ * and reports reverts as the contract's decoded custom error.
+ */
+
+/**
+ * Registers a task with the options every marketplace task shares.
+ */
+function marketplaceTask(name, description, action) {
+    return task(name, description)
+        .addOptionalParam("deploymentId", "Ignition deployment ID (default: chain-<chainId>)")
+        .addOptionalParam("from", "Address of the account to send from (default: the first account)")
+        .setAction(withDecodedErrors(name, action));
+}
+
+async function contractFor(hre, name, { deploymentId, from }) {
+    const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+    return getDeployedContract(hre, name, { deploymentId, signer });
+}
+
+async function send(txPromise) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+    console.log(`  tx ${receipt.hash} (block ${receipt.blockNumber})`);
+    return receipt;
+}
+
+// --- AssetToken ---
+
+marketplaceTask("asset:mint", "Mints a new asset token", async (args, hre) => {
+    const assetToken = await contractFor(hre, "AssetToken", args);
+    const to = args.to ?? (await assetToken.runner.getAddress());
+
+    const receipt = await send(assetToken.mint(to, args.license, args.uri, "0x"));
+    const event = receipt.logs
+        .map((log) => assetToken.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "AssetMinted");
+    console.log(`Minted asset ${event.args.tokenId} to ${to}`);
+    return event.args.tokenId;
+})
+    .addParam("uri", "Metadata URI of the asset")
+    .addParam("license", "License ID the asset is offered under", undefined, types.string)
+    .addOptionalParam("to", "Owner of the new asset (default: the sender)");
+
+// --- ProvenanceGraph ---
+
+marketplaceTask("provenance:add-contributor", "Adds a weighted contributor edge to an asset's draft graph", async (args, hre) => {
+    const provenanceGraph = await contractFor(hre, "ProvenanceGraph", args);
+    await send(provenanceGraph.addContributorEdge(args.asset, args.contributor, args.weight));
+    console.log(`Added ${args.contributor} to asset ${args.asset} with ${args.weight} bps`);
+})
+    .addParam("asset", "Asset ID", undefined, types.string)
+    .addParam("contributor", "Contributor address")
+    .addParam("weight", "Royalty weight in basis points", undefined, types.int);
+
+marketplaceTask("provenance:finalize", "Finalizes an asset's provenance graph", async (args, hre) => {
+    const provenanceGraph = await contractFor(hre, "ProvenanceGraph", args);
+    await send(provenanceGraph.finalize(args.asset));
+    console.log(`Finalized the graph of asset ${args.asset}`);
+})
+    .addParam("asset", "Asset ID", undefined, types.string);
+
+// --- RoyaltySplitFactory ---
+
+marketplaceTask("splitter:create", "Creates the royalty splitter of a finalized asset", async (args, hre) => {
+    const royaltySplitFactory = await contractFor(hre, "RoyaltySplitFactory", args);
+    await send(royaltySplitFactory.createSplitter(args.asset));
+    const splitter = await royaltySplitFactory.assetIdToSplitter(args.asset);
+    console.log(`Splitter of asset ${args.asset}: ${splitter}`);
+    return splitter;
+})
+    .addParam("asset", "Asset ID", undefined, types.string);
+
+// --- Escrow ---
+
+marketplaceTask("escrow:release-due", "Releases every held payment whose hold period is over", async (args, hre) => {
+    const escrow = await contractFor(hre, "Escrow", args);
+    const keeper = new EscrowKeeper({
+        signer: escrow.runner,
+        escrowAddress: await escrow.getAddress(),
+        fromBlock: args.fromBlock,
+        batchSize: args.batchSize,
+        logger: { info: console.log, error: console.error }
+    });
+
+    const released = await keeper.drain();
+    console.log(`Released ${released.length} escrowed payments`);
+    return released;
+})
+    .addOptionalParam("fromBlock", "First block to look for held payments in", 0, types.int)
+    .addOptionalParam("batchSize", "Maximum payments per release transaction", 50, types.int);
+
+marketplaceTask("escrow:resolve", "Resolves a disputed payment as the arbiter", async (args, hre) => {
+    const escrow = await contractFor(hre, "Escrow", args);
+    if (args.refundAmount !== undefined) {
+        await send(escrow.resolveDisputeWithSplit(args.escrowId, args.refundAmount));
+        console.log(`Resolved escrow ${args.escrowId}, refunding ${args.refundAmount}`);
+    } else {
+        await send(escrow.resolveDispute(args.escrowId, args.refund));
+        console.log(`Resolved escrow ${args.escrowId} with a ${args.refund ? "refund" : "release"}`);
+    }
+})
+    .addParam("escrowId", "Escrow item ID", undefined, types.string)
+    .addFlag("refund", "Refund the user in full instead of releasing the payment")
+    .addOptionalParam("refundAmount", "Refund only this amount, in token base units, and release the rest", undefined, types.string);
+
+// --- FeeTreasury ---
+
+marketplaceTask("fees:set", "Sets the protocol fee", async (args, hre) => {
+    const feeTreasury = await contractFor(hre, "FeeTreasury", args);
+    await send(feeTreasury.setFeeBps(args.bps));
+    const scheduled = await feeTreasury.scheduledFees(await feeTreasury.FEE_SCOPE_GLOBAL(), 0);
+    if (scheduled.effectiveAt === 0n) {
+        console.log(`Protocol fee set to ${args.bps} bps`);
+    } else {
+        console.log(`Protocol fee of ${args.bps} bps scheduled; run fees:activate after ${new Date(Number(scheduled.effectiveAt) * 1000).toISOString()}`);
+    }
+})
+    .addParam("bps", "Fee in basis points", undefined, types.int);
+
+marketplaceTask("fees:activate", "Activates a scheduled fee change once its notice period has passed", async (args, hre) => {
+    const feeTreasury = await contractFor(hre, "FeeTreasury", args);
+    const scopes = {
+        global: await feeTreasury.FEE_SCOPE_GLOBAL(),
+        asset: await feeTreasury.FEE_SCOPE_ASSET(),
+        license: await feeTreasury.FEE_SCOPE_LICENSE(),
+        tiers: await feeTreasury.FEE_SCOPE_TIERS()
+    };
+    if (!(args.scope in scopes)) throw new Error(`Unknown scope "${args.scope}"; expected one of ${Object.keys(scopes).join(", ")}`);
+    await send(feeTreasury.activateFee(scopes[args.scope], args.id));
+    console.log(`Activated the scheduled ${args.scope} fee change${args.id === "0" ? "" : ` for ${args.id}`}`);
+})
+    .addOptionalParam("scope", "global, asset, license or tiers", "global")
+    .addOptionalParam("id", "Asset or license ID, or the token address for tiers (global uses 0)", "0", types.string);
+
+marketplaceTask("fees:token", "Allows or disallows a payment token and optionally routes its fees", async (args, hre) => {
+    const feeTreasury = await contractFor(hre, "FeeTreasury", args);
+    await send(feeTreasury.setPaymentToken(args.token, !args.remove));
+    if (args.treasury) await send(feeTreasury.setTokenTreasury(args.token, args.treasury));
+    console.log(`${args.remove ? "Removed" : "Allowed"} payment token ${args.token}; fees go to ${await feeTreasury.treasuryFor(args.token)}`);
+})
+    .addParam("token", "Address of the ERC20 payment token")
+    .addOptionalParam("treasury", "Address to send this token's fees to (default: the protocol treasury)")
+    .addFlag("remove", "Disallow the token instead");
+
+// --- Reports ---
+
+marketplaceTask("report:earnings", "Exports contributor earnings statements as CSV or JSON", async (args, hre) => {
+    if (!["csv", "json"].includes(args.format)) throw new Error(`Unknown format "${args.format}"; expected csv or json`);
+
+    const escrow = await contractFor(hre, "Escrow", args);
+    const factory = await contractFor(hre, "RoyaltySplitFactory", args);
+    const range = { fromBlock: args.fromBlock, toBlock: args.toBlock ?? "latest", splittersFromBlock: args.splittersFromBlock, token: args.token };
+    const { token, allocations, unattributed } = await fetchEarnings({ escrow, factory }, range);
+    const statements = buildStatements(allocations, { period: args.period, contributor: args.contributor });
+
+    const output = args.format === "csv"
+        ? statementsToCSV(statements, token)
+        : statementsToJSON(statements, token, { period: args.period, fromBlock: range.fromBlock, toBlock: range.toBlock });
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+        console.log(`Wrote ${statements.length} statements to ${args.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    if (unattributed.length > 0) {
+        console.error(`Skipped ${unattributed.length} payouts to splitters the factory did not create (escrow IDs ${unattributed.map((payout) => payout.escrowId).join(", ")})`);
+    }
+    return statements;
+})
+    .addOptionalParam("contributor", "Only report this contributor")
+    .addOptionalParam("token", "Payment token to report (default: USDC)")
+    .addOptionalParam("period", `Statement period: ${Object.values(Period).join(", ")}`, Period.MONTH)
+    .addOptionalParam("format", "Output format: csv or json", "csv")
+    .addOptionalParam("out", "File to write to (default: stdout)")
+    .addOptionalParam("fromBlock", "First block to report payouts from", 0, types.int)
+    .addOptionalParam("toBlock", "Last block to report payouts from (default: latest)", undefined, types.int)
+    .addOptionalParam("splittersFromBlock", "First block to read splitter share tables from", 0, types.int);
@@ -0,0 +1,324 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AssetMarketplace Contract", function () {
+    const PRICE = ethers.parseUnits("1000", 6);
+    const FEE_BPS = 250n; // 2.5%
+    const ROYALTY_BPS = 500n; // 5%
+    const DAY = 24 * 60 * 60;
+
+    // Asset 1 is finalized with a splitter; asset 2 is a draft without one. Both are owned by
+    // the seller, who has approved the marketplace. The buyers hold USDC and approved it too.
+    async function deployMarketplaceFixture() {
+        const [owner, admin, minter, seller, buyer1, buyer2, contributor1, treasury, outsider] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, admin.address, "uri");
+        const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+        const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+        const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, FEE_BPS);
+        const AssetMarketplace = await ethers.getContractFactory("AssetMarketplace");
+        const marketplace = await AssetMarketplace.deploy(
+            admin.address,
+            await usdc.getAddress(),
+            await assetToken.getAddress(),
+            await feeTreasury.getAddress(),
+            await royaltySplitFactory.getAddress(),
+            ROYALTY_BPS
+        );
+        const marketplaceAddress = await marketplace.getAddress();
+
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
+        await assetToken.connect(minter).mint(seller.address, 1, "ipfs://asset1", "0x");
+        await assetToken.connect(minter).mint(seller.address, 1, "ipfs://asset2", "0x");
+        await provenanceGraph.connect(seller).addContributorEdge(1, contributor1.address, 10000);
+        await provenanceGraph.connect(seller).finalize(1);
+        await royaltySplitFactory.createSplitter(1);
+        const splitter = await royaltySplitFactory.assetIdToSplitter(1);
+
+        await assetToken.connect(seller).setApprovalForAll(marketplaceAddress, true);
+        for (const buyer of [buyer1, buyer2]) {
+            await usdc.mint(buyer.address, PRICE * 10n);
+            await usdc.connect(buyer).approve(marketplaceAddress, ethers.MaxUint256);
+        }
+
+        return {
+            marketplace, assetToken, provenanceGraph, usdc, feeTreasury, splitter,
+            admin, seller, buyer1, buyer2, contributor1, treasury, outsider
+        };
+    }
+
+    describe("Deployment", function () {
+        it("Should set the dependencies and royalty, and reject bad arguments", async function () {
+            const { marketplace, usdc, assetToken, feeTreasury, admin } = await loadFixture(deployMarketplaceFixture);
+            expect(await marketplace.usdc()).to.equal(await usdc.getAddress());
+            expect(await marketplace.assetToken()).to.equal(await assetToken.getAddress());
+            expect(await marketplace.royaltyBps()).to.equal(ROYALTY_BPS);
+
+            const AssetMarketplace = await ethers.getContractFactory("AssetMarketplace");
+            const args = [admin.address, await usdc.getAddress(), await assetToken.getAddress(), await feeTreasury.getAddress(), await marketplace.royaltySplitFactory()];
+            for (let i = 0; i < args.length; i++) {
+                const withZero = [...args];
+                withZero[i] = ethers.ZeroAddress;
+                await expect(AssetMarketplace.deploy(...withZero, ROYALTY_BPS)).to.be.revertedWithCustomError(AssetMarketplace, "ZeroAddress");
+            }
+            await expect(AssetMarketplace.deploy(...args, 2501))
+                .to.be.revertedWithCustomError(AssetMarketplace, "RoyaltyTooHigh")
+                .withArgs(2500, 2501);
+        });
+    });
+
+    describe("Fixed-Price Sales", function () {
+        it("Should hold a listed asset and transfer ownership, fee, royalty and proceeds on purchase", async function () {
+            const { marketplace, assetToken, usdc, splitter, seller, buyer1, treasury } = await loadFixture(deployMarketplaceFixture);
+            const marketplaceAddress = await marketplace.getAddress();
+
+            await expect(marketplace.connect(seller).listFixedPrice(1, PRICE))
+                .to.emit(marketplace, "Listed")
+                .withArgs(1, 1, seller.address, 0, PRICE, 0);
+            expect(await assetToken.ownerOf(1)).to.equal(marketplaceAddress);
+            expect(await marketplace.activeListing(1)).to.equal(1);
+
+            const fee = (PRICE * FEE_BPS) / 10000n;
+            const royalty = (PRICE * ROYALTY_BPS) / 10000n;
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 1, buyer1.address, seller.address, PRICE, fee, royalty)
+                .and.to.emit(assetToken, "AssetOwnershipChanged")
+                .withArgs(1, marketplaceAddress, buyer1.address);
+
+            expect(await assetToken.ownerOf(1)).to.equal(buyer1.address);
+            expect(await usdc.balanceOf(treasury.address)).to.equal(fee);
+            expect(await usdc.balanceOf(splitter)).to.equal(royalty);
+            expect(await usdc.balanceOf(seller.address)).to.equal(PRICE - fee - royalty);
+            expect(await usdc.balanceOf(marketplaceAddress)).to.equal(0);
+            expect((await marketplace.listings(1)).status).to.equal(1); // Sold
+            expect(await marketplace.activeListing(1)).to.equal(0);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.be.revertedWithCustomError(marketplace, "ListingNotActive")
+                .withArgs(1);
+        });
+
+        it("Should quote and charge the FeeTreasury fee for the asset and pay it to the USDC treasury", async function () {
+            const { marketplace, usdc, feeTreasury, admin, seller, buyer1, outsider } = await loadFixture(deployMarketplaceFixture);
+            await feeTreasury.connect(admin).setAssetFee(1, true, 100);
+            await time.increase(await feeTreasury.feeChangeDelay());
+            await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_ASSET(), 1);
+            await feeTreasury.connect(admin).setTokenTreasury(await usdc.getAddress(), outsider.address);
+
+            const fee = (PRICE * 100n) / 10000n;
+            const royalty = (PRICE * ROYALTY_BPS) / 10000n;
+            const [quotedFee, quotedRoyalty, sellerProceeds] = await marketplace.quote(1, PRICE);
+            expect(quotedFee).to.equal(fee);
+            expect(quotedRoyalty).to.equal(royalty);
+            expect(sellerProceeds).to.equal(PRICE - fee - royalty);
+
+            await marketplace.connect(seller).listFixedPrice(1, PRICE);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 1, buyer1.address, seller.address, PRICE, fee, royalty);
+            expect(await usdc.balanceOf(outsider.address)).to.equal(fee);
+            expect(await marketplace.salesRevenue(1)).to.equal(PRICE);
+        });
+
+        it("Should apply the license override and the asset's USDC volume tier once they are activated", async function () {
+            const { marketplace, assetToken, usdc, feeTreasury, admin, seller, buyer1, buyer2 } = await loadFixture(deployMarketplaceFixture);
+            const usdcAddress = await usdc.getAddress();
+            await feeTreasury.connect(admin).setVolumeTiers(usdcAddress, [PRICE], [100]);
+            await feeTreasury.connect(admin).setLicenseFee(1, true, 500);
+            await time.increase(await feeTreasury.feeChangeDelay());
+            await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_TIERS(), BigInt(usdcAddress));
+
+            // The first sale settles below the tier and pays the default fee.
+            await marketplace.connect(seller).listFixedPrice(1, PRICE);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 1, buyer1.address, seller.address, PRICE, (PRICE * FEE_BPS) / 10000n, (PRICE * ROYALTY_BPS) / 10000n);
+
+            await assetToken.connect(buyer1).setApprovalForAll(await marketplace.getAddress(), true);
+            await marketplace.connect(buyer1).listFixedPrice(1, PRICE);
+            await expect(marketplace.connect(buyer2).buy(2, PRICE))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(2, 1, buyer2.address, buyer1.address, PRICE, (PRICE * 100n) / 10000n, (PRICE * ROYALTY_BPS) / 10000n);
+
+            await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_LICENSE(), 1);
+            const [fee] = await marketplace.quote(1, PRICE);
+            expect(fee).to.equal((PRICE * 500n) / 10000n);
+        });
+
+        it("Should pay no royalty for an asset without a splitter or when the royalty is off", async function () {
+            const { marketplace, usdc, admin, seller, buyer1, buyer2 } = await loadFixture(deployMarketplaceFixture);
+            const fee = (PRICE * FEE_BPS) / 10000n;
+
+            await marketplace.connect(seller).listFixedPrice(2, PRICE);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 2, buyer1.address, seller.address, PRICE, fee, 0);
+
+            await expect(marketplace.connect(admin).setRoyaltyBps(0))
+                .to.emit(marketplace, "RoyaltyBpsUpdated")
+                .withArgs(0);
+            await marketplace.connect(seller).listFixedPrice(1, PRICE);
+            await marketplace.connect(buyer2).buy(2, PRICE);
+            expect(await usdc.balanceOf(seller.address)).to.equal((PRICE - fee) * 2n);
+        });
+
+        it("Should let the new owner control provenance and resell the asset", async function () {
+            const { marketplace, provenanceGraph, assetToken, seller, buyer1, buyer2, contributor1 } = await loadFixture(deployMarketplaceFixture);
+            await marketplace.connect(seller).listFixedPrice(2, PRICE);
+            await marketplace.connect(buyer1).buy(1, PRICE);
+
+            await expect(provenanceGraph.connect(seller).addContributorEdge(2, contributor1.address, 5000))
+                .to.be.revertedWithCustomError(provenanceGraph, "NotAssetOwner");
+            await provenanceGraph.connect(buyer1).addContributorEdge(2, contributor1.address, 5000);
+
+            await assetToken.connect(buyer1).setApprovalForAll(await marketplace.getAddress(), true);
+            await marketplace.connect(buyer1).listFixedPrice(2, PRICE * 2n);
+            await marketplace.connect(buyer2).buy(2, PRICE * 2n);
+            expect(await assetToken.ownerOf(2)).to.equal(buyer2.address);
+        });
+
+        it("Should let only the seller reprice or cancel a listing", async function () {
+            const { marketplace, assetToken, seller, buyer1, outsider } = await loadFixture(deployMarketplaceFixture);
+            await marketplace.connect(seller).listFixedPrice(1, PRICE);
+
+            await expect(marketplace.connect(outsider).updatePrice(1, PRICE / 2n))
+                .to.be.revertedWithCustomError(marketplace, "NotSeller")
+                .withArgs(1, outsider.address);
+            await expect(marketplace.connect(seller).updatePrice(1, PRICE * 2n))
+                .to.emit(marketplace, "PriceUpdated")
+                .withArgs(1, PRICE * 2n);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE))
+                .to.be.revertedWithCustomError(marketplace, "PriceAboveMaximum")
+                .withArgs(PRICE * 2n, PRICE);
+
+            await expect(marketplace.connect(outsider).cancel(1)).to.be.revertedWithCustomError(marketplace, "NotSeller");
+            await expect(marketplace.connect(seller).cancel(1))
+                .to.emit(marketplace, "ListingCancelled")
+                .withArgs(1);
+            expect(await assetToken.ownerOf(1)).to.equal(seller.address);
+            expect((await marketplace.listings(1)).status).to.equal(2); // Cancelled
+        });
+
+        it("Should REVERT listings that are free, not owned by the caller or sent directly", async function () {
+            const { marketplace, assetToken, seller, outsider } = await loadFixture(deployMarketplaceFixture);
+
+            await expect(marketplace.connect(seller).listFixedPrice(1, 0)).to.be.revertedWithCustomError(marketplace, "InvalidPrice");
+            await expect(marketplace.connect(outsider).listFixedPrice(1, PRICE)).to.be.reverted;
+            // AssetToken reports the marketplace's UnexpectedTransfer as a rejected transfer.
+            await expect(assetToken.connect(seller).safeTransferFrom(seller.address, await marketplace.getAddress(), 1, 1, "0x")).to.be.reverted;
+        });
+    });
+
+    describe("Auctions", function () {
+        it("Should credit outbid bidders and sell to the highest bidder once the auction ends", async function () {
+            const { marketplace, assetToken, usdc, splitter, seller, buyer1, buyer2, treasury } = await loadFixture(deployMarketplaceFixture);
+            await marketplace.connect(seller).listAuction(1, PRICE, DAY);
+            const { endTime } = await marketplace.listings(1);
+
+            await expect(marketplace.connect(buyer1).bid(1, PRICE - 1n))
+                .to.be.revertedWithCustomError(marketplace, "BidTooLow")
+                .withArgs(PRICE, PRICE - 1n);
+            await marketplace.connect(buyer1).bid(1, PRICE);
+            const minimumBid = PRICE + PRICE / 20n; // 5% more
+            expect(await marketplace.minimumBidFor(1)).to.equal(minimumBid);
+            await expect(marketplace.connect(buyer2).bid(1, minimumBid - 1n)).to.be.revertedWithCustomError(marketplace, "BidTooLow");
+            await expect(marketplace.connect(buyer2).bid(1, minimumBid))
+                .to.emit(marketplace, "BidPlaced")
+                .withArgs(1, buyer2.address, minimumBid, endTime);
+            expect(await marketplace.pendingReturns(buyer1.address)).to.equal(PRICE);
+            expect(await usdc.balanceOf(buyer1.address)).to.equal(PRICE * 9n);
+            await expect(marketplace.connect(buyer1).withdrawBid())
+                .to.emit(marketplace, "BidWithdrawn")
+                .withArgs(buyer1.address, PRICE);
+            expect(await usdc.balanceOf(buyer1.address)).to.equal(PRICE * 10n);
+            await expect(marketplace.connect(buyer1).withdrawBid())
+                .to.be.revertedWithCustomError(marketplace, "NothingToWithdraw")
+                .withArgs(buyer1.address);
+            await expect(marketplace.connect(seller).cancel(1)).to.be.revertedWithCustomError(marketplace, "AuctionHasBids");
+
+            await expect(marketplace.settleAuction(1)).to.be.revertedWithCustomError(marketplace, "AuctionNotEnded");
+            await time.increaseTo(endTime);
+            await expect(marketplace.connect(buyer1).bid(1, PRICE * 2n)).to.be.revertedWithCustomError(marketplace, "AuctionEnded");
+
+            const fee = (minimumBid * FEE_BPS) / 10000n;
+            const royalty = (minimumBid * ROYALTY_BPS) / 10000n;
+            await expect(marketplace.settleAuction(1))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 1, buyer2.address, seller.address, minimumBid, fee, royalty);
+            expect(await assetToken.ownerOf(1)).to.equal(buyer2.address);
+            expect(await usdc.balanceOf(treasury.address)).to.equal(fee);
+            expect(await usdc.balanceOf(splitter)).to.equal(royalty);
+            expect(await usdc.balanceOf(seller.address)).to.equal(minimumBid - fee - royalty);
+        });
+
+        it("Should pay the seller and hold the asset for a winner that rejects the transfer", async function () {
+            const { marketplace, assetToken, usdc, seller, buyer1, outsider } = await loadFixture(deployMarketplaceFixture);
+            const MockRejectingBidder = await ethers.getContractFactory("MockRejectingBidder");
+            const bidder = await MockRejectingBidder.deploy(await marketplace.getAddress(), await usdc.getAddress());
+            const bidderAddress = await bidder.getAddress();
+            await usdc.mint(bidderAddress, PRICE);
+            await marketplace.connect(seller).listAuction(1, PRICE, DAY);
+            await bidder.bid(1, PRICE);
+            await time.increase(DAY);
+
+            const fee = (PRICE * FEE_BPS) / 10000n;
+            const royalty = (PRICE * ROYALTY_BPS) / 10000n;
+            await expect(marketplace.settleAuction(1))
+                .to.emit(marketplace, "AssetSold")
+                .withArgs(1, 1, bidderAddress, seller.address, PRICE, fee, royalty)
+                .and.to.emit(marketplace, "DeliveryFailed")
+                .withArgs(1, bidderAddress);
+            expect(await usdc.balanceOf(seller.address)).to.equal(PRICE - fee - royalty);
+            expect(await usdc.balanceOf(bidderAddress)).to.equal(0);
+            expect(await assetToken.ownerOf(1)).to.equal(await marketplace.getAddress());
+            expect(await marketplace.unclaimedBy(1)).to.equal(bidderAddress);
+
+            await expect(marketplace.connect(buyer1).claimAsset(1, buyer1.address))
+                .to.be.revertedWithCustomError(marketplace, "NothingToClaim")
+                .withArgs(1, buyer1.address);
+            await expect(bidder.claimAsset(1, outsider.address))
+                .to.emit(marketplace, "AssetClaimed")
+                .withArgs(1, bidderAddress, outsider.address);
+            expect(await assetToken.ownerOf(1)).to.equal(outsider.address);
+            await expect(bidder.claimAsset(1, outsider.address)).to.be.revertedWithCustomError(marketplace, "NothingToClaim");
+        });
+
+        it("Should extend an auction when a bid arrives in its final minutes", async function () {
+            const { marketplace, seller, buyer1 } = await loadFixture(deployMarketplaceFixture);
+            await marketplace.connect(seller).listAuction(1, PRICE, DAY);
+            const { endTime } = await marketplace.listings(1);
+
+            await time.setNextBlockTimestamp(endTime - 60n);
+            await marketplace.connect(buyer1).bid(1, PRICE);
+            expect((await marketplace.listings(1)).endTime).to.equal(endTime - 60n + 600n);
+        });
+
+        it("Should return an unsold asset to the seller and validate auction settings", async function () {
+            const { marketplace, assetToken, seller, buyer1 } = await loadFixture(deployMarketplaceFixture);
+            await expect(marketplace.connect(seller).listAuction(1, PRICE, 60))
+                .to.be.revertedWithCustomError(marketplace, "InvalidDuration")
+                .withArgs(3600, 30 * DAY, 60);
+
+            await marketplace.connect(seller).listAuction(1, PRICE, DAY);
+            await expect(marketplace.connect(buyer1).buy(1, PRICE)).to.be.revertedWithCustomError(marketplace, "WrongSaleType");
+            await time.increase(DAY);
+            await expect(marketplace.settleAuction(1))
+                .to.emit(marketplace, "ListingCancelled")
+                .withArgs(1);
+            expect(await assetToken.ownerOf(1)).to.equal(seller.address);
+        });
+    });
+});
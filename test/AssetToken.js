@@ -7,8 +7,8 @@ describe("AssetToken", function () {
     async function deployAssetTokenFixture() {
         const [owner, defaultAdmin, minter, uriSetter, user1, user2] = await ethers.getSigners();
 
-        const MinterRole = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("MINTER_ROLE"));
-        const UriSetterRole = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("URI_SETTER_ROLE"));
+        const MinterRole = ethers.id("MINTER_ROLE");
+        const UriSetterRole = ethers.id("URI_SETTER_ROLE");
         const DefaultAdminRole = '0x0000000000000000000000000000000000000000000000000000000000000000';
 
         const AssetTokenFactory = await ethers.getContractFactory("AssetToken");
@@ -18,7 +18,7 @@ describe("AssetToken", function () {
             uriSetter.address,
             "https://api.example.com/assets/" // base URI (unused in this implementation)
         );
-        await assetToken.deployed();
+        await assetToken.waitForDeployment();
 
         return { assetToken, owner, defaultAdmin, minter, uriSetter, user1, user2, MinterRole, UriSetterRole, DefaultAdminRole };
     }
@@ -162,6 +162,47 @@ describe("AssetToken", function () {
         });
     });
 
+    describe("Ownership", function () {
+        it("Should track the owner, existence and count of minted assets", async function () {
+            const { assetToken, minter, user1, user2, tokenId } = await loadFixture(deployAndMintFixture);
+            await expect(assetToken.connect(minter).mint(user2.address, 1, "ipfs://second", "0x"))
+                .to.emit(assetToken, "AssetOwnershipChanged")
+                .withArgs(2, ethers.ZeroAddress, user2.address);
+
+            expect(await assetToken.ownerOf(tokenId)).to.equal(user1.address);
+            expect(await assetToken.ownerOf(2)).to.equal(user2.address);
+            expect(await assetToken.balanceOf(user1.address, tokenId)).to.equal(1);
+            expect(await assetToken.totalMinted()).to.equal(2);
+            expect([await assetToken.exists(0), await assetToken.exists(2), await assetToken.exists(3)]).to.deep.equal([false, true, false]);
+            await expect(assetToken.ownerOf(3)).to.be.revertedWith("AssetToken: Owner query for nonexistent token");
+        });
+
+        it("Should move ownership with the token on single and batch transfers", async function () {
+            const { assetToken, minter, user1, user2, tokenId } = await loadFixture(deployAndMintFixture);
+
+            await expect(assetToken.connect(user1).safeTransferFrom(user1.address, user2.address, tokenId, 1, "0x"))
+                .to.emit(assetToken, "AssetOwnershipChanged")
+                .withArgs(tokenId, user1.address, user2.address);
+            expect(await assetToken.ownerOf(tokenId)).to.equal(user2.address);
+
+            await assetToken.connect(minter).mint(user2.address, 1, "ipfs://second", "0x");
+            await expect(assetToken.connect(user2).safeBatchTransferFrom(user2.address, user1.address, [1, 2], [1, 1], "0x"))
+                .to.emit(assetToken, "AssetOwnershipChanged")
+                .withArgs(2, user2.address, user1.address);
+            expect([await assetToken.ownerOf(1), await assetToken.ownerOf(2)]).to.deep.equal([user1.address, user1.address]);
+        });
+
+        it("Should leave ownership unchanged on a zero-amount transfer", async function () {
+            const { assetToken, user1, user2, tokenId } = await loadFixture(deployAndMintFixture);
+
+            await expect(assetToken.connect(user2).safeTransferFrom(user2.address, user1.address, tokenId, 0, "0x"))
+                .to.not.emit(assetToken, "AssetOwnershipChanged");
+            await expect(assetToken.connect(user1).safeTransferFrom(user1.address, user2.address, tokenId, 0, "0x"))
+                .to.not.emit(assetToken, "AssetOwnershipChanged");
+            expect(await assetToken.ownerOf(tokenId)).to.equal(user1.address);
+        });
+    });
+
     describe("View Functions for Nonexistent Tokens", function() {
         it("uri() should revert for nonexistent token", async function() {
             const { assetToken } = await loadFixture(deployAssetTokenFixture);
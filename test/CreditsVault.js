@@ -0,0 +1,271 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFundedStack } = require("./helpers/stack");
+const { Metric } = require("../sdk/usageReceipts");
+
+describe("CreditsVault Contract", function () {
+    const DAY = 24 * 60 * 60;
+    const MONTH = 30 * DAY;
+    const usdc6 = (amount) => ethers.parseUnits(amount, 6);
+
+    // The full receipt stack with a CreditsVault plugged into the verifier and Escrow.
+    async function deployVaultFixture() {
+        const stack = await deployFundedStack();
+        const { usageReceiptVerifier, escrow, assetToken, royaltySplitFactory, usdc, admin, user, otherUser } = stack;
+
+        const CreditsVault = await ethers.getContractFactory("CreditsVault");
+        const creditsVault = await CreditsVault.deploy(
+            admin.address,
+            await usageReceiptVerifier.getAddress(),
+            await usdc.getAddress(),
+            await assetToken.getAddress(),
+            await royaltySplitFactory.getAddress(),
+            await escrow.getAddress()
+        );
+        const vaultAddress = await creditsVault.getAddress();
+        await usageReceiptVerifier.connect(admin).setCreditsVault(vaultAddress);
+        await escrow.connect(admin).grantRole(await escrow.VERIFIER_ROLE(), vaultAddress);
+        for (const payer of [user, otherUser]) {
+            await usdc.connect(payer).approve(vaultAddress, ethers.MaxUint256);
+        }
+
+        return { ...stack, creditsVault, vaultAddress };
+    }
+
+    // Deposits credit for the user and withdraws their wallet approval of the verifier,
+    // so only credit can pay their receipts.
+    async function creditOnly(stack, amount) {
+        await stack.creditsVault.connect(stack.user).deposit(amount);
+        await stack.usdc.connect(stack.user).approve(await stack.usageReceiptVerifier.getAddress(), 0);
+    }
+
+    describe("Deployment", function () {
+        it("Should grant the roles and REVERT on a zero address", async function () {
+            const { creditsVault, usageReceiptVerifier, admin } = await loadFixture(deployVaultFixture);
+            expect(await creditsVault.hasRole(await creditsVault.VERIFIER_ROLE(), await usageReceiptVerifier.getAddress())).to.be.true;
+            expect(await usageReceiptVerifier.creditsVault()).to.equal(await creditsVault.getAddress());
+
+            const CreditsVault = await ethers.getContractFactory("CreditsVault");
+            const args = [admin.address, admin.address, admin.address, admin.address, admin.address, admin.address];
+            for (let i = 0; i < args.length; i++) {
+                const withZero = [...args];
+                withZero[i] = ethers.ZeroAddress;
+                await expect(CreditsVault.deploy(...withZero)).to.be.revertedWithCustomError(CreditsVault, "ZeroAddress");
+            }
+            await expect(usageReceiptVerifier.connect(admin).setCreditsVault(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "ZeroAddress");
+        });
+    });
+
+    describe("Credits", function () {
+        it("Should deposit, deposit for others and withdraw unused credit", async function () {
+            const { creditsVault, usdc, user, otherUser, vaultAddress } = await loadFixture(deployVaultFixture);
+
+            await expect(creditsVault.connect(user).deposit(usdc6("10")))
+                .to.emit(creditsVault, "CreditsDeposited")
+                .withArgs(user.address, user.address, usdc6("10"));
+            await creditsVault.connect(otherUser).depositFor(user.address, usdc6("5"));
+            expect(await creditsVault.credits(user.address)).to.equal(usdc6("15"));
+            expect(await usdc.balanceOf(vaultAddress)).to.equal(usdc6("15"));
+
+            await expect(creditsVault.connect(user).withdraw(usdc6("16")))
+                .to.be.revertedWithCustomError(creditsVault, "InsufficientCredits")
+                .withArgs(user.address, usdc6("15"), usdc6("16"));
+            await expect(creditsVault.connect(user).withdraw(usdc6("12")))
+                .to.emit(creditsVault, "CreditsWithdrawn")
+                .withArgs(user.address, usdc6("12"));
+            expect(await creditsVault.credits(user.address)).to.equal(usdc6("3"));
+            expect(await usdc.balanceOf(user.address)).to.equal(usdc6("102"));
+            await expect(creditsVault.connect(user).deposit(0)).to.be.revertedWithCustomError(creditsVault, "ZeroAmount");
+        });
+
+        it("Should only let the verifier debit credit", async function () {
+            const { creditsVault, user, otherUser } = await loadFixture(deployVaultFixture);
+            await creditsVault.connect(user).deposit(usdc6("10"));
+
+            await expect(creditsVault.connect(otherUser).debit(user.address, usdc6("10"), otherUser.address))
+                .to.be.revertedWith(`AccessControl: account ${otherUser.address.toLowerCase()} is missing role ${await creditsVault.VERIFIER_ROLE()}`);
+        });
+
+        it("Should charge receipts to credit instead of the wallet", async function () {
+            const stack = await loadFixture(deployVaultFixture);
+            const { creditsVault, usageReceiptVerifier, escrow, usdc, verifier, user, assetIds, callPrice, signReceipts } = stack;
+            await creditOnly(stack, usdc6("10"));
+
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1, 0);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]))
+                .to.emit(creditsVault, "CreditsDebited")
+                .withArgs(user.address, await escrow.getAddress(), callPrice)
+                .and.to.emit(escrow, "PaymentHeld")
+                .withArgs(1, assetIds[0], user.address, callPrice, await usdc.getAddress());
+
+            expect(await creditsVault.credits(user.address)).to.equal(usdc6("10") - callPrice);
+            expect(await usdc.balanceOf(user.address)).to.equal(usdc6("90"));
+        });
+
+        it("Should fund batches from credit and fall back to the wallet", async function () {
+            const stack = await loadFixture(deployVaultFixture);
+            const { creditsVault, usageReceiptVerifier, usdc, verifier, user, otherUser, assetIds, callPrice, signReceipts } = stack;
+            await creditOnly(stack, callPrice * 3n);
+
+            // Three receipts fit the user's credit, a fourth does not; otherUser pays from their wallet.
+            const fromCredit = await signReceipts(user, assetIds[0], 1, 4, 0);
+            const fromWallet = await signReceipts(otherUser, assetIds[0], 1, 1, 0);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatch(
+                    [...fromCredit.receipts, ...fromWallet.receipts],
+                    [...fromCredit.signatures, ...fromWallet.signatures],
+                    false
+                )
+            ).to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(3, user.address, 3, usageReceiptVerifier.interface.encodeErrorResult("InsufficientFunds", [user.address, callPrice * 4n]));
+
+            expect(await creditsVault.credits(user.address)).to.equal(0);
+            expect(await usdc.balanceOf(otherUser.address)).to.equal(usdc6("100") - callPrice);
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(3);
+        });
+    });
+
+    describe("Subscriptions", function () {
+        it("Should let only the asset owner offer plans, and validate them", async function () {
+            const { creditsVault, assetOwner, user, assetIds, callPrice } = await loadFixture(deployVaultFixture);
+
+            await expect(creditsVault.connect(user).createPlan(assetIds[0], Metric.PER_CALL, 0, callPrice, MONTH))
+                .to.be.revertedWithCustomError(creditsVault, "NotAssetOwner")
+                .withArgs(assetIds[0], user.address);
+            await expect(creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 0, callPrice, 60))
+                .to.be.revertedWithCustomError(creditsVault, "InvalidPeriod")
+                .withArgs(DAY, 365 * DAY, 60);
+            await expect(creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 0, 0, MONTH))
+                .to.be.revertedWithCustomError(creditsVault, "ZeroAmount");
+
+            await expect(creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 100, callPrice, MONTH))
+                .to.emit(creditsVault, "PlanCreated")
+                .withArgs(1, assetIds[0], Metric.PER_CALL, 100, callPrice, MONTH);
+            await expect(creditsVault.connect(user).setPlanActive(1, false)).to.be.revertedWithCustomError(creditsVault, "NotAssetOwner");
+            await expect(creditsVault.connect(assetOwner).setPlanActive(1, false))
+                .to.emit(creditsVault, "PlanStatusUpdated")
+                .withArgs(1, false);
+            expect(await creditsVault.planCount()).to.equal(1);
+        });
+
+        it("Should pay for a subscription from credit into Escrow and extend it", async function () {
+            const { creditsVault, escrow, royaltySplitFactory, usdc, assetOwner, user, assetIds } = await loadFixture(deployVaultFixture);
+            const price = usdc6("20");
+            await creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 0, price, MONTH);
+            await creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_1K_TOKENS, 0, price, MONTH);
+            await creditsVault.connect(user).deposit(usdc6("50"));
+
+            await expect(creditsVault.connect(user).subscribe(1, 3))
+                .to.be.revertedWithCustomError(creditsVault, "InsufficientCredits")
+                .withArgs(user.address, usdc6("50"), usdc6("60"));
+            await expect(creditsVault.connect(user).subscribe(1, 1))
+                .to.emit(escrow, "PaymentHeld")
+                .withArgs(1, assetIds[0], user.address, price, await usdc.getAddress());
+            const [, , firstEnd] = await creditsVault.subscriptions(user.address, assetIds[0]);
+            expect((await escrow.escrows(1)).paymentSplitter).to.equal(await royaltySplitFactory.assetIdToSplitter(assetIds[0]));
+
+            await expect(creditsVault.connect(user).subscribe(1, 1))
+                .to.emit(creditsVault, "Subscribed")
+                .withArgs(user.address, assetIds[0], 1, firstEnd + BigInt(MONTH), price);
+            await expect(creditsVault.connect(user).subscribe(2, 1))
+                .to.be.revertedWithCustomError(creditsVault, "SubscriptionActive")
+                .withArgs(assetIds[0], 1);
+
+            await creditsVault.connect(assetOwner).setPlanActive(1, false);
+            await expect(creditsVault.connect(user).subscribe(1, 1)).to.be.revertedWithCustomError(creditsVault, "PlanInactive");
+            await expect(creditsVault.connect(user).subscribe(3, 1)).to.be.revertedWithCustomError(creditsVault, "InvalidPlan");
+            expect(await creditsVault.credits(user.address)).to.equal(usdc6("10"));
+        });
+
+        it("Should take refunded periods off the subscription", async function () {
+            const stack = await loadFixture(deployVaultFixture);
+            const { creditsVault, usageReceiptVerifier, escrow, verifier, assetOwner, arbiter, user, otherUser, assetIds, signReceipts } = stack;
+            await creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 0, usdc6("5"), MONTH);
+            await creditOnly(stack, usdc6("11"));
+            await creditsVault.connect(user).subscribe(1, 1);
+            await creditsVault.connect(user).subscribe(1, 1);
+            const [, , endTime] = await creditsVault.subscriptions(user.address, assetIds[0]);
+            expect((await creditsVault.subscriptionPayments(2)).duration).to.equal(MONTH);
+
+            await escrow.connect(user).openDispute(2);
+            await expect(creditsVault.connect(otherUser).revokeRefunded(2))
+                .to.be.revertedWithCustomError(creditsVault, "PaymentNotRefunded")
+                .withArgs(2);
+            await escrow.connect(arbiter).resolveDispute(2, true);
+            await expect(creditsVault.connect(otherUser).revokeRefunded(2))
+                .to.emit(creditsVault, "SubscriptionRevoked")
+                .withArgs(user.address, assetIds[0], 2, endTime - BigInt(MONTH));
+            await expect(creditsVault.revokeRefunded(2))
+                .to.be.revertedWithCustomError(creditsVault, "NotSubscriptionPayment")
+                .withArgs(2);
+
+            // Refunding the first month as well ends the subscription, so usage is charged again.
+            await escrow.connect(user).openDispute(1);
+            await escrow.connect(arbiter).resolveDispute(1, true);
+            await creditsVault.revokeRefunded(1);
+            expect(await creditsVault.subscriptionUnitsLeft(user.address, assetIds[0], Metric.PER_CALL)).to.equal(0);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1, 0);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]))
+                .to.emit(escrow, "PaymentHeld");
+        });
+
+        it("Should cover receipts up to the plan's cap each period and charge the excess", async function () {
+            const stack = await loadFixture(deployVaultFixture);
+            const { creditsVault, usageReceiptVerifier, escrow, usdc, verifier, assetOwner, user, assetIds, callPrice, signReceipts } = stack;
+            await creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 3, usdc6("2"), MONTH);
+            await creditOnly(stack, usdc6("10"));
+            await creditsVault.connect(user).subscribe(1, 2);
+
+            // Three calls are covered; the fourth is charged at the rate card price.
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 4, 0);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, true))
+                .to.emit(usageReceiptVerifier, "BatchSettled")
+                .withArgs(4, 0, 1)
+                .and.to.emit(escrow, "PaymentHeld")
+                .withArgs(2, assetIds[0], user.address, callPrice, await usdc.getAddress());
+            expect(await creditsVault.subscriptionUnitsLeft(user.address, assetIds[0], Metric.PER_CALL)).to.equal(0);
+
+            // A receipt for 5 calls in the next period: 3 covered, 2 charged.
+            await time.increase(MONTH);
+            const next = await signReceipts(user, assetIds[0], 5, 1, 4);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(next.receipts[0], next.signatures[0]))
+                .to.emit(creditsVault, "SubscriptionUsed")
+                .withArgs(user.address, assetIds[0], 3)
+                .and.to.emit(escrow, "PaymentHeld")
+                .withArgs(3, assetIds[0], user.address, callPrice * 2n, await usdc.getAddress());
+            expect(await creditsVault.credits(user.address)).to.equal(usdc6("10") - usdc6("4") - callPrice * 3n);
+        });
+
+        it("Should cover unlimited use of the plan's metric only while the subscription runs", async function () {
+            const stack = await loadFixture(deployVaultFixture);
+            const { creditsVault, usageReceiptVerifier, escrow, usdc, verifier, assetOwner, user, assetIds, callPrice, signReceipts } = stack;
+            await creditsVault.connect(assetOwner).createPlan(assetIds[0], Metric.PER_CALL, 0, usdc6("5"), MONTH);
+            await creditOnly(stack, usdc6("10"));
+            await creditsVault.connect(user).subscribe(1, 1);
+            expect(await creditsVault.subscriptionUnitsLeft(user.address, assetIds[0], Metric.PER_CALL)).to.equal(ethers.MaxUint256);
+
+            const covered = await signReceipts(user, assetIds[0], 1000, 1, 0);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(covered.receipts[0], covered.signatures[0]))
+                .to.not.emit(escrow, "PaymentHeld");
+
+            // Token usage and other assets are not covered by a per-call plan.
+            const tokens = await signReceipts(user, assetIds[0], 1000, 1, 1, { metric: Metric.PER_1K_TOKENS });
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(tokens.receipts[0], tokens.signatures[0]))
+                .to.emit(escrow, "PaymentHeld");
+            const otherAsset = await signReceipts(user, assetIds[1], 1, 1, 2);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(otherAsset.receipts[0], otherAsset.signatures[0]))
+                .to.emit(escrow, "PaymentHeld");
+
+            await time.increase(MONTH);
+            const expired = await signReceipts(user, assetIds[0], 1, 1, 3);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(expired.receipts[0], expired.signatures[0]))
+                .to.emit(escrow, "PaymentHeld")
+                .withArgs(4, assetIds[0], user.address, callPrice, await usdc.getAddress());
+        });
+    });
+});
@@ -2,6 +2,7 @@ const {
     loadFixture,
     time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
@@ -24,7 +25,7 @@ describe("Escrow Contract", function () {
         const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
         const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
         const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
-        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress());
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
         const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
         const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250); // 2.5% fee
 
@@ -149,4 +150,337 @@ describe("Escrow Contract", function () {
             expect(heldPayment.status).to.equal(2); // 2 = Released
         });
     });
+    // A lightweight setup against the current constructor: the verifier is an EOA and the
+    // splitter any payee address. Holds one payment for asset 1, owned by assetOwner.
+    async function deployHoldFixture() {
+        const [owner, admin, minter, arbiter, verifier, user, assetOwner, treasury, splitter, otherAccount] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+        await usdc.waitForDeployment();
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250); // 2.5% fee
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, admin.address, "uri");
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "uri", "0x");
+
+        const disputeWindowSeconds = 3 * 24 * 60 * 60; // 3 days
+        const Escrow = await ethers.getContractFactory("Escrow");
+        const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            verifier.address,
+            await usdc.getAddress(),
+            await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            disputeWindowSeconds
+        );
+        await escrow.waitForDeployment();
+
+        // The verifier forwards the user's funds to Escrow, then records the hold.
+        const assetId = 1;
+        const paymentAmount = ethers.parseUnits("100", 6);
+        async function hold(holdAssetId = assetId) {
+            await usdc.mint(await escrow.getAddress(), paymentAmount);
+            await escrow.connect(verifier).holdPayment(holdAssetId, user.address, paymentAmount, splitter.address);
+        }
+        await hold();
+
+        return { escrow, usdc, feeTreasury, admin, arbiter, verifier, user, assetOwner, treasury, splitter, otherAccount, assetId, paymentAmount, disputeWindowSeconds, hold };
+    }
+
+    describe("Split Dispute Resolution", function () {
+        async function deploySplitResolutionFixture() {
+            const fixture = await deployHoldFixture();
+            await fixture.escrow.connect(fixture.user).openDispute(1);
+            return fixture;
+        }
+
+        it("Should refund part of the payment and release the rest through the fee split", async function () {
+            const { escrow, usdc, arbiter, user, treasury, splitter, paymentAmount } = await loadFixture(deploySplitResolutionFixture);
+            const refundAmount = ethers.parseUnits("40", 6);
+            const released = paymentAmount - refundAmount;
+            const fee = (released * BigInt(250)) / BigInt(10000);
+            const amountToContributors = released - fee;
+
+            const tx = escrow.connect(arbiter).resolveDisputeWithSplit(1, refundAmount);
+            await expect(tx).to.changeTokenBalances(
+                usdc,
+                [user, treasury, splitter],
+                [refundAmount, fee, amountToContributors]
+            );
+            await expect(tx)
+                .to.emit(escrow, "DisputeSplitResolved")
+                .withArgs(1, refundAmount, amountToContributors, fee);
+            await expect(tx)
+                .to.emit(escrow, "PaymentReleased")
+                .withArgs(1, amountToContributors, fee);
+
+            const item = await escrow.escrows(1);
+            expect(item.status).to.equal(4); // 4 = PartiallyRefunded
+        });
+
+        it("Should treat a zero refund as a full release", async function () {
+            const { escrow, usdc, arbiter, user, splitter, paymentAmount } = await loadFixture(deploySplitResolutionFixture);
+            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
+
+            await expect(escrow.connect(arbiter).resolveDisputeWithSplit(1, 0)).to.changeTokenBalances(
+                usdc,
+                [user, splitter],
+                [0, paymentAmount - fee]
+            );
+            expect((await escrow.escrows(1)).status).to.equal(2); // 2 = Released
+        });
+
+        it("Should treat a refund of the whole amount as a full refund", async function () {
+            const { escrow, usdc, arbiter, user, paymentAmount } = await loadFixture(deploySplitResolutionFixture);
+
+            await expect(escrow.connect(arbiter).resolveDisputeWithSplit(1, paymentAmount))
+                .to.emit(escrow, "DisputeSplitResolved")
+                .withArgs(1, paymentAmount, 0, 0)
+                .and.to.not.emit(escrow, "PaymentReleased");
+            expect(await usdc.balanceOf(user.address)).to.equal(paymentAmount);
+            expect((await escrow.escrows(1)).status).to.equal(3); // 3 = Refunded
+        });
+
+        it("Should REVERT if the refund exceeds the escrowed amount", async function () {
+            const { escrow, arbiter, paymentAmount } = await loadFixture(deploySplitResolutionFixture);
+            await expect(escrow.connect(arbiter).resolveDisputeWithSplit(1, paymentAmount + 1n))
+                .to.be.revertedWithCustomError(escrow, "RefundExceedsAmount")
+                .withArgs(paymentAmount, paymentAmount + 1n);
+        });
+
+        it("Should REVERT if the caller is not an arbiter", async function () {
+            const { escrow, otherAccount } = await loadFixture(deploySplitResolutionFixture);
+            await expect(escrow.connect(otherAccount).resolveDisputeWithSplit(1, 1)).to.be.reverted;
+        });
+
+        it("Should REVERT if the item is not disputed", async function () {
+            const { escrow, arbiter } = await loadFixture(deploySplitResolutionFixture);
+            await escrow.connect(arbiter).resolveDisputeWithSplit(1, 1);
+            await expect(escrow.connect(arbiter).resolveDisputeWithSplit(1, 1))
+                .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+        });
+    });
+    describe("Configurable Dispute Window", function () {
+        it("Should use the deployment's dispute window for new holds", async function () {
+            const { escrow, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            expect(await escrow.disputeWindow()).to.equal(disputeWindowSeconds);
+
+            const item = await escrow.escrows(1);
+            expect(item.releaseTime).to.equal(BigInt(await time.latest()) + BigInt(disputeWindowSeconds));
+        });
+
+        it("Should let the admin change the window for subsequent holds", async function () {
+            const { escrow, admin, hold } = await loadFixture(deployHoldFixture);
+            const newWindow = 24 * 60 * 60;
+            await expect(escrow.connect(admin).setDisputeWindow(newWindow))
+                .to.emit(escrow, "DisputeWindowUpdated")
+                .withArgs(newWindow);
+
+            await hold();
+            const item = await escrow.escrows(2);
+            expect(item.releaseTime).to.equal(BigInt(await time.latest()) + BigInt(newWindow));
+        });
+
+        it("Should apply a per-asset override and fall back when it is cleared", async function () {
+            const { escrow, admin, assetId, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            const assetWindow = 60 * 60;
+            await expect(escrow.connect(admin).setAssetDisputeWindow(assetId, assetWindow))
+                .to.emit(escrow, "AssetDisputeWindowUpdated")
+                .withArgs(assetId, assetWindow);
+            expect(await escrow.disputeWindowFor(assetId)).to.equal(assetWindow);
+            expect(await escrow.disputeWindowFor(assetId + 1)).to.equal(disputeWindowSeconds);
+
+            await escrow.connect(admin).setAssetDisputeWindow(assetId, 0);
+            expect(await escrow.disputeWindowFor(assetId)).to.equal(disputeWindowSeconds);
+        });
+
+        it("Should release early when the asset's window is shorter", async function () {
+            const { escrow, admin, hold, assetId } = await loadFixture(deployHoldFixture);
+            await escrow.connect(admin).setAssetDisputeWindow(assetId, 60 * 60);
+            await hold();
+
+            await time.increase(60 * 60 + 1);
+            await expect(escrow.release(2)).to.emit(escrow, "PaymentReleased");
+            await expect(escrow.release(1)).to.be.revertedWithCustomError(escrow, "HoldPeriodNotOver");
+        });
+
+        it("Should REVERT if a non-admin changes the window or it is too long", async function () {
+            const { escrow, admin, otherAccount } = await loadFixture(deployHoldFixture);
+            await expect(escrow.connect(otherAccount).setDisputeWindow(1)).to.be.reverted;
+            await expect(escrow.connect(otherAccount).setAssetDisputeWindow(1, 1)).to.be.reverted;
+
+            const maxWindow = await escrow.MAX_DISPUTE_WINDOW();
+            await expect(escrow.connect(admin).setDisputeWindow(maxWindow + 1n))
+                .to.be.revertedWithCustomError(escrow, "DurationTooLong")
+                .withArgs(maxWindow, maxWindow + 1n);
+        });
+    });
+
+    describe("Dispute Evidence", function () {
+        const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("chat transcript"));
+        const evidenceURI = "ipfs://evidence_hash";
+
+        it("Should let the user and the asset owner attach evidence to an open dispute", async function () {
+            const { escrow, user, assetOwner } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+
+            await expect(escrow.connect(user).submitEvidence(1, evidenceHash, evidenceURI))
+                .to.emit(escrow, "EvidenceSubmitted")
+                .withArgs(1, user.address, evidenceHash, evidenceURI);
+            await expect(escrow.connect(assetOwner).submitEvidence(1, evidenceHash, evidenceURI))
+                .to.emit(escrow, "EvidenceSubmitted")
+                .withArgs(1, assetOwner.address, evidenceHash, evidenceURI);
+
+            expect(await escrow.evidenceCount(1)).to.equal(2);
+        });
+
+        it("Should REVERT if a third party submits evidence", async function () {
+            const { escrow, user, otherAccount } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+            await expect(escrow.connect(otherAccount).submitEvidence(1, evidenceHash, evidenceURI))
+                .to.be.revertedWithCustomError(escrow, "NotAuthorized");
+        });
+
+        it("Should REVERT if the payment is not disputed", async function () {
+            const { escrow, user } = await loadFixture(deployHoldFixture);
+            await expect(escrow.connect(user).submitEvidence(1, evidenceHash, evidenceURI))
+                .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+        });
+    });
+
+    describe("Arbitration Deadline", function () {
+        it("Should record the arbitration deadline when a dispute is opened", async function () {
+            const { escrow, user } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+            const period = await escrow.arbitrationPeriod();
+            expect((await escrow.escrows(1)).disputeDeadline).to.equal(BigInt(await time.latest()) + period);
+        });
+
+        it("Should REVERT if the default outcome is applied before the deadline", async function () {
+            const { escrow, user, otherAccount } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+            await expect(escrow.connect(otherAccount).applyDefaultOutcome(1))
+                .to.be.revertedWithCustomError(escrow, "ArbitrationPeriodNotOver");
+        });
+
+        it("Should refund the user by default once the arbiter misses the deadline", async function () {
+            const { escrow, usdc, user, otherAccount, paymentAmount } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+            await time.increase(await escrow.arbitrationPeriod() + 1n);
+
+            await expect(escrow.connect(otherAccount).applyDefaultOutcome(1))
+                .to.emit(escrow, "DefaultOutcomeApplied")
+                .withArgs(1, true);
+            expect(await usdc.balanceOf(user.address)).to.equal(paymentAmount);
+            expect((await escrow.escrows(1)).status).to.equal(3); // 3 = Refunded
+        });
+
+        it("Should release to contributors when that is the configured default", async function () {
+            const { escrow, usdc, admin, user, splitter, paymentAmount } = await loadFixture(deployHoldFixture);
+            await expect(escrow.connect(admin).setDefaultOutcome(false))
+                .to.emit(escrow, "DefaultOutcomeUpdated")
+                .withArgs(false);
+            await expect(escrow.connect(admin).setArbitrationPeriod(60))
+                .to.emit(escrow, "ArbitrationPeriodUpdated")
+                .withArgs(60);
+            await escrow.connect(user).openDispute(1);
+            await time.increase(61);
+
+            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
+            await expect(escrow.applyDefaultOutcome(1)).to.changeTokenBalance(usdc, splitter, paymentAmount - fee);
+            expect((await escrow.escrows(1)).status).to.equal(2); // 2 = Released
+        });
+
+        it("Should let the arbiter resolve a dispute after the deadline if no one applied the default", async function () {
+            const { escrow, arbiter, user } = await loadFixture(deployHoldFixture);
+            await escrow.connect(user).openDispute(1);
+            await time.increase(await escrow.arbitrationPeriod() + 1n);
+
+            await escrow.connect(arbiter).resolveDispute(1, false);
+            await expect(escrow.applyDefaultOutcome(1)).to.be.revertedWithCustomError(escrow, "InvalidStatus");
+        });
+    });
+
+    describe("Batch Release", function () {
+        it("Should release every due payment in one transaction", async function () {
+            const { escrow, usdc, splitter, hold, paymentAmount, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            await hold();
+            await hold();
+            await time.increase(disputeWindowSeconds + 1);
+
+            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
+            const tx = escrow.releaseBatch([1, 2, 3]);
+            await expect(tx).to.changeTokenBalance(usdc, splitter, (paymentAmount - fee) * 3n);
+            await expect(tx).to.emit(escrow, "BatchReleased").withArgs(3, 0);
+            for (const escrowId of [1, 2, 3]) {
+                expect((await escrow.escrows(escrowId)).status).to.equal(2); // 2 = Released
+            }
+        });
+
+        it("Should skip payments that are disputed, not yet due, released or unknown", async function () {
+            const { escrow, user, hold, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            await hold(); // 2: disputed below
+            await time.increase(disputeWindowSeconds / 2);
+            await escrow.connect(user).openDispute(2);
+            await hold(); // 3: not due yet
+            await time.increase(disputeWindowSeconds / 2 + 1);
+            await escrow.release(1);
+
+            await expect(escrow.releaseBatch([1, 2, 3, 99]))
+                .to.emit(escrow, "BatchReleased")
+                .withArgs(0, 4)
+                .and.to.not.emit(escrow, "PaymentReleased");
+            expect((await escrow.escrows(2)).status).to.equal(1); // 1 = Disputed
+            expect((await escrow.escrows(3)).status).to.equal(0); // 0 = Held
+        });
+
+        it("Should skip a payment whose transfer reverts and release the rest", async function () {
+            const { escrow, usdc, feeTreasury, admin, verifier, user, splitter, hold, paymentAmount, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+            const eurc = await MockERC20.deploy("Mock EURC", "mEURC");
+            await feeTreasury.connect(admin).setPaymentToken(await eurc.getAddress(), true);
+            await eurc.mint(await escrow.getAddress(), paymentAmount);
+            await escrow.connect(verifier).holdPaymentInToken(1, user.address, await eurc.getAddress(), paymentAmount, splitter.address); // 2
+            await hold(); // 3
+            await time.increase(disputeWindowSeconds + 1);
+            await eurc.pause();
+
+            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
+            const tx = escrow.releaseBatch([1, 2, 3]);
+            await expect(tx).to.changeTokenBalance(usdc, splitter, (paymentAmount - fee) * 2n);
+            await expect(tx).to.emit(escrow, "ReleaseFailed").withArgs(2, anyValue);
+            await expect(tx).to.emit(escrow, "BatchReleased").withArgs(2, 1);
+            expect((await escrow.escrows(2)).status).to.equal(0); // 0 = Held
+
+            // The failed payment can still be released on its own, but never from outside a batch.
+            await expect(escrow.releaseBatchItem(2)).to.be.revertedWithCustomError(escrow, "NotAuthorized");
+            await eurc.unpause();
+            await expect(escrow.release(2)).to.changeTokenBalance(eurc, splitter, paymentAmount - fee);
+        });
+    });
+
+    describe("Reentrancy", function () {
+        it("Should reject a payment token that re-enters Escrow during a release", async function () {
+            const { escrow, feeTreasury, admin, verifier, user, splitter, paymentAmount, disputeWindowSeconds } = await loadFixture(deployHoldFixture);
+            const MockReentrantToken = await ethers.getContractFactory("MockReentrantToken");
+            const token = await MockReentrantToken.deploy();
+            await feeTreasury.connect(admin).setPaymentToken(await token.getAddress(), true);
+            for (const escrowId of [2, 3]) {
+                await token.mint(await escrow.getAddress(), paymentAmount);
+                await escrow.connect(verifier).holdPaymentInToken(1, user.address, await token.getAddress(), paymentAmount, splitter.address);
+            }
+            await time.increase(disputeWindowSeconds + 1);
+
+            // The token tries to release item 3 while item 2's fee is being transferred.
+            await token.setCallback(await escrow.getAddress(), escrow.interface.encodeFunctionData("release", [3]));
+            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
+            await expect(escrow.release(2)).to.changeTokenBalance(token, splitter, paymentAmount - fee);
+            expect(await token.reentered()).to.be.true;
+            expect(await token.reentrySucceeded()).to.be.false;
+            expect((await escrow.escrows(2)).status).to.equal(2); // 2 = Released
+            expect((await escrow.escrows(3)).status).to.equal(0); // 0 = Held
+        });
+    });
 });
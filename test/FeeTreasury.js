@@ -1,5 +1,6 @@
 const {
     loadFixture,
+    time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
@@ -33,10 +34,13 @@ describe("FeeTreasury Contract", function () {
 
     describe("Administrative Functions", function () {
         describe("setFeeBps", function () {
-            it("Should allow the admin to set a new fee", async function () {
+            it("Should allow the admin to set a new fee after the notice period", async function () {
                 const { feeTreasury, admin } = await loadFixture(deployFeeTreasuryFixture);
                 const newFee = 500; // 5%
                 await expect(feeTreasury.connect(admin).setFeeBps(newFee))
+                    .to.emit(feeTreasury, "FeeChangeScheduled");
+                await time.increase(await feeTreasury.feeChangeDelay());
+                await expect(feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_GLOBAL(), 0))
                     .to.emit(feeTreasury, "FeeUpdated")
                     .withArgs(newFee);
                 expect(await feeTreasury.feeBps()).to.equal(newFee);
@@ -83,5 +87,175 @@ describe("FeeTreasury Contract", function () {
                 ).to.be.revertedWithCustomError(feeTreasury, "ZeroAddress");
             });
         });
+
+        describe("Payment Tokens", function () {
+            it("Should let the admin add and remove payment tokens", async function () {
+                const { feeTreasury, admin, newTreasury, otherAccount } = await loadFixture(deployFeeTreasuryFixture);
+                // Any addresses will do as tokens; FeeTreasury never calls them.
+                const [eurc, dai] = [newTreasury.address, otherAccount.address];
+
+                await expect(feeTreasury.connect(admin).setPaymentToken(eurc, true))
+                    .to.emit(feeTreasury, "PaymentTokenUpdated")
+                    .withArgs(eurc, true);
+                await feeTreasury.connect(admin).setPaymentToken(dai, true);
+                await feeTreasury.connect(admin).setPaymentToken(dai, true);
+                expect(await feeTreasury.paymentTokens()).to.deep.equal([eurc, dai]);
+                expect(await feeTreasury.isPaymentToken(eurc)).to.be.true;
+
+                await feeTreasury.connect(admin).setPaymentToken(eurc, false);
+                expect(await feeTreasury.paymentTokens()).to.deep.equal([dai]);
+                expect(await feeTreasury.isPaymentToken(eurc)).to.be.false;
+
+                const ADMIN_ROLE = await feeTreasury.ADMIN_ROLE();
+                await expect(feeTreasury.connect(otherAccount).setPaymentToken(eurc, true))
+                    .to.be.revertedWith(`AccessControl: account ${otherAccount.address.toLowerCase()} is missing role ${ADMIN_ROLE.toLowerCase()}`);
+                await expect(feeTreasury.connect(admin).setPaymentToken(ethers.ZeroAddress, true))
+                    .to.be.revertedWithCustomError(feeTreasury, "ZeroAddress");
+            });
+
+            it("Should route a token's fees to its own treasury", async function () {
+                const { feeTreasury, admin, treasury, newTreasury, otherAccount } = await loadFixture(deployFeeTreasuryFixture);
+                const eurc = otherAccount.address;
+                expect(await feeTreasury.treasuryFor(eurc)).to.equal(treasury.address);
+
+                await expect(feeTreasury.connect(admin).setTokenTreasury(eurc, newTreasury.address))
+                    .to.emit(feeTreasury, "TokenTreasuryUpdated")
+                    .withArgs(eurc, newTreasury.address);
+                expect(await feeTreasury.treasuryFor(eurc)).to.equal(newTreasury.address);
+
+                await feeTreasury.connect(admin).setTokenTreasury(eurc, ethers.ZeroAddress);
+                expect(await feeTreasury.treasuryFor(eurc)).to.equal(treasury.address);
+            });
+        });
+
+        describe("Fee Schedule", function () {
+            const NOTICE = 7 * 24 * 60 * 60; // 7 days, the default notice period
+
+            // Shortens the notice period to zero, which itself takes the current notice period.
+            async function deployWithoutNoticeFixture() {
+                const fixture = await deployFeeTreasuryFixture();
+                await fixture.feeTreasury.connect(fixture.admin).setFeeChangeDelay(0);
+                await time.increase(NOTICE);
+                await fixture.feeTreasury.activateFeeChangeDelay();
+                return fixture;
+            }
+
+            it("Should apply asset overrides before license overrides, volume tiers and the default fee", async function () {
+                const { feeTreasury, admin, newTreasury, otherAccount } = await loadFixture(deployWithoutNoticeFixture);
+                const [usdc, eurc] = [newTreasury.address, otherAccount.address];
+                const [assetId, licenseId] = [7, 2];
+                await feeTreasury.connect(admin).setVolumeTiers(usdc, [1000, 5000], [200, 100]);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 999)).to.equal(250);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 1000)).to.equal(200);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 10000)).to.equal(100);
+                // Tiers belong to one token; revenue in another token keeps the default fee.
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, eurc, 10000)).to.equal(250);
+
+                await feeTreasury.connect(admin).setLicenseFee(licenseId, true, 500);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 10000)).to.equal(500);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId + 1, usdc, 10000)).to.equal(100);
+
+                // A zero override waives the fee for the asset.
+                await feeTreasury.connect(admin).setAssetFee(assetId, true, 0);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 10000)).to.equal(0);
+                await feeTreasury.connect(admin).setAssetFee(assetId, false, 0);
+                expect(await feeTreasury.feeBpsFor(assetId, licenseId, usdc, 10000)).to.equal(500);
+            });
+
+            it("Should activate scheduled changes only after the notice period", async function () {
+                const { feeTreasury, admin, newTreasury, otherAccount } = await loadFixture(deployFeeTreasuryFixture);
+                const usdc = newTreasury.address;
+                const [GLOBAL, ASSET] = [await feeTreasury.FEE_SCOPE_GLOBAL(), await feeTreasury.FEE_SCOPE_ASSET()];
+                expect(await feeTreasury.feeChangeDelay()).to.equal(NOTICE);
+
+                const tx = feeTreasury.connect(admin).setFeeBps(400);
+                await expect(tx).to.emit(feeTreasury, "FeeChangeScheduled")
+                    .withArgs(GLOBAL, 0, true, 400, (await time.latest()) + 1 + NOTICE);
+                await expect(tx).to.not.emit(feeTreasury, "FeeUpdated");
+                expect(await feeTreasury.feeBps()).to.equal(250);
+                await expect(feeTreasury.activateFee(GLOBAL, 0))
+                    .to.be.revertedWithCustomError(feeTreasury, "FeeChangeNotDue");
+
+                await time.increase(NOTICE);
+                await expect(feeTreasury.connect(otherAccount).activateFee(GLOBAL, 0))
+                    .to.emit(feeTreasury, "FeeUpdated").withArgs(400)
+                    .and.to.emit(feeTreasury, "FeeChangeActivated").withArgs(GLOBAL, 0, true, 400);
+                expect(await feeTreasury.feeBps()).to.equal(400);
+                await expect(feeTreasury.activateFee(GLOBAL, 0))
+                    .to.be.revertedWithCustomError(feeTreasury, "NoFeeChangeScheduled")
+                    .withArgs(GLOBAL, 0);
+
+                // Tiers wait too, and a scheduled change can be withdrawn.
+                await feeTreasury.connect(admin).setVolumeTiers(usdc, [1000], [100]);
+                expect(await feeTreasury.volumeTiers(usdc)).to.deep.equal([]);
+                expect(await feeTreasury.scheduledVolumeTiers(usdc)).to.deep.equal([[1000n, 100n]]);
+                await feeTreasury.connect(admin).setAssetFee(1, true, 900);
+                await expect(feeTreasury.connect(admin).cancelFeeChange(ASSET, 1))
+                    .to.emit(feeTreasury, "FeeChangeCancelled")
+                    .withArgs(ASSET, 1);
+                await time.increase(NOTICE);
+                await expect(feeTreasury.activateFee(ASSET, 1))
+                    .to.be.revertedWithCustomError(feeTreasury, "NoFeeChangeScheduled");
+                await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_TIERS(), usdc);
+                expect(await feeTreasury.volumeTiers(usdc)).to.deep.equal([[1000n, 100n]]);
+                expect(await feeTreasury.feeBpsFor(1, 0, usdc, 1000)).to.equal(100);
+            });
+
+            it("Should make a shorter notice period wait out the current one", async function () {
+                const { feeTreasury, admin } = await loadFixture(deployFeeTreasuryFixture);
+                const tx = feeTreasury.connect(admin).setFeeChangeDelay(0);
+                await expect(tx).to.emit(feeTreasury, "FeeChangeDelayScheduled")
+                    .withArgs(0, (await time.latest()) + 1 + NOTICE);
+                await expect(tx).to.not.emit(feeTreasury, "FeeChangeDelayUpdated");
+                expect(await feeTreasury.feeChangeDelay()).to.equal(NOTICE);
+
+                // A fee raised in the meantime still waits for the full notice period.
+                await feeTreasury.connect(admin).setFeeBps(1000);
+                await expect(feeTreasury.activateFeeChangeDelay())
+                    .to.be.revertedWithCustomError(feeTreasury, "FeeChangeNotDue");
+                await expect(feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_GLOBAL(), 0))
+                    .to.be.revertedWithCustomError(feeTreasury, "FeeChangeNotDue");
+
+                // Lengthening applies at once and withdraws the scheduled reduction.
+                await expect(feeTreasury.connect(admin).setFeeChangeDelay(2 * NOTICE))
+                    .to.emit(feeTreasury, "FeeChangeDelayUpdated")
+                    .withArgs(2 * NOTICE);
+                await time.increase(NOTICE);
+                await expect(feeTreasury.activateFeeChangeDelay())
+                    .to.be.revertedWithCustomError(feeTreasury, "NoDelayChangeScheduled");
+
+                await feeTreasury.connect(admin).setFeeChangeDelay(NOTICE);
+                await time.increase(2 * NOTICE);
+                await expect(feeTreasury.activateFeeChangeDelay())
+                    .to.emit(feeTreasury, "FeeChangeDelayUpdated")
+                    .withArgs(NOTICE);
+            });
+
+            it("Should REVERT on invalid schedules and unauthorized callers", async function () {
+                const { feeTreasury, admin, newTreasury, otherAccount } = await loadFixture(deployFeeTreasuryFixture);
+                const usdc = newTreasury.address;
+                await expect(feeTreasury.connect(admin).setAssetFee(1, true, 1001))
+                    .to.be.revertedWithCustomError(feeTreasury, "FeeTooHigh")
+                    .withArgs(1000, 1001);
+                await expect(feeTreasury.connect(admin).setVolumeTiers(usdc, [1000, 1000], [200, 100]))
+                    .to.be.revertedWithCustomError(feeTreasury, "TiersNotAscending")
+                    .withArgs(1);
+                await expect(feeTreasury.connect(admin).setVolumeTiers(usdc, [1000], []))
+                    .to.be.revertedWithCustomError(feeTreasury, "LengthMismatch");
+                await expect(feeTreasury.connect(admin).setVolumeTiers(ethers.ZeroAddress, [1000], [100]))
+                    .to.be.revertedWithCustomError(feeTreasury, "ZeroAddress");
+                await expect(feeTreasury.connect(admin).setFeeChangeDelay(91 * 24 * 60 * 60))
+                    .to.be.revertedWithCustomError(feeTreasury, "DelayTooLong");
+
+                const ADMIN_ROLE = await feeTreasury.ADMIN_ROLE();
+                await expect(feeTreasury.connect(otherAccount).setLicenseFee(1, true, 100))
+                    .to.be.revertedWith(`AccessControl: account ${otherAccount.address.toLowerCase()} is missing role ${ADMIN_ROLE.toLowerCase()}`);
+                // Only the default admin may shorten the notice contributors get.
+                const DEFAULT_ADMIN_ROLE = await feeTreasury.DEFAULT_ADMIN_ROLE();
+                await feeTreasury.connect(admin).grantRole(ADMIN_ROLE, otherAccount.address);
+                await expect(feeTreasury.connect(otherAccount).setFeeChangeDelay(0))
+                    .to.be.revertedWith(`AccessControl: account ${otherAccount.address.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE.toLowerCase()}`);
+            });
+        });
     });
 });
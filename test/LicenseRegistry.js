@@ -0,0 +1,147 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("LicenseRegistry Contract", function () {
+    const USAGE_INFERENCE = 0;
+    const USAGE_FINE_TUNING = 1;
+    const USAGE_TRAINING = 2;
+
+    const openTerms = {
+        commercialUse: true,
+        attributionRequired: false,
+        prohibitedUses: 0,
+        expiry: 0,
+        allowedMetrics: 0b011,
+        termsURI: "ipfs://terms/open"
+    };
+
+    async function deployLicenseRegistryFixture() {
+        const [owner, admin, licenseManager, minter, uriSetter, assetOwner, otherAccount] = await ethers.getSigners();
+
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "uri");
+        await assetToken.waitForDeployment();
+
+        const LicenseRegistry = await ethers.getContractFactory("LicenseRegistry");
+        const licenseRegistry = await LicenseRegistry.deploy(admin.address, licenseManager.address, await assetToken.getAddress());
+        await licenseRegistry.waitForDeployment();
+
+        // License 1 is open; license 2 is research-only and forbids training.
+        await licenseRegistry.connect(licenseManager).createLicense(openTerms);
+        await licenseRegistry.connect(licenseManager).createLicense({
+            ...openTerms,
+            commercialUse: false,
+            attributionRequired: true,
+            prohibitedUses: 1 << USAGE_TRAINING,
+            termsURI: "ipfs://terms/research-only"
+        });
+
+        await assetToken.connect(minter).mint(assetOwner.address, 2, "uri", "0x");
+        const assetId = 1;
+
+        return { licenseRegistry, assetToken, admin, licenseManager, otherAccount, assetId };
+    }
+
+    describe("Deployment", function () {
+        it("Should set the correct roles and asset token", async function () {
+            const { licenseRegistry, assetToken, admin, licenseManager } = await loadFixture(deployLicenseRegistryFixture);
+            const DEFAULT_ADMIN_ROLE = await licenseRegistry.DEFAULT_ADMIN_ROLE();
+            const LICENSE_MANAGER_ROLE = await licenseRegistry.LICENSE_MANAGER_ROLE();
+            expect(await licenseRegistry.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.true;
+            expect(await licenseRegistry.hasRole(LICENSE_MANAGER_ROLE, licenseManager.address)).to.be.true;
+            expect(await licenseRegistry.assetToken()).to.equal(await assetToken.getAddress());
+        });
+    });
+
+    describe("createLicense", function () {
+        it("Should assign sequential IDs and emit LicenseCreated", async function () {
+            const { licenseRegistry, licenseManager } = await loadFixture(deployLicenseRegistryFixture);
+            await expect(licenseRegistry.connect(licenseManager).createLicense(openTerms))
+                .to.emit(licenseRegistry, "LicenseCreated")
+                .withArgs(3, true, false, 0, 0, openTerms.allowedMetrics, openTerms.termsURI);
+            expect(await licenseRegistry.exists(3)).to.be.true;
+            expect(await licenseRegistry.exists(4)).to.be.false;
+        });
+
+        it("Should store the license terms", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            const terms = await licenseRegistry.getLicense(2);
+            expect(terms.commercialUse).to.be.false;
+            expect(terms.attributionRequired).to.be.true;
+            expect(terms.prohibitedUses).to.equal(1 << USAGE_TRAINING);
+            expect(terms.termsURI).to.equal("ipfs://terms/research-only");
+        });
+
+        it("Should REVERT if the caller lacks LICENSE_MANAGER_ROLE", async function () {
+            const { licenseRegistry, otherAccount } = await loadFixture(deployLicenseRegistryFixture);
+            const LICENSE_MANAGER_ROLE = await licenseRegistry.LICENSE_MANAGER_ROLE();
+            await expect(
+                licenseRegistry.connect(otherAccount).createLicense(openTerms)
+            ).to.be.revertedWith(`AccessControl: account ${otherAccount.address.toLowerCase()} is missing role ${LICENSE_MANAGER_ROLE.toLowerCase()}`);
+        });
+
+        it("Should REVERT when reading a license that does not exist", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            await expect(licenseRegistry.getLicense(0))
+                .to.be.revertedWithCustomError(licenseRegistry, "LicenseDoesNotExist")
+                .withArgs(0);
+        });
+    });
+
+    describe("Usage Checks", function () {
+        it("Should permit any usage under an open license", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            expect(await licenseRegistry.isUsagePermitted(1, USAGE_TRAINING, true)).to.be.true;
+            expect(await licenseRegistry.isUsagePermitted(1, USAGE_INFERENCE, false)).to.be.true;
+        });
+
+        it("Should reject commercial usage under a non-commercial license", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            expect(await licenseRegistry.isUsagePermitted(2, USAGE_INFERENCE, true)).to.be.false;
+            expect(await licenseRegistry.isUsagePermitted(2, USAGE_INFERENCE, false)).to.be.true;
+        });
+
+        it("Should reject prohibited usage types", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            expect(await licenseRegistry.isUsagePermitted(2, USAGE_TRAINING, false)).to.be.false;
+            expect(await licenseRegistry.isUsagePermitted(2, USAGE_FINE_TUNING, false)).to.be.true;
+        });
+
+        it("Should reject unknown licenses and usage types", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            const MAX_USAGE_TYPE = await licenseRegistry.MAX_USAGE_TYPE();
+            expect(await licenseRegistry.isUsagePermitted(99, USAGE_INFERENCE, false)).to.be.false;
+            expect(await licenseRegistry.isUsagePermitted(1, MAX_USAGE_TYPE + 1n, false)).to.be.false;
+        });
+
+        it("Should reject all usage once a license has expired", async function () {
+            const { licenseRegistry, licenseManager } = await loadFixture(deployLicenseRegistryFixture);
+            const expiry = (await time.latest()) + 60 * 60;
+            await licenseRegistry.connect(licenseManager).createLicense({ ...openTerms, expiry });
+
+            expect(await licenseRegistry.isUsagePermitted(3, USAGE_INFERENCE, false)).to.be.true;
+            await time.increaseTo(expiry + 1);
+            expect(await licenseRegistry.isUsagePermitted(3, USAGE_INFERENCE, false)).to.be.false;
+        });
+
+        it("Should check usage against the asset's current license", async function () {
+            const { licenseRegistry, assetToken, admin, assetId } = await loadFixture(deployLicenseRegistryFixture);
+            expect(await licenseRegistry.isAssetUsagePermitted(assetId, USAGE_TRAINING, false)).to.be.false;
+
+            await assetToken.connect(admin).setLicense(assetId, 1);
+            expect(await licenseRegistry.isAssetUsagePermitted(assetId, USAGE_TRAINING, false)).to.be.true;
+        });
+
+        it("Should report which pricing metrics a license allows", async function () {
+            const { licenseRegistry } = await loadFixture(deployLicenseRegistryFixture);
+            expect(await licenseRegistry.isMetricAllowed(1, 0)).to.be.true;
+            expect(await licenseRegistry.isMetricAllowed(1, 1)).to.be.true;
+            expect(await licenseRegistry.isMetricAllowed(1, 2)).to.be.false;
+            expect(await licenseRegistry.isMetricAllowed(99, 0)).to.be.false;
+        });
+    });
+});
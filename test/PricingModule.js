@@ -0,0 +1,133 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PricingModule Contract", function () {
+    const METRIC_PER_1K_TOKENS = 0;
+    const METRIC_GPU_SECOND = 1;
+    const METRIC_TRAINING_STEP = 2;
+    const METRIC_PER_CALL = 3;
+
+    async function deployPricingModuleFixture() {
+        const [owner, admin, minter, uriSetter, assetOwner, otherAccount] = await ethers.getSigners();
+
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "uri");
+        await assetToken.waitForDeployment();
+
+        const LicenseRegistry = await ethers.getContractFactory("LicenseRegistry");
+        const licenseRegistry = await LicenseRegistry.deploy(admin.address, admin.address, await assetToken.getAddress());
+        await licenseRegistry.waitForDeployment();
+
+        const PricingModule = await ethers.getContractFactory("PricingModule");
+        const pricingModule = await PricingModule.deploy(await assetToken.getAddress(), await licenseRegistry.getAddress());
+        await pricingModule.waitForDeployment();
+
+        // License 1 allows every metric except training steps.
+        await licenseRegistry.connect(admin).createLicense({
+            commercialUse: true,
+            attributionRequired: false,
+            prohibitedUses: 0,
+            expiry: 0,
+            allowedMetrics: (1 << METRIC_PER_1K_TOKENS) | (1 << METRIC_GPU_SECOND) | (1 << METRIC_PER_CALL),
+            termsURI: "ipfs://terms/no-training"
+        });
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "uri", "0x");
+        const assetId = 1;
+
+        return { pricingModule, assetToken, assetOwner, otherAccount, assetId };
+    }
+
+    describe("Rate Cards", function () {
+        it("Should let the asset owner publish a rate", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            const price = ethers.parseUnits("0.5", 6);
+            await expect(pricingModule.connect(assetOwner).setRate(assetId, METRIC_GPU_SECOND, price))
+                .to.emit(pricingModule, "RateUpdated")
+                .withArgs(assetId, METRIC_GPU_SECOND, price);
+            expect(await pricingModule.rateOf(assetId, METRIC_GPU_SECOND)).to.equal(price);
+        });
+
+        it("Should set several metrics at once and return the full card", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await pricingModule.connect(assetOwner).setRateCard(assetId, [METRIC_PER_1K_TOKENS, METRIC_PER_CALL], [20000, 1000000]);
+            expect(await pricingModule.getRateCard(assetId)).to.deep.equal([20000n, 0n, 0n, 1000000n]);
+        });
+
+        it("Should withdraw a metric when its price is set to zero", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_PER_CALL, 1000000);
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_PER_CALL, 0);
+            expect(await pricingModule.rateOf(assetId, METRIC_PER_CALL)).to.equal(0);
+        });
+
+        it("Should REVERT if the caller does not own the asset", async function () {
+            const { pricingModule, otherAccount, assetId } = await loadFixture(deployPricingModuleFixture);
+            await expect(pricingModule.connect(otherAccount).setRate(assetId, METRIC_PER_CALL, 1))
+                .to.be.revertedWithCustomError(pricingModule, "NotAssetOwner")
+                .withArgs(assetId, otherAccount.address);
+        });
+
+        it("Should REVERT if the asset's license does not allow the metric", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await expect(pricingModule.connect(assetOwner).setRate(assetId, METRIC_TRAINING_STEP, 1))
+                .to.be.revertedWithCustomError(pricingModule, "MetricNotLicensed")
+                .withArgs(assetId, METRIC_TRAINING_STEP);
+        });
+
+        it("Should REVERT on an unknown metric or mismatched arrays", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await expect(pricingModule.connect(assetOwner).setRate(assetId, 4, 1))
+                .to.be.revertedWithCustomError(pricingModule, "InvalidMetric")
+                .withArgs(4);
+            await expect(pricingModule.connect(assetOwner).setRateCard(assetId, [METRIC_PER_CALL], []))
+                .to.be.revertedWithCustomError(pricingModule, "LengthMismatch");
+        });
+    });
+
+    describe("Quotes", function () {
+        it("Should price token usage per 1k tokens, rounding up", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_PER_1K_TOKENS, 20000);
+
+            expect(await pricingModule.quote(assetId, METRIC_PER_1K_TOKENS, 2000)).to.deep.equal([20000n, 40000n]);
+            expect(await pricingModule.quote(assetId, METRIC_PER_1K_TOKENS, 1)).to.deep.equal([20000n, 20n]);
+
+            // 1,500 tokens at 3 base units per 1k is 4.5 base units, billed as 5.
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_PER_1K_TOKENS, 3);
+            expect(await pricingModule.quote(assetId, METRIC_PER_1K_TOKENS, 1500)).to.deep.equal([3n, 5n]);
+        });
+
+        it("Should price other metrics per unit", async function () {
+            const { pricingModule, assetOwner, assetId } = await loadFixture(deployPricingModuleFixture);
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_GPU_SECOND, 300);
+            expect(await pricingModule.quote(assetId, METRIC_GPU_SECOND, 90)).to.deep.equal([300n, 27000n]);
+        });
+
+        it("Should quote zero for a metric the asset is not priced in", async function () {
+            const { pricingModule, assetId } = await loadFixture(deployPricingModuleFixture);
+            expect(await pricingModule.quote(assetId, METRIC_PER_CALL, 5)).to.deep.equal([0n, 0n]);
+        });
+
+        it("Should keep separate rate cards per payment token", async function () {
+            const { pricingModule, assetOwner, otherAccount, assetId } = await loadFixture(deployPricingModuleFixture);
+            const eurc = ethers.Wallet.createRandom().address;
+            await pricingModule.connect(assetOwner).setRate(assetId, METRIC_PER_CALL, 1000000);
+            await expect(pricingModule.connect(assetOwner).setTokenRateCard(assetId, eurc, [METRIC_PER_CALL], [920000]))
+                .to.emit(pricingModule, "TokenRateUpdated")
+                .withArgs(assetId, eurc, METRIC_PER_CALL, 920000);
+
+            expect(await pricingModule.tokenRateOf(assetId, eurc, METRIC_PER_CALL)).to.equal(920000);
+            expect(await pricingModule.quoteInToken(assetId, eurc, METRIC_PER_CALL, 3)).to.deep.equal([920000n, 2760000n]);
+            expect(await pricingModule.quoteInToken(assetId, eurc, METRIC_GPU_SECOND, 3)).to.deep.equal([0n, 0n]);
+            expect(await pricingModule.quote(assetId, METRIC_PER_CALL, 3)).to.deep.equal([1000000n, 3000000n]);
+
+            await expect(pricingModule.connect(otherAccount).setTokenRateCard(assetId, eurc, [METRIC_PER_CALL], [1]))
+                .to.be.revertedWithCustomError(pricingModule, "NotAssetOwner");
+            await expect(pricingModule.connect(assetOwner).setTokenRateCard(assetId, eurc, [METRIC_TRAINING_STEP], [1]))
+                .to.be.revertedWithCustomError(pricingModule, "MetricNotLicensed");
+        });
+    });
+});
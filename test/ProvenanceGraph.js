@@ -44,9 +44,9 @@ describe("ProvenanceGraph Contract", function () {
         await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
 
         // Mint a test asset (assetId 1) owned by user1
-        await assetToken.connect(minter).mint(user1.address, 1, 1, "https://asset1.uri/", "0x");
+        await assetToken.connect(minter).mint(user1.address, 1, "https://asset1.uri/", "0x");
         // Mint a parent asset (assetId 2) owned by user2
-        await assetToken.connect(minter).mint(user2.address, 2, 1, "https://asset2.uri/", "0x");
+        await assetToken.connect(minter).mint(user2.address, 1, "https://asset2.uri/", "0x");
 
 
         return {
@@ -90,6 +90,17 @@ describe("ProvenanceGraph Contract", function () {
                 expect(await provenanceGraph.getTotalBpsAllocated(assetId)).to.equal(weightBps);
             });
 
+            it("Should pass control of the graph to the new owner when the asset is sold", async function () {
+                const { provenanceGraph, assetToken, user1, user2, contributor1 } = await loadFixture(deployProvenanceGraphFixture);
+                await assetToken.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x");
+
+                await expect(provenanceGraph.connect(user1).addContributorEdge(1, contributor1.address, 5000))
+                    .to.be.revertedWithCustomError(provenanceGraph, "NotAssetOwner")
+                    .withArgs(user1.address, 1);
+                await expect(provenanceGraph.connect(user2).addContributorEdge(1, contributor1.address, 5000))
+                    .to.emit(provenanceGraph, "ContributorEdgeAdded");
+            });
+
             it("Should REVERT if caller is not the asset owner", async function () {
                 const { provenanceGraph, user2, contributor1 } = await loadFixture(deployProvenanceGraphFixture);
                 await expect(
@@ -148,6 +159,13 @@ describe("ProvenanceGraph Contract", function () {
                      provenanceGraph.connect(user1).addParentEdge(1, nonExistentAssetId, 3000)
                  ).to.be.revertedWithCustomError(provenanceGraph, "AssetDoesNotExist");
             });
+
+            it("Should REVERT if an asset is made its own parent", async function () {
+                 const { provenanceGraph, user1 } = await loadFixture(deployProvenanceGraphFixture);
+                 await expect(
+                     provenanceGraph.connect(user1).addParentEdge(1, 1, 3000)
+                 ).to.be.revertedWithCustomError(provenanceGraph, "SelfParent");
+            });
         });
     });
 
@@ -190,4 +208,151 @@ describe("ProvenanceGraph Contract", function () {
             ).to.be.revertedWithCustomError(provenanceGraph, "GraphIsFinalized");
         });
     });
+
+    describe("Graph Revisions", function () {
+        // Asset 1 is finalized with contributor1 at 60% and contributor2 at 40%.
+        async function deployRevisionFixture() {
+            const fixture = await deployProvenanceGraphFixture();
+            const { provenanceGraph, user1, contributor1, contributor2 } = fixture;
+            await provenanceGraph.connect(user1).addContributorEdge(1, contributor1.address, 6000);
+            await provenanceGraph.connect(user1).addContributorEdge(1, contributor2.address, 4000);
+            return fixture;
+        }
+
+        // contributor1 drops to 50% and asset 2 becomes a 50% parent.
+        function nextRevision(contributor1) {
+            return [[{ contributor: contributor1.address, weightBps: 5000 }], [{ parentAssetId: 2, weightBps: 5000 }]];
+        }
+
+        it("Should let the owner propose a revision without changing the adopted graph", async function () {
+            const { provenanceGraph, user1, contributor1 } = await loadFixture(deployRevisionFixture);
+            await provenanceGraph.connect(user1).finalize(1);
+            expect(await provenanceGraph.currentRevision(1)).to.equal(1);
+
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1)))
+                .to.emit(provenanceGraph, "RevisionProposed")
+                .withArgs(1, 2, 1, 1);
+
+            expect(await provenanceGraph.pendingRevision(1)).to.equal(2);
+            expect((await provenanceGraph.getContributorEdges(1)).length).to.equal(2);
+            const proposed = await provenanceGraph.getParentEdgesAt(1, 2);
+            expect(proposed[0].parentAssetId).to.equal(2);
+        });
+
+        it("Should REVERT a proposal before finalization, from a non-owner or while one is pending", async function () {
+            const { provenanceGraph, user1, user2, contributor1 } = await loadFixture(deployRevisionFixture);
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1)))
+                .to.be.revertedWithCustomError(provenanceGraph, "GraphNotFinalized");
+
+            await provenanceGraph.connect(user1).finalize(1);
+            await expect(provenanceGraph.connect(user2).proposeRevision(1, ...nextRevision(contributor1)))
+                .to.be.revertedWithCustomError(provenanceGraph, "NotAssetOwner");
+
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1)))
+                .to.be.revertedWithCustomError(provenanceGraph, "RevisionPending")
+                .withArgs(1, 2);
+        });
+
+        it("Should validate proposed edges like draft edges", async function () {
+            const { provenanceGraph, user1, user2, contributor1 } = await loadFixture(deployRevisionFixture);
+            await provenanceGraph.connect(user1).finalize(1);
+
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, [{ contributor: user2.address, weightBps: 1000 }], []))
+                .to.be.revertedWithCustomError(provenanceGraph, "NotAContributor");
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, [{ contributor: contributor1.address, weightBps: 6000 }], [{ parentAssetId: 2, weightBps: 4001 }]))
+                .to.be.revertedWithCustomError(provenanceGraph, "TotalWeightExceeded");
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, [], [{ parentAssetId: 1, weightBps: 1000 }]))
+                .to.be.revertedWithCustomError(provenanceGraph, "SelfParent");
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, [], []))
+                .to.be.revertedWithCustomError(provenanceGraph, "EmptyRevision");
+        });
+
+        it("Should require every current contributor to approve by default", async function () {
+            const { provenanceGraph, user1, contributor1, contributor2 } = await loadFixture(deployRevisionFixture);
+            await provenanceGraph.connect(user1).finalize(1);
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+
+            await expect(provenanceGraph.connect(contributor1).approveRevision(1))
+                .to.emit(provenanceGraph, "RevisionApproved")
+                .withArgs(1, 2, contributor1.address, 6000);
+            await expect(provenanceGraph.adoptRevision(1))
+                .to.be.revertedWithCustomError(provenanceGraph, "QuorumNotReached")
+                .withArgs(1, 6000, 10000);
+
+            await provenanceGraph.connect(contributor2).approveRevision(1);
+            await expect(provenanceGraph.adoptRevision(1))
+                .to.emit(provenanceGraph, "RevisionAdopted")
+                .withArgs(1, 2);
+
+            expect(await provenanceGraph.currentRevision(1)).to.equal(2);
+            expect(await provenanceGraph.pendingRevision(1)).to.equal(0);
+            expect((await provenanceGraph.getParentEdges(1)).length).to.equal(1);
+            expect(await provenanceGraph.getTotalBpsAllocated(1)).to.equal(10000);
+            // The previous revision stays queryable.
+            const previous = await provenanceGraph.getContributorEdgesAt(1, 1);
+            expect(previous.map((edge) => edge.contributor)).to.deep.equal([contributor1.address, contributor2.address]);
+            expect(previous[0].weightBps).to.equal(6000);
+        });
+
+        it("Should adopt once a weighted quorum set before finalization is reached", async function () {
+            const { provenanceGraph, user1, contributor1 } = await loadFixture(deployRevisionFixture);
+            await expect(provenanceGraph.connect(user1).setRevisionQuorum(1, 5000))
+                .to.emit(provenanceGraph, "RevisionQuorumSet")
+                .withArgs(1, 5000);
+            await provenanceGraph.connect(user1).finalize(1);
+            await expect(provenanceGraph.connect(user1).setRevisionQuorum(1, 2000))
+                .to.be.revertedWithCustomError(provenanceGraph, "GraphIsFinalized");
+
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+            await provenanceGraph.connect(contributor1).approveRevision(1);
+
+            const [revision, approvedBps, requiredBps] = await provenanceGraph.getRevisionApproval(1);
+            expect([revision, approvedBps, requiredBps]).to.deep.equal([2n, 6000n, 5000n]);
+            await provenanceGraph.adoptRevision(1);
+            expect(await provenanceGraph.currentRevision(1)).to.equal(2);
+        });
+
+        it("Should REVERT approvals from non-contributors and repeated approvals", async function () {
+            const { provenanceGraph, user1, user2, contributor1 } = await loadFixture(deployRevisionFixture);
+            await provenanceGraph.connect(user1).finalize(1);
+            await expect(provenanceGraph.connect(contributor1).approveRevision(1))
+                .to.be.revertedWithCustomError(provenanceGraph, "NoPendingRevision");
+
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+            await expect(provenanceGraph.connect(user2).approveRevision(1))
+                .to.be.revertedWithCustomError(provenanceGraph, "NotAnApprover");
+
+            await provenanceGraph.connect(contributor1).approveRevision(1);
+            await expect(provenanceGraph.connect(contributor1).approveRevision(1))
+                .to.be.revertedWithCustomError(provenanceGraph, "AlreadyApproved")
+                .withArgs(contributor1.address, 2);
+        });
+
+        it("Should let the owner cancel a proposal without reusing its revision number", async function () {
+            const { provenanceGraph, user1, contributor1 } = await loadFixture(deployRevisionFixture);
+            await provenanceGraph.connect(user1).finalize(1);
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+
+            await expect(provenanceGraph.connect(user1).cancelRevision(1))
+                .to.emit(provenanceGraph, "RevisionCancelled")
+                .withArgs(1, 2);
+            await expect(provenanceGraph.adoptRevision(1))
+                .to.be.revertedWithCustomError(provenanceGraph, "NoPendingRevision");
+
+            await expect(provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1)))
+                .to.emit(provenanceGraph, "RevisionProposed")
+                .withArgs(1, 3, 1, 1);
+        });
+
+        it("Should adopt without approvals when the current revision has no contributors", async function () {
+            const { provenanceGraph, user1, contributor1 } = await loadFixture(deployProvenanceGraphFixture);
+            await provenanceGraph.connect(user1).addParentEdge(1, 2, 2000);
+            await provenanceGraph.connect(user1).finalize(1);
+            await provenanceGraph.connect(user1).proposeRevision(1, ...nextRevision(contributor1));
+
+            await provenanceGraph.adoptRevision(1);
+            expect(await provenanceGraph.currentRevision(1)).to.equal(2);
+        });
+    });
 });
@@ -5,148 +5,221 @@ const {
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-describe("Escrow Contract", function () {
-    async function deployEscrowFixture() {
-        const [owner, admin, minter, uriSetter, assetOwner, user, arbiter, pauser, treasury, contributor1, contributor2, otherAccount] = await ethers.getSigners();
+describe("RegistryRouter Contract", function () {
+    const DISPUTE_WINDOW = 24 * 60 * 60; // 1 day
+    const PAYMENT = ethers.parseUnits("10", 6);
+
+    // Deploys the full stack behind the router with three assets:
+    // asset 1 (contributors only), asset 2 (derived from 1) and asset 3 (derived from 2 and 1).
+    async function deployRouterFixture() {
+        const [owner, admin, minter, assetOwner, contributor1, contributor2, verifier, arbiter, user, treasury, outsider] = await ethers.getSigners();
 
-        // 1. Deploy Mock USDC and fund user
         const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
         const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
-        await usdc.waitForDeployment();
-        const paymentAmount = ethers.parseUnits("100", 6);
-        await usdc.mint(user.address, paymentAmount);
-
-        // 2. Deploy all contract dependencies
         const AssetToken = await ethers.getContractFactory("AssetToken");
-        const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "uri");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, admin.address, "uri");
         const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
-        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, pauser.address);
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
         const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
         const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
         const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
-        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress());
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
         const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
-        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250); // 2.5% fee
-
-        // 3. Setup asset, provenance, and splitter
-        const assetId = 1;
-        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
-        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
-        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
-        await assetToken.connect(minter).mint(assetOwner.address, assetId, 1, "uri", "0x");
-        await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor1.address, 8000);
-        await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor2.address, 2000);
-        await provenanceGraph.connect(assetOwner).finalize(assetId);
-        await royaltySplitFactory.createSplitter(assetId);
-        const paymentSplitterAddress = await royaltySplitFactory.assetIdToSplitter(assetId);
-
-        // 4. Deploy Escrow contract
-        const disputeWindowSeconds = 3 * 24 * 60 * 60; // 3 days
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250);
         const Escrow = await ethers.getContractFactory("Escrow");
         const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            verifier.address,
             await usdc.getAddress(),
             await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            DISPUTE_WINDOW
+        );
+        const RegistryRouter = await ethers.getContractFactory("RegistryRouter");
+        const registryRouter = await RegistryRouter.deploy(
+            await assetToken.getAddress(),
+            await contributorRegistry.getAddress(),
+            await provenanceGraph.getAddress(),
             await royaltySplitFactory.getAddress(),
-            admin.address,
-            pauser.address,
-            arbiter.address,
-            disputeWindowSeconds
+            await escrow.getAddress()
         );
-        await escrow.waitForDeployment();
-        
-        // 5. Grant the HOLDER_ROLE to the user for testing purposes
-        const HOLDER_ROLE = await escrow.HOLDER_ROLE();
-        await escrow.connect(admin).grantRole(HOLDER_ROLE, user.address);
 
-        return { escrow, usdc, user, arbiter, pauser, treasury, paymentSplitterAddress, assetId, paymentAmount, disputeWindowSeconds };
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
+
+        for (const assetId of [1, 2, 3]) {
+            await assetToken.connect(minter).mint(assetOwner.address, 10 + assetId, `ipfs://asset${assetId}`, "0x");
+        }
+        await provenanceGraph.connect(assetOwner).addContributorEdge(1, contributor1.address, 6000);
+        await provenanceGraph.connect(assetOwner).addContributorEdge(1, contributor2.address, 4000);
+        await provenanceGraph.connect(assetOwner).finalize(1);
+        await provenanceGraph.connect(assetOwner).addContributorEdge(2, contributor2.address, 7000);
+        await provenanceGraph.connect(assetOwner).addParentEdge(2, 1, 3000);
+        await provenanceGraph.connect(assetOwner).finalize(2);
+        await provenanceGraph.connect(assetOwner).addContributorEdge(3, contributor1.address, 3000);
+        await provenanceGraph.connect(assetOwner).addParentEdge(3, 2, 5000);
+        await provenanceGraph.connect(assetOwner).addParentEdge(3, 1, 2000);
+        await provenanceGraph.connect(assetOwner).finalize(3);
+        await royaltySplitFactory.createSplitter(3); // creates the parents' splitters too
+
+        // Holds one payment for `assetId` and returns its escrow ID.
+        async function hold(assetId, amount = PAYMENT) {
+            await usdc.mint(await escrow.getAddress(), amount);
+            const tx = await escrow.connect(verifier).holdPayment(assetId, user.address, amount, await royaltySplitFactory.assetIdToSplitter(assetId));
+            return escrow.interface.parseLog((await tx.wait()).logs.at(-1)).args.escrowId;
+        }
+
+        return {
+            registryRouter, assetToken, contributorRegistry, provenanceGraph, royaltySplitFactory, escrow,
+            minter, assetOwner, contributor1, contributor2, arbiter, user, outsider, hold
+        };
     }
 
-    describe("holdPayment", function () {
-        it("Should successfully hold a payment and transfer funds", async function () {
-            const { escrow, usdc, user, assetId, paymentAmount, paymentSplitterAddress } = await loadFixture(deployEscrowFixture);
-
-            // User must first approve the Escrow contract to spend their USDC
-            await usdc.connect(user).approve(await escrow.getAddress(), paymentAmount);
-
-            const expectedReleaseTime = (await time.latest()) + 1 + (await escrow.disputeWindowSeconds());
-            
-            await expect(escrow.connect(user).holdPayment(assetId, user.address, paymentAmount))
-                .to.emit(escrow, "EscrowHeld")
-                .withArgs(1, assetId, user.address, paymentAmount, paymentSplitterAddress);
-            
-            const heldPayment = await escrow.escrows(1);
-            expect(heldPayment.status).to.equal(0); // 0 = Held
-            expect(heldPayment.releaseTime).to.equal(expectedReleaseTime);
+    describe("Deployment", function () {
+        it("Should revert if any dependency is the zero address", async function () {
+            const { registryRouter } = await loadFixture(deployRouterFixture);
+            const RegistryRouter = await ethers.getContractFactory("RegistryRouter");
+            const addresses = [
+                await registryRouter.assetToken(),
+                await registryRouter.contributorRegistry(),
+                await registryRouter.provenanceGraph(),
+                await registryRouter.royaltySplitFactory(),
+                await registryRouter.escrow()
+            ];
+
+            for (let i = 0; i < addresses.length; i++) {
+                const args = [...addresses];
+                args[i] = ethers.ZeroAddress;
+                await expect(RegistryRouter.deploy(...args)).to.be.revertedWithCustomError(RegistryRouter, "ZeroAddress");
+            }
+        });
+    });
+
+    describe("Assets", function () {
+        it("Should return the details of a deployed asset from each contract", async function () {
+            const { registryRouter, royaltySplitFactory, assetOwner, contributor1, contributor2 } = await loadFixture(deployRouterFixture);
+
+            const details = await registryRouter.getAssetFullDetails(2);
+            expect(details.assetId).to.equal(2);
+            expect(details.owner).to.equal(assetOwner.address);
+            expect(details.metadataURI).to.equal("ipfs://asset2");
+            expect(details.licenseId).to.equal(12);
+            expect(details.isFinalized).to.equal(true);
+            expect(details.currentRevision).to.equal(1);
+            expect(details.paymentSplitter).to.equal(await royaltySplitFactory.assetIdToSplitter(2));
+            expect(details.contributorEdges.map((edge) => [edge.contributor, edge.weightBps])).to.deep.equal([[contributor2.address, 7000n]]);
+            expect(details.parentEdges.map((edge) => [edge.parentAssetId, edge.weightBps])).to.deep.equal([[1n, 3000n]]);
+
+            const [first] = await registryRouter.getAssetsFullDetails([1]);
+            expect(first.contributorEdges.map((edge) => edge.contributor)).to.deep.equal([contributor1.address, contributor2.address]);
+        });
+
+        it("Should return many assets at once, including drafts, and cap the page size", async function () {
+            const { registryRouter, assetToken, minter, assetOwner } = await loadFixture(deployRouterFixture);
+            await assetToken.connect(minter).mint(assetOwner.address, 14, "ipfs://draft", "0x");
+
+            const details = await registryRouter.getAssetsFullDetails([4, 3, 1]);
+            expect(details.map((asset) => asset.assetId)).to.deep.equal([4n, 3n, 1n]);
+            const draft = details[0];
+            expect([draft.metadataURI, draft.isFinalized, draft.currentRevision, draft.paymentSplitter]).to.deep.equal(["ipfs://draft", false, 0n, ethers.ZeroAddress]);
+            expect(details[1].parentEdges).to.have.length(2);
+
+            await expect(registryRouter.getAssetsFullDetails([1, 5]))
+                .to.be.revertedWith("AssetToken: Owner query for nonexistent token");
+            const tooMany = Array.from({ length: 201 }, () => 1);
+            await expect(registryRouter.getAssetsFullDetails(tooMany))
+                .to.be.revertedWithCustomError(registryRouter, "PageTooLarge")
+                .withArgs(200, 201);
         });
     });
 
-    describe("Dispute and Release Logic", function () {
-        it("Should allow a user to open a dispute within the window", async function () {
-            const { escrow, usdc, user, assetId, paymentAmount } = await loadFixture(deployEscrowFixture);
-            await usdc.connect(user).approve(await escrow.getAddress(), paymentAmount);
-            await escrow.connect(user).holdPayment(assetId, user.address, paymentAmount);
+    describe("Contributors", function () {
+        it("Should return contributor profiles one at a time or in a batch", async function () {
+            const { registryRouter, contributorRegistry, contributor1, outsider } = await loadFixture(deployRouterFixture);
+            await contributorRegistry.connect(contributor1).setProfileURI("ipfs://profile1");
 
-            await expect(escrow.connect(user).openDispute(1))
-                .to.emit(escrow, "EscrowDisputed")
-                .withArgs(1);
+            const details = await registryRouter.getContributorDetails(contributor1.address);
+            expect(details.profileURI).to.equal("ipfs://profile1");
+            expect(details.isRegistered).to.equal(true);
 
-            const heldPayment = await escrow.escrows(1);
-            expect(heldPayment.status).to.equal(1); // 1 = Disputed
+            const batch = await registryRouter.getContributorsDetails([outsider.address, contributor1.address]);
+            expect(batch.map((profile) => [profile.profileURI, profile.isRegistered])).to.deep.equal([["", false], ["ipfs://profile1", true]]);
         });
+    });
+
+    describe("Lineage", function () {
+        it("Should walk the lineage tree depth-first with each ancestor's effective share", async function () {
+            const { registryRouter, royaltySplitFactory } = await loadFixture(deployRouterFixture);
 
-        it("Should allow anyone to release funds after the dispute window", async function () {
-            const { escrow, usdc, user, assetId, paymentAmount, treasury, paymentSplitterAddress, disputeWindowSeconds } = await loadFixture(deployEscrowFixture);
-            await usdc.connect(user).approve(await escrow.getAddress(), paymentAmount);
-            await escrow.connect(user).holdPayment(assetId, user.address, paymentAmount);
-
-            // Fast forward time
-            await time.increase(disputeWindowSeconds + 1);
-            
-            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
-            const amountToContributors = paymentAmount - fee;
-
-            await expect(escrow.release(1)).to.changeTokenBalances(
-                usdc,
-                [treasury, paymentSplitterAddress],
-                [fee, amountToContributors]
-            );
-            
-            const heldPayment = await escrow.escrows(1);
-            expect(heldPayment.status).to.equal(2); // 2 = Released
+            const [nodes, total] = await registryRouter.getLineage(3, 8, 0, 200);
+            expect(total).to.equal(3);
+            expect(nodes.map((node) => [node.assetId, node.childAssetId, node.depth, node.weightBps, node.effectiveBps])).to.deep.equal([
+                [2n, 3n, 1n, 5000n, 5000n],
+                [1n, 2n, 2n, 3000n, 1500n], // 30% of asset 2's 50%
+                [1n, 3n, 1n, 2000n, 2000n]
+            ]);
+            expect(nodes[0].paymentSplitter).to.equal(await royaltySplitFactory.assetIdToSplitter(2));
+
+            const [direct, directTotal] = await registryRouter.getLineage(3, 1, 0, 200);
+            expect(direct.map((node) => node.assetId)).to.deep.equal([2n, 1n]);
+            expect(directTotal).to.equal(2);
+
+            expect((await registryRouter.getLineage(1, 8, 0, 200)).total).to.equal(0);
         });
 
-        it("Should allow an arbiter to resolve a dispute by refunding the user", async function () {
-            const { escrow, usdc, user, arbiter, assetId, paymentAmount } = await loadFixture(deployEscrowFixture);
-            await usdc.connect(user).approve(await escrow.getAddress(), paymentAmount);
-            await escrow.connect(user).holdPayment(assetId, user.address, paymentAmount);
-            await escrow.connect(user).openDispute(1);
+        it("Should page through the lineage tree and cap its depth", async function () {
+            const { registryRouter } = await loadFixture(deployRouterFixture);
 
-            await expect(escrow.connect(arbiter).resolveDispute(1, true))
-                .to.emit(escrow, "EscrowResolved")
-                .withArgs(1, true);
+            const [page, total] = await registryRouter.getLineage(3, 8, 1, 1);
+            expect(total).to.equal(3);
+            expect(page.map((node) => [node.assetId, node.childAssetId])).to.deep.equal([[1n, 2n]]);
+            expect((await registryRouter.getLineage(3, 8, 3, 10)).nodes).to.have.length(0);
 
-            expect(await usdc.balanceOf(user.address)).to.equal(paymentAmount);
-            const heldPayment = await escrow.escrows(1);
-            expect(heldPayment.status).to.equal(3); // 3 = Refunded
+            await expect(registryRouter.getLineage(3, 9, 0, 10))
+                .to.be.revertedWithCustomError(registryRouter, "LineageTooDeep")
+                .withArgs(8, 9);
         });
+    });
 
-        it("Should allow an arbiter to resolve a dispute by releasing to contributors", async function () {
-            const { escrow, usdc, user, arbiter, treasury, paymentSplitterAddress, assetId, paymentAmount } = await loadFixture(deployEscrowFixture);
-            await usdc.connect(user).approve(await escrow.getAddress(), paymentAmount);
-            await escrow.connect(user).holdPayment(assetId, user.address, paymentAmount);
-            await escrow.connect(user).openDispute(1);
-
-            const fee = (paymentAmount * BigInt(250)) / BigInt(10000);
-            const amountToContributors = paymentAmount - fee;
-            
-            await expect(escrow.connect(arbiter).resolveDispute(1, false)).to.changeTokenBalances(
-                usdc,
-                [treasury, paymentSplitterAddress],
-                [fee, amountToContributors]
-            );
-
-            const heldPayment = await escrow.escrows(1);
-            expect(heldPayment.status).to.equal(2); // 2 = Released
+    describe("Escrow Totals", function () {
+        it("Should total each asset's escrows by status across pages of escrow IDs", async function () {
+            const { registryRouter, escrow, arbiter, user, hold } = await loadFixture(deployRouterFixture);
+            await hold(1); // 1: released
+            await hold(1); // 2: disputed
+            await hold(2); // 3: refunded
+            await hold(1); // 4: partially refunded
+            await escrow.connect(user).openDispute(2);
+            await escrow.connect(user).openDispute(3);
+            await escrow.connect(arbiter).resolveDispute(3, true);
+            await escrow.connect(user).openDispute(4);
+            await escrow.connect(arbiter).resolveDisputeWithSplit(4, PAYMENT / 2n);
+            await time.increase(DISPUTE_WINDOW + 1);
+            await escrow.release(1);
+            await hold(1, PAYMENT * 2n); // 5: held
+
+            const [all, done] = await registryRouter.getEscrowTotals([1, 2, 3], 1, 200);
+            expect(done).to.equal(0);
+            expect(all.map((totals) => [totals.assetId, totals.itemCount, totals.held, totals.disputed, totals.released, totals.refunded, totals.partiallyRefunded])).to.deep.equal([
+                [1n, 4n, PAYMENT * 2n, PAYMENT, PAYMENT, 0n, PAYMENT],
+                [2n, 1n, 0n, 0n, 0n, PAYMENT, 0n],
+                [3n, 0n, 0n, 0n, 0n, 0n, 0n]
+            ]);
+
+            // The same totals, two escrow IDs at a time.
+            let held = 0n;
+            let cursor = 1n;
+            let pages = 0;
+            while (cursor !== 0n) {
+                const [totals, next] = await registryRouter.getEscrowTotals([1], cursor, 2);
+                held += totals[0].held;
+                cursor = next;
+                pages++;
+            }
+            expect(held).to.equal(PAYMENT * 2n);
+            expect(pages).to.equal(3);
+            expect(await escrow.escrowCount()).to.equal(5);
         });
     });
 });
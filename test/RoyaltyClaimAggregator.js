@@ -0,0 +1,169 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { findSplittersOf } = require("../sdk/splitters");
+
+describe("RoyaltyClaimAggregator Contract", function () {
+    const ASSET_COUNT = 25;
+
+    // Deploys the graph stack with `splitBackend` and creates splitters for ASSET_COUNT assets,
+    // each paying contributor1 and contributor2 with slightly different weights.
+    async function deployClaimStack(splitBackend) {
+        const [owner, admin, minter, uriSetter, assetOwner, contributor1, contributor2, outsider] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "https://initial.uri/");
+        const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+        const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+        const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), splitBackend);
+        const RoyaltyClaimAggregator = await ethers.getContractFactory("RoyaltyClaimAggregator");
+        const claimAggregator = await RoyaltyClaimAggregator.deploy(await royaltySplitFactory.getAddress());
+
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
+
+        const splitters = [];
+        for (let assetId = 1; assetId <= ASSET_COUNT; assetId++) {
+            await assetToken.connect(minter).mint(assetOwner.address, 1, `https://asset${assetId}.uri/`, "0x");
+            await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor1.address, 5000 + assetId);
+            await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor2.address, 5000 - assetId);
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+            await royaltySplitFactory.createSplitter(assetId);
+            splitters.push(await royaltySplitFactory.assetIdToSplitter(assetId));
+        }
+
+        return { claimAggregator, royaltySplitFactory, usdc, contributor1, contributor2, outsider, splitters };
+    }
+
+    async function deployAggregatorFixture() {
+        return deployClaimStack(ethers.ZeroAddress);
+    }
+
+    async function deploySplitMainFixture() {
+        const MockSplitMain = await ethers.getContractFactory("MockSplitMain");
+        const splitMain = await MockSplitMain.deploy();
+        const SplitMainBackend = await ethers.getContractFactory("SplitMainBackend");
+        const splitBackend = await SplitMainBackend.deploy(await splitMain.getAddress());
+        return { ...(await deployClaimStack(await splitBackend.getAddress())), splitBackend };
+    }
+
+    // Pays 10 USDC into each splitter.
+    async function payAll(usdc, splitters) {
+        for (const splitter of splitters) {
+            await usdc.mint(splitter, ethers.parseUnits("10", 6));
+        }
+    }
+
+    // contributor1's share of 10 USDC paid into the splitter of each asset.
+    function expectedShare(assetIds) {
+        return assetIds.reduce((total, assetId) => total + (ethers.parseUnits("10", 6) * BigInt(5000 + assetId)) / 10000n, 0n);
+    }
+
+    const allAssetIds = Array.from({ length: ASSET_COUNT }, (_, i) => i + 1);
+
+    describe("Deployment", function () {
+        it("Should REVERT if the factory is the zero address", async function () {
+            const RoyaltyClaimAggregator = await ethers.getContractFactory("RoyaltyClaimAggregator");
+            await expect(RoyaltyClaimAggregator.deploy(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(RoyaltyClaimAggregator, "ZeroAddress");
+        });
+    });
+
+    describe("Splitter Discovery", function () {
+        it("Should find every splitter a contributor is a payee of from SplitterCreated events", async function () {
+            const { royaltySplitFactory, contributor1, outsider, splitters } = await loadFixture(deployAggregatorFixture);
+            expect(await findSplittersOf(royaltySplitFactory, contributor1.address)).to.deep.equal(splitters);
+            expect(await findSplittersOf(royaltySplitFactory, outsider.address)).to.deep.equal([]);
+        });
+    });
+
+    describe("Claiming", function () {
+        it("Should report the total claimable across assets", async function () {
+            const { claimAggregator, usdc, contributor1, splitters } = await loadFixture(deployAggregatorFixture);
+            await payAll(usdc, splitters);
+            expect(await claimAggregator.claimable(await usdc.getAddress(), contributor1.address, splitters)).to.equal(expectedShare(allAssetIds));
+        });
+
+        it("Should release from every splitter in a single transaction", async function () {
+            const { claimAggregator, usdc, contributor1, splitters } = await loadFixture(deployAggregatorFixture);
+            await payAll(usdc, splitters);
+            const total = expectedShare(allAssetIds);
+
+            await expect(claimAggregator.claim(await usdc.getAddress(), contributor1.address, splitters))
+                .to.emit(claimAggregator, "RoyaltiesClaimed")
+                .withArgs(contributor1.address, await usdc.getAddress(), total, ASSET_COUNT);
+
+            expect(await usdc.balanceOf(contributor1.address)).to.equal(total);
+            expect(await claimAggregator.claimable(await usdc.getAddress(), contributor1.address, splitters)).to.equal(0);
+        });
+
+        it("Should skip splitters with nothing due and not REVERT on a repeated claim", async function () {
+            const { claimAggregator, usdc, contributor1, splitters } = await loadFixture(deployAggregatorFixture);
+            await payAll(usdc, [splitters[2], splitters[7]]);
+
+            await expect(claimAggregator.claim(await usdc.getAddress(), contributor1.address, splitters))
+                .to.emit(claimAggregator, "RoyaltiesClaimed")
+                .withArgs(contributor1.address, await usdc.getAddress(), expectedShare([3, 8]), 2);
+            await expect(claimAggregator.claim(await usdc.getAddress(), contributor1.address, splitters))
+                .to.emit(claimAggregator, "RoyaltiesClaimed")
+                .withArgs(contributor1.address, await usdc.getAddress(), 0, 0);
+        });
+
+        it("Should REVERT for an address that is not one of the factory's splitters", async function () {
+            const { claimAggregator, usdc, contributor1, outsider, splitters } = await loadFixture(deployAggregatorFixture);
+            const token = await usdc.getAddress();
+            await expect(claimAggregator.claim(token, contributor1.address, [splitters[0], outsider.address]))
+                .to.be.revertedWithCustomError(claimAggregator, "NotASplitter")
+                .withArgs(outsider.address);
+            await expect(claimAggregator.claimable(token, contributor1.address, [token]))
+                .to.be.revertedWithCustomError(claimAggregator, "NotASplitter");
+        });
+
+        it("Should let anyone claim, paying only the contributor", async function () {
+            const { claimAggregator, usdc, contributor1, outsider, splitters } = await loadFixture(deployAggregatorFixture);
+            await payAll(usdc, splitters);
+
+            await claimAggregator.connect(outsider).claim(await usdc.getAddress(), contributor1.address, splitters);
+            expect(await usdc.balanceOf(contributor1.address)).to.equal(expectedShare(allAssetIds));
+            expect(await usdc.balanceOf(outsider.address)).to.equal(0);
+        });
+    });
+
+    describe("SplitMain Backend", function () {
+        it("Should count funds already distributed to SplitMain once and claim everything", async function () {
+            const { claimAggregator, splitBackend, usdc, contributor1, splitters } = await loadFixture(deploySplitMainFixture);
+            const token = await usdc.getAddress();
+            await payAll(usdc, splitters);
+            // Distributing some splits early moves contributor1's share into their SplitMain balance.
+            await splitBackend.distribute(splitters[0], token);
+            await splitBackend.distribute(splitters[1], token);
+
+            const total = await claimAggregator.claimable(token, contributor1.address, splitters);
+            // Allocations are rounded to SplitMain's 1e6 scale, and SplitMain keeps 1 wei of each
+            // split and of the contributor's balance, so allow for a little dust.
+            expect(total).to.be.closeTo(expectedShare(allAssetIds), 2 * ASSET_COUNT + 1);
+
+            // The first release withdraws the whole SplitMain balance, so the second split
+            // distributed early has nothing left and is skipped.
+            await expect(claimAggregator.claim(token, contributor1.address, splitters))
+                .to.emit(claimAggregator, "RoyaltiesClaimed")
+                .withArgs(contributor1.address, token, total, ASSET_COUNT - 1);
+            expect(await usdc.balanceOf(contributor1.address)).to.equal(total);
+            expect(await claimAggregator.claimable(token, contributor1.address, splitters)).to.equal(0);
+
+            // Only SplitMain's dust is left, so a repeat claim releases nothing.
+            await expect(claimAggregator.claim(token, contributor1.address, splitters))
+                .to.emit(claimAggregator, "RoyaltiesClaimed")
+                .withArgs(contributor1.address, token, 0, 0);
+        });
+    });
+});
@@ -25,7 +25,7 @@ describe("RoyaltySplitFactory Contract", function () {
 
         // --- 2. DEPLOY RoyaltySplitFactory ---
         const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
-        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress());
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
         await royaltySplitFactory.waitForDeployment();
 
 
@@ -37,11 +37,11 @@ describe("RoyaltySplitFactory Contract", function () {
 
         // Mint an asset for our tests (assetId = 1), owned by assetOwner
         const assetId = 1;
-        await assetToken.connect(minter).mint(assetOwner.address, assetId, 1, "https://asset1.uri/", "0x");
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "https://asset1.uri/", "0x");
         
         // Mint another asset for negative tests (assetId = 2)
         const assetIdNoContributors = 2;
-        await assetToken.connect(minter).mint(assetOwner.address, assetIdNoContributors, 1, "https://asset2.uri/", "0x");
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "https://asset2.uri/", "0x");
 
 
         // Add edges to the provenance graph for assetId 1
@@ -67,7 +67,7 @@ describe("RoyaltySplitFactory Contract", function () {
         
         it("Should REVERT if ProvenanceGraph address is the zero address", async function () {
             const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
-            await expect(RoyaltySplitFactory.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(RoyaltySplitFactory, "ZeroAddress");
+            await expect(RoyaltySplitFactory.deploy(ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWithCustomError(RoyaltySplitFactory, "ZeroAddress");
         });
     });
 
@@ -109,7 +109,7 @@ describe("RoyaltySplitFactory Contract", function () {
             const splitterAddress = await royaltySplitFactory.assetIdToSplitter(assetId);
 
             // Interact with the newly created splitter contract
-            const paymentSplitter = await ethers.getContractAt("PaymentSplitter", splitterAddress);
+            const paymentSplitter = await ethers.getContractAt("RoyaltySplitter", splitterAddress);
             
             expect(await paymentSplitter.totalShares()).to.equal(10000);
             expect(await paymentSplitter.payee(0)).to.equal(contributor1.address);
@@ -143,4 +143,296 @@ describe("RoyaltySplitFactory Contract", function () {
             ).to.be.revertedWithCustomError(royaltySplitFactory, "NoContributors");
         });
     });
+    describe("Deterministic Clones", function () {
+        it("Should deploy the splitter at the address predicted before finalization", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, assetId } = await loadFixture(deployFactoryFixture);
+            const predicted = await royaltySplitFactory.predictSplitterAddress(assetId, 1);
+            expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+            await royaltySplitFactory.createSplitter(assetId);
+
+            expect(await royaltySplitFactory.assetIdToSplitter(assetId)).to.equal(predicted);
+            expect(await royaltySplitFactory.splitterForRevision(assetId, 1)).to.equal(predicted);
+            expect(await royaltySplitFactory.predictSplitterAddress(assetId, 2)).to.not.equal(predicted);
+        });
+
+        it("Should split tokens paid to the predicted address before the splitter existed", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, assetId, contributor1, contributor2 } = await loadFixture(deployFactoryFixture);
+            const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+            const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+
+            await usdc.mint(await royaltySplitFactory.predictSplitterAddress(assetId, 1), ethers.parseUnits("100", 6));
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+            await royaltySplitFactory.createSplitter(assetId);
+
+            const splitter = await ethers.getContractAt("RoyaltySplitter", await royaltySplitFactory.assetIdToSplitter(assetId));
+            expect(await splitter.releasable(await usdc.getAddress(), contributor1.address)).to.equal(ethers.parseUnits("70", 6));
+            await splitter.release(await usdc.getAddress(), contributor2.address);
+            expect(await usdc.balanceOf(contributor2.address)).to.equal(ethers.parseUnits("30", 6));
+        });
+
+        it("Should not allow a splitter or the implementation to be initialized again", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, assetId, contributor1 } = await loadFixture(deployFactoryFixture);
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+            await royaltySplitFactory.createSplitter(assetId);
+
+            const splitter = await ethers.getContractAt("RoyaltySplitter", await royaltySplitFactory.assetIdToSplitter(assetId));
+            const implementation = await ethers.getContractAt("RoyaltySplitter", await royaltySplitFactory.splitterImplementation());
+            await expect(splitter.initialize([contributor1.address], [1])).to.be.reverted;
+            await expect(implementation.initialize([contributor1.address], [1])).to.be.reverted;
+        });
+
+        it("Should cost less than half the gas of deploying a full splitter contract", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, assetId } = await loadFixture(deployFactoryFixture);
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+
+            const cloneReceipt = await (await royaltySplitFactory.createSplitter(assetId)).wait();
+            const RoyaltySplitter = await ethers.getContractFactory("RoyaltySplitter");
+            const fullDeployment = await RoyaltySplitter.deploy();
+            const fullReceipt = await fullDeployment.deploymentTransaction().wait();
+
+            // The clone path includes reading the graph and initializing two payees.
+            expect(cloneReceipt.gasUsed * 2n).to.be.lessThan(fullReceipt.gasUsed);
+        });
+    });
+
+    describe("Lineage Royalties", function () {
+        // A three-level lineage: a fine-tuned model (3) derives from a base model (2),
+        // which in turn was trained on a dataset (1).
+        async function deployLineageFixture() {
+            const [owner, admin, minter, uriSetter, assetOwner, dataCurator, modelDev, tuner] = await ethers.getSigners();
+
+            const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+            const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+            await usdc.waitForDeployment();
+
+            const AssetToken = await ethers.getContractFactory("AssetToken");
+            const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "https://initial.uri/");
+            const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+            const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+            const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+            const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+            const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+            const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+
+            const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+            for (const contributor of [dataCurator, modelDev, tuner]) {
+                await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor.address);
+            }
+
+            const datasetId = 1;
+            const baseModelId = 2;
+            const fineTuneId = 3;
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://dataset.uri/", "0x");
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://base-model.uri/", "0x");
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://fine-tune.uri/", "0x");
+
+            // Dataset: a single curator.
+            await provenanceGraph.connect(assetOwner).addContributorEdge(datasetId, dataCurator.address, 9000);
+            // Base model: 60% to the developer, 40% upstream to the dataset.
+            await provenanceGraph.connect(assetOwner).addContributorEdge(baseModelId, modelDev.address, 6000);
+            await provenanceGraph.connect(assetOwner).addParentEdge(baseModelId, datasetId, 4000);
+            // Fine-tune: 50% to the tuner, 50% upstream to the base model.
+            await provenanceGraph.connect(assetOwner).addContributorEdge(fineTuneId, tuner.address, 5000);
+            await provenanceGraph.connect(assetOwner).addParentEdge(fineTuneId, baseModelId, 5000);
+
+            return {
+                royaltySplitFactory,
+                provenanceGraph,
+                assetToken,
+                usdc,
+                minter,
+                assetOwner,
+                dataCurator,
+                modelDev,
+                tuner,
+                datasetId,
+                baseModelId,
+                fineTuneId
+            };
+        }
+
+        async function finalizeAll(provenanceGraph, assetOwner, assetIds) {
+            for (const assetId of assetIds) {
+                await provenanceGraph.connect(assetOwner).finalize(assetId);
+            }
+        }
+
+        it("Should recursively create splitters for parent assets and add them as payees", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, tuner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+
+            await expect(royaltySplitFactory.createSplitter(fineTuneId))
+                .to.emit(royaltySplitFactory, "ParentSplitterLinked")
+                .withArgs(fineTuneId, baseModelId, (addr) => ethers.isAddress(addr), 5000);
+
+            const datasetSplitter = await royaltySplitFactory.assetIdToSplitter(datasetId);
+            const baseModelSplitter = await royaltySplitFactory.assetIdToSplitter(baseModelId);
+            const fineTuneSplitter = await royaltySplitFactory.assetIdToSplitter(fineTuneId);
+            expect(datasetSplitter).to.not.equal(ethers.ZeroAddress);
+            expect(baseModelSplitter).to.not.equal(ethers.ZeroAddress);
+
+            const splitter = await ethers.getContractAt("RoyaltySplitter", fineTuneSplitter);
+            expect(await splitter.payee(0)).to.equal(tuner.address);
+            expect(await splitter.payee(1)).to.equal(baseModelSplitter);
+            expect(await splitter.shares(baseModelSplitter)).to.equal(5000);
+        });
+
+        it("Should reuse an existing parent splitter instead of deploying a new one", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+
+            await royaltySplitFactory.createSplitter(baseModelId);
+            const baseModelSplitter = await royaltySplitFactory.assetIdToSplitter(baseModelId);
+
+            await royaltySplitFactory.createSplitter(fineTuneId);
+            expect(await royaltySplitFactory.assetIdToSplitter(baseModelId)).to.equal(baseModelSplitter);
+        });
+
+        it("Should route a payment for a derived model to every contributor in the lineage", async function () {
+            const { royaltySplitFactory, provenanceGraph, usdc, assetOwner, dataCurator, modelDev, tuner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+
+            const payment = ethers.parseUnits("1000", 6);
+            await usdc.mint(await royaltySplitFactory.assetIdToSplitter(fineTuneId), payment);
+
+            await expect(royaltySplitFactory.releaseToParents(fineTuneId, await usdc.getAddress()))
+                .to.emit(royaltySplitFactory, "RoyaltiesForwarded")
+                .withArgs(fineTuneId, baseModelId, await usdc.getAddress(), ethers.parseUnits("500", 6));
+
+            const release = async (assetId, account) => {
+                const splitter = await ethers.getContractAt("RoyaltySplitter", await royaltySplitFactory.assetIdToSplitter(assetId));
+                await splitter["release(address,address)"](await usdc.getAddress(), account.address);
+            };
+            await release(fineTuneId, tuner);
+            await release(baseModelId, modelDev);
+            await release(datasetId, dataCurator);
+
+            // 50% to the tuner; 60% of the other 50% to the model developer; the rest to the dataset.
+            expect(await usdc.balanceOf(tuner.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await usdc.balanceOf(modelDev.address)).to.equal(ethers.parseUnits("300", 6));
+            expect(await usdc.balanceOf(dataCurator.address)).to.equal(ethers.parseUnits("200", 6));
+        });
+
+        it("Should not REVERT when releasing to parents twice", async function () {
+            const { royaltySplitFactory, provenanceGraph, usdc, assetOwner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+            await usdc.mint(await royaltySplitFactory.assetIdToSplitter(fineTuneId), ethers.parseUnits("10", 6));
+
+            await royaltySplitFactory.releaseToParents(fineTuneId, await usdc.getAddress());
+            await expect(royaltySplitFactory.releaseToParents(fineTuneId, await usdc.getAddress()))
+                .to.not.emit(royaltySplitFactory, "RoyaltiesForwarded");
+        });
+
+        it("Should REVERT if a parent asset's graph is not finalized", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, baseModelId, fineTuneId, datasetId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [baseModelId, fineTuneId]);
+
+            await expect(royaltySplitFactory.createSplitter(fineTuneId))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "GraphNotFinalized")
+                .withArgs(datasetId);
+        });
+
+        it("Should REVERT on a cyclic lineage", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            // Close the loop: the dataset now claims to derive from the fine-tuned model.
+            await provenanceGraph.connect(assetOwner).addParentEdge(datasetId, fineTuneId, 1);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+
+            await expect(royaltySplitFactory.createSplitter(fineTuneId))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "CyclicLineage")
+                .withArgs(fineTuneId);
+        });
+
+        it("Should REVERT when the lineage is deeper than MAX_LINEAGE_DEPTH", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetToken, minter, assetOwner, tuner } = await loadFixture(deployLineageFixture);
+            const maxDepth = Number(await royaltySplitFactory.MAX_LINEAGE_DEPTH());
+
+            // A chain of maxDepth + 2 assets, each derived from the one before it.
+            const chain = [];
+            for (let i = 0; i < maxDepth + 2; i++) {
+                await assetToken.connect(minter).mint(assetOwner.address, 1, "https://chain.uri/", "0x");
+                const assetId = await assetToken.totalMinted();
+                await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, tuner.address, 5000);
+                if (chain.length > 0) await provenanceGraph.connect(assetOwner).addParentEdge(assetId, chain.at(-1), 5000);
+                await provenanceGraph.connect(assetOwner).finalize(assetId);
+                chain.push(assetId);
+            }
+
+            // From the last asset, the first is maxDepth + 1 parent hops away.
+            await expect(royaltySplitFactory.createSplitter(chain.at(-1)))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "LineageTooDeep")
+                .withArgs(chain[0]);
+            await expect(royaltySplitFactory.createSplitter(chain.at(-2)))
+                .to.emit(royaltySplitFactory, "SplitterCreated");
+            expect(await royaltySplitFactory.assetIdToSplitter(chain[0])).to.not.equal(ethers.ZeroAddress);
+        });
+
+        it("Should REVERT when releasing for an asset without a splitter", async function () {
+            const { royaltySplitFactory, usdc, fineTuneId } = await loadFixture(deployLineageFixture);
+            await expect(royaltySplitFactory.releaseToParents(fineTuneId, await usdc.getAddress()))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "SplitterNotCreated");
+        });
+
+        // Moves the fine-tune to a new revision, approved by its only contributor.
+        async function reviseFineTune(provenanceGraph, assetOwner, tuner, fineTuneId, contributorEdges, parentEdges) {
+            await provenanceGraph.connect(assetOwner).proposeRevision(fineTuneId, contributorEdges, parentEdges);
+            await provenanceGraph.connect(tuner).approveRevision(fineTuneId);
+            await provenanceGraph.adoptRevision(fineTuneId);
+        }
+
+        it("Should create a new splitter for an adopted revision and keep the previous one queryable", async function () {
+            const { royaltySplitFactory, provenanceGraph, assetOwner, tuner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+            const firstSplitter = await royaltySplitFactory.assetIdToSplitter(fineTuneId);
+
+            await provenanceGraph.connect(assetOwner).proposeRevision(fineTuneId, [{ contributor: tuner.address, weightBps: 7000 }], [{ parentAssetId: baseModelId, weightBps: 3000 }]);
+            // Until the proposal is adopted, the existing splitter still covers the current revision.
+            await expect(royaltySplitFactory.createSplitter(fineTuneId))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "SplitterAlreadyExists");
+            await provenanceGraph.connect(tuner).approveRevision(fineTuneId);
+            await provenanceGraph.adoptRevision(fineTuneId);
+
+            await expect(royaltySplitFactory.createSplitter(fineTuneId))
+                .to.emit(royaltySplitFactory, "RevisionSplitterCreated")
+                .withArgs(fineTuneId, 2, (addr) => ethers.isAddress(addr));
+
+            const secondSplitter = await royaltySplitFactory.assetIdToSplitter(fineTuneId);
+            expect(secondSplitter).to.not.equal(firstSplitter);
+            expect(await royaltySplitFactory.splitterForRevision(fineTuneId, 1)).to.equal(firstSplitter);
+            expect(await royaltySplitFactory.splitterForRevision(fineTuneId, 2)).to.equal(secondSplitter);
+
+            const splitter = await ethers.getContractAt("RoyaltySplitter", secondSplitter);
+            expect(await splitter.shares(tuner.address)).to.equal(7000);
+            // The parent splitter is reused rather than redeployed.
+            expect(await splitter.payee(1)).to.equal(await royaltySplitFactory.assetIdToSplitter(baseModelId));
+        });
+
+        it("Should keep forwarding payments to a superseded splitter to the parents it was created with", async function () {
+            const { royaltySplitFactory, provenanceGraph, usdc, assetOwner, tuner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await finalizeAll(provenanceGraph, assetOwner, [datasetId, baseModelId, fineTuneId]);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+            const firstSplitter = await royaltySplitFactory.assetIdToSplitter(fineTuneId);
+
+            // The new revision drops the parent entirely.
+            await reviseFineTune(provenanceGraph, assetOwner, tuner, fineTuneId, [{ contributor: tuner.address, weightBps: 10000 }], []);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+
+            await usdc.mint(firstSplitter, ethers.parseUnits("100", 6));
+            await usdc.mint(await royaltySplitFactory.assetIdToSplitter(fineTuneId), ethers.parseUnits("100", 6));
+
+            await expect(royaltySplitFactory.releaseToParents(fineTuneId, await usdc.getAddress()))
+                .to.not.emit(royaltySplitFactory, "RoyaltiesForwarded");
+            await expect(royaltySplitFactory.releaseRevisionToParents(fineTuneId, 1, await usdc.getAddress()))
+                .to.emit(royaltySplitFactory, "RoyaltiesForwarded")
+                .withArgs(fineTuneId, baseModelId, await usdc.getAddress(), ethers.parseUnits("50", 6));
+            await expect(royaltySplitFactory.releaseRevisionToParents(fineTuneId, 3, await usdc.getAddress()))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "RevisionSplitterNotCreated")
+                .withArgs(fineTuneId, 3);
+        });
+    });
 });
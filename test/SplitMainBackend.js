@@ -0,0 +1,217 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitMainBackend Contract", function () {
+    // We define a fixture to reuse the same setup in every test.
+    async function deployBackendFixture() {
+        const [owner, payeeA, payeeB, payeeC] = await ethers.getSigners();
+
+        const MockSplitMain = await ethers.getContractFactory("MockSplitMain");
+        const splitMain = await MockSplitMain.deploy();
+        await splitMain.waitForDeployment();
+
+        const SplitMainBackend = await ethers.getContractFactory("SplitMainBackend");
+        const splitBackend = await SplitMainBackend.deploy(await splitMain.getAddress());
+        await splitBackend.waitForDeployment();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+        await usdc.waitForDeployment();
+
+        const salt = ethers.ZeroHash;
+        return { splitMain, splitBackend, usdc, owner, payeeA, payeeB, payeeC, salt };
+    }
+
+    // Creates a split through the backend and returns its address.
+    async function createSplit(splitBackend, salt, payees, shares) {
+        const addresses = payees.map((payee) => payee.address);
+        const split = await splitBackend.createSplit.staticCall(salt, addresses, shares);
+        await splitBackend.createSplit(salt, addresses, shares);
+        return split;
+    }
+
+    describe("Deployment", function () {
+        it("Should REVERT if SplitMain is the zero address", async function () {
+            const SplitMainBackend = await ethers.getContractFactory("SplitMainBackend");
+            await expect(SplitMainBackend.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(SplitMainBackend, "ZeroAddress");
+        });
+    });
+
+    describe("createSplit", function () {
+        it("Should create an immutable split with sorted accounts and 1e6-scale allocations", async function () {
+            const { splitMain, splitBackend, salt, payeeA, payeeB, payeeC } = await loadFixture(deployBackendFixture);
+            const split = await createSplit(splitBackend, salt, [payeeA, payeeB, payeeC], [5000, 3000, 1000]);
+
+            expect(await splitMain.getHash(split)).to.not.equal(ethers.ZeroHash);
+            const [accounts, allocations] = await splitBackend.getSplit(split);
+            const expected = [[payeeA.address, 5000], [payeeB.address, 3000], [payeeC.address, 1000]]
+                .sort(([a], [b]) => (BigInt(a) < BigInt(b) ? -1 : 1));
+            expect(accounts).to.deep.equal(expected.map(([account]) => account));
+            // 9000 shares in total; rounding dust goes to the first account.
+            const scaled = expected.map(([, share]) => BigInt(Math.floor((share * 1e6) / 9000)));
+            scaled[0] += 1000000n - scaled.reduce((a, b) => a + b, 0n);
+            expect(allocations).to.deep.equal(scaled);
+        });
+
+        it("Should reuse the split for an identical payee set", async function () {
+            const { splitBackend, salt, payeeA, payeeB } = await loadFixture(deployBackendFixture);
+            const first = await createSplit(splitBackend, salt, [payeeA, payeeB], [7000, 3000]);
+            const second = await createSplit(splitBackend, ethers.id("another revision"), [payeeB, payeeA], [3000, 7000]);
+            expect(second).to.equal(first);
+        });
+
+        it("Should pay a sole payee directly", async function () {
+            const { splitBackend, salt, payeeA } = await loadFixture(deployBackendFixture);
+            expect(await createSplit(splitBackend, salt, [payeeA], [9000])).to.equal(payeeA.address);
+        });
+
+        it("Should REVERT on duplicate payees, zero shares or mismatched lengths", async function () {
+            const { splitBackend, salt, payeeA, payeeB } = await loadFixture(deployBackendFixture);
+            await expect(splitBackend.createSplit(salt, [payeeA.address, payeeB.address, payeeA.address], [1, 1, 1]))
+                .to.be.revertedWithCustomError(splitBackend, "DuplicatePayee")
+                .withArgs(payeeA.address);
+            await expect(splitBackend.createSplit(salt, [payeeA.address, payeeB.address], [1, 0]))
+                .to.be.revertedWithCustomError(splitBackend, "ZeroShares");
+            await expect(splitBackend.createSplit(salt, [payeeA.address], [1, 1]))
+                .to.be.revertedWithCustomError(splitBackend, "LengthMismatch");
+        });
+    });
+
+    describe("Distribution", function () {
+        it("Should distribute a split's balance to every recipient in one call", async function () {
+            const { splitMain, splitBackend, usdc, salt, payeeA, payeeB } = await loadFixture(deployBackendFixture);
+            const split = await createSplit(splitBackend, salt, [payeeA, payeeB], [7000, 3000]);
+            await usdc.mint(split, ethers.parseUnits("100", 6));
+
+            await expect(splitBackend.distribute(split, await usdc.getAddress()))
+                .to.emit(splitMain, "DistributeERC20");
+
+            // SplitMain leaves 1 wei in the split and rounds each share down.
+            const distributed = ethers.parseUnits("100", 6) - 1n;
+            expect(await usdc.balanceOf(split)).to.equal(1);
+            expect(await splitMain.getERC20Balance(payeeA.address, await usdc.getAddress())).to.equal((distributed * 7n) / 10n);
+            expect(await splitMain.getERC20Balance(payeeB.address, await usdc.getAddress())).to.equal((distributed * 3n) / 10n);
+
+            // The dust alone is not distributed again.
+            await expect(splitBackend.distribute(split, await usdc.getAddress())).to.not.emit(splitMain, "DistributeERC20");
+        });
+
+        it("Should report and release a payee's share, including already distributed funds", async function () {
+            const { splitBackend, usdc, salt, payeeA, payeeB } = await loadFixture(deployBackendFixture);
+            const split = await createSplit(splitBackend, salt, [payeeA, payeeB], [7000, 3000]);
+            const token = await usdc.getAddress();
+
+            await usdc.mint(split, ethers.parseUnits("100", 6));
+            await splitBackend.distribute(split, token);
+            await usdc.mint(split, ethers.parseUnits("100", 6));
+            // 70% of each distribution, less the 1 wei SplitMain keeps of the split and of
+            // payeeA's balance.
+            const expected = ((ethers.parseUnits("100", 6) - 1n) * 7n) / 10n + ethers.parseUnits("70", 6) - 1n;
+            expect(await splitBackend.releasable(split, token, payeeA.address)).to.equal(expected);
+
+            await splitBackend.release(split, token, payeeA.address);
+            expect(await usdc.balanceOf(payeeA.address)).to.equal(expected);
+            expect(await splitBackend.releasable(split, token, payeeA.address)).to.equal(0);
+            // A second release with nothing owed is a no-op.
+            await expect(splitBackend.release(split, token, payeeA.address)).to.not.be.reverted;
+        });
+
+        it("Should REVERT for a split it did not create", async function () {
+            const { splitBackend, usdc, payeeA, payeeB } = await loadFixture(deployBackendFixture);
+            await expect(splitBackend.distribute(payeeB.address, await usdc.getAddress()))
+                .to.be.revertedWithCustomError(splitBackend, "UnknownSplit")
+                .withArgs(payeeB.address);
+            await expect(splitBackend.releasable(payeeB.address, await usdc.getAddress(), payeeA.address))
+                .to.be.revertedWithCustomError(splitBackend, "UnknownSplit");
+        });
+    });
+
+    describe("RoyaltySplitFactory Integration", function () {
+        // The lineage from the RoyaltySplitFactory tests: a fine-tune (3) of a base model (2)
+        // trained on a dataset (1), with splits created through SplitMain.
+        async function deployLineageFixture() {
+            const [owner, admin, minter, uriSetter, assetOwner, dataCurator, modelDev, tuner] = await ethers.getSigners();
+            const { splitMain, splitBackend, usdc } = await deployBackendFixture();
+
+            const AssetToken = await ethers.getContractFactory("AssetToken");
+            const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "https://initial.uri/");
+            const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+            const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+            const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+            const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+            const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+            const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), await splitBackend.getAddress());
+
+            const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+            for (const contributor of [dataCurator, modelDev, tuner]) {
+                await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor.address);
+            }
+
+            const datasetId = 1;
+            const baseModelId = 2;
+            const fineTuneId = 3;
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://dataset.uri/", "0x");
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://base-model.uri/", "0x");
+            await assetToken.connect(minter).mint(assetOwner.address, 1, "https://fine-tune.uri/", "0x");
+
+            await provenanceGraph.connect(assetOwner).addContributorEdge(datasetId, dataCurator.address, 9000);
+            await provenanceGraph.connect(assetOwner).addContributorEdge(baseModelId, modelDev.address, 6000);
+            await provenanceGraph.connect(assetOwner).addParentEdge(baseModelId, datasetId, 4000);
+            await provenanceGraph.connect(assetOwner).addContributorEdge(fineTuneId, tuner.address, 5000);
+            await provenanceGraph.connect(assetOwner).addParentEdge(fineTuneId, baseModelId, 5000);
+            for (const assetId of [datasetId, baseModelId, fineTuneId]) {
+                await provenanceGraph.connect(assetOwner).finalize(assetId);
+            }
+
+            return {
+                royaltySplitFactory,
+                splitMain,
+                splitBackend,
+                usdc,
+                dataCurator,
+                modelDev,
+                tuner,
+                datasetId,
+                baseModelId,
+                fineTuneId
+            };
+        }
+
+        it("Should create SplitMain splits for a lineage and route a payment to every contributor", async function () {
+            const { royaltySplitFactory, splitMain, splitBackend, usdc, dataCurator, modelDev, tuner, datasetId, baseModelId, fineTuneId } = await loadFixture(deployLineageFixture);
+            await royaltySplitFactory.createSplitter(fineTuneId);
+
+            const fineTuneSplit = await royaltySplitFactory.assetIdToSplitter(fineTuneId);
+            const baseModelSplit = await royaltySplitFactory.assetIdToSplitter(baseModelId);
+            expect(await splitMain.getHash(fineTuneSplit)).to.not.equal(ethers.ZeroHash);
+            // The dataset has a single contributor, who is paid directly.
+            expect(await royaltySplitFactory.assetIdToSplitter(datasetId)).to.equal(dataCurator.address);
+
+            const token = await usdc.getAddress();
+            await usdc.mint(fineTuneSplit, ethers.parseUnits("1000", 6));
+            // SplitMain keeps 1 wei of the split and of the base model split's balance.
+            const forwarded = (ethers.parseUnits("1000", 6) - 1n) / 2n - 1n;
+            await expect(royaltySplitFactory.releaseToParents(fineTuneId, token))
+                .to.emit(royaltySplitFactory, "RoyaltiesForwarded")
+                .withArgs(fineTuneId, baseModelId, token, forwarded);
+
+            await splitBackend.release(fineTuneSplit, token, tuner.address);
+            await splitBackend.release(baseModelSplit, token, modelDev.address);
+
+            // 50% to the tuner; 60% of the other 50% to the model developer; the rest to the
+            // curator, each less a few wei of SplitMain dust.
+            expect(await usdc.balanceOf(tuner.address)).to.be.closeTo(ethers.parseUnits("500", 6), 2);
+            expect(await usdc.balanceOf(modelDev.address)).to.be.closeTo(ethers.parseUnits("300", 6), 3);
+            expect(await usdc.balanceOf(dataCurator.address)).to.be.closeTo(ethers.parseUnits("200", 6), 3);
+        });
+
+        it("Should REVERT address prediction, which only the built-in clones support", async function () {
+            const { royaltySplitFactory, fineTuneId } = await loadFixture(deployLineageFixture);
+            await expect(royaltySplitFactory.predictSplitterAddress(fineTuneId, 1))
+                .to.be.revertedWithCustomError(royaltySplitFactory, "PredictionUnsupported");
+        });
+    });
+});
@@ -4,6 +4,16 @@ const {
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployEscrowStack, deployFundedStack } = require("./helpers/stack");
+const {
+    buildReceipt,
+    signReceipt,
+    signSessionReceipt,
+    signSpendingAuthorization,
+    hashSpendingAuthorization,
+    unorderedNonce,
+    unorderedNoncePosition
+} = require("../sdk/usageReceipts");
 
 describe("UsageReceiptVerifier Contract", function () {
     // We define a fixture to reuse the same setup in every test.
@@ -34,7 +44,7 @@ describe("UsageReceiptVerifier Contract", function () {
         await provenanceGraph.waitForDeployment();
         
         const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
-        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress());
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
         await royaltySplitFactory.waitForDeployment();
 
         // --- 3. SETUP FULL SCENARIO FOR A SINGLE ASSET ---
@@ -220,4 +230,718 @@ describe("UsageReceiptVerifier Contract", function () {
             ).to.be.revertedWithCustomError(usageReceiptVerifier, "SplitterNotCreated");
         });
     });
+    describe("verifyAndPayBatch Functionality", function () {
+        it("Should open a single Escrow hold for many receipts on the same asset", async function () {
+            const { usageReceiptVerifier, escrow, usdc, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            const amount = callPrice;
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 5);
+
+            const tx = usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, true);
+            await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-amount * 5n, amount * 5n]);
+            await expect(tx)
+                .to.emit(escrow, "PaymentHeld")
+                .withArgs(1, assetIds[0], user.address, amount * 5n, await usdc.getAddress());
+            await expect(tx)
+                .to.emit(usageReceiptVerifier, "BatchSettled")
+                .withArgs(5, 0, 1);
+
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(5);
+        });
+
+        it("Should open one hold per asset and per user", async function () {
+            const { usageReceiptVerifier, escrow, user, otherUser, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            const amount = callPrice * 2n;
+            const first = await signReceipts(user, assetIds[0], 2, 2);
+            const second = await signReceipts(user, assetIds[1], 2, 1, 2);
+            const third = await signReceipts(otherUser, assetIds[0], 2, 1);
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatch(
+                    [...first.receipts, ...second.receipts, ...third.receipts],
+                    [...first.signatures, ...second.signatures, ...third.signatures],
+                    true
+                )
+            ).to.emit(usageReceiptVerifier, "BatchSettled").withArgs(4, 0, 3);
+
+            expect((await escrow.escrows(1)).amount).to.equal(amount * 2n);
+            expect((await escrow.escrows(2)).assetId).to.equal(assetIds[1]);
+            expect((await escrow.escrows(3)).user).to.equal(otherUser.address);
+        });
+
+        it("Should skip an invalid receipt and settle the rest in skip mode", async function () {
+            const { usageReceiptVerifier, user, otherUser, verifier, assetIds, signReceipts, domain, types } = await loadFixture(deployFundedStack);
+            const good = await signReceipts(user, assetIds[0], 1, 1);
+            const forged = { ...good.receipts[0], user: otherUser.address, nonce: 0 };
+            const forgedSignature = await user.signTypedData(domain, types, forged);
+
+            const receipts = [forged, ...good.receipts];
+            const signatures = [forgedSignature, ...good.signatures];
+
+            expect(
+                await usageReceiptVerifier.connect(verifier).verifyAndPayBatch.staticCall(receipts, signatures, false)
+            ).to.deep.equal([false, true]);
+
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("InvalidSignature", []);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, false))
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(0, otherUser.address, 0, reason);
+
+            // The failed receipt did not consume the other user's nonce.
+            expect(await usageReceiptVerifier.nonces(otherUser.address)).to.equal(0);
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(1);
+
+            // A malformed signature is skipped the same way instead of reverting the batch.
+            const next = await signReceipts(user, assetIds[0], 1, 1, 1);
+            expect(
+                await usageReceiptVerifier.connect(verifier).verifyAndPayBatch.staticCall(next.receipts, ["0x1234"], false)
+            ).to.deep.equal([false]);
+        });
+
+        it("Should REVERT the whole batch on an invalid receipt in revert-all mode", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 2);
+            signatures.reverse();
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, true)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidSignature");
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(0);
+        });
+
+        it("Should report receipts the user cannot fund", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            // Each receipt is 60 calls (60 USDC) against a 100 USDC balance and allowance.
+            const amount = callPrice * 60n;
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 60, 2);
+
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("InsufficientFunds", [user.address, amount * 2n]);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, false))
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(1, user.address, 1, reason);
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, true)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidNonce");
+        });
+
+        it("Should REVERT if receipts and signatures differ in length", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 2);
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures.slice(1), false)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "LengthMismatch");
+        });
+
+        it("Should REVERT if the caller lacks VERIFIER_ROLE", async function () {
+            const { usageReceiptVerifier, user, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1);
+
+            await expect(
+                usageReceiptVerifier.connect(user).verifyAndPayBatch(receipts, signatures, false)
+            ).to.be.reverted;
+        });
+    });
+    describe("License Enforcement", function () {
+        const USAGE_TRAINING = 2;
+
+        // Moves the second asset onto a non-commercial license that prohibits training.
+        async function deployRestrictedLicenseFixture() {
+            const fixture = await deployFundedStack();
+            const { licenseRegistry, assetToken, admin, assetIds } = fixture;
+            await licenseRegistry.connect(admin).createLicense({
+                commercialUse: false,
+                attributionRequired: true,
+                prohibitedUses: 1 << USAGE_TRAINING,
+                expiry: 0,
+                allowedMetrics: 0xff,
+                termsURI: "ipfs://terms/research-only"
+            });
+            await assetToken.connect(admin).setLicense(assetIds[1], 2);
+            return fixture;
+        }
+
+        it("Should settle a receipt whose usage the license permits", async function () {
+            const { usageReceiptVerifier, escrow, user, verifier, assetIds, signReceipts } = await loadFixture(deployRestrictedLicenseFixture);
+            const { receipts, signatures } = await signReceipts(user, assetIds[1], 1, 1, undefined, { usageType: 0, commercial: false });
+
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]);
+            expect((await escrow.escrows(1)).assetId).to.equal(assetIds[1]);
+        });
+
+        it("Should REVERT commercial usage under a non-commercial license", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployRestrictedLicenseFixture);
+            const { receipts, signatures } = await signReceipts(user, assetIds[1], 1, 1, undefined, { commercial: true });
+
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "UsageNotLicensed")
+                .withArgs(assetIds[1], 0, true);
+        });
+
+        it("Should skip prohibited usage in a batch and settle the rest", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployRestrictedLicenseFixture);
+            const training = await signReceipts(user, assetIds[1], 1, 1, undefined, { usageType: USAGE_TRAINING });
+            const other = await signReceipts(user, assetIds[0], 1, 1, 1, { usageType: USAGE_TRAINING });
+
+            const receipts = [...training.receipts, ...other.receipts];
+            const signatures = [...training.signatures, ...other.signatures];
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("UsageNotLicensed", [assetIds[1], USAGE_TRAINING, false]);
+
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, false))
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(0, user.address, 0, reason);
+        });
+    });
+
+    describe("Metered Pricing", function () {
+        const METRIC_PER_1K_TOKENS = 0;
+        const METRIC_GPU_SECOND = 1;
+        const METRIC_PER_CALL = 3;
+
+        it("Should charge token usage from the per-1k-token rate", async function () {
+            const { usageReceiptVerifier, escrow, usdc, user, verifier, assetIds, tokenPrice, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1500, 1, undefined, { metric: METRIC_PER_1K_TOKENS });
+            const charge = (tokenPrice * 1500n) / 1000n;
+
+            const tx = usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]);
+            await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-charge, charge]);
+            await expect(tx).to.emit(escrow, "PaymentHeld").withArgs(1, assetIds[0], user.address, charge, await usdc.getAddress());
+        });
+
+        it("Should REVERT if the rate card changed after the receipt was signed", async function () {
+            const { usageReceiptVerifier, pricingModule, assetOwner, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1);
+            await pricingModule.connect(assetOwner).setRate(assetIds[0], METRIC_PER_CALL, callPrice * 2n);
+
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "PriceMismatch")
+                .withArgs(assetIds[0], METRIC_PER_CALL, callPrice * 2n, callPrice);
+        });
+
+        it("Should REVERT if the asset is not priced under the receipt's metric", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 30, 1, undefined, { metric: METRIC_GPU_SECOND });
+
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "MetricNotPriced")
+                .withArgs(assetIds[0], METRIC_GPU_SECOND);
+        });
+
+        it("Should skip receipts whose metric the asset's license no longer allows", async function () {
+            const { usageReceiptVerifier, licenseRegistry, assetToken, admin, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1);
+            // License 2 only allows token-based pricing.
+            await licenseRegistry.connect(admin).createLicense({
+                commercialUse: true,
+                attributionRequired: false,
+                prohibitedUses: 0,
+                expiry: 0,
+                allowedMetrics: 1 << METRIC_PER_1K_TOKENS,
+                termsURI: "ipfs://terms/tokens-only"
+            });
+            await assetToken.connect(admin).setLicense(assetIds[0], 2);
+
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("MetricNotLicensed", [assetIds[0], METRIC_PER_CALL]);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, false))
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(0, user.address, 0, reason);
+        });
+    });
+
+    describe("Permit-based Settlement", function () {
+        async function deployPermitFixture() {
+            const MockPermitUSDC = await ethers.getContractFactory("MockPermitUSDC");
+            const usdc = await MockPermitUSDC.deploy();
+            await usdc.waitForDeployment();
+            const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+            const permit2 = await MockPermit2.deploy();
+            await permit2.waitForDeployment();
+
+            const stack = await deployEscrowStack(usdc);
+            // Funded, but no approval to the verifier.
+            await usdc.mint(stack.user.address, ethers.parseUnits("100", 6));
+            return { ...stack, permit2 };
+        }
+
+        async function signPermit(usdc, owner, spender, value, deadline) {
+            const domain = {
+                name: "Mock USDC",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await usdc.getAddress()
+            };
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            const nonce = await usdc.nonces(owner.address);
+            const signature = ethers.Signature.from(
+                await owner.signTypedData(domain, types, { owner: owner.address, spender, value, nonce, deadline })
+            );
+            return { value, deadline, v: signature.v, r: signature.r, s: signature.s };
+        }
+
+        async function signPermit2(permit2, owner, spender, token, amount, nonce, deadline) {
+            const domain = {
+                name: "Permit2",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await permit2.getAddress()
+            };
+            const types = {
+                PermitTransferFrom: [
+                    { name: "permitted", type: "TokenPermissions" },
+                    { name: "spender", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ],
+                TokenPermissions: [
+                    { name: "token", type: "address" },
+                    { name: "amount", type: "uint256" }
+                ]
+            };
+            const permit = { permitted: { token, amount }, nonce, deadline };
+            const signature = await owner.signTypedData(domain, types, { ...permit, spender });
+            return { permit, signature };
+        }
+
+        describe("verifyAndPayWithPermit", function () {
+            it("Should settle a receipt without a prior approve() transaction", async function () {
+                const { usageReceiptVerifier, escrow, usdc, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployPermitFixture);
+                const amount = callPrice * 10n;
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 10, 1);
+                const permit = await signPermit(usdc, user, await usageReceiptVerifier.getAddress(), amount, (await time.latest()) + 3600);
+
+                const tx = usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit(receipts[0], signatures[0], permit);
+                await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-amount, amount]);
+                await expect(tx).to.emit(escrow, "PaymentHeld").withArgs(1, assetIds[0], user.address, amount, await usdc.getAddress());
+                expect(await usageReceiptVerifier.nonces(user.address)).to.equal(1);
+            });
+
+            it("Should still settle if the permit was front-run", async function () {
+                const { usageReceiptVerifier, escrow, usdc, user, otherUser, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployPermitFixture);
+                const amount = callPrice * 10n;
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 10, 1);
+                const spender = await usageReceiptVerifier.getAddress();
+                const permit = await signPermit(usdc, user, spender, amount, (await time.latest()) + 3600);
+
+                await usdc.connect(otherUser).permit(user.address, spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+                await expect(
+                    usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit(receipts[0], signatures[0], permit)
+                ).to.changeTokenBalances(usdc, [user, escrow], [-amount, amount]);
+            });
+
+            it("Should REVERT if the permit does not cover the receipt", async function () {
+                const { usageReceiptVerifier, usdc, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployPermitFixture);
+                const amount = callPrice * 10n;
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 10, 1);
+                const permit = await signPermit(usdc, user, await usageReceiptVerifier.getAddress(), amount - 1n, (await time.latest()) + 3600);
+
+                await expect(
+                    usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit(receipts[0], signatures[0], permit)
+                ).to.be.revertedWith("ERC20: insufficient allowance");
+            });
+        });
+
+        describe("verifyAndPayWithPermit2", function () {
+            it("Should pull the receipt's charge straight into Escrow", async function () {
+                const { usageReceiptVerifier, escrow, usdc, permit2, admin, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployPermitFixture);
+                await usageReceiptVerifier.connect(admin).setPermit2(await permit2.getAddress());
+                // The one-time Permit2 approval is shared across every Permit2-enabled app.
+                await usdc.connect(user).approve(await permit2.getAddress(), ethers.MaxUint256);
+
+                const amount = callPrice * 10n;
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 10, 1);
+                const { permit, signature } = await signPermit2(
+                    permit2, user, await usageReceiptVerifier.getAddress(), await usdc.getAddress(), amount, 0, (await time.latest()) + 3600
+                );
+
+                const tx = usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit2(receipts[0], signatures[0], permit, signature);
+                await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-amount, amount]);
+                await expect(tx).to.emit(escrow, "PaymentHeld").withArgs(1, assetIds[0], user.address, amount, await usdc.getAddress());
+            });
+
+            it("Should REVERT if Permit2 is not configured", async function () {
+                const { usageReceiptVerifier, usdc, permit2, user, verifier, assetIds, signReceipts } = await loadFixture(deployPermitFixture);
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1);
+                const { permit, signature } = await signPermit2(
+                    permit2, user, await usageReceiptVerifier.getAddress(), await usdc.getAddress(), 1, 0, (await time.latest()) + 3600
+                );
+
+                await expect(
+                    usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit2(receipts[0], signatures[0], permit, signature)
+                ).to.be.revertedWithCustomError(usageReceiptVerifier, "Permit2NotConfigured");
+            });
+
+            it("Should REVERT if the permit names a different token", async function () {
+                const { usageReceiptVerifier, permit2, admin, user, verifier, assetIds, signReceipts } = await loadFixture(deployPermitFixture);
+                await usageReceiptVerifier.connect(admin).setPermit2(await permit2.getAddress());
+                const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1);
+                const { permit, signature } = await signPermit2(
+                    permit2, user, await usageReceiptVerifier.getAddress(), await permit2.getAddress(), 1, 0, (await time.latest()) + 3600
+                );
+
+                await expect(
+                    usageReceiptVerifier.connect(verifier).verifyAndPayWithPermit2(receipts[0], signatures[0], permit, signature)
+                ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidPermitToken");
+            });
+
+            it("Should only allow the admin to set Permit2", async function () {
+                const { usageReceiptVerifier, permit2, admin, user } = await loadFixture(deployPermitFixture);
+                await expect(usageReceiptVerifier.connect(user).setPermit2(await permit2.getAddress())).to.be.reverted;
+                await expect(usageReceiptVerifier.connect(admin).setPermit2(await permit2.getAddress()))
+                    .to.emit(usageReceiptVerifier, "Permit2Updated")
+                    .withArgs(await permit2.getAddress());
+            });
+        });
+    });
+
+    describe("Spending Authorizations", function () {
+        const DAY = 24 * 60 * 60;
+
+        // Has the user sign a 5 USDC authorization for asset 1, with a fresh session key unless one is given.
+        async function authorize(stack, overrides = {}) {
+            const { user, assetIds, domain, usdc } = stack;
+            const sessionKey = ethers.Wallet.createRandom();
+            const authorization = {
+                user: user.address,
+                sessionKey: sessionKey.address,
+                assetId: assetIds[0],
+                token: await usdc.getAddress(),
+                maxAmount: ethers.parseUnits("5", 6),
+                expiry: (await time.latest()) + DAY,
+                salt: 1,
+                ...overrides
+            };
+            const authSignature = await signSpendingAuthorization(user, domain, authorization);
+            return { authorization, authSignature, sessionKey };
+        }
+
+        // Builds `count` consecutive per-call receipts for the user and signs them with `signer`.
+        async function sessionReceipts(stack, signer, units, count, { assetId = stack.assetIds[0], startNonce } = {}) {
+            const { usageReceiptVerifier, user, domain } = stack;
+            const base = await buildReceipt(usageReceiptVerifier, { assetId, units, user: user.address, nonce: startNonce });
+            const receipts = [];
+            const signatures = [];
+            for (let i = 0; i < count; i++) {
+                const receipt = { ...base, nonce: base.nonce + BigInt(i) };
+                receipts.push(receipt);
+                signatures.push(signer ? await signSessionReceipt(signer, domain, receipt) : "0x");
+            }
+            return { receipts, signatures };
+        }
+
+        it("Should settle receipts signed by the session key and track the spend", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { usageReceiptVerifier, escrow, usdc, user, verifier, assetIds, callPrice, domain } = stack;
+            const { authorization, authSignature, sessionKey } = await authorize(stack);
+            const authHash = hashSpendingAuthorization(domain, authorization);
+            expect(await usageReceiptVerifier.hashAuthorization(authorization)).to.equal(authHash);
+
+            const { receipts, signatures } = await sessionReceipts(stack, sessionKey, 1, 3);
+            const tx = usageReceiptVerifier.connect(verifier).verifyAndPayBatchWithSession(receipts, signatures, authorization, authSignature, true);
+            await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-callPrice * 3n, callPrice * 3n]);
+            await expect(tx).to.emit(escrow, "PaymentHeld").withArgs(1, assetIds[0], user.address, callPrice * 3n, await usdc.getAddress());
+            await expect(tx)
+                .to.emit(usageReceiptVerifier, "AuthorizationSpent")
+                .withArgs(authHash, user.address, callPrice * 3n, callPrice * 3n);
+
+            const next = await sessionReceipts(stack, sessionKey, 1, 1);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(next.receipts[0], next.signatures[0], authorization, authSignature)
+            ).to.emit(usageReceiptVerifier, "AuthorizationSpent").withArgs(authHash, user.address, callPrice, callPrice * 4n);
+
+            expect(await usageReceiptVerifier.authorizationSpent(authHash)).to.equal(callPrice * 4n);
+            expect(await usageReceiptVerifier.authorizationRemaining(authorization)).to.equal(callPrice);
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(4);
+        });
+
+        it("Should not let receipts charge more than the authorization's maximum", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { usageReceiptVerifier, user, verifier, callPrice, domain } = stack;
+            const { authorization, authSignature, sessionKey } = await authorize(stack);
+            const authHash = hashSpendingAuthorization(domain, authorization);
+
+            // Three 2-call receipts against a 5 USDC maximum: the third does not fit.
+            const { receipts, signatures } = await sessionReceipts(stack, sessionKey, 2, 3);
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("SpendingLimitExceeded", [authHash, callPrice, callPrice * 2n]);
+            await expect(usageReceiptVerifier.connect(verifier).verifyAndPayBatchWithSession(receipts, signatures, authorization, authSignature, false))
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(2, user.address, 2, reason);
+            expect(await usageReceiptVerifier.authorizationSpent(authHash)).to.equal(callPrice * 4n);
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(receipts[2], signatures[2], authorization, authSignature)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "SpendingLimitExceeded")
+                .withArgs(authHash, callPrice, callPrice * 2n);
+        });
+
+        it("Should REVERT receipts outside the authorization's scope or not signed by its session key", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { usageReceiptVerifier, user, otherUser, verifier, assetIds, domain, signReceipts } = stack;
+            const { authorization, authSignature, sessionKey } = await authorize(stack);
+            const authHash = hashSpendingAuthorization(domain, authorization);
+
+            const otherAsset = await sessionReceipts(stack, sessionKey, 1, 1, { assetId: assetIds[1] });
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(otherAsset.receipts[0], otherAsset.signatures[0], authorization, authSignature)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "OutsideAuthorizationScope")
+                .withArgs(authHash, user.address, assetIds[1]);
+
+            const otherPayer = await signReceipts(otherUser, assetIds[0], 1, 1);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(otherPayer.receipts[0], otherPayer.signatures[0], authorization, authSignature)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "OutsideAuthorizationScope")
+                .withArgs(authHash, otherUser.address, assetIds[0]);
+
+            // A receipt signed by the user rather than the session key is not drawn on the authorization.
+            const { receipts } = await sessionReceipts(stack, sessionKey, 1, 1);
+            const userSignature = await signReceipt(user, domain, receipts[0]);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(receipts[0], userSignature, authorization, authSignature)
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidSignature");
+
+            await expect(
+                usageReceiptVerifier.connect(user).verifyAndPayWithSession(receipts[0], await signSessionReceipt(sessionKey, domain, receipts[0]), authorization, authSignature)
+            ).to.be.reverted;
+        });
+
+        it("Should REVERT on an expired, revoked or forged authorization", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { usageReceiptVerifier, user, otherUser, verifier, domain } = stack;
+            const { authorization, authSignature, sessionKey } = await authorize(stack);
+            const authHash = hashSpendingAuthorization(domain, authorization);
+            const { receipts, signatures } = await sessionReceipts(stack, sessionKey, 1, 1);
+            const settle = (auth, sig) => usageReceiptVerifier.connect(verifier).verifyAndPayWithSession(receipts[0], signatures[0], auth, sig);
+
+            const forged = { ...authorization, maxAmount: ethers.parseUnits("50", 6) };
+            await expect(settle(forged, authSignature)).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidAuthorizationSignature");
+
+            await expect(usageReceiptVerifier.connect(otherUser).revokeAuthorization(authorization))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "NotAuthorizationUser")
+                .withArgs(otherUser.address);
+            await expect(usageReceiptVerifier.connect(user).revokeAuthorization(authorization))
+                .to.emit(usageReceiptVerifier, "AuthorizationRevoked")
+                .withArgs(authHash, user.address);
+            await expect(settle(authorization, authSignature))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "AuthorizationIsRevoked")
+                .withArgs(authHash);
+            expect(await usageReceiptVerifier.authorizationRemaining(authorization)).to.equal(0);
+
+            const fresh = await authorize(stack, { sessionKey: sessionKey.address, salt: 2 });
+            await time.increaseTo(fresh.authorization.expiry + 1);
+            await expect(settle(fresh.authorization, fresh.authSignature))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "AuthorizationExpired");
+        });
+
+        it("Should let the Verifier settle unsigned receipts when the authorization names no session key", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { usageReceiptVerifier, escrow, user, verifier, assetIds, callPrice } = stack;
+            const { authorization, authSignature } = await authorize(stack, { sessionKey: ethers.ZeroAddress, assetId: 0 });
+
+            const first = await sessionReceipts(stack, null, 1, 2);
+            const second = await sessionReceipts(stack, null, 1, 1, { assetId: assetIds[1], startNonce: 2 });
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayBatchWithSession(
+                    [...first.receipts, ...second.receipts],
+                    [...first.signatures, ...second.signatures],
+                    authorization,
+                    authSignature,
+                    true
+                )
+            ).to.emit(usageReceiptVerifier, "BatchSettled").withArgs(3, 0, 2);
+            expect((await escrow.escrows(2)).amount).to.equal(callPrice);
+
+            // Outside a session an unsigned receipt is still rejected.
+            const unsigned = await sessionReceipts(stack, null, 1, 1);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(unsigned.receipts[0], unsigned.signatures[0])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidSignature");
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(3);
+        });
+    });
+
+    describe("Unordered Nonces", function () {
+        it("Should settle unordered receipts in any order and reject replays", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const first = await signReceipts(user, assetIds[0], 1, 1, unorderedNonce(0, 5));
+            const second = await signReceipts(user, assetIds[0], 1, 1, unorderedNonce(3, 0));
+
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(second.receipts[0], second.signatures[0]);
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(first.receipts[0], first.signatures[0]);
+            expect(await usageReceiptVerifier.isNonceUsed(user.address, unorderedNonce(0, 5))).to.be.true;
+            expect(await usageReceiptVerifier.isNonceUsed(user.address, unorderedNonce(0, 6))).to.be.false;
+            expect(await usageReceiptVerifier.nonceBitmap(user.address, 3)).to.equal(1);
+
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(second.receipts[0], second.signatures[0])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "NonceAlreadyUsed")
+                .withArgs(user.address, unorderedNonce(3, 0));
+
+            // The sequential counter is untouched and still usable.
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(0);
+            const sequential = await signReceipts(user, assetIds[0], 1, 1);
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(sequential.receipts[0], sequential.signatures[0]);
+            expect(await usageReceiptVerifier.isNonceUsed(user.address, 0)).to.be.true;
+        });
+
+        it("Should mix sequential and unordered receipts in a batch", async function () {
+            const { usageReceiptVerifier, escrow, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            const sequential = await signReceipts(user, assetIds[0], 1, 2);
+            const unordered = await signReceipts(user, assetIds[0], 1, 2, unorderedNonce(1, 0));
+
+            // The unordered receipts come first and out of order, and one is repeated.
+            const receipts = [unordered.receipts[1], ...sequential.receipts, unordered.receipts[0], unordered.receipts[1]];
+            const signatures = [unordered.signatures[1], ...sequential.signatures, unordered.signatures[0], unordered.signatures[1]];
+            const reason = usageReceiptVerifier.interface.encodeErrorResult("NonceAlreadyUsed", [user.address, unorderedNonce(1, 1)]);
+            const tx = usageReceiptVerifier.connect(verifier).verifyAndPayBatch(receipts, signatures, false);
+            await expect(tx)
+                .to.emit(usageReceiptVerifier, "BatchReceiptFailed")
+                .withArgs(4, user.address, unorderedNonce(1, 1), reason);
+            await expect(tx).to.emit(usageReceiptVerifier, "BatchSettled").withArgs(4, 1, 1);
+
+            expect((await escrow.escrows(1)).amount).to.equal(callPrice * 4n);
+            expect(await usageReceiptVerifier.nonces(user.address)).to.equal(2);
+            expect(await usageReceiptVerifier.nonceBitmap(user.address, 1)).to.equal(3);
+        });
+
+        it("Should let users cancel outstanding receipts", async function () {
+            const { usageReceiptVerifier, user, verifier, assetIds, signReceipts } = await loadFixture(deployFundedStack);
+            const unordered = await signReceipts(user, assetIds[0], 1, 1, unorderedNonce(2, 7));
+            const { wordPos, mask } = unorderedNoncePosition(unordered.receipts[0].nonce);
+
+            await expect(usageReceiptVerifier.connect(user).invalidateUnorderedNonces(wordPos, mask))
+                .to.emit(usageReceiptVerifier, "UnorderedNoncesInvalidated")
+                .withArgs(user.address, 2, 1n << 7n);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(unordered.receipts[0], unordered.signatures[0])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "NonceAlreadyUsed");
+
+            const sequential = await signReceipts(user, assetIds[0], 1, 3);
+            await expect(usageReceiptVerifier.connect(user).invalidateNonces(2))
+                .to.emit(usageReceiptVerifier, "NoncesInvalidated")
+                .withArgs(user.address, 2);
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(sequential.receipts[1], sequential.signatures[1])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidNonce").withArgs(2, 1);
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(sequential.receipts[2], sequential.signatures[2]);
+
+            // The sequential nonce only moves forward and never into the unordered range.
+            await expect(usageReceiptVerifier.connect(user).invalidateNonces(3))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidNonce").withArgs(3, 3);
+            const flag = await usageReceiptVerifier.UNORDERED_NONCE_FLAG();
+            await expect(usageReceiptVerifier.connect(user).invalidateNonces(flag))
+                .to.be.revertedWithCustomError(usageReceiptVerifier, "InvalidNonce").withArgs(3, flag);
+        });
+    });
+
+    describe("Fee Schedule", function () {
+        it("Should charge each release the fee scheduled for its asset and revenue tier", async function () {
+            const { usageReceiptVerifier, escrow, feeTreasury, usdc, admin, treasury, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployFundedStack);
+            // 1% once an asset has released 2 USDC; asset 2 pays no fee at all.
+            await feeTreasury.connect(admin).setVolumeTiers(usdc, [callPrice * 2n], [100]);
+            await feeTreasury.connect(admin).setAssetFee(assetIds[1], true, 0);
+            await time.increase(await feeTreasury.feeChangeDelay());
+            await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_TIERS(), await usdc.getAddress());
+            await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_ASSET(), assetIds[1]);
+
+            const payments = [
+                await signReceipts(user, assetIds[0], 3, 1, 0),
+                await signReceipts(user, assetIds[0], 1, 1, 1),
+                await signReceipts(user, assetIds[1], 1, 1, 2)
+            ];
+            for (const { receipts, signatures } of payments) {
+                await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]);
+            }
+            await time.increase(3 * 24 * 60 * 60);
+
+            // The first release is below the tier, so it pays the default 2.5%.
+            await expect(escrow.release(1)).to.changeTokenBalance(usdc, treasury, (callPrice * 3n * 250n) / 10000n);
+            await expect(escrow.release(2)).to.changeTokenBalance(usdc, treasury, (callPrice * 100n) / 10000n);
+            await expect(escrow.release(3)).to.changeTokenBalance(usdc, treasury, 0);
+            expect(await escrow.settledRevenue(assetIds[0], await usdc.getAddress())).to.equal(callPrice * 4n);
+        });
+    });
+
+    describe("Multi-token Payments", function () {
+        // Adds a EURC-like token to the allow-list, prices asset 1 in it and funds the user.
+        async function deployMultiTokenFixture() {
+            const stack = await deployFundedStack();
+            const { usageReceiptVerifier, feeTreasury, pricingModule, admin, assetOwner, user, assetIds } = stack;
+
+            const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+            const eurc = await MockERC20.deploy("Mock EURC", "mEURC");
+            await eurc.waitForDeployment();
+            const eurcAddress = await eurc.getAddress();
+
+            await feeTreasury.connect(admin).setPaymentToken(eurcAddress, true);
+            const eurcCallPrice = ethers.parseUnits("0.9", 6);
+            await pricingModule.connect(assetOwner).setTokenRateCard(assetIds[0], eurcAddress, [3], [eurcCallPrice]);
+            await eurc.mint(user.address, ethers.parseUnits("100", 6));
+            await eurc.connect(user).approve(await usageReceiptVerifier.getAddress(), ethers.parseUnits("100", 6));
+
+            return { ...stack, eurc, eurcAddress, eurcCallPrice };
+        }
+
+        it("Should settle receipts in an allow-listed token at the asset's rate in that token", async function () {
+            const { usageReceiptVerifier, escrow, usdc, eurc, eurcAddress, eurcCallPrice, user, verifier, assetIds, callPrice, signReceipts } = await loadFixture(deployMultiTokenFixture);
+            const inEurc = await signReceipts(user, assetIds[0], 2, 2, 0, { token: eurcAddress });
+            const inUsdc = await signReceipts(user, assetIds[0], 1, 1, 2);
+            expect(inEurc.receipts[0].unitPrice).to.equal(eurcCallPrice);
+
+            const tx = usageReceiptVerifier.connect(verifier).verifyAndPayBatch(
+                [...inEurc.receipts, ...inUsdc.receipts],
+                [...inEurc.signatures, ...inUsdc.signatures],
+                true
+            );
+            await expect(tx).to.emit(usageReceiptVerifier, "BatchSettled").withArgs(3, 0, 2);
+            await expect(tx).to.emit(escrow, "PaymentHeld").withArgs(1, assetIds[0], user.address, eurcCallPrice * 4n, eurcAddress);
+            await expect(tx).to.changeTokenBalances(eurc, [user, escrow], [-eurcCallPrice * 4n, eurcCallPrice * 4n]);
+            await expect(tx).to.changeTokenBalances(usdc, [user, escrow], [-callPrice, callPrice]);
+
+            const item = await escrow.escrows(1);
+            expect(item.token).to.equal(eurcAddress);
+            expect(item.amount).to.equal(eurcCallPrice * 4n);
+            expect((await escrow.escrows(2)).token).to.equal(await usdc.getAddress());
+        });
+
+        it("Should release and refund held payments in the token they were made in", async function () {
+            const { usageReceiptVerifier, escrow, feeTreasury, eurc, eurcAddress, eurcCallPrice, admin, arbiter, user, verifier, assetIds, signReceipts } = await loadFixture(deployMultiTokenFixture);
+            const euroTreasury = ethers.Wallet.createRandom().address;
+            await feeTreasury.connect(admin).setTokenTreasury(eurcAddress, euroTreasury);
+
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 10, 2, 0, { token: eurcAddress });
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]);
+            await usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[1], signatures[1]);
+            const amount = eurcCallPrice * 10n;
+            const fee = (amount * 250n) / 10000n;
+
+            await escrow.connect(user).openDispute(2);
+            await time.increase(3 * 24 * 60 * 60);
+            const splitter = (await escrow.escrows(1)).paymentSplitter;
+            await expect(escrow.release(1)).to.changeTokenBalances(eurc, [splitter, euroTreasury], [amount - fee, fee]);
+
+            await expect(escrow.connect(arbiter).resolveDispute(2, true)).to.changeTokenBalance(eurc, user, amount);
+        });
+
+        it("Should reject tokens that are not allow-listed or that the asset is not priced in", async function () {
+            const { usageReceiptVerifier, feeTreasury, eurcAddress, admin, user, verifier, assetIds, signReceipts } = await loadFixture(deployMultiTokenFixture);
+            const unpriced = await signReceipts(user, assetIds[1], 1, 1, 0, { token: eurcAddress, unitPrice: 1 });
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(unpriced.receipts[0], unpriced.signatures[0])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "MetricNotPriced");
+
+            await feeTreasury.connect(admin).setPaymentToken(eurcAddress, false);
+            const { receipts, signatures } = await signReceipts(user, assetIds[0], 1, 1, 0, { token: eurcAddress });
+            await expect(
+                usageReceiptVerifier.connect(verifier).verifyAndPayWithReceipt(receipts[0], signatures[0])
+            ).to.be.revertedWithCustomError(usageReceiptVerifier, "TokenNotAccepted")
+                .withArgs(eurcAddress);
+        });
+    });
 });
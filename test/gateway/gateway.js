@@ -0,0 +1,286 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployFundedStack } = require("../helpers/stack");
+const { ReceiptStore, Status } = require("../../gateway/store");
+const { Settler } = require("../../gateway/settler");
+const { createServer } = require("../../gateway/server");
+const { unorderedNonce } = require("../../sdk/usageReceipts");
+
+describe("Settlement Gateway", function () {
+    const silentLogger = { info() {}, error() {} };
+    let gateway;
+
+    // Runs the API and settler against the Hardhat network, with the verifier account as submitter.
+    // The verifier address is lowercased, as it may be in GATEWAY_VERIFIER_ADDRESS.
+    async function startGateway(stack, storePath) {
+        const store = new ReceiptStore(storePath);
+        const settler = new Settler({
+            store,
+            signer: stack.verifier,
+            verifierAddress: (await stack.usageReceiptVerifier.getAddress()).toLowerCase(),
+            logger: silentLogger
+        });
+        const server = createServer({ store, domain: stack.domain, provider: ethers.provider });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        async function request(method, route, body) {
+            const res = await fetch(baseUrl + route, {
+                method,
+                headers: { "Content-Type": "application/json" },
+                body: body === undefined ? undefined : JSON.stringify(body, (_, value) => typeof value === "bigint" ? value.toString() : value)
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        gateway = { store, settler, server, request };
+        return gateway;
+    }
+
+    afterEach(async function () {
+        if (gateway) {
+            await gateway.settler.stop();
+            await new Promise((resolve) => gateway.server.close(resolve));
+            gateway = null;
+        }
+    });
+
+    describe("Receipt API", function () {
+        it("Should queue a valid receipt and report its status", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+
+            const submitted = await request("POST", "/receipts", { receipt: receipts[0], signature: signatures[0] });
+            expect(submitted.status).to.equal(202);
+            expect(submitted.body.results[0].status).to.equal("created");
+
+            const fetched = await request("GET", `/receipts/${stack.user.address}/0`);
+            expect(fetched.status).to.equal(200);
+            expect(fetched.body.status).to.equal(Status.QUEUED);
+            expect(fetched.body.receipt.units).to.equal("1");
+        });
+
+        it("Should treat a resubmission as a duplicate and a different signature as a conflict", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const first = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+            const second = await stack.signReceipts(stack.user, stack.assetIds[0], 5, 1);
+
+            await request("POST", "/receipts", { receipt: first.receipts[0], signature: first.signatures[0] });
+            const retry = await request("POST", "/receipts", { receipt: first.receipts[0], signature: first.signatures[0] });
+            expect(retry.status).to.equal(200);
+            expect(retry.body.results[0].status).to.equal("duplicate");
+
+            const conflict = await request("POST", "/receipts", { receipt: second.receipts[0], signature: second.signatures[0] });
+            expect(conflict.status).to.equal(409);
+            expect((await request("GET", `/receipts/${stack.user.address}/0`)).body.receipt.units).to.equal("1");
+        });
+
+        it("Should keep the first of two concurrent submissions for the same nonce", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const first = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+            const second = await stack.signReceipts(stack.user, stack.assetIds[0], 5, 1);
+
+            // Both pass the initial lookup before either is stored.
+            const [accepted, rejected] = await Promise.all([
+                request("POST", "/receipts", { receipt: first.receipts[0], signature: first.signatures[0] }),
+                request("POST", "/receipts", { receipt: second.receipts[0], signature: second.signatures[0] })
+            ]);
+            expect(accepted.status).to.equal(202);
+            expect(rejected.status).to.equal(409);
+            expect(rejected.body.results[0].status).to.equal("conflict");
+
+            const retries = await Promise.all([0, 1].map(() =>
+                request("POST", "/receipts", { receipt: first.receipts[0], signature: first.signatures[0] })
+            ));
+            expect(retries.map((retry) => retry.status)).to.deep.equal([200, 200]);
+            expect((await request("GET", `/receipts/${stack.user.address}/0`)).body.receipt.units).to.equal("1");
+        });
+
+        it("Should reject forged, expired and already-used receipts", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+
+            const forged = await request("POST", "/receipts", { receipt: { ...receipts[0], units: 100n }, signature: signatures[0] });
+            expect(forged.status).to.equal(400);
+            expect(forged.body.results[0].error).to.equal("InvalidSignature");
+
+            await stack.usageReceiptVerifier.connect(stack.verifier).verifyAndPayWithReceipt(receipts[0], signatures[0]);
+            const replayed = await request("POST", "/receipts", { receipt: receipts[0], signature: signatures[0] });
+            expect(replayed.body.results[0].error).to.equal("NonceAlreadyUsed");
+
+            const late = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+            await time.increase(2 * 60 * 60);
+            const expired = await request("POST", "/receipts", { receipt: late.receipts[0], signature: late.signatures[0] });
+            expect(expired.body.results[0].error).to.equal("ReceiptExpired");
+        });
+
+        it("Should accept a batch and report each receipt separately", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+
+            const response = await request("POST", "/receipts", {
+                receipts: [
+                    { receipt: receipts[0], signature: signatures[0] },
+                    { receipt: receipts[1], signature: signatures[0] },
+                    { receipt: { assetId: 1 }, signature: "0x" }
+                ]
+            });
+            expect(response.status).to.equal(200);
+            expect(response.body.results.map((result) => result.status)).to.deep.equal(["created", "rejected", "rejected"]);
+        });
+
+        it("Should list a user's receipts and report queue health", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+            for (let i = 0; i < 2; i++) {
+                await request("POST", "/receipts", { receipt: receipts[i], signature: signatures[i] });
+            }
+
+            const listed = await request("GET", `/receipts?user=${stack.user.address}`);
+            expect(listed.body.records.map((record) => record.receipt.nonce)).to.deep.equal(["0", "1"]);
+            expect((await request("GET", "/health")).body.receipts).to.deep.equal({ queued: 2, submitted: 0, settled: 0, failed: 0 });
+            expect((await request("GET", `/receipts/${stack.user.address}/9`)).status).to.equal(404);
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should settle queued receipts in a single batch", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request, settler, store } = await startGateway(stack);
+            const mine = await stack.signReceipts(stack.user, stack.assetIds[0], 2, 3);
+            const theirs = await stack.signReceipts(stack.otherUser, stack.assetIds[1], 1, 1);
+            for (const { receipts, signatures } of [mine, theirs]) {
+                for (let i = 0; i < receipts.length; i++) {
+                    await request("POST", "/receipts", { receipt: receipts[i], signature: signatures[i] });
+                }
+            }
+
+            const result = await settler.flush();
+            expect(result.settled).to.equal(4);
+            expect(store.counts()).to.deep.equal({ queued: 0, submitted: 0, settled: 4, failed: 0 });
+            expect(store.get(stack.user.address, 2).txHash).to.equal(result.txHash);
+            expect((await stack.escrow.escrows(1)).amount).to.equal(stack.callPrice * 6n);
+            expect(await settler.flush()).to.be.null;
+        });
+
+        it("Should hold back receipts until the nonces before them arrive", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request, settler, store } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+
+            await request("POST", "/receipts", { receipt: receipts[1], signature: signatures[1] });
+            expect(await settler.flush()).to.be.null;
+
+            await request("POST", "/receipts", { receipt: receipts[0], signature: signatures[0] });
+            expect((await settler.flush()).settled).to.equal(2);
+            expect(store.get(stack.user.address, 1).status).to.equal(Status.SETTLED);
+        });
+
+        it("Should settle unordered receipts without waiting for earlier nonces", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request, settler, store } = await startGateway(stack);
+            const sequential = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+            const unordered = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2, unorderedNonce(0, 0));
+
+            await request("POST", "/receipts", { receipt: sequential.receipts[1], signature: sequential.signatures[1] });
+            for (let i = 0; i < 2; i++) {
+                await request("POST", "/receipts", { receipt: unordered.receipts[i], signature: unordered.signatures[i] });
+            }
+            expect((await settler.flush()).settled).to.equal(2);
+            expect(store.get(stack.user.address, unorderedNonce(0, 1)).status).to.equal(Status.SETTLED);
+            expect(store.get(stack.user.address, 1).status).to.equal(Status.QUEUED);
+
+            // An unordered receipt already settled through another path is refused.
+            const direct = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1, unorderedNonce(0, 5));
+            await stack.usageReceiptVerifier.connect(stack.verifier).verifyAndPayWithReceipt(direct.receipts[0], direct.signatures[0]);
+            const replayed = await request("POST", "/receipts", { receipt: direct.receipts[0], signature: direct.signatures[0] });
+            expect(replayed.body.results[0].error).to.equal("NonceAlreadyUsed");
+        });
+
+        it("Should record on-chain failures and accept a replacement receipt", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const { request, settler, store } = await startGateway(stack);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+            for (let i = 0; i < 2; i++) {
+                await request("POST", "/receipts", { receipt: receipts[i], signature: signatures[i] });
+            }
+            // The owner reprices after the receipts were signed.
+            await stack.pricingModule.connect(stack.assetOwner).setRate(stack.assetIds[0], 3, stack.callPrice * 2n);
+
+            expect((await settler.flush()).settled).to.equal(0);
+            expect(store.get(stack.user.address, 0)).to.include({ status: Status.FAILED, error: "PriceMismatch" });
+            expect(store.get(stack.user.address, 1)).to.include({ status: Status.QUEUED, error: "InvalidNonce" });
+
+            const replacement = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1, 0);
+            const response = await request("POST", "/receipts", { receipt: replacement.receipts[0], signature: replacement.signatures[0] });
+            expect(response.body.results[0].status).to.equal("created");
+            await settler.flush();
+            expect(store.get(stack.user.address, 0).status).to.equal(Status.SETTLED);
+        });
+
+        it("Should recover the outcome of a batch sent before a crash", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gateway-")), "receipts.json");
+            const { request, settler } = await startGateway(stack, storePath);
+            const mine = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 2);
+            const theirs = await stack.signReceipts(stack.otherUser, stack.assetIds[1], 1, 1);
+            for (const { receipts, signatures } of [mine, theirs]) {
+                for (let i = 0; i < receipts.length; i++) {
+                    await request("POST", "/receipts", { receipt: receipts[i], signature: signatures[i] });
+                }
+            }
+            await stack.pricingModule.connect(stack.assetOwner).setRate(stack.assetIds[1], 3, stack.callPrice * 2n);
+
+            // The batch is mined, but the gateway never sees the result.
+            const send = settler.verifier.verifyAndPayBatch;
+            let txHash;
+            settler.verifier.verifyAndPayBatch = async (...args) => {
+                const tx = await send(...args);
+                txHash = tx.hash;
+                tx.wait = async () => { throw new Error("connection lost"); };
+                return tx;
+            };
+            await expect(settler.flush()).to.be.rejectedWith("connection lost");
+            expect(new ReceiptStore(storePath).get(stack.user.address, 1)).to.include({ status: Status.SUBMITTED, txHash });
+
+            const restarted = new ReceiptStore(storePath);
+            const recovering = new Settler({
+                store: restarted,
+                signer: stack.verifier,
+                verifierAddress: await stack.usageReceiptVerifier.getAddress(),
+                logger: silentLogger
+            });
+            expect(await recovering.flush()).to.be.null;
+            expect(restarted.get(stack.user.address, 0)).to.include({ status: Status.SETTLED, txHash });
+            expect(restarted.get(stack.user.address, 1)).to.include({ status: Status.SETTLED, txHash });
+            expect(restarted.get(stack.otherUser.address, 0)).to.include({ status: Status.FAILED, error: "PriceMismatch" });
+            expect((await stack.escrow.escrows(1)).amount).to.equal(stack.callPrice * 2n);
+            fs.rmSync(path.dirname(storePath), { recursive: true });
+        });
+
+        it("Should keep the queue across restarts", async function () {
+            const stack = await loadFixture(deployFundedStack);
+            const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gateway-")), "receipts.json");
+            const { request } = await startGateway(stack, storePath);
+            const { receipts, signatures } = await stack.signReceipts(stack.user, stack.assetIds[0], 1, 1);
+            await request("POST", "/receipts", { receipt: receipts[0], signature: signatures[0] });
+
+            const reloaded = new ReceiptStore(storePath);
+            expect(reloaded.get(stack.user.address, 0).status).to.equal(Status.QUEUED);
+            fs.rmSync(path.dirname(storePath), { recursive: true });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const { ethers } = require("hardhat");
+const {
+    RECEIPT_TYPES,
+    Metric,
+    buildDomain,
+    buildReceipt,
+    signReceipt
+} = require("../../sdk/usageReceipts");
+
+// Shared deployment helpers for tests that settle receipts through the full contract stack.
+
+// Deploys the verifier against a real Escrow for two finalized assets, paying in `usdc`.
+async function deployEscrowStack(usdc) {
+    const [owner, admin, minter, uriSetter, assetOwner, contributor1, contributor2, user, otherUser, verifier, pauser, arbiter, treasury] = await ethers.getSigners();
+
+    const AssetToken = await ethers.getContractFactory("AssetToken");
+    const assetToken = await AssetToken.deploy(admin.address, minter.address, uriSetter.address, "uri");
+    const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+    const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, pauser.address);
+    const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+    const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+    const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+    const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+    const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+    const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250);
+
+    const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+    await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
+    await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
+    const assetIds = [1, 2];
+    for (const assetId of assetIds) {
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "uri", "0x");
+        await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor1.address, 8000);
+        await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor2.address, 2000);
+        await provenanceGraph.connect(assetOwner).finalize(assetId);
+        await royaltySplitFactory.createSplitter(assetId);
+    }
+
+    const Escrow = await ethers.getContractFactory("Escrow");
+    const escrow = await Escrow.deploy(
+        admin.address,
+        arbiter.address,
+        admin.address, // the verifier contract is granted VERIFIER_ROLE below
+        await usdc.getAddress(),
+        await feeTreasury.getAddress(),
+        await assetToken.getAddress(),
+        3 * 24 * 60 * 60 // 3-day dispute window
+    );
+    await escrow.waitForDeployment();
+
+    // License 1 (carried by every minted asset) permits every use, commercial included.
+    const LicenseRegistry = await ethers.getContractFactory("LicenseRegistry");
+    const licenseRegistry = await LicenseRegistry.deploy(admin.address, admin.address, await assetToken.getAddress());
+    await licenseRegistry.connect(admin).createLicense({
+        commercialUse: true,
+        attributionRequired: false,
+        prohibitedUses: 0,
+        expiry: 0,
+        allowedMetrics: 0xff,
+        termsURI: "ipfs://terms/open"
+    });
+
+    // Both assets are priced at 1 USDC per call and 0.02 USDC per 1k tokens.
+    const PricingModule = await ethers.getContractFactory("PricingModule");
+    const pricingModule = await PricingModule.deploy(await assetToken.getAddress(), await licenseRegistry.getAddress());
+    const callPrice = ethers.parseUnits("1", 6);
+    const tokenPrice = ethers.parseUnits("0.02", 6);
+    for (const assetId of assetIds) {
+        await pricingModule.connect(assetOwner).setRateCard(assetId, [Metric.PER_CALL, Metric.PER_1K_TOKENS], [callPrice, tokenPrice]);
+    }
+
+    const EIP712_NAME = "AIUsageReceipts";
+    const EIP712_VERSION = "1";
+    const UsageReceiptVerifier = await ethers.getContractFactory("UsageReceiptVerifier");
+    const usageReceiptVerifier = await UsageReceiptVerifier.deploy(
+        EIP712_NAME,
+        EIP712_VERSION,
+        await usdc.getAddress(),
+        await royaltySplitFactory.getAddress(),
+        await escrow.getAddress(),
+        await licenseRegistry.getAddress(),
+        await pricingModule.getAddress(),
+        admin.address,
+        verifier.address,
+        pauser.address
+    );
+    await usageReceiptVerifier.waitForDeployment();
+    await escrow.connect(admin).grantRole(await escrow.VERIFIER_ROLE(), await usageReceiptVerifier.getAddress());
+
+    const domain = await buildDomain(usageReceiptVerifier);
+    const types = RECEIPT_TYPES;
+
+    // Signs `count` consecutive receipts for `signer`, starting at their current nonce.
+    // Receipts default to per-call pricing in USDC at the published rate.
+    async function signReceipts(signer, assetId, units, count, startNonce, { metric = Metric.PER_CALL, unitPrice, usageType = 0, commercial = false, token } = {}) {
+        const base = await buildReceipt(usageReceiptVerifier, {
+            assetId, units, user: signer.address, nonce: startNonce, metric, unitPrice, usageType, commercial, token
+        });
+        const receipts = [];
+        const signatures = [];
+        for (let i = 0; i < count; i++) {
+            const receipt = { ...base, nonce: base.nonce + BigInt(i) };
+            receipts.push(receipt);
+            signatures.push(await signReceipt(signer, domain, receipt));
+        }
+        return { receipts, signatures };
+    }
+
+    return {
+        usageReceiptVerifier, escrow, licenseRegistry, pricingModule, royaltySplitFactory, assetToken, usdc, feeTreasury,
+        admin, assetOwner, treasury, arbiter, user, otherUser, verifier, assetIds, callPrice, tokenPrice,
+        signReceipts, domain, types
+    };
+}
+
+// Full stack paid in a preset ERC20, with both payers funded and approved up front.
+async function deployFundedStack() {
+    const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+    const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+    await usdc.waitForDeployment();
+
+    const stack = await deployEscrowStack(usdc);
+    const funding = ethers.parseUnits("100", 6);
+    for (const payer of [stack.user, stack.otherUser]) {
+        await usdc.mint(payer.address, funding);
+        await usdc.connect(payer).approve(await stack.usageReceiptVerifier.getAddress(), funding);
+    }
+    return stack;
+}
+
+module.exports = { deployEscrowStack, deployFundedStack };
@@ -0,0 +1,233 @@
+const {
+    loadFixture,
+    mine,
+    takeSnapshot,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { IndexerStore, EscrowStatus } = require("../../indexer/store");
+const { MarketplaceIndexer } = require("../../indexer/indexer");
+
+describe("Marketplace Indexer", function () {
+    const silentLogger = { info() {}, error() {} };
+    const DISPUTE_WINDOW = 24 * 60 * 60; // 1 day
+    const PAYMENT = ethers.parseUnits("10", 6);
+    let stores = [];
+
+    // Two finalized assets with splitters, credited to contributor1 and contributor2.
+    async function deployIndexedStackFixture() {
+        const [owner, admin, minter, assetOwner, contributor1, contributor2, contributor3, verifier, arbiter, user, treasury] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, admin.address, "uri");
+        const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+        const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+        const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250);
+        const Escrow = await ethers.getContractFactory("Escrow");
+        const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            verifier.address,
+            await usdc.getAddress(),
+            await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            DISPUTE_WINDOW
+        );
+
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        for (const contributor of [contributor1, contributor2, contributor3]) {
+            await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor.address);
+        }
+        for (const assetId of [1, 2]) {
+            await assetToken.connect(minter).mint(assetOwner.address, 1, `ipfs://asset${assetId}`, "0x");
+            await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor1.address, 6000);
+            await provenanceGraph.connect(assetOwner).addContributorEdge(assetId, contributor2.address, 4000);
+            await provenanceGraph.connect(assetOwner).finalize(assetId);
+            await royaltySplitFactory.createSplitter(assetId);
+        }
+
+        // Holds one payment for asset 1 and returns its escrow ID.
+        async function hold() {
+            await usdc.mint(await escrow.getAddress(), PAYMENT);
+            const tx = await escrow.connect(verifier).holdPayment(1, user.address, PAYMENT, await royaltySplitFactory.assetIdToSplitter(1));
+            const receipt = await tx.wait();
+            return escrow.interface.parseLog(receipt.logs.at(-1)).args.escrowId;
+        }
+
+        const addresses = {};
+        for (const [name, contract] of Object.entries({ AssetToken: assetToken, ContributorRegistry: contributorRegistry, ProvenanceGraph: provenanceGraph, RoyaltySplitFactory: royaltySplitFactory, Escrow: escrow, FeeTreasury: feeTreasury })) {
+            addresses[name] = await contract.getAddress();
+        }
+
+        return {
+            assetToken, contributorRegistry, provenanceGraph, royaltySplitFactory, escrow, feeTreasury, usdc, addresses,
+            CONTRIBUTOR_ROLE, admin, minter, assetOwner, contributor1, contributor2, contributor3, arbiter, user, hold
+        };
+    }
+
+    function newIndexer(addresses, filePath) {
+        const store = new IndexerStore(filePath, { reorgDepth: 16 });
+        stores.push(store);
+        return new MarketplaceIndexer({ provider: ethers.provider, addresses, store, logger: silentLogger });
+    }
+
+    afterEach(function () {
+        stores.forEach((store) => store.db.open && store.close());
+        stores = [];
+    });
+
+    it("Should index assets by contributor and follow adopted revisions", async function () {
+        const { assetToken, provenanceGraph, addresses, assetOwner, user, contributor1, contributor2, contributor3 } = await loadFixture(deployIndexedStackFixture);
+        const indexer = newIndexer(addresses);
+        await indexer.sync();
+
+        expect(indexer.store.assetsByContributor(contributor1.address).map((asset) => asset.asset_id)).to.deep.equal([1, 2]);
+        expect(indexer.store.assetsByContributor(contributor1.address)[0]).to.include({ owner: assetOwner.address, metadata_uri: "ipfs://asset1", finalized: 1, weight_bps: 6000 });
+        expect(indexer.store.splittersOf(contributor2.address).map((splitter) => splitter.asset_id)).to.deep.equal([1, 2]);
+
+        // Ownership follows the sale of asset 1.
+        await assetToken.connect(assetOwner).safeTransferFrom(assetOwner.address, user.address, 1, 1, "0x");
+        await indexer.sync();
+        expect(indexer.store.assetsByContributor(contributor1.address)[0].owner).to.equal(user.address);
+
+        // Asset 2 replaces contributor1 with contributor3.
+        await provenanceGraph.connect(assetOwner).proposeRevision(2, [
+            { contributor: contributor2.address, weightBps: 4000 },
+            { contributor: contributor3.address, weightBps: 6000 }
+        ], []);
+        await provenanceGraph.connect(contributor1).approveRevision(2);
+        await provenanceGraph.connect(contributor2).approveRevision(2);
+        await provenanceGraph.adoptRevision(2);
+        await indexer.sync();
+
+        expect(indexer.store.assetsByContributor(contributor1.address).map((asset) => asset.asset_id)).to.deep.equal([1]);
+        expect(indexer.store.assetsByContributor(contributor3.address).map((asset) => asset.asset_id)).to.deep.equal([2]);
+        expect(indexer.store.getAsset(2).current_revision).to.equal(2);
+    });
+
+    it("Should report the roles an address holds across contracts", async function () {
+        const { contributorRegistry, feeTreasury, addresses, CONTRIBUTOR_ROLE, admin, contributor1 } = await loadFixture(deployIndexedStackFixture);
+        const indexer = newIndexer(addresses);
+        await feeTreasury.connect(admin).setFeeBps(300);
+        await time.increase(await feeTreasury.feeChangeDelay());
+        await feeTreasury.activateFee(await feeTreasury.FEE_SCOPE_GLOBAL(), 0);
+        await indexer.sync();
+
+        const adminRoles = indexer.store.rolesOf(admin.address).map(({ contract, roleName }) => `${contract}.${roleName}`);
+        expect(adminRoles).to.include.members(["AssetToken.DEFAULT_ADMIN_ROLE", "ContributorRegistry.ROLE_ADMIN", "Escrow.DEFAULT_ADMIN_ROLE", "FeeTreasury.ADMIN_ROLE"]);
+        expect(indexer.store.rolesOf(contributor1.address)).to.deep.equal([
+            { contract: "ContributorRegistry", role: CONTRIBUTOR_ROLE, roleName: "CONTRIBUTOR_ROLE", grantedBlock: indexer.store.rolesOf(contributor1.address)[0].grantedBlock }
+        ]);
+        expect(indexer.store.setting("FeeTreasury", "feeBps")).to.equal("300");
+
+        await contributorRegistry.connect(admin).revokeRole(CONTRIBUTOR_ROLE, contributor1.address);
+        await indexer.sync();
+        expect(indexer.store.rolesOf(contributor1.address)).to.deep.equal([]);
+    });
+
+    it("Should track escrows by status", async function () {
+        const { escrow, usdc, addresses, arbiter, user, hold } = await loadFixture(deployIndexedStackFixture);
+        const indexer = newIndexer(addresses);
+        for (let i = 0; i < 4; i++) await hold();
+        await escrow.connect(user).openDispute(2);
+        await escrow.connect(user).openDispute(3);
+        await escrow.connect(arbiter).resolveDisputeWithSplit(3, PAYMENT / 2n);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await escrow.releaseBatch([1]);
+        await indexer.sync();
+
+        const ids = (status) => indexer.store.escrowsByStatus(status).map((item) => item.escrow_id);
+        expect(ids(EscrowStatus.HELD)).to.deep.equal([4]);
+        expect(ids(EscrowStatus.DISPUTED)).to.deep.equal([2]);
+        expect(ids(EscrowStatus.RELEASED)).to.deep.equal([1]);
+        expect(ids(EscrowStatus.PARTIALLY_REFUNDED)).to.deep.equal([3]);
+        expect(indexer.store.escrowsByStatus(EscrowStatus.PARTIALLY_REFUNDED)[0].refund_amount).to.equal((PAYMENT / 2n).toString());
+
+        // Held amounts are reported per payment token.
+        const usdcAddress = await usdc.getAddress();
+        expect(indexer.store.escrowsByStatus(EscrowStatus.HELD)[0].token).to.equal(usdcAddress);
+        expect(indexer.store.escrowsByStatus(EscrowStatus.HELD, { token: user.address })).to.deep.equal([]);
+        expect(indexer.store.escrowTotalsByToken(EscrowStatus.HELD)).to.deep.equal({ [usdcAddress]: PAYMENT });
+    });
+
+    it("Should roll back a reorged branch and index the canonical one", async function () {
+        const { assetToken, addresses, minter, assetOwner, hold } = await loadFixture(deployIndexedStackFixture);
+        const indexer = newIndexer(addresses);
+        await indexer.sync();
+        const forkPoint = await takeSnapshot();
+
+        // The branch that will be dropped.
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "ipfs://orphaned", "0x");
+        await hold();
+        await indexer.sync();
+        expect(indexer.store.getAsset(3).metadata_uri).to.equal("ipfs://orphaned");
+        expect(indexer.store.escrowsByStatus(EscrowStatus.HELD)).to.have.length(1);
+
+        // The canonical branch, which outgrows it.
+        await forkPoint.restore();
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "ipfs://canonical", "0x");
+        await mine(5);
+        const { rolledBackTo } = await indexer.sync();
+
+        expect(rolledBackTo).to.be.lessThan(await ethers.provider.getBlockNumber() - 5);
+        expect(indexer.store.getAsset(3).metadata_uri).to.equal("ipfs://canonical");
+        expect(indexer.store.escrowsByStatus(EscrowStatus.HELD)).to.deep.equal([]);
+        expect(indexer.store.checkpoint().hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should resume from its checkpoint after a restart", async function () {
+        const { addresses, hold } = await loadFixture(deployIndexedStackFixture);
+        const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "marketplace.db");
+
+        const first = newIndexer(addresses, dbPath);
+        await hold();
+        await first.sync();
+        const checkpoint = first.store.checkpoint();
+        first.store.close();
+
+        await hold();
+        const second = newIndexer(addresses, dbPath);
+        expect(second.store.checkpoint()).to.deep.equal(checkpoint);
+        const { events } = await second.sync();
+
+        expect(events).to.equal(1);
+        expect(second.store.escrowsByStatus(EscrowStatus.HELD).map((item) => item.escrow_id)).to.deep.equal([1, 2]);
+    });
+
+    it("Should skip a splitter whose SplitterCreated event is missing", async function () {
+        const { royaltySplitFactory, addresses, contributor2 } = await loadFixture(deployIndexedStackFixture);
+        // A provider that loses asset 2's SplitterCreated log but returns everything else.
+        const dropped = royaltySplitFactory.filters.SplitterCreated(2);
+        const [droppedTopic, droppedAsset] = await dropped.getTopicFilter();
+        const provider = new Proxy(ethers.provider, {
+            get(target, prop) {
+                if (prop === "getLogs") {
+                    return async (filter) => (await target.getLogs(filter)).filter((log) => log.topics[0] !== droppedTopic || log.topics[1] !== droppedAsset);
+                }
+                const value = target[prop];
+                return typeof value === "function" ? value.bind(target) : value;
+            }
+        });
+        const errors = [];
+        const store = new IndexerStore(undefined, { reorgDepth: 16 });
+        stores.push(store);
+        const indexer = new MarketplaceIndexer({ provider, addresses, store, logger: { info() {}, error: (message) => errors.push(message) } });
+        await indexer.sync();
+
+        expect(indexer.store.splittersOf(contributor2.address).map((splitter) => splitter.asset_id)).to.deep.equal([1]);
+        expect(indexer.store.assetsByContributor(contributor2.address).map((asset) => asset.asset_id)).to.deep.equal([1, 2]);
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.include("no SplitterCreated");
+    });
+});
@@ -0,0 +1,150 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EscrowKeeper } = require("../../keeper/escrowKeeper");
+
+describe("Escrow Keeper", function () {
+    const silentLogger = { info() {}, error() {} };
+    const DISPUTE_WINDOW = 24 * 60 * 60; // 1 day
+    const PAYMENT = ethers.parseUnits("10", 6);
+
+    // Escrow with an EOA verifier, paying into a plain splitter address.
+    async function deployKeeperFixture() {
+        const [owner, admin, arbiter, verifier, user, treasury, splitter, keeperAccount] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250);
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, admin.address, admin.address, "uri");
+        const Escrow = await ethers.getContractFactory("Escrow");
+        const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            verifier.address,
+            await usdc.getAddress(),
+            await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            DISPUTE_WINDOW
+        );
+
+        // Holds `count` more payments, numbered from 1 in order.
+        async function hold(count) {
+            for (let i = 0; i < count; i++) {
+                await usdc.mint(await escrow.getAddress(), PAYMENT);
+                await escrow.connect(verifier).holdPayment(1, user.address, PAYMENT, splitter.address);
+            }
+        }
+
+        return { escrow, usdc, feeTreasury, admin, arbiter, verifier, user, splitter, keeperAccount, hold };
+    }
+
+    function newKeeper(escrowAddress, signer, options = {}) {
+        return new EscrowKeeper({ signer, escrowAddress, logger: silentLogger, ...options });
+    }
+
+    it("Should release held payments only once their hold period has expired", async function () {
+        const { escrow, usdc, splitter, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        // A lowercase address, as it may be configured, must still match the release logs.
+        const keeper = newKeeper((await escrow.getAddress()).toLowerCase(), keeperAccount);
+        await hold(2);
+
+        expect(await keeper.flush()).to.equal(null);
+        await time.increase(DISPUTE_WINDOW / 2);
+        await hold(1);
+        await time.increase(DISPUTE_WINDOW / 2 + 1);
+
+        expect(await keeper.drain()).to.deep.equal([1n, 2n]);
+        expect(await usdc.balanceOf(splitter.address)).to.equal(((PAYMENT * 9750n) / 10000n) * 2n);
+        expect((await escrow.escrows(3)).status).to.equal(0); // 0 = Held
+
+        await time.increase(DISPUTE_WINDOW / 2);
+        expect(await keeper.drain()).to.deep.equal([3n]);
+    });
+
+    it("Should leave disputed and already released payments alone", async function () {
+        const { escrow, arbiter, user, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        const keeper = newKeeper(await escrow.getAddress(), keeperAccount);
+        await hold(4);
+        await escrow.connect(user).openDispute(1);
+        await escrow.connect(user).openDispute(2);
+        await escrow.connect(arbiter).resolveDispute(2, true);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await escrow.release(3);
+
+        await keeper.sync();
+        expect(keeper.dueEscrowIds(await time.latest())).to.deep.equal([4n]);
+        expect(await keeper.drain()).to.deep.equal([4n]);
+        expect((await escrow.escrows(1)).status).to.equal(1); // 1 = Disputed
+    });
+
+    it("Should release in batches of at most batchSize payments", async function () {
+        const { escrow, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        const keeper = newKeeper(await escrow.getAddress(), keeperAccount, { batchSize: 2 });
+        await hold(5);
+        await time.increase(DISPUTE_WINDOW + 1);
+
+        const first = await keeper.flush();
+        expect(first.released).to.deep.equal([1n, 2n]);
+        expect(await keeper.drain()).to.deep.equal([3n, 4n, 5n]);
+    });
+
+    it("Should log and drop payments whose release reverts without stalling the rest", async function () {
+        const { escrow, feeTreasury, admin, verifier, user, splitter, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const eurc = await MockERC20.deploy("Mock EURC", "mEURC");
+        await feeTreasury.connect(admin).setPaymentToken(await eurc.getAddress(), true);
+        await hold(1);
+        await eurc.mint(await escrow.getAddress(), PAYMENT);
+        await escrow.connect(verifier).holdPaymentInToken(1, user.address, await eurc.getAddress(), PAYMENT, splitter.address); // 2
+        await hold(1);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await eurc.pause();
+
+        const errors = [];
+        const keeper = newKeeper(await escrow.getAddress(), keeperAccount, { logger: { info() {}, error: (message) => errors.push(message) } });
+        const { released, failed } = await keeper.flush();
+        expect(released).to.deep.equal([1n, 3n]);
+        expect(failed).to.deep.equal([2n]);
+        expect(errors).to.have.length(1);
+        expect((await escrow.escrows(2)).status).to.equal(0); // 0 = Held
+
+        // The failed payment is not retried in every later batch.
+        await hold(1);
+        await time.increase(DISPUTE_WINDOW + 1);
+        expect(await keeper.drain()).to.deep.equal([4n]);
+    });
+
+    it("Should shrink a batch until it fits the gas limit", async function () {
+        const { escrow, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        await hold(6);
+        await time.increase(DISPUTE_WINDOW + 1);
+
+        const escrowAddress = await escrow.getAddress();
+        const threeItemGas = await escrow.releaseBatch.estimateGas([1, 2, 3]);
+        const keeper = newKeeper(escrowAddress, keeperAccount, { maxGasPerTx: threeItemGas });
+
+        const { txHash, released } = await keeper.flush();
+        expect(released.length).to.be.within(1, 3);
+        expect((await ethers.provider.getTransactionReceipt(txHash)).gasUsed).to.be.at.most(threeItemGas);
+        await keeper.drain();
+        for (const escrowId of [1, 2, 3, 4, 5, 6]) {
+            expect((await escrow.escrows(escrowId)).status).to.equal(2); // 2 = Released
+        }
+    });
+
+    it("Should index in block ranges and pick up where it left off", async function () {
+        const { escrow, keeperAccount, hold } = await loadFixture(deployKeeperFixture);
+        const keeper = newKeeper(await escrow.getAddress(), keeperAccount, { blockRange: 2 });
+        await hold(3);
+        await keeper.sync();
+        await hold(2);
+        await time.increase(DISPUTE_WINDOW + 1);
+
+        expect(await keeper.drain()).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+    });
+});
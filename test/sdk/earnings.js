@@ -0,0 +1,226 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    Period,
+    periodOf,
+    fetchEarnings,
+    buildStatements,
+    statementsToCSV,
+    statementsToJSON
+} = require("../../sdk/earnings");
+
+describe("Earnings Statement SDK", function () {
+    const DISPUTE_WINDOW = 24 * 60 * 60; // 1 day
+    // The preset mock token has 18 decimals.
+    const usdc = (amount) => ethers.parseUnits(amount, 18);
+    const PAYMENT = usdc("10");
+    // Mid-January and mid-February 2030, UTC.
+    const JANUARY = Date.UTC(2030, 0, 15) / 1000;
+    const FEBRUARY = Date.UTC(2030, 1, 15) / 1000;
+
+    // Asset 1 pays contributor1 (60%) and contributor2 (40%). Asset 2 is derived from it and
+    // pays contributor3 (70%) and asset 1's splitter (30%). The fee is 2.5%.
+    async function deployEarningsFixture() {
+        const [owner, admin, minter, assetOwner, contributor1, contributor2, contributor3, verifier, arbiter, user, treasury] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const token = await MockERC20.deploy("Mock USDC", "mUSDC");
+        await token.waitForDeployment();
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, minter.address, admin.address, "uri");
+        const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+        const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+        const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(admin.address, treasury.address, 250);
+        const Escrow = await ethers.getContractFactory("Escrow");
+        const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            verifier.address,
+            await token.getAddress(),
+            await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            DISPUTE_WINDOW
+        );
+
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        for (const contributor of [contributor1, contributor2, contributor3]) {
+            await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor.address);
+        }
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "ipfs://asset1", "0x");
+        await provenanceGraph.connect(assetOwner).addContributorEdge(1, contributor1.address, 6000);
+        await provenanceGraph.connect(assetOwner).addContributorEdge(1, contributor2.address, 4000);
+        await provenanceGraph.connect(assetOwner).finalize(1);
+        await assetToken.connect(minter).mint(assetOwner.address, 1, "ipfs://asset2", "0x");
+        await provenanceGraph.connect(assetOwner).addContributorEdge(2, contributor3.address, 7000);
+        await provenanceGraph.connect(assetOwner).addParentEdge(2, 1, 3000);
+        await provenanceGraph.connect(assetOwner).finalize(2);
+        await royaltySplitFactory.createSplitter(2); // creates asset 1's splitter too
+
+        // Holds a payment for `assetId` at `timestamp` and releases it once the window is over.
+        async function payAt(timestamp, assetId, amount = PAYMENT) {
+            await time.setNextBlockTimestamp(timestamp);
+            await token.mint(await escrow.getAddress(), amount);
+            const tx = await escrow.connect(verifier).holdPayment(assetId, user.address, amount, await royaltySplitFactory.assetIdToSplitter(assetId));
+            const escrowId = escrow.interface.parseLog((await tx.wait()).logs.at(-1)).args.escrowId;
+            await time.increase(DISPUTE_WINDOW + 1);
+            await escrow.release(escrowId);
+            return escrowId;
+        }
+
+        return {
+            escrow, royaltySplitFactory, provenanceGraph, assetToken, feeTreasury, token, admin, minter, assetOwner,
+            arbiter, verifier, user, contributor1, contributor2, contributor3, payAt
+        };
+    }
+
+    async function statementsOf(stack, options) {
+        const { token, allocations, unattributed } = await fetchEarnings({ escrow: stack.escrow, factory: stack.royaltySplitFactory });
+        return { token, unattributed, statements: buildStatements(allocations, options) };
+    }
+
+    it("Should split each payout by contributor, asset and month, net of the protocol fee", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        const { contributor1, contributor2 } = stack;
+        await stack.payAt(JANUARY, 1);
+        await stack.payAt(JANUARY + 3 * DISPUTE_WINDOW, 1);
+        await stack.payAt(FEBRUARY, 1);
+
+        const { statements } = await statementsOf(stack);
+        const [first] = statements.filter((statement) => statement.contributor === contributor1.address);
+        expect(first.lines).to.deep.equal([
+            { period: "2030-01", assetId: 1n, sourceAssetId: 1n, payments: 2, gross: usdc("12"), fee: usdc("0.3"), net: usdc("11.7") },
+            { period: "2030-02", assetId: 1n, sourceAssetId: 1n, payments: 1, gross: usdc("6"), fee: usdc("0.15"), net: usdc("5.85") }
+        ]);
+        expect(first).to.include({ gross: usdc("18"), fee: usdc("0.45"), net: usdc("17.55") });
+
+        const [second] = statements.filter((statement) => statement.contributor === contributor2.address);
+        expect(second).to.include({ gross: usdc("12"), fee: usdc("0.3"), net: usdc("11.7") });
+    });
+
+    it("Should credit parent asset contributors with their share of a derived asset's payouts", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        const { contributor1, contributor3 } = stack;
+        await stack.payAt(JANUARY, 2);
+
+        const { statements } = await statementsOf(stack);
+        const byContributor = Object.fromEntries(statements.map((statement) => [statement.contributor, statement]));
+        // 30% of the payout reaches asset 1, of which contributor1 is credited with 60%.
+        expect(byContributor[contributor1.address].lines).to.deep.equal([
+            { period: "2030-01", assetId: 1n, sourceAssetId: 2n, payments: 1, gross: usdc("1.8"), fee: usdc("0.045"), net: usdc("1.755") }
+        ]);
+        expect(byContributor[contributor3.address].lines).to.deep.equal([
+            { period: "2030-01", assetId: 2n, sourceAssetId: 2n, payments: 1, gross: usdc("7"), fee: usdc("0.175"), net: usdc("6.825") }
+        ]);
+
+        const totalNet = statements.reduce((sum, statement) => sum + statement.net, 0n);
+        expect(totalNet).to.equal(await stack.token.balanceOf(await stack.royaltySplitFactory.assetIdToSplitter(2)) + await stack.token.balanceOf(await stack.royaltySplitFactory.assetIdToSplitter(1)));
+    });
+
+    it("Should count only the released part of a split dispute resolution and report unknown splitters", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        const { escrow, token, verifier, user, arbiter, contributor1 } = stack;
+        await time.setNextBlockTimestamp(JANUARY);
+        await token.mint(await escrow.getAddress(), PAYMENT * 2n);
+        await escrow.connect(verifier).holdPayment(1, user.address, PAYMENT, await stack.royaltySplitFactory.assetIdToSplitter(1));
+        await escrow.connect(user).openDispute(1);
+        await escrow.connect(arbiter).resolveDisputeWithSplit(1, usdc("6"));
+        await escrow.connect(verifier).holdPayment(1, user.address, PAYMENT, user.address);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await escrow.release(2);
+
+        const { statements, unattributed } = await statementsOf(stack, { contributor: contributor1.address });
+        expect(statements).to.have.length(1);
+        expect(statements[0]).to.include({ gross: usdc("2.4"), fee: usdc("0.06"), net: usdc("2.34") });
+        expect(unattributed.map((payout) => payout.escrowId)).to.deep.equal([2n]);
+    });
+
+    it("Should credit each asset's payouts to it when assets share a split", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        const { escrow, token, verifier, user, contributor1, contributor2 } = stack;
+        const MockSplitMain = await ethers.getContractFactory("MockSplitMain");
+        const splitMain = await MockSplitMain.deploy();
+        const SplitMainBackend = await ethers.getContractFactory("SplitMainBackend");
+        const backend = await SplitMainBackend.deploy(await splitMain.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const factory = await RoyaltySplitFactory.deploy(await stack.provenanceGraph.getAddress(), await backend.getAddress());
+
+        // Asset 3 has the same share table as asset 1, so SplitMain gives them one split.
+        await stack.assetToken.connect(stack.minter).mint(stack.assetOwner.address, 1, "ipfs://asset3", "0x");
+        await stack.provenanceGraph.connect(stack.assetOwner).addContributorEdge(3, contributor1.address, 6000);
+        await stack.provenanceGraph.connect(stack.assetOwner).addContributorEdge(3, contributor2.address, 4000);
+        await stack.provenanceGraph.connect(stack.assetOwner).finalize(3);
+        await factory.createSplitter(1);
+        await factory.createSplitter(3);
+        const split = await factory.assetIdToSplitter(3);
+        expect(await factory.assetIdToSplitter(1)).to.equal(split);
+
+        await time.setNextBlockTimestamp(JANUARY);
+        await token.mint(await escrow.getAddress(), PAYMENT * 2n);
+        await escrow.connect(verifier).holdPayment(1, user.address, PAYMENT, split);
+        await escrow.connect(verifier).holdPayment(3, user.address, PAYMENT, split);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await escrow.release(1);
+        await escrow.release(2);
+
+        const { allocations } = await fetchEarnings({ escrow, factory });
+        const [statement] = buildStatements(allocations, { contributor: contributor1.address });
+        expect(statement.lines).to.deep.equal([
+            { period: "2030-01", assetId: 1n, sourceAssetId: 1n, payments: 1, gross: usdc("6"), fee: usdc("0.15"), net: usdc("5.85") },
+            { period: "2030-01", assetId: 3n, sourceAssetId: 3n, payments: 1, gross: usdc("6"), fee: usdc("0.15"), net: usdc("5.85") }
+        ]);
+    });
+
+    it("Should report payouts in other payment tokens in separate statements", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        const { escrow, feeTreasury, admin, verifier, user, contributor1 } = stack;
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const eurc = await MockERC20.deploy("Mock EURC", "mEURC");
+        await feeTreasury.connect(admin).setPaymentToken(await eurc.getAddress(), true);
+
+        await stack.payAt(JANUARY, 1);
+        await eurc.mint(await escrow.getAddress(), usdc("5"));
+        const splitter = await stack.royaltySplitFactory.assetIdToSplitter(1);
+        await escrow.connect(verifier).holdPaymentInToken(1, user.address, await eurc.getAddress(), usdc("5"), splitter);
+        await time.increase(DISPUTE_WINDOW + 1);
+        await escrow.release(2);
+
+        const inUsdc = await statementsOf(stack, { contributor: contributor1.address });
+        expect(inUsdc.statements[0]).to.include({ gross: usdc("6") });
+
+        const inEurc = await fetchEarnings({ escrow, factory: stack.royaltySplitFactory }, { token: await eurc.getAddress() });
+        expect(inEurc.token).to.include({ symbol: "mEURC", decimals: 18 });
+        const [statement] = buildStatements(inEurc.allocations, { contributor: contributor1.address });
+        expect(statement).to.include({ gross: usdc("3"), fee: usdc("0.075"), net: usdc("2.925") });
+    });
+
+    it("Should export statements as CSV and JSON in whole token units", async function () {
+        const stack = await loadFixture(deployEarningsFixture);
+        await stack.payAt(JANUARY, 1);
+        await stack.payAt(FEBRUARY, 2);
+
+        const { token, statements } = await statementsOf(stack, { period: Period.QUARTER, contributor: stack.contributor1.address });
+        expect(statementsToCSV(statements, token)).to.equal([
+            "contributor,period,asset_id,source_asset_id,payments,token,gross,fee,net",
+            `${stack.contributor1.address},2030-Q1,1,1,1,mUSDC,6.0,0.15,5.85`,
+            `${stack.contributor1.address},2030-Q1,1,2,1,mUSDC,1.8,0.045,1.755`,
+            ""
+        ].join("\n"));
+
+        const json = JSON.parse(statementsToJSON(statements, token, { period: Period.QUARTER }));
+        expect(json.token).to.deep.equal({ address: await stack.token.getAddress(), symbol: "mUSDC", decimals: 18 });
+        expect(json.statements[0]).to.deep.include({ contributor: stack.contributor1.address, gross: "7.8", fee: "0.195", net: "7.605" });
+        expect(json.statements[0].lines[1]).to.deep.equal({ period: "2030-Q1", assetId: "1", sourceAssetId: "2", payments: 1, gross: "1.8", fee: "0.045", net: "1.755" });
+
+        expect(periodOf(JANUARY, Period.YEAR)).to.equal("2030");
+        expect(() => periodOf(JANUARY, "week")).to.throw('Unknown period "week"');
+    });
+});
@@ -0,0 +1,30 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployFundedStack } = require("../helpers/stack");
+const { predictSplitterAddress } = require("../../sdk/splitters");
+
+describe("Splitter Address SDK", function () {
+    it("Should compute the same address as the factory without a chain call", async function () {
+        const { royaltySplitFactory } = await loadFixture(deployFundedStack);
+        const factory = await royaltySplitFactory.getAddress();
+        const implementation = await royaltySplitFactory.splitterImplementation();
+
+        for (const [assetId, revision] of [[1n, 1n], [7n, 1n], [7n, 3n]]) {
+            expect(predictSplitterAddress(factory, implementation, assetId, revision))
+                .to.equal(await royaltySplitFactory.predictSplitterAddress(assetId, revision));
+        }
+    });
+
+    it("Should match the splitter the stack created for each asset", async function () {
+        const { royaltySplitFactory, assetIds } = await loadFixture(deployFundedStack);
+        const factory = await royaltySplitFactory.getAddress();
+        const implementation = await royaltySplitFactory.splitterImplementation();
+
+        for (const assetId of assetIds) {
+            expect(predictSplitterAddress(factory, implementation, assetId))
+                .to.equal(await royaltySplitFactory.assetIdToSplitter(assetId));
+        }
+    });
+});
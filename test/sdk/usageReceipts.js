@@ -0,0 +1,138 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFundedStack } = require("../helpers/stack");
+const {
+    Metric,
+    UsageType,
+    DEFAULT_TTL_SECONDS,
+    UNORDERED_NONCE_FLAG,
+    buildDomain,
+    getNonce,
+    buildReceipt,
+    isNonceUsed,
+    isUnorderedNonce,
+    unorderedNonce,
+    unorderedNoncePosition,
+    signReceipt,
+    hashReceipt,
+    recoverReceiptSigner,
+    verifyReceiptSignature,
+    encodeVerifyAndPay
+} = require("../../sdk/usageReceipts");
+
+describe("Usage Receipt SDK", function () {
+    describe("buildDomain", function () {
+        it("Should read the domain from a deployed verifier", async function () {
+            const { usageReceiptVerifier } = await loadFixture(deployFundedStack);
+            const domain = await buildDomain(usageReceiptVerifier);
+
+            expect(domain.name).to.equal("AIUsageReceipts");
+            expect(domain.version).to.equal("1");
+            expect(domain.chainId).to.equal((await ethers.provider.getNetwork()).chainId);
+            expect(domain.verifyingContract).to.equal(await usageReceiptVerifier.getAddress());
+        });
+
+        it("Should accept a verifier address and a provider", async function () {
+            const { usageReceiptVerifier, domain } = await loadFixture(deployFundedStack);
+            const address = await usageReceiptVerifier.getAddress();
+            expect(await buildDomain(address, ethers.provider)).to.deep.equal(domain);
+            await expect(buildDomain(address)).to.be.rejectedWith("A provider is required");
+        });
+    });
+
+    describe("buildReceipt", function () {
+        it("Should fill in the nonce, published price and deadline", async function () {
+            const { usageReceiptVerifier, user, assetIds, tokenPrice } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, {
+                assetId: assetIds[0],
+                units: 1500,
+                user: user.address,
+                metric: Metric.PER_1K_TOKENS
+            });
+
+            expect(receipt.nonce).to.equal(0n);
+            expect(receipt.unitPrice).to.equal(tokenPrice);
+            expect(receipt.deadline).to.equal(BigInt((await time.latest()) + DEFAULT_TTL_SECONDS));
+            expect(receipt.usageType).to.equal(UsageType.INFERENCE);
+            expect(receipt.commercial).to.be.false;
+        });
+
+        it("Should keep fields that are given explicitly", async function () {
+            const { usageReceiptVerifier, user, assetIds } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, {
+                assetId: assetIds[1], units: 3, user: user.address, nonce: 7, unitPrice: 42, deadline: 1234
+            });
+            expect(receipt.nonce).to.equal(7n);
+            expect(receipt.unitPrice).to.equal(42n);
+            expect(receipt.deadline).to.equal(1234n);
+        });
+
+        it("Should pick a random unordered nonce on request and locate nonces in the bitmap", async function () {
+            const { usageReceiptVerifier, user, assetIds } = await loadFixture(deployFundedStack);
+            const fields = { assetId: assetIds[0], units: 1, user: user.address, unordered: true };
+            const first = await buildReceipt(usageReceiptVerifier, fields);
+            const second = await buildReceipt(usageReceiptVerifier, fields);
+
+            expect(isUnorderedNonce(first.nonce)).to.be.true;
+            expect(first.nonce).to.not.equal(second.nonce);
+            expect(await isNonceUsed(usageReceiptVerifier, user.address, first.nonce)).to.be.false;
+
+            expect(unorderedNonce(2, 7)).to.equal(UNORDERED_NONCE_FLAG | (2n << 8n) | 7n);
+            expect(unorderedNoncePosition(unorderedNonce(2, 7))).to.deep.equal({ wordPos: 2n, mask: 1n << 7n });
+            expect(isUnorderedNonce(7n)).to.be.false;
+            expect(() => unorderedNonce(0, 256)).to.throw("bitPos");
+        });
+
+        it("Should reject a receipt without a user or units", async function () {
+            const { usageReceiptVerifier, assetIds } = await loadFixture(deployFundedStack);
+            await expect(buildReceipt(usageReceiptVerifier, { assetId: assetIds[0], units: 1 }))
+                .to.be.rejectedWith("assetId, units and user are required");
+        });
+    });
+
+    describe("Signing and verification", function () {
+        it("Should sign a receipt that verifies off-chain", async function () {
+            const { usageReceiptVerifier, user, assetIds, domain } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, { assetId: assetIds[0], units: 1, user: user.address });
+            const signature = await signReceipt(user, domain, receipt);
+
+            expect(recoverReceiptSigner(domain, receipt, signature)).to.equal(user.address);
+            expect(verifyReceiptSignature(domain, receipt, signature)).to.be.true;
+            expect(ethers.recoverAddress(hashReceipt(domain, receipt), signature)).to.equal(user.address);
+        });
+
+        it("Should reject tampered receipts and signatures", async function () {
+            const { usageReceiptVerifier, user, otherUser, assetIds, domain } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, { assetId: assetIds[0], units: 1, user: user.address });
+            const signature = await signReceipt(user, domain, receipt);
+
+            expect(verifyReceiptSignature(domain, { ...receipt, units: 1000n }, signature)).to.be.false;
+            expect(verifyReceiptSignature(domain, { ...receipt, user: otherUser.address }, signature)).to.be.false;
+            expect(verifyReceiptSignature(domain, receipt, "0x1234")).to.be.false;
+        });
+
+        it("Should refuse to sign a receipt for another user", async function () {
+            const { usageReceiptVerifier, user, otherUser, assetIds, domain } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, { assetId: assetIds[0], units: 1, user: user.address });
+            await expect(signReceipt(otherUser, domain, receipt)).to.be.rejectedWith("signer is");
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should encode a verifyAndPayWithReceipt call the verifier accepts", async function () {
+            const { usageReceiptVerifier, escrow, usdc, user, verifier, assetIds, callPrice, domain } = await loadFixture(deployFundedStack);
+            const receipt = await buildReceipt(usageReceiptVerifier, { assetId: assetIds[0], units: 2, user: user.address });
+            const signature = await signReceipt(user, domain, receipt);
+
+            await expect(verifier.sendTransaction({ to: await usageReceiptVerifier.getAddress(), data: encodeVerifyAndPay(receipt, signature) }))
+                .to.emit(escrow, "PaymentHeld")
+                .withArgs(1, assetIds[0], user.address, callPrice * 2n, await usdc.getAddress());
+            expect(await getNonce(usageReceiptVerifier, user.address)).to.equal(1n);
+            expect(await getNonce(await usageReceiptVerifier.getAddress(), user.address, ethers.provider)).to.equal(1n);
+        });
+    });
+});
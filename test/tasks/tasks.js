@@ -0,0 +1,212 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MODULE_ID } = require("../../tasks/deployment");
+
+const { ethers } = hre;
+
+describe("Marketplace Tasks", function () {
+    let originalIgnitionPath;
+
+    // Deploys the stack and records it the way Ignition does, in a temporary ignition directory.
+    async function deployStackFixture() {
+        const [owner, admin, minter, uriSetter, contributor1, contributor2, user, arbiter, treasury, outsider] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("ERC20PresetMinterPauser");
+        const usdc = await MockERC20.deploy("Mock USDC", "mUSDC");
+
+        // The default account (owner) mints, administers fees and holds payments.
+        const AssetToken = await ethers.getContractFactory("AssetToken");
+        const assetToken = await AssetToken.deploy(admin.address, owner.address, uriSetter.address, "uri");
+        const ContributorRegistry = await ethers.getContractFactory("ContributorRegistry");
+        const contributorRegistry = await ContributorRegistry.deploy(admin.address, admin.address, admin.address);
+        const ProvenanceGraph = await ethers.getContractFactory("ProvenanceGraph");
+        const provenanceGraph = await ProvenanceGraph.deploy(await assetToken.getAddress(), await contributorRegistry.getAddress());
+        const RoyaltySplitFactory = await ethers.getContractFactory("RoyaltySplitFactory");
+        const royaltySplitFactory = await RoyaltySplitFactory.deploy(await provenanceGraph.getAddress(), ethers.ZeroAddress);
+        const FeeTreasury = await ethers.getContractFactory("FeeTreasury");
+        const feeTreasury = await FeeTreasury.deploy(owner.address, treasury.address, 250);
+        const Escrow = await ethers.getContractFactory("Escrow");
+        const escrow = await Escrow.deploy(
+            admin.address,
+            arbiter.address,
+            owner.address,
+            await usdc.getAddress(),
+            await feeTreasury.getAddress(),
+            await assetToken.getAddress(),
+            24 * 60 * 60 // 1-day dispute window
+        );
+
+        const CONTRIBUTOR_ROLE = await provenanceGraph.CONTRIBUTOR_ROLE();
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor1.address);
+        await contributorRegistry.connect(admin).grantRole(CONTRIBUTOR_ROLE, contributor2.address);
+
+        const ignitionDir = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+        const deploymentDir = path.join(ignitionDir, "deployments", `chain-${(await ethers.provider.getNetwork()).chainId}`);
+        fs.mkdirSync(deploymentDir, { recursive: true });
+        const addresses = {};
+        for (const [id, contract] of Object.entries({ AssetToken: assetToken, ProvenanceGraph: provenanceGraph, RoyaltySplitFactory: royaltySplitFactory, FeeTreasury: feeTreasury, Escrow: escrow })) {
+            addresses[`${MODULE_ID}#${id}`] = await contract.getAddress();
+        }
+        fs.writeFileSync(path.join(deploymentDir, "deployed_addresses.json"), JSON.stringify(addresses, null, 2));
+
+        return { assetToken, provenanceGraph, royaltySplitFactory, feeTreasury, escrow, usdc, owner, contributor1, contributor2, user, arbiter, outsider, ignitionDir };
+    }
+
+    // Loads the stack and points the tasks at its deployment.
+    async function loadStack() {
+        const stack = await loadFixture(deployStackFixture);
+        hre.config.paths.ignition = stack.ignitionDir;
+        return stack;
+    }
+
+    // Runs a task with its console output silenced.
+    async function run(name, args) {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run(name, args);
+        } finally {
+            console.log = log;
+        }
+    }
+
+    // Mints an asset and sets up its graph with the given contributor weights.
+    async function setUpAsset({ contributor1, contributor2 }, weights = [8000, 2000]) {
+        const assetId = await run("asset:mint", { uri: "ipfs://asset", license: "1" });
+        await run("provenance:add-contributor", { asset: assetId.toString(), contributor: contributor1.address, weight: weights[0] });
+        await run("provenance:add-contributor", { asset: assetId.toString(), contributor: contributor2.address, weight: weights[1] });
+        return assetId.toString();
+    }
+
+    before(function () {
+        originalIgnitionPath = hre.config.paths.ignition;
+    });
+
+    after(function () {
+        hre.config.paths.ignition = originalIgnitionPath;
+    });
+
+    it("Should take an asset from mint to a royalty splitter", async function () {
+        const stack = await loadStack();
+        const assetId = await setUpAsset(stack);
+        await run("provenance:finalize", { asset: assetId });
+        const splitter = await run("splitter:create", { asset: assetId });
+
+        expect(await stack.assetToken.balanceOf(stack.owner.address, assetId)).to.equal(1);
+        expect(await stack.provenanceGraph.isFinalized(assetId)).to.equal(true);
+        expect(splitter).to.equal(await stack.royaltySplitFactory.assetIdToSplitter(assetId));
+        expect(splitter).to.not.equal(ethers.ZeroAddress);
+    });
+
+    it("Should report reverts as the contract's decoded custom error", async function () {
+        const stack = await loadStack();
+        const assetId = await setUpAsset(stack, [8000, 1000]);
+
+        await expect(run("provenance:add-contributor", { asset: assetId, contributor: stack.contributor1.address, weight: 2000 }))
+            .to.be.rejectedWith(`provenance:add-contributor reverted: TotalWeightExceeded(assetId: ${assetId}, currentWeight: 9000, newWeight: 2000)`);
+        await expect(run("provenance:finalize", { asset: assetId, from: stack.outsider.address }))
+            .to.be.rejectedWith(`provenance:finalize reverted: NotAssetOwner(caller: ${stack.outsider.address}, assetId: ${assetId})`);
+        await expect(run("fees:set", { bps: 5000 }))
+            .to.be.rejectedWith("fees:set reverted: FeeTooHigh(maxFee: 1000, actualFee: 5000)");
+    });
+
+    it("Should release only the held payments that are due", async function () {
+        const stack = await loadStack();
+        const assetId = await setUpAsset(stack);
+        await run("provenance:finalize", { asset: assetId });
+        const splitter = await run("splitter:create", { asset: assetId });
+
+        const amount = ethers.parseUnits("10", 6);
+        await stack.usdc.mint(await stack.escrow.getAddress(), amount * 2n);
+        await stack.escrow.holdPayment(assetId, stack.user.address, amount, splitter);
+        await time.increase(24 * 60 * 60 + 1);
+        await stack.escrow.holdPayment(assetId, stack.user.address, amount, splitter);
+
+        expect(await run("escrow:release-due", {})).to.deep.equal([1n]);
+        expect(await run("escrow:release-due", {})).to.deep.equal([]);
+        // 2.5% goes to the treasury.
+        expect(await stack.usdc.balanceOf(splitter)).to.equal(ethers.parseUnits("9.75", 6));
+    });
+
+    it("Should resolve a dispute as the arbiter and decode InvalidStatus afterwards", async function () {
+        const stack = await loadStack();
+        const assetId = await setUpAsset(stack);
+        await run("provenance:finalize", { asset: assetId });
+        const splitter = await run("splitter:create", { asset: assetId });
+
+        const amount = ethers.parseUnits("10", 6);
+        await stack.usdc.mint(await stack.escrow.getAddress(), amount);
+        await stack.escrow.holdPayment(assetId, stack.user.address, amount, splitter);
+        await stack.escrow.connect(stack.user).openDispute(1);
+
+        await run("escrow:resolve", { escrowId: "1", refund: true, from: stack.arbiter.address });
+        expect(await stack.usdc.balanceOf(stack.user.address)).to.equal(amount);
+        await expect(run("escrow:resolve", { escrowId: "1", refund: false, from: stack.arbiter.address }))
+            .to.be.rejectedWith("escrow:resolve reverted: InvalidStatus()");
+    });
+
+    it("Should export earnings statements to a CSV file", async function () {
+        const stack = await loadStack();
+        const assetId = await setUpAsset(stack);
+        await run("provenance:finalize", { asset: assetId });
+        const splitter = await run("splitter:create", { asset: assetId });
+
+        const amount = ethers.parseUnits("10", 18); // the mock token's decimals
+        await stack.usdc.mint(await stack.escrow.getAddress(), amount);
+        await stack.escrow.holdPayment(assetId, stack.user.address, amount, splitter);
+        await time.increase(24 * 60 * 60 + 1);
+        await stack.escrow.release(1);
+
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "earnings-")), "earnings.csv");
+        const statements = await run("report:earnings", { contributor: stack.contributor2.address, out });
+        const rows = fs.readFileSync(out, "utf8").trim().split("\n");
+
+        expect(statements).to.have.length(1);
+        expect(rows).to.have.length(2);
+        expect(rows[1]).to.match(new RegExp(`^${stack.contributor2.address},\\d{4}-\\d{2},${assetId},${assetId},1,mUSDC,2.0,0.05,1.95$`));
+    });
+
+    it("Should set the protocol fee and fail clearly without a deployment", async function () {
+        const stack = await loadStack();
+        await run("fees:set", { bps: 300 });
+        await time.increase(await stack.feeTreasury.feeChangeDelay());
+        await run("fees:activate", { scope: "global", id: "0" });
+        expect(await stack.feeTreasury.feeBps()).to.equal(300);
+
+        await expect(run("fees:set", { bps: 300, deploymentId: "missing" }))
+            .to.be.rejectedWith("No Ignition deployment found");
+    });
+
+    it("Should schedule a fee increase and activate it after the notice period", async function () {
+        const stack = await loadStack();
+        await run("fees:set", { bps: 400 });
+        expect(await stack.feeTreasury.feeBps()).to.not.equal(400);
+        await expect(run("fees:activate", { scope: "global", id: "0" }))
+            .to.be.rejectedWith("fees:activate reverted: FeeChangeNotDue");
+
+        await time.increase(await stack.feeTreasury.feeChangeDelay());
+        await run("fees:activate", { scope: "global", id: "0" });
+        expect(await stack.feeTreasury.feeBps()).to.equal(400);
+        await expect(run("fees:activate", { scope: "everything", id: "0" }))
+            .to.be.rejectedWith('Unknown scope "everything"');
+    });
+
+    it("Should allow a payment token and route its fees", async function () {
+        const stack = await loadStack();
+        const token = ethers.Wallet.createRandom().address;
+        const treasury = ethers.Wallet.createRandom().address;
+        await run("fees:token", { token, treasury });
+        expect(await stack.feeTreasury.paymentTokens()).to.deep.equal([token]);
+        expect(await stack.feeTreasury.treasuryFor(token)).to.equal(treasury);
+
+        await run("fees:token", { token, remove: true });
+        expect(await stack.feeTreasury.isPaymentToken(token)).to.equal(false);
+    });
+});